@@ -36,7 +36,7 @@ async function distributeSUI() {
 
   // Check initial balances
   console.log('📊 Initial balances:');
-  for (const [key, wallet] of Object.entries(properWallets)) {
+  for (const wallet of Object.values(properWallets)) {
     const balance = await client.getBalance({
       owner: wallet.address,
       coinType: '0x2::sui::SUI'
@@ -122,7 +122,7 @@ async function distributeSUI() {
 
   // Step 2: Check balances after distribution
   console.log('\n📊 Balances after distribution:');
-  for (const [key, wallet] of Object.entries(properWallets)) {
+  for (const wallet of Object.values(properWallets)) {
     const balance = await client.getBalance({
       owner: wallet.address,
       coinType: '0x2::sui::SUI'
@@ -206,7 +206,7 @@ async function distributeSUI() {
 
   // Final balance check
   console.log('\n📊 Final balances:');
-  for (const [key, wallet] of Object.entries(properWallets)) {
+  for (const wallet of Object.values(properWallets)) {
     const balance = await client.getBalance({
       owner: wallet.address,
       coinType: '0x2::sui::SUI'
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Face Model Fetch Script
+ * Downloads the models the local face provider runs: the SCRFD detector
+ * (det_500m.onnx) and the ArcFace embedding model (w600k_mbf.onnx) from
+ * InsightFace's buffalo_s pack, into FACE_LOCAL_MODEL_DIR (default
+ * models/face, not committed). The models are licensed by InsightFace for
+ * non-commercial research use; check the license before using them in production.
+ *
+ * Usage: node scripts/fetch-face-models.js [packUrl]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { faceProviderConfig } = require('../src/config/faceProviderConfig');
+
+const PACK_URL = 'https://github.com/deepinsight/insightface/releases/download/v0.7/buffalo_s.zip';
+
+async function fetchFaceModels() {
+  const { modelDir, detectorModel, embeddingModel } = faceProviderConfig.local;
+  const wanted = ['det_500m.onnx', 'w600k_mbf.onnx'];
+  const packUrl = process.argv[2] || PACK_URL;
+
+  console.log(`📥 Downloading ${packUrl}...`);
+  const response = await fetch(packUrl);
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status}`);
+  }
+  const pack = Buffer.from(await response.arrayBuffer());
+
+  fs.mkdirSync(modelDir, { recursive: true });
+  for (const name of wanted) {
+    const file = path.join(modelDir, name);
+    fs.writeFileSync(file, readZipEntry(pack, name));
+    console.log(`✅ ${file}`);
+  }
+
+  if (!wanted.includes(detectorModel) || !wanted.includes(embeddingModel)) {
+    console.log(`\n⚠️  FACE_LOCAL_DETECTOR_MODEL / FACE_LOCAL_EMBEDDING_MODEL name other files (${detectorModel}, ${embeddingModel})`);
+  }
+}
+
+/**
+ * The contents of the file with this base name in a zip archive
+ */
+function readZipEntry(zip, name) {
+  // End of central directory record: the last 22+ bytes of the archive
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end < 0) {
+    throw new Error('Not a zip archive');
+  }
+  const entries = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entries; i++) {
+    const method = zip.readUInt16LE(offset + 10);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    const localHeader = zip.readUInt32LE(offset + 42);
+    const entryName = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (path.posix.basename(entryName) === name) {
+      const dataStart = localHeader + 30 + zip.readUInt16LE(localHeader + 26) + zip.readUInt16LE(localHeader + 28);
+      const data = zip.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`${entryName} uses unsupported zip compression method ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  throw new Error(`${name} not found in the model pack`);
+}
+
+fetchFaceModels().catch(error => {
+  console.error('❌ Fetching face models failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Merchant API Key Script
+ * Generates a merchant API key and the apiKeyHash to put in the merchant's
+ * entry in data/merchants.json. Only the hash is stored server-side.
+ *
+ * Usage: node scripts/generate-merchant-key.js
+ */
+
+const crypto = require('crypto');
+
+const apiKey = `mk_${crypto.randomBytes(32).toString('base64url')}`;
+const apiKeyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+
+console.log('🔑 Merchant API key (give to the merchant, shown once):');
+console.log(`   ${apiKey}\n`);
+console.log('📝 apiKeyHash (add to the merchant in data/merchants.json):');
+console.log(`   ${apiKeyHash}`);
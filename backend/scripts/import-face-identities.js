@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * Face Identity Import Script
+ * Creates face identities for persons enrolled before identities existed,
+ * whose wallet and user name were encoded in their provider person name as
+ * "walletAddress|userName". Safe to run more than once.
+ *
+ * Usage: node scripts/import-face-identities.js [provider]   (default: luxand)
+ */
+
+const faceEnrollmentService = require('../src/services/faceEnrollmentService');
+
+async function importFaceIdentities() {
+  const provider = process.argv[2] || 'luxand';
+  console.log(`🎭 Importing face identities from ${provider}...\n`);
+
+  const { imported, skipped } = await faceEnrollmentService.importLegacyPersons(provider);
+
+  console.log(`\n✅ Done: ${imported} imported, ${skipped} skipped (already imported or not a PayWiser person)`);
+}
+
+importFaceIdentities().catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * Face Provider Configuration
+ *
+ * Which face-recognition providers serve /api/face, in what order, and when
+ * a request moves on to the next one. Merchants can override the provider
+ * order with faceProviders in the merchant configuration.
+ */
+
+const path = require('path');
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const FACE_PROVIDERS = ['luxand', 'google_vision', 'local', 'mock'];
+
+// Error kinds a provider reports; see services/faceProviders/faceProvider.js
+const FAILURE_KINDS = ['unauthorized', 'quota_exceeded', 'unavailable', 'invalid_input', 'not_found', 'unsupported'];
+
+// Face quality grades, worst first
+const QUALITY_GRADES = ['poor', 'fair', 'good', 'excellent'];
+
+const verifyThresholdVariable = name => `FACE_VERIFY_${name.toUpperCase()}_MATCH_THRESHOLD`;
+
+const faceProviderConfig = {
+  // Providers tried in order; the first is the primary
+  providers: splitList(process.env.FACE_PROVIDERS || 'luxand,mock'),
+
+  // Provider behind /api/real-biometric enrollments
+  realBiometricProvider: process.env.REAL_BIOMETRIC_FACE_PROVIDER || 'google_vision',
+
+  failover: {
+    // Error kinds that send a request to the next provider. Anything else
+    // (no face in the photo, unknown person) is an answer, not an outage.
+    on: splitList(process.env.FACE_FAILOVER_ON || 'unauthorized,quota_exceeded,unavailable'),
+
+    // Operations that may fail over. Enrollment and deletion stay on the
+    // primary: a person enrolled with a fallback is unknown to the primary.
+    operations: splitList(process.env.FACE_FAILOVER_OPERATIONS || 'recognize,verify,list')
+  },
+
+  enrollment: {
+    // Photos per enrollment or add-faces request, e.g. a few angles
+    maxPhotos: parseInt(process.env.FACE_ENROLLMENT_MAX_PHOTOS || '5', 10),
+    maxFacesPerPerson: parseInt(process.env.FACE_MAX_FACES_PER_PERSON || '12', 10)
+  },
+
+  enrichment: {
+    // Recognition captures that are added to the recognized person's
+    // faces, so their template follows changes in appearance
+    enabled: process.env.FACE_ENRICHMENT_ENABLED !== 'false',
+    minConfidence: parseFloat(process.env.FACE_ENRICHMENT_MIN_CONFIDENCE || '0.9'),
+    minQuality: process.env.FACE_ENRICHMENT_MIN_QUALITY || 'good',
+    // Enrichment stops once a person has this many faces
+    maxFaces: parseInt(process.env.FACE_ENRICHMENT_MAX_FACES || '8', 10)
+  },
+
+  verification: {
+    // Score a 1:1 verification needs to match, per provider since providers
+    // score on different scales: FACE_VERIFY_<PROVIDER>_MATCH_THRESHOLD, e.g.
+    // FACE_VERIFY_LUXAND_MATCH_THRESHOLD. Unset, the provider's own match
+    // threshold applies. Merchants can set their own faceVerification.matchThresholds.
+    matchThresholds: Object.fromEntries(FACE_PROVIDERS
+      .filter(name => process.env[verifyThresholdVariable(name)])
+      .map(name => [name, parseFloat(process.env[verifyThresholdVariable(name)])]))
+  },
+
+  luxand: {
+    apiToken: process.env.LUXAND_API_TOKEN || '6ba425b03f5041798c807fc4d8bfd4ac',
+    baseUrl: process.env.LUXAND_BASE_URL || 'https://api.luxand.cloud',
+    timeoutMs: parseInt(process.env.LUXAND_TIMEOUT_MS || '15000', 10),
+    matchThreshold: parseFloat(process.env.LUXAND_MATCH_THRESHOLD || '0.8')
+  },
+
+  googleVision: {
+    // Vision only detects faces; matching compares image fingerprints
+    matchThreshold: parseFloat(process.env.GOOGLE_VISION_MATCH_THRESHOLD || '0.7')
+  },
+
+  local: {
+    // Cosine similarity between embeddings of landmark-aligned faces
+    matchThreshold: parseFloat(process.env.FACE_LOCAL_MATCH_THRESHOLD || '0.6'),
+
+    // ONNX models run on the CPU with onnxruntime-node; nothing leaves the
+    // server. Download them with scripts/fetch-face-models.js
+    modelDir: process.env.FACE_LOCAL_MODEL_DIR || path.join(__dirname, '../../models/face'),
+    detectorModel: process.env.FACE_LOCAL_DETECTOR_MODEL || 'det_500m.onnx',
+    embeddingModel: process.env.FACE_LOCAL_EMBEDDING_MODEL || 'w600k_mbf.onnx',
+    detectorInputSize: parseInt(process.env.FACE_LOCAL_DETECTOR_INPUT_SIZE || '640', 10),
+    embeddingInputSize: parseInt(process.env.FACE_LOCAL_EMBEDDING_INPUT_SIZE || '112', 10),
+    minDetectionScore: parseFloat(process.env.FACE_LOCAL_MIN_DETECTION_SCORE || '0.7')
+  },
+
+  mock: {
+    matchThreshold: 0.85
+  }
+};
+
+// Validation function
+function validateFaceProviderConfig() {
+  const errors = [];
+
+  if (faceProviderConfig.providers.length === 0) {
+    errors.push('FACE_PROVIDERS must name at least one provider');
+  }
+
+  [...faceProviderConfig.providers, faceProviderConfig.realBiometricProvider].forEach(name => {
+    if (!FACE_PROVIDERS.includes(name)) {
+      errors.push(`Unknown face provider "${name}", expected one of ${FACE_PROVIDERS.join(', ')}`);
+    }
+  });
+
+  faceProviderConfig.failover.on.forEach(kind => {
+    if (!FAILURE_KINDS.includes(kind)) {
+      errors.push(`FACE_FAILOVER_ON: unknown error kind "${kind}", expected one of ${FAILURE_KINDS.join(', ')}`);
+    }
+  });
+
+  ['luxand', 'googleVision', 'local', 'mock'].forEach(provider => {
+    const threshold = faceProviderConfig[provider].matchThreshold;
+    if (!(threshold > 0 && threshold <= 1)) {
+      errors.push(`${provider} match threshold must be in (0, 1]`);
+    }
+  });
+
+  const { maxPhotos, maxFacesPerPerson } = faceProviderConfig.enrollment;
+  if (!(maxPhotos >= 1)) {
+    errors.push('FACE_ENROLLMENT_MAX_PHOTOS must be at least 1');
+  }
+  if (!(maxFacesPerPerson >= maxPhotos)) {
+    errors.push('FACE_MAX_FACES_PER_PERSON must be at least FACE_ENROLLMENT_MAX_PHOTOS');
+  }
+
+  const { minConfidence, minQuality, maxFaces } = faceProviderConfig.enrichment;
+  if (!(minConfidence > 0 && minConfidence <= 1)) {
+    errors.push('FACE_ENRICHMENT_MIN_CONFIDENCE must be in (0, 1]');
+  }
+  if (!QUALITY_GRADES.includes(minQuality)) {
+    errors.push(`FACE_ENRICHMENT_MIN_QUALITY must be one of ${QUALITY_GRADES.join(', ')}`);
+  }
+  if (!(maxFaces >= 1 && maxFaces <= maxFacesPerPerson)) {
+    errors.push('FACE_ENRICHMENT_MAX_FACES must be between 1 and FACE_MAX_FACES_PER_PERSON');
+  }
+
+  Object.entries(faceProviderConfig.verification.matchThresholds).forEach(([name, threshold]) => {
+    if (!(threshold > 0 && threshold <= 1)) {
+      errors.push(`${verifyThresholdVariable(name)} must be in (0, 1]`);
+    }
+  });
+
+  const { minDetectionScore, detectorInputSize, embeddingInputSize } = faceProviderConfig.local;
+  if (!(minDetectionScore > 0 && minDetectionScore < 1)) {
+    errors.push('FACE_LOCAL_MIN_DETECTION_SCORE must be in (0, 1)');
+  }
+  if (!(detectorInputSize > 0 && detectorInputSize % 32 === 0)) {
+    errors.push('FACE_LOCAL_DETECTOR_INPUT_SIZE must be a positive multiple of 32');
+  }
+  if (!(embeddingInputSize > 0)) {
+    errors.push('FACE_LOCAL_EMBEDDING_INPUT_SIZE must be a positive integer');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Face provider configuration validation failed:\n${errors.join('\n')}`);
+  }
+}
+
+module.exports = {
+  faceProviderConfig,
+  validateFaceProviderConfig,
+  FACE_PROVIDERS,
+  FAILURE_KINDS,
+  QUALITY_GRADES
+};
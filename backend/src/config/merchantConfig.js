@@ -0,0 +1,188 @@
+/**
+ * Merchant Configuration
+ *
+ * Merchants that can be paid through POST /api/payments and the rails their
+ * payments may use. Merchants are read from the JSON file at
+ * MERCHANT_CONFIG_PATH (default data/merchants.json), an array of:
+ *
+ *   {
+ *     "merchantId": "corner-cafe",
+ *     "name": "Corner Cafe",
+ *     "suiAddress": "0x…",          // receives sui and sui_sponsored payments
+ *     "yellowAddress": "0x…",       // EVM address, receives yellow payments
+ *     "rails": [                    // optional, tried in order
+ *       { "rail": "yellow", "maxAmount": "25" },
+ *       { "rail": "sui_sponsored", "currencies": ["USDC"], "maxAmount": "500" },
+ *       { "rail": "sui" }
+ *     ],
+ *     "faceProviders": ["local", "luxand"], // optional, overrides FACE_PROVIDERS
+ *     "faceVerification": {         // optional, for POST /api/face/verify
+ *       "matchThresholds": { "local": 0.65, "luxand": 0.9 } // per provider
+ *     },
+ *     "apiKeyHash": "9f86…"         // optional, SHA-256 hex of the merchant's API key
+ *   }
+ *
+ * A payment goes to the first rail whose currencies and maxAmount (in the
+ * payment's currency) allow it and that the merchant and payer can use.
+ * Merchants without rails use defaultRails.
+ *
+ * Merchants with an apiKeyHash authenticate merchant-only requests (refunds
+ * without a wallet, captures, webhooks) by sending the key in the
+ * X-Merchant-Key header. Generate one with scripts/generate-merchant-key.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FACE_PROVIDERS } = require('./faceProviderConfig');
+
+const RAILS = ['yellow', 'sui_sponsored', 'sui'];
+const CURRENCIES = ['USDC', 'SUI'];
+const MAX_AMOUNT_PATTERN = /^\d+(\.\d{1,6})?$/;
+const SUI_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{1,64}$/;
+const EVM_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const API_KEY_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+const merchantConfig = {
+  storePath: process.env.MERCHANT_CONFIG_PATH || path.join(__dirname, '../../data/merchants.json'),
+
+  // Small payments settle instantly off-chain, mid-sized ones on Sui with
+  // sponsored gas, anything larger on Sui with the payer's own gas
+  defaultRails: [
+    { rail: 'yellow', maxAmount: process.env.PAYMENT_YELLOW_MAX_AMOUNT || '100' },
+    { rail: 'sui_sponsored', maxAmount: process.env.PAYMENT_SPONSORED_MAX_AMOUNT || '1000' },
+    { rail: 'sui' }
+  ],
+
+  merchants: []
+};
+
+merchantConfig.merchants = loadMerchants(merchantConfig.storePath);
+
+function loadMerchants(storePath) {
+  if (!fs.existsSync(storePath)) {
+    return [];
+  }
+
+  const merchants = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  if (!Array.isArray(merchants)) {
+    throw new Error(`${storePath} must contain an array of merchants`);
+  }
+  return merchants.map(merchant => ({ ...merchant, rails: merchant.rails || merchantConfig.defaultRails }));
+}
+
+/**
+ * Get a configured merchant
+ * @param {string} merchantId - Merchant ID
+ * @returns {Object|null} - Merchant, or null if not configured
+ */
+function getMerchant(merchantId) {
+  return merchantConfig.merchants.find(merchant => merchant.merchantId === merchantId) || null;
+}
+
+/**
+ * Find the merchant an API key belongs to
+ * @param {string} apiKey - Key from the X-Merchant-Key header
+ * @returns {Object|null} - Merchant, or null if no merchant has this key
+ */
+function authenticateMerchant(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(apiKey).digest();
+  return merchantConfig.merchants.find(merchant => merchant.apiKeyHash &&
+    crypto.timingSafeEqual(hash, Buffer.from(merchant.apiKeyHash, 'hex'))) || null;
+}
+
+/**
+ * Whether an address is one of a merchant's payout addresses
+ * @param {Object} merchant - Configured merchant
+ * @param {string} address - Sui or EVM address
+ * @returns {boolean}
+ */
+function merchantOwnsAddress(merchant, address) {
+  return [merchant.suiAddress, merchant.yellowAddress]
+    .filter(Boolean)
+    .some(owned => normalizeAddress(owned) === normalizeAddress(address));
+}
+
+// Sui addresses may be given without leading zeros; EVM addresses in any case
+function normalizeAddress(address) {
+  return String(address).toLowerCase().replace(/^0x/, '').padStart(64, '0');
+}
+
+// Validation function
+function validateMerchantConfig() {
+  const errors = [];
+  const validateRails = (rails, owner) => rails.forEach(option => {
+    if (!RAILS.includes(option.rail)) {
+      errors.push(`${owner}: unknown rail "${option.rail}", expected one of ${RAILS.join(', ')}`);
+    }
+    if (option.maxAmount !== undefined && !MAX_AMOUNT_PATTERN.test(option.maxAmount)) {
+      errors.push(`${owner}: maxAmount "${option.maxAmount}" must be a decimal string with at most 6 decimal places`);
+    }
+    (option.currencies || []).forEach(currency => {
+      if (!CURRENCIES.includes(currency)) {
+        errors.push(`${owner}: unknown currency "${currency}", expected one of ${CURRENCIES.join(', ')}`);
+      }
+    });
+  });
+
+  validateRails(merchantConfig.defaultRails, 'Default rails');
+
+  const seen = new Set();
+  merchantConfig.merchants.forEach((merchant, index) => {
+    const owner = `Merchant ${merchant.merchantId || `#${index}`}`;
+
+    if (!merchant.merchantId) {
+      errors.push(`${owner}: merchantId is required`);
+    } else if (seen.has(merchant.merchantId)) {
+      errors.push(`${owner}: duplicate merchantId`);
+    }
+    seen.add(merchant.merchantId);
+
+    if (!merchant.suiAddress && !merchant.yellowAddress) {
+      errors.push(`${owner}: needs a suiAddress, a yellowAddress or both`);
+    }
+    if (merchant.suiAddress && !SUI_ADDRESS_PATTERN.test(merchant.suiAddress)) {
+      errors.push(`${owner}: suiAddress must be a 0x-prefixed hex Sui address`);
+    }
+    if (merchant.yellowAddress && !EVM_ADDRESS_PATTERN.test(merchant.yellowAddress)) {
+      errors.push(`${owner}: yellowAddress must be an EVM address`);
+    }
+    if (merchant.apiKeyHash !== undefined && !API_KEY_HASH_PATTERN.test(merchant.apiKeyHash)) {
+      errors.push(`${owner}: apiKeyHash must be a lowercase SHA-256 hex digest`);
+    }
+
+    validateRails(merchant.rails, owner);
+
+    (merchant.faceProviders || []).forEach(name => {
+      if (!FACE_PROVIDERS.includes(name)) {
+        errors.push(`${owner}: unknown face provider "${name}", expected one of ${FACE_PROVIDERS.join(', ')}`);
+      }
+    });
+
+    Object.entries(merchant.faceVerification?.matchThresholds || {}).forEach(([name, threshold]) => {
+      if (!FACE_PROVIDERS.includes(name)) {
+        errors.push(`${owner}: faceVerification.matchThresholds has unknown face provider "${name}"`);
+      } else if (!(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+        errors.push(`${owner}: faceVerification.matchThresholds.${name} must be a number in (0, 1]`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Merchant configuration validation failed:\n${errors.join('\n')}`);
+  }
+}
+
+module.exports = {
+  merchantConfig,
+  getMerchant,
+  authenticateMerchant,
+  merchantOwnsAddress,
+  validateMerchantConfig,
+  RAILS,
+  CURRENCIES
+};
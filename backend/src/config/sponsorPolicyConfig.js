@@ -0,0 +1,57 @@
+/**
+ * Gas Sponsor Policy Configuration
+ *
+ * Limits applied before the gas sponsor account signs a transaction.
+ * All gas amounts are in MIST (1 SUI = 1,000,000,000 MIST).
+ */
+
+const sponsorPolicyConfig = {
+  // Largest gas budget the sponsor will attach to a single transaction
+  maxGasBudgetPerTransaction: BigInt(process.env.SPONSOR_MAX_GAS_BUDGET || '10000000'), // 0.01 SUI
+
+  // Gas each sender may consume per UTC day
+  senderDailyBudget: BigInt(process.env.SPONSOR_SENDER_DAILY_BUDGET || '50000000'), // 0.05 SUI
+
+  // Total gas the sponsor account may spend per UTC day across all senders
+  globalDailyCap: BigInt(process.env.SPONSOR_GLOBAL_DAILY_CAP || '1000000000'), // 1 SUI
+
+  // Move call targets the sponsor will pay for, as package::module::function.
+  // A trailing * matches any function in a module (e.g. 0x2::coin::*).
+  // Native commands (SplitCoins, MergeCoins, TransferObjects) are always allowed.
+  allowedMoveCallTargets: (process.env.SPONSOR_ALLOWED_MOVE_CALLS || '')
+    .split(',')
+    .map(target => target.trim())
+    .filter(Boolean)
+};
+
+// Validation function
+function validateSponsorPolicyConfig() {
+  const errors = [];
+
+  if (sponsorPolicyConfig.maxGasBudgetPerTransaction <= 0n) {
+    errors.push('SPONSOR_MAX_GAS_BUDGET must be positive');
+  }
+
+  if (sponsorPolicyConfig.senderDailyBudget < sponsorPolicyConfig.maxGasBudgetPerTransaction) {
+    errors.push('SPONSOR_SENDER_DAILY_BUDGET must be at least SPONSOR_MAX_GAS_BUDGET');
+  }
+
+  if (sponsorPolicyConfig.globalDailyCap < sponsorPolicyConfig.senderDailyBudget) {
+    errors.push('SPONSOR_GLOBAL_DAILY_CAP must be at least SPONSOR_SENDER_DAILY_BUDGET');
+  }
+
+  sponsorPolicyConfig.allowedMoveCallTargets.forEach(target => {
+    if (target.split('::').length !== 3) {
+      errors.push(`Invalid Move call target "${target}", expected package::module::function`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Sponsor policy configuration validation failed:\n${errors.join('\n')}`);
+  }
+}
+
+module.exports = {
+  sponsorPolicyConfig,
+  validateSponsorPolicyConfig
+};
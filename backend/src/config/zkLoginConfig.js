@@ -0,0 +1,85 @@
+/**
+ * zkLogin Configuration
+ *
+ * OpenID providers accepted for zkLogin, salt derivation and prover settings.
+ * Client IDs are public; list every OAuth client ID whose tokens may log in.
+ */
+
+const path = require('path');
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const zkLoginConfig = {
+  // OpenID providers, keyed by the name the frontend uses
+  providers: {
+    google: {
+      issuers: ['https://accounts.google.com', 'accounts.google.com'],
+      jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+      clientIds: splitList(
+        process.env.ZKLOGIN_GOOGLE_CLIENT_IDS ||
+        '973332711614-hkcur3rlfuto87ta7qorjitvbnhiac7b.apps.googleusercontent.com'
+      )
+    },
+    facebook: {
+      issuers: ['https://www.facebook.com'],
+      jwksUri: 'https://www.facebook.com/.well-known/oauth/openid/jwks/',
+      clientIds: splitList(process.env.ZKLOGIN_FACEBOOK_CLIENT_IDS)
+    },
+    twitch: {
+      issuers: ['https://id.twitch.tv/oauth2'],
+      jwksUri: 'https://id.twitch.tv/oauth2/keys',
+      clientIds: splitList(process.env.ZKLOGIN_TWITCH_CLIENT_IDS)
+    }
+  },
+
+  // Salts are HMAC-SHA256(secret, iss|aud|sub); once issued they are stored
+  // in the ledger, so rotating the secret never changes an existing user's address.
+  // Salts from the JSON store used before the ledger are imported at startup.
+  salt: {
+    secret: process.env.ZKLOGIN_SALT_SECRET || null,
+    legacyStorePath: process.env.ZKLOGIN_SALT_STORE_PATH || path.join(__dirname, '../../data/zklogin-salts.json')
+  },
+
+  jwt: {
+    clockSkewSeconds: 60,
+    jwksCacheTtlMs: parseInt(process.env.ZKLOGIN_JWKS_CACHE_TTL_MS || '3600000', 10), // 1 hour
+    jwksMinRefreshIntervalMs: 60000 // Unknown key IDs trigger at most one refetch per minute
+  },
+
+  // Ephemeral keys are valid until current epoch + maxEpochOffset
+  maxEpochOffset: parseInt(process.env.ZKLOGIN_MAX_EPOCH_OFFSET || '2', 10),
+  nonceTtlMs: parseInt(process.env.ZKLOGIN_NONCE_TTL_MS || '600000', 10), // 10 minutes
+
+  prover: {
+    // 'remote' calls a zkLogin prover service; 'local' is a stand-in for tests
+    type: process.env.ZKLOGIN_PROVER || 'remote',
+    url: process.env.ZKLOGIN_PROVER_URL || 'https://prover-dev.mystenlabs.com/v1',
+    timeoutMs: parseInt(process.env.ZKLOGIN_PROVER_TIMEOUT_MS || '30000', 10)
+  }
+};
+
+// Validation function
+function validateZkLoginConfig() {
+  const errors = [];
+
+  if (!['remote', 'local'].includes(zkLoginConfig.prover.type)) {
+    errors.push('ZKLOGIN_PROVER must be "remote" or "local"');
+  }
+
+  if (zkLoginConfig.maxEpochOffset < 1) {
+    errors.push('ZKLOGIN_MAX_EPOCH_OFFSET must be at least 1');
+  }
+
+  if (zkLoginConfig.salt.secret && Buffer.from(zkLoginConfig.salt.secret, 'base64').length < 32) {
+    errors.push('ZKLOGIN_SALT_SECRET must be at least 32 bytes, base64 encoded');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`zkLogin configuration validation failed:\n${errors.join('\n')}`);
+  }
+}
+
+module.exports = {
+  zkLoginConfig,
+  validateZkLoginConfig
+};
@@ -0,0 +1,94 @@
+/**
+ * Ledger Database
+ * Opens the SQLite database behind the ledger repository and brings its
+ * schema up to date. Migrations are the .sql files in ./migrations, applied
+ * once each in filename order and recorded in schema_migrations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+let database = null;
+
+/**
+ * Get the shared database connection, opening and migrating it on first use
+ * @returns {Database} - better-sqlite3 connection
+ */
+function getDatabase() {
+  if (!database) {
+    database = openDatabase(process.env.LEDGER_DB_PATH || path.join(__dirname, '../../data/ledger.sqlite'));
+  }
+  return database;
+}
+
+/**
+ * Open a database file (or ':memory:') and apply pending migrations
+ * @param {string} filename - Database path
+ * @returns {Database} - better-sqlite3 connection
+ */
+function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  console.log(`🗄️ Ledger database ready at ${filename}`);
+  return db;
+}
+
+/**
+ * Apply migrations that have not run yet, each in its own transaction
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Array<string>} - Versions applied by this call
+ */
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => ({ version: path.basename(file, '.sql'), file }))
+    .filter(({ version }) => !applied.has(version));
+
+  for (const { version, file } of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)')
+        .run(version, new Date().toISOString());
+    })();
+    console.log(`🗄️ Applied ledger migration ${version}`);
+  }
+
+  return pending.map(({ version }) => version);
+}
+
+/**
+ * Close the shared connection (the next getDatabase() reopens it)
+ */
+function closeDatabase() {
+  if (database) {
+    database.close();
+    database = null;
+  }
+}
+
+module.exports = {
+  getDatabase,
+  openDatabase,
+  migrate,
+  closeDatabase
+};
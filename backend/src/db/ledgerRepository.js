@@ -0,0 +1,1250 @@
+/**
+ * Ledger Repository
+ * Durable storage for payments, refunds, Yellow app sessions, biometric
+ * enrollments, face templates, face identities, multisig wallets and proposals,
+ * payment authorizations, payment schedules, invoices, webhooks, idempotency keys, sponsor
+ * gas usage, zkLogin salts and audit events. Services read and write through this module instead of
+ * holding the records in memory, so they survive a restart.
+ *
+ * Records come back in the same shape the services used in memory: camelCase
+ * fields, BigInt amounts for payments and refunds, parsed JSON columns.
+ */
+
+const { getDatabase } = require('./database');
+const { formatAmount } = require('../utils/money');
+
+const SESSION_COLUMNS = {
+  status: 'status',
+  capturedAmount: 'captured_amount',
+  biometricHash: 'biometric_hash',
+  completedAt: 'completed_at'
+};
+
+class LedgerRepository {
+  constructor() {
+    this.db = null;
+    this.statements = new Map(); // sql -> prepared statement
+  }
+
+  statement(sql) {
+    const db = getDatabase();
+    if (db !== this.db) {
+      this.db = db;
+      this.statements.clear();
+    }
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  /**
+   * Run fn in a database transaction
+   * @param {Function} fn - Synchronous work
+   * @returns {*} - fn's return value
+   */
+  transaction(fn) {
+    return getDatabase().transaction(fn)();
+  }
+
+  // ---- Payments ----
+
+  insertPayment(payment) {
+    this.statement(`
+      INSERT INTO payments (
+        payment_id, rail, source, status, merchant_id, customer_address, merchant_address, merchant_name,
+        amount, decimals, coin_type, symbol, transaction_id, failure_reason, refunded_amount, pending_refund_amount,
+        metadata, created_at, updated_at
+      ) VALUES (
+        @paymentId, @rail, @source, @status, @merchantId, @customerAddress, @merchantAddress, @merchantName,
+        @amount, @decimals, @coinType, @symbol, @transactionId, @failureReason, @refundedAmount, @pendingRefundAmount,
+        @metadata, @createdAt, @updatedAt
+      )
+    `).run({
+      merchantId: null,
+      failureReason: null,
+      ...payment,
+      amount: payment.amount.toString(),
+      refundedAmount: payment.refundedAmount.toString(),
+      pendingRefundAmount: payment.pendingRefundAmount.toString(),
+      metadata: toJson(payment.metadata || {})
+    });
+  }
+
+  /**
+   * Persist a payment's status, settlement and refund totals
+   */
+  updatePayment(payment) {
+    this.statement(`
+      UPDATE payments
+      SET status = @status, transaction_id = @transactionId, failure_reason = @failureReason,
+          refunded_amount = @refundedAmount, pending_refund_amount = @pendingRefundAmount, updated_at = @updatedAt
+      WHERE payment_id = @paymentId
+    `).run({
+      paymentId: payment.paymentId,
+      status: payment.status,
+      transactionId: payment.transactionId,
+      failureReason: payment.failureReason || null,
+      refundedAmount: payment.refundedAmount.toString(),
+      pendingRefundAmount: payment.pendingRefundAmount.toString(),
+      updatedAt: payment.updatedAt
+    });
+  }
+
+  /**
+   * Get a payment with its refunds and history (its audit events)
+   * @param {string} paymentId - Payment ID
+   * @returns {Object|null} - Payment, or null if unknown
+   */
+  getPayment(paymentId) {
+    const row = this.statement('SELECT * FROM payments WHERE payment_id = ?').get(paymentId);
+    return row ? this.toPayment(row) : null;
+  }
+
+  /**
+   * List payments, newest first
+   * @param {Object} filters - { merchantId, merchantAddress, customerAddress, status }
+   * @returns {Array<Object>} - Payments
+   */
+  listPayments({ merchantId, merchantAddress, customerAddress, status } = {}) {
+    return this.statement(`
+      SELECT * FROM payments
+      WHERE (@merchantId IS NULL OR merchant_id = @merchantId)
+        AND (@merchantAddress IS NULL OR merchant_address = @merchantAddress)
+        AND (@customerAddress IS NULL OR customer_address = @customerAddress)
+        AND (@status IS NULL OR status = @status)
+      ORDER BY created_at DESC, rowid DESC
+    `).all({
+      merchantId: merchantId || null,
+      merchantAddress: merchantAddress || null,
+      customerAddress: customerAddress || null,
+      status: status || null
+    }).map(row => this.toPayment(row));
+  }
+
+  toPayment(row) {
+    const amount = BigInt(row.amount);
+    return {
+      paymentId: row.payment_id,
+      rail: row.rail,
+      source: row.source,
+      status: row.status,
+      merchantId: row.merchant_id,
+      customerAddress: row.customer_address,
+      merchantAddress: row.merchant_address,
+      merchantName: row.merchant_name,
+      amount,
+      formatted: formatAmount(amount, row.decimals),
+      coinType: row.coin_type,
+      symbol: row.symbol,
+      decimals: row.decimals,
+      transactionId: row.transaction_id,
+      failureReason: row.failure_reason,
+      refundedAmount: BigInt(row.refunded_amount),
+      pendingRefundAmount: BigInt(row.pending_refund_amount),
+      refunds: this.listRefunds(row.payment_id, row.decimals),
+      history: this.listAuditEvents('payment', row.payment_id),
+      metadata: JSON.parse(row.metadata),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // ---- Refunds ----
+
+  insertRefund(paymentId, refund) {
+    this.statement(`
+      INSERT INTO refunds (
+        refund_id, payment_id, status, amount, reason, to_address, transaction_id, error, created_at, completed_at
+      ) VALUES (
+        @refundId, @paymentId, @status, @amount, @reason, @toAddress, @transactionId, @error, @createdAt, @completedAt
+      )
+    `).run({ ...refund, paymentId, amount: refund.amount.toString() });
+  }
+
+  /**
+   * Persist a refund's outcome
+   */
+  updateRefund(refund) {
+    this.statement(`
+      UPDATE refunds
+      SET status = @status, transaction_id = @transactionId, error = @error, completed_at = @completedAt
+      WHERE refund_id = @refundId
+    `).run({
+      refundId: refund.refundId,
+      status: refund.status,
+      transactionId: refund.transactionId,
+      error: refund.error,
+      completedAt: refund.completedAt
+    });
+  }
+
+  listRefunds(paymentId, decimals) {
+    return this.statement('SELECT * FROM refunds WHERE payment_id = ? ORDER BY created_at, rowid')
+      .all(paymentId)
+      .map(row => {
+        const amount = BigInt(row.amount);
+        return {
+          refundId: row.refund_id,
+          status: row.status,
+          amount,
+          formatted: formatAmount(amount, decimals),
+          reason: row.reason,
+          toAddress: row.to_address,
+          transactionId: row.transaction_id,
+          error: row.error,
+          createdAt: row.created_at,
+          completedAt: row.completed_at
+        };
+      });
+  }
+
+  // ---- Yellow app sessions ----
+
+  insertSession(session) {
+    this.statement(`
+      INSERT INTO app_sessions (
+        session_id, customer_address, merchant_address, amount, status, captured_amount, biometric_hash, created_at, completed_at
+      ) VALUES (
+        @sessionId, @customerAddress, @merchantAddress, @amount, @status, @capturedAmount, @biometricHash, @createdAt, @completedAt
+      )
+    `).run({
+      capturedAmount: null,
+      biometricHash: null,
+      completedAt: null,
+      ...session,
+      amount: session.amount.toString()
+    });
+  }
+
+  /**
+   * Update some of a session's fields
+   * @param {string} sessionId - Application session ID
+   * @param {Object} changes - Any of status, capturedAmount, biometricHash, completedAt
+   */
+  updateSession(sessionId, changes) {
+    const fields = Object.keys(changes).filter(field => SESSION_COLUMNS[field]);
+    if (fields.length === 0) {
+      return;
+    }
+
+    const assignments = fields.map(field => `${SESSION_COLUMNS[field]} = @${field}`).join(', ');
+    this.statement(`UPDATE app_sessions SET ${assignments} WHERE session_id = @sessionId`)
+      .run({ ...pick(changes, fields), sessionId });
+  }
+
+  getSession(sessionId) {
+    const row = this.statement('SELECT * FROM app_sessions WHERE session_id = ?').get(sessionId);
+    return row ? toSession(row) : null;
+  }
+
+  /**
+   * List sessions, oldest first
+   * @param {Object} filters - { status }
+   * @returns {Array<Object>} - Sessions
+   */
+  listSessions({ status } = {}) {
+    return this.statement(`
+      SELECT * FROM app_sessions
+      WHERE (@status IS NULL OR status = @status)
+      ORDER BY created_at, rowid
+    `).all({ status: status || null }).map(toSession);
+  }
+
+  countSessions({ status } = {}) {
+    return this.statement('SELECT COUNT(*) FROM app_sessions WHERE (@status IS NULL OR status = @status)')
+      .pluck()
+      .get({ status: status || null });
+  }
+
+  // ---- Biometric enrollments ----
+
+  /**
+   * Store a wallet's enrollment, replacing any previous one
+   */
+  saveEnrollment(walletAddress, enrollment) {
+    this.statement(`
+      INSERT INTO enrollments (
+        wallet_address, enrollment_id, user_info, provider, person_id, quality, confidence, is_active, enrolled_at
+      ) VALUES (
+        @walletAddress, @id, @userInfo, @provider, @personId, @quality, @confidence, @isActive, @enrolledAt
+      )
+      ON CONFLICT (wallet_address) DO UPDATE SET
+        enrollment_id = excluded.enrollment_id, user_info = excluded.user_info, provider = excluded.provider,
+        person_id = excluded.person_id, quality = excluded.quality, confidence = excluded.confidence, is_active = excluded.is_active,
+        enrolled_at = excluded.enrolled_at
+    `).run({
+      ...enrollment,
+      walletAddress,
+      userInfo: toJson(enrollment.userInfo),
+      isActive: enrollment.isActive ? 1 : 0
+    });
+  }
+
+  getEnrollment(walletAddress) {
+    const row = this.statement('SELECT * FROM enrollments WHERE wallet_address = ?').get(walletAddress);
+    return row ? toEnrollment(row) : null;
+  }
+
+  listEnrollments() {
+    return this.statement('SELECT * FROM enrollments ORDER BY enrolled_at, rowid').all().map(toEnrollment);
+  }
+
+  /**
+   * Delete every enrollment
+   * @returns {number} - Enrollments deleted
+   */
+  deleteAllEnrollments() {
+    return this.statement('DELETE FROM enrollments').run().changes;
+  }
+
+  // ---- Face templates ----
+
+  insertFaceTemplate(face) {
+    this.statement(`
+      INSERT INTO face_templates (face_id, provider, person_id, person_name, template, quality, confidence, created_at)
+      VALUES (@faceId, @provider, @personId, @personName, @template, @quality, @confidence, @createdAt)
+    `).run({ ...face, template: toJson(face.template) });
+  }
+
+  /**
+   * A provider's face templates, optionally for one person
+   * @param {string} provider - Provider name
+   * @param {string} [personId] - Person ID
+   * @returns {Array<Object>} - Faces, oldest first
+   */
+  listFaceTemplates(provider, personId = null) {
+    return this.statement(`
+      SELECT * FROM face_templates
+      WHERE provider = @provider AND (@personId IS NULL OR person_id = @personId)
+      ORDER BY created_at, rowid
+    `).all({ provider, personId }).map(row => ({
+      faceId: row.face_id,
+      personId: row.person_id,
+      personName: row.person_name,
+      template: JSON.parse(row.template),
+      quality: row.quality,
+      confidence: row.confidence,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * A provider's persons with how many faces each has
+   */
+  listFacePersons(provider) {
+    return this.statement(`
+      SELECT person_id, person_name, COUNT(*) AS face_count, MIN(created_at) AS created_at
+      FROM face_templates
+      WHERE provider = ?
+      GROUP BY person_id
+      ORDER BY MIN(created_at), MIN(rowid)
+    `).all(provider).map(row => ({
+      personId: row.person_id,
+      personName: row.person_name,
+      faceCount: row.face_count,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Delete a person's face templates
+   * @returns {number} - Faces deleted
+   */
+  deleteFacePerson(provider, personId) {
+    return this.statement('DELETE FROM face_templates WHERE provider = ? AND person_id = ?')
+      .run(provider, personId).changes;
+  }
+
+  // ---- Face identities ----
+
+  insertFaceIdentity(identity) {
+    this.statement(`
+      INSERT INTO face_identities (
+        person_id, wallet_address, user_name, user_email, provider, provider_person_id, face_count, enrolled_at, updated_at
+      ) VALUES (
+        @personId, @walletAddress, @userName, @userEmail, @provider, @providerPersonId, @faceCount, @enrolledAt, @enrolledAt
+      )
+    `).run({ userEmail: null, faceCount: 1, ...identity });
+  }
+
+  /**
+   * Reserve room for more faces of a person, if they stay within maxFaces
+   * @param {string} personId - Internal person ID
+   * @param {number} count - Faces to add
+   * @param {number} maxFaces - Cap on the person's faces
+   * @param {string} updatedAt - ISO timestamp
+   * @returns {boolean} - Whether the faces were reserved
+   */
+  reserveFaceIdentityFaces(personId, count, maxFaces, updatedAt) {
+    return this.statement(`
+      UPDATE face_identities SET face_count = face_count + @count, updated_at = @updatedAt
+      WHERE person_id = @personId AND face_count + @count <= @maxFaces
+    `).run({ personId, count, maxFaces, updatedAt }).changes === 1;
+  }
+
+  /**
+   * Give back faces reserved for an addition that failed
+   */
+  releaseFaceIdentityFaces(personId, count) {
+    this.statement('UPDATE face_identities SET face_count = MAX(face_count - ?, 0) WHERE person_id = ?')
+      .run(count, personId);
+  }
+
+  /**
+   * Update who a person is
+   * @param {string} personId - Internal person ID
+   * @param {Object} changes - { userName, userEmail }
+   * @param {string} updatedAt - ISO timestamp
+   */
+  updateFaceIdentity(personId, { userName, userEmail }, updatedAt) {
+    this.statement(`
+      UPDATE face_identities
+      SET user_name = COALESCE(@userName, user_name), user_email = COALESCE(@userEmail, user_email), updated_at = @updatedAt
+      WHERE person_id = @personId
+    `).run({ personId, userName: userName || null, userEmail: userEmail || null, updatedAt });
+  }
+
+  getFaceIdentity(personId) {
+    const row = this.statement('SELECT * FROM face_identities WHERE person_id = ?').get(personId);
+    return row ? toFaceIdentity(row) : null;
+  }
+
+  getFaceIdentityByWallet(walletAddress) {
+    const row = this.statement('SELECT * FROM face_identities WHERE wallet_address = ?').get(walletAddress);
+    return row ? toFaceIdentity(row) : null;
+  }
+
+  getFaceIdentityByProviderPerson(provider, providerPersonId) {
+    const row = this.statement('SELECT * FROM face_identities WHERE provider = ? AND provider_person_id = ?')
+      .get(provider, providerPersonId);
+    return row ? toFaceIdentity(row) : null;
+  }
+
+  listFaceIdentities() {
+    return this.statement('SELECT * FROM face_identities ORDER BY enrolled_at, rowid').all().map(toFaceIdentity);
+  }
+
+  deleteFaceIdentity(personId) {
+    return this.statement('DELETE FROM face_identities WHERE person_id = ?').run(personId).changes;
+  }
+
+  // ---- Multisig wallets and proposals ----
+
+  /**
+   * Store a multisig wallet unless one with its address exists
+   * @returns {boolean} - Whether the wallet was new
+   */
+  insertMultisigWallet(wallet) {
+    return this.statement(`
+      INSERT OR IGNORE INTO multisig_wallets (
+        address, name, threshold, total_weight, signers, multisig_public_key, created_at
+      ) VALUES (
+        @address, @name, @threshold, @totalWeight, @signers, @multisigPublicKey, @createdAt
+      )
+    `).run({ ...wallet, signers: toJson(wallet.signers) }).changes === 1;
+  }
+
+  getMultisigWallet(address) {
+    const row = this.statement('SELECT * FROM multisig_wallets WHERE address = ?').get(address);
+    return row ? {
+      address: row.address,
+      name: row.name,
+      threshold: row.threshold,
+      totalWeight: row.total_weight,
+      signers: JSON.parse(row.signers),
+      multisigPublicKey: row.multisig_public_key,
+      createdAt: row.created_at
+    } : null;
+  }
+
+  insertMultisigProposal(proposal) {
+    this.statement(`
+      INSERT INTO multisig_proposals (
+        proposal_id, multisig_address, type, status, to_address, amount, decimals, coin_type, symbol, sponsored,
+        memo, tx_bytes, threshold, collected_weight, signatures, digest, error, gas_used, created_at, expires_at, executed_at
+      ) VALUES (
+        @proposalId, @multisigAddress, @type, @status, @toAddress, @amount, @decimals, @coinType, @symbol, @sponsored,
+        @memo, @txBytes, @threshold, @collectedWeight, @signatures, @digest, @error, @gasUsed, @createdAt, @expiresAt, @executedAt
+      )
+    `).run({
+      ...proposal,
+      amount: proposal.amount.toString(),
+      sponsored: proposal.sponsored ? 1 : 0,
+      signatures: toJson(proposal.signatures),
+      gasUsed: proposal.gasUsed ? toJson(proposal.gasUsed) : null
+    });
+  }
+
+  /**
+   * Persist a proposal's signatures, status and execution result
+   */
+  updateMultisigProposal(proposal) {
+    this.statement(`
+      UPDATE multisig_proposals
+      SET status = @status, collected_weight = @collectedWeight, signatures = @signatures, digest = @digest,
+          error = @error, gas_used = @gasUsed, executed_at = @executedAt
+      WHERE proposal_id = @proposalId
+    `).run({
+      proposalId: proposal.proposalId,
+      status: proposal.status,
+      collectedWeight: proposal.collectedWeight,
+      signatures: toJson(proposal.signatures),
+      digest: proposal.digest,
+      error: proposal.error,
+      gasUsed: proposal.gasUsed ? toJson(proposal.gasUsed) : null,
+      executedAt: proposal.executedAt
+    });
+  }
+
+  getMultisigProposal(proposalId) {
+    const row = this.statement('SELECT * FROM multisig_proposals WHERE proposal_id = ?').get(proposalId);
+    return row ? toMultisigProposal(row) : null;
+  }
+
+  /**
+   * A multisig wallet's proposals, oldest first
+   */
+  listMultisigProposals(multisigAddress) {
+    return this.statement(`
+      SELECT * FROM multisig_proposals WHERE multisig_address = ? ORDER BY created_at, rowid
+    `).all(multisigAddress).map(toMultisigProposal);
+  }
+
+  // ---- Payment authorizations ----
+
+  /**
+   * Store an authorization, replacing its previous state
+   */
+  saveAuthorization(authorization) {
+    this.statement(`
+      INSERT INTO payment_authorizations (
+        authorization_id, rail, status, merchant_address, customer_address, amount, decimals, coin_type, symbol,
+        captured_amount, released_amount, session_id, escrow_address, escrow_wallet_id, authorize_digest,
+        settle_digest, payment_id, biometric_hash, memo, error, created_at, expires_at, settled_at
+      ) VALUES (
+        @authorizationId, @rail, @status, @merchantAddress, @customerAddress, @amount, @decimals, @coinType, @symbol,
+        @capturedAmount, @releasedAmount, @sessionId, @escrowAddress, @escrowWalletId, @authorizeDigest,
+        @settleDigest, @paymentId, @biometricHash, @memo, @error, @createdAt, @expiresAt, @settledAt
+      )
+      ON CONFLICT (authorization_id) DO UPDATE SET
+        status = excluded.status, customer_address = excluded.customer_address, amount = excluded.amount,
+        decimals = excluded.decimals, symbol = excluded.symbol, captured_amount = excluded.captured_amount,
+        released_amount = excluded.released_amount, session_id = excluded.session_id,
+        authorize_digest = excluded.authorize_digest, settle_digest = excluded.settle_digest,
+        payment_id = excluded.payment_id, error = excluded.error, settled_at = excluded.settled_at
+    `).run({
+      ...authorization,
+      amount: toText(authorization.amount),
+      capturedAmount: toText(authorization.capturedAmount),
+      releasedAmount: toText(authorization.releasedAmount)
+    });
+  }
+
+  getAuthorization(authorizationId) {
+    const row = this.statement('SELECT * FROM payment_authorizations WHERE authorization_id = ?').get(authorizationId);
+    return row ? toAuthorization(row) : null;
+  }
+
+  /**
+   * List authorizations, newest first
+   * @param {Object} filters - { merchantAddress, status, expiredBefore }
+   * @returns {Array<Object>} - Authorizations
+   */
+  listAuthorizations({ merchantAddress, status, expiredBefore } = {}) {
+    return this.statement(`
+      SELECT * FROM payment_authorizations
+      WHERE (@merchantAddress IS NULL OR merchant_address = @merchantAddress)
+        AND (@status IS NULL OR status = @status)
+        AND (@expiredBefore IS NULL OR expires_at <= @expiredBefore)
+      ORDER BY created_at DESC, rowid DESC
+    `).all({
+      merchantAddress: merchantAddress || null,
+      status: status || null,
+      expiredBefore: expiredBefore || null
+    }).map(toAuthorization);
+  }
+
+  deleteAuthorization(authorizationId) {
+    this.statement('DELETE FROM payment_authorizations WHERE authorization_id = ?').run(authorizationId);
+  }
+
+  /**
+   * Store or clear (null) the sealed auth token of an authorization's escrow wallet
+   */
+  setAuthorizationEscrowToken(authorizationId, sealedToken) {
+    this.statement('UPDATE payment_authorizations SET escrow_token = ? WHERE authorization_id = ?')
+      .run(sealedToken ? toJson(sealedToken) : null, authorizationId);
+  }
+
+  getAuthorizationEscrowToken(authorizationId) {
+    const sealed = this.statement('SELECT escrow_token FROM payment_authorizations WHERE authorization_id = ?')
+      .pluck()
+      .get(authorizationId);
+    return sealed ? JSON.parse(sealed) : null;
+  }
+
+  // ---- Payment schedules ----
+
+  /**
+   * Store a schedule, replacing its previous state
+   */
+  saveSchedule(schedule) {
+    this.statement(`
+      INSERT INTO payment_schedules (
+        schedule_id, status, wallet_id, from_address, to_address, amount, decimals, coin_type, symbol, sponsored,
+        memo, rule, start_at, end_at, max_runs, due_at, next_run_at, successful_runs, failed_runs,
+        consecutive_failures, last_run_at, paused_reason, created_at, updated_at
+      ) VALUES (
+        @scheduleId, @status, @walletId, @fromAddress, @toAddress, @amount, @decimals, @coinType, @symbol, @sponsored,
+        @memo, @rule, @startAt, @endAt, @maxRuns, @dueAt, @nextRunAt, @successfulRuns, @failedRuns,
+        @consecutiveFailures, @lastRunAt, @pausedReason, @createdAt, @updatedAt
+      )
+      ON CONFLICT (schedule_id) DO UPDATE SET
+        status = excluded.status, due_at = excluded.due_at, next_run_at = excluded.next_run_at,
+        successful_runs = excluded.successful_runs, failed_runs = excluded.failed_runs,
+        consecutive_failures = excluded.consecutive_failures, last_run_at = excluded.last_run_at,
+        paused_reason = excluded.paused_reason, updated_at = excluded.updated_at
+    `).run({
+      ...schedule,
+      amount: schedule.amount.toString(),
+      sponsored: schedule.sponsored ? 1 : 0,
+      rule: toJson(schedule.rule)
+    });
+  }
+
+  /**
+   * Get a schedule with its most recent runs
+   * @param {string} scheduleId - Schedule ID
+   * @param {number} runLimit - Runs to include, newest kept
+   * @returns {Object|null} - Schedule, or null if unknown
+   */
+  getSchedule(scheduleId, runLimit) {
+    const row = this.statement('SELECT * FROM payment_schedules WHERE schedule_id = ?').get(scheduleId);
+    return row ? this.toSchedule(row, runLimit) : null;
+  }
+
+  /**
+   * List schedules, oldest first
+   * @param {Object} filters - { walletId, fromAddress, status, dueBefore }
+   * @param {number} runLimit - Runs to include per schedule
+   * @returns {Array<Object>} - Schedules
+   */
+  listSchedules({ walletId, fromAddress, status, dueBefore } = {}, runLimit) {
+    return this.statement(`
+      SELECT * FROM payment_schedules
+      WHERE (@walletId IS NULL OR wallet_id = @walletId)
+        AND (@fromAddress IS NULL OR from_address = @fromAddress)
+        AND (@status IS NULL OR status = @status)
+        AND (@dueBefore IS NULL OR next_run_at <= @dueBefore)
+      ORDER BY created_at, rowid
+    `).all({
+      walletId: walletId || null,
+      fromAddress: fromAddress || null,
+      status: status || null,
+      dueBefore: dueBefore || null
+    }).map(row => this.toSchedule(row, runLimit));
+  }
+
+  toSchedule(row, runLimit) {
+    const amount = BigInt(row.amount);
+    return {
+      scheduleId: row.schedule_id,
+      status: row.status,
+      walletId: row.wallet_id,
+      fromAddress: row.from_address,
+      toAddress: row.to_address,
+      amount,
+      formatted: formatAmount(amount, row.decimals),
+      coinType: row.coin_type,
+      symbol: row.symbol,
+      decimals: row.decimals,
+      sponsored: row.sponsored === 1,
+      memo: row.memo,
+      rule: JSON.parse(row.rule),
+      startAt: row.start_at,
+      endAt: row.end_at,
+      maxRuns: row.max_runs,
+      dueAt: row.due_at,
+      nextRunAt: row.next_run_at,
+      successfulRuns: row.successful_runs,
+      failedRuns: row.failed_runs,
+      consecutiveFailures: row.consecutive_failures,
+      lastRunAt: row.last_run_at,
+      pausedReason: row.paused_reason,
+      runs: this.listScheduleRuns(row.schedule_id, runLimit),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Store or clear (null) the sealed auth token of a schedule's paying wallet
+   */
+  setScheduleAuthToken(scheduleId, sealedToken) {
+    this.statement('UPDATE payment_schedules SET auth_token = ? WHERE schedule_id = ?')
+      .run(sealedToken ? toJson(sealedToken) : null, scheduleId);
+  }
+
+  getScheduleAuthToken(scheduleId) {
+    const sealed = this.statement('SELECT auth_token FROM payment_schedules WHERE schedule_id = ?')
+      .pluck()
+      .get(scheduleId);
+    return sealed ? JSON.parse(sealed) : null;
+  }
+
+  /**
+   * Store a run, replacing its previous state, and drop all but the newest keep runs
+   */
+  saveScheduleRun(scheduleId, run, keep) {
+    this.statement(`
+      INSERT INTO payment_schedule_runs (run_id, schedule_id, due_at, attempt, status, digest, error, started_at, finished_at)
+      VALUES (@runId, @scheduleId, @dueAt, @attempt, @status, @digest, @error, @startedAt, @finishedAt)
+      ON CONFLICT (run_id) DO UPDATE SET
+        status = excluded.status, digest = excluded.digest, error = excluded.error, finished_at = excluded.finished_at
+    `).run({ ...run, scheduleId });
+
+    this.statement(`
+      DELETE FROM payment_schedule_runs
+      WHERE schedule_id = @scheduleId AND rowid NOT IN (
+        SELECT rowid FROM payment_schedule_runs WHERE schedule_id = @scheduleId ORDER BY rowid DESC LIMIT @keep
+      )
+    `).run({ scheduleId, keep });
+  }
+
+  /**
+   * A schedule's newest runs, oldest first
+   */
+  listScheduleRuns(scheduleId, limit = -1) {
+    return this.statement(`
+      SELECT * FROM (
+        SELECT rowid AS position, * FROM payment_schedule_runs WHERE schedule_id = ? ORDER BY rowid DESC LIMIT ?
+      ) ORDER BY position
+    `).all(scheduleId, limit).map(row => ({
+      runId: row.run_id,
+      dueAt: row.due_at,
+      attempt: row.attempt,
+      status: row.status,
+      digest: row.digest,
+      error: row.error,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    }));
+  }
+
+  // ---- Invoices ----
+
+  /**
+   * Store an invoice, replacing its previous state
+   */
+  saveInvoice(invoice) {
+    this.statement(`
+      INSERT INTO invoices (
+        invoice_id, reference, status, merchant_address, amount, decimals, coin_type, symbol, memo, label,
+        payment_uri, payment, payment_digest, created_at, expires_at, paid_at
+      ) VALUES (
+        @invoiceId, @reference, @status, @merchantAddress, @amount, @decimals, @coinType, @symbol, @memo, @label,
+        @paymentUri, @payment, @paymentDigest, @createdAt, @expiresAt, @paidAt
+      )
+      ON CONFLICT (invoice_id) DO UPDATE SET
+        status = excluded.status, payment = excluded.payment, payment_digest = excluded.payment_digest,
+        paid_at = excluded.paid_at
+    `).run({
+      ...invoice,
+      amount: invoice.amount.toString(),
+      payment: invoice.payment ? toJson(invoice.payment) : null,
+      paymentDigest: invoice.payment?.digest || null
+    });
+  }
+
+  getInvoice(invoiceId) {
+    const row = this.statement('SELECT * FROM invoices WHERE invoice_id = ?').get(invoiceId);
+    return row ? toInvoice(row) : null;
+  }
+
+  getInvoiceByReference(reference) {
+    const row = this.statement('SELECT * FROM invoices WHERE reference = ?').get(reference);
+    return row ? toInvoice(row) : null;
+  }
+
+  /**
+   * The invoice a transaction paid, if any
+   */
+  getInvoiceByPaymentDigest(digest) {
+    const row = this.statement('SELECT * FROM invoices WHERE payment_digest = ?').get(digest);
+    return row ? toInvoice(row) : null;
+  }
+
+  /**
+   * List invoices, newest first
+   * @param {Object} filters - { merchantAddress, status }
+   * @returns {Array<Object>} - Invoices
+   */
+  listInvoices({ merchantAddress, status } = {}) {
+    return this.statement(`
+      SELECT * FROM invoices
+      WHERE (@merchantAddress IS NULL OR merchant_address = @merchantAddress)
+        AND (@status IS NULL OR status = @status)
+      ORDER BY created_at DESC, rowid DESC
+    `).all({ merchantAddress: merchantAddress || null, status: status || null }).map(toInvoice);
+  }
+
+  /**
+   * Mark open invoices whose expiry has passed as expired
+   * @param {string} now - ISO timestamp
+   */
+  expireInvoices(now) {
+    this.statement(`UPDATE invoices SET status = 'expired' WHERE status = 'open' AND expires_at <= ?`).run(now);
+  }
+
+  // ---- Webhooks ----
+
+  /**
+   * Store a new webhook endpoint; secret is the sealed signing secret
+   */
+  insertWebhookEndpoint(endpoint) {
+    this.statement(`
+      INSERT INTO webhook_endpoints (endpoint_id, merchant_id, url, events, addresses, description, secret, created_at)
+      VALUES (@endpointId, @merchantId, @url, @events, @addresses, @description, @secret, @createdAt)
+    `).run({
+      ...endpoint,
+      events: toJson(endpoint.events),
+      addresses: toJson(endpoint.addresses),
+      secret: toJson(endpoint.secret)
+    });
+  }
+
+  setWebhookEndpointSecret(endpointId, sealedSecret) {
+    this.statement('UPDATE webhook_endpoints SET secret = ? WHERE endpoint_id = ?')
+      .run(toJson(sealedSecret), endpointId);
+  }
+
+  /**
+   * Delete an endpoint with its pending and dead-lettered deliveries
+   */
+  deleteWebhookEndpoint(endpointId) {
+    this.statement('DELETE FROM webhook_endpoints WHERE endpoint_id = ?').run(endpointId);
+  }
+
+  /**
+   * Get a webhook endpoint, including its sealed secret
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Object|null} - Endpoint, or null if unknown
+   */
+  getWebhookEndpoint(endpointId) {
+    const row = this.statement('SELECT * FROM webhook_endpoints WHERE endpoint_id = ?').get(endpointId);
+    return row ? toWebhookEndpoint(row) : null;
+  }
+
+  /**
+   * List webhook endpoints, oldest first
+   * @param {Object} filters - { merchantId }
+   * @returns {Array<Object>} - Endpoints, including their sealed secrets
+   */
+  listWebhookEndpoints({ merchantId } = {}) {
+    return this.statement(`
+      SELECT * FROM webhook_endpoints
+      WHERE (@merchantId IS NULL OR merchant_id = @merchantId)
+      ORDER BY created_at, rowid
+    `).all({ merchantId: merchantId || null }).map(toWebhookEndpoint);
+  }
+
+  /**
+   * Store a delivery, replacing its previous state
+   */
+  saveWebhookDelivery(delivery) {
+    this.statement(`
+      INSERT INTO webhook_deliveries (
+        delivery_id, endpoint_id, event, status, attempts, last_error, next_attempt_at, failed_at, created_at
+      ) VALUES (
+        @deliveryId, @endpointId, @event, @status, @attempts, @lastError, @nextAttemptAt, @failedAt, @createdAt
+      )
+      ON CONFLICT (delivery_id) DO UPDATE SET
+        status = excluded.status, attempts = excluded.attempts, last_error = excluded.last_error,
+        next_attempt_at = excluded.next_attempt_at, failed_at = excluded.failed_at
+    `).run({ ...delivery, event: toJson(delivery.event) });
+  }
+
+  deleteWebhookDelivery(deliveryId) {
+    this.statement('DELETE FROM webhook_deliveries WHERE delivery_id = ?').run(deliveryId);
+  }
+
+  getWebhookDelivery(deliveryId) {
+    const row = this.statement(`
+      SELECT webhook_deliveries.*, webhook_endpoints.merchant_id, webhook_endpoints.url
+      FROM webhook_deliveries JOIN webhook_endpoints USING (endpoint_id)
+      WHERE delivery_id = ?
+    `).get(deliveryId);
+    return row ? toWebhookDelivery(row) : null;
+  }
+
+  /**
+   * List deliveries in the order they failed or were created
+   * @param {Object} filters - { status, merchantId }
+   * @returns {Array<Object>} - Deliveries with their endpoint's merchantId and url
+   */
+  listWebhookDeliveries({ status, merchantId } = {}) {
+    return this.statement(`
+      SELECT webhook_deliveries.*, webhook_endpoints.merchant_id, webhook_endpoints.url
+      FROM webhook_deliveries JOIN webhook_endpoints USING (endpoint_id)
+      WHERE (@status IS NULL OR status = @status)
+        AND (@merchantId IS NULL OR merchant_id = @merchantId)
+      ORDER BY failed_at, webhook_deliveries.created_at, webhook_deliveries.rowid
+    `).all({ status: status || null, merchantId: merchantId || null }).map(toWebhookDelivery);
+  }
+
+  /**
+   * Drop all but the newest keep dead-lettered deliveries
+   */
+  pruneWebhookDeadLetters(keep) {
+    this.statement(`
+      DELETE FROM webhook_deliveries
+      WHERE status = 'dead' AND delivery_id NOT IN (
+        SELECT delivery_id FROM webhook_deliveries WHERE status = 'dead' ORDER BY failed_at DESC LIMIT ?
+      )
+    `).run(keep);
+  }
+
+  // ---- Idempotency keys ----
+
+  /**
+   * Claim an Idempotency-Key for a request that is starting
+   * @param {Object} record - { recordKey, fingerprint, expiresAt }
+   */
+  insertIdempotencyRecord(record) {
+    this.statement(`
+      INSERT INTO idempotency_keys (record_key, fingerprint, state, expires_at, created_at)
+      VALUES (@recordKey, @fingerprint, 'in_flight', @expiresAt, @createdAt)
+    `).run({ createdAt: new Date().toISOString(), ...record });
+  }
+
+  /**
+   * Store the response to replay for an Idempotency-Key
+   * @param {string} recordKey - Route and key
+   * @param {Object} response - { statusCode, body, digest }
+   */
+  completeIdempotencyRecord(recordKey, { statusCode, body, digest }) {
+    this.statement(`
+      UPDATE idempotency_keys
+      SET state = 'completed', status_code = ?, body = ?, digest = ?
+      WHERE record_key = ?
+    `).run(statusCode, toJson(body), digest, recordKey);
+  }
+
+  getIdempotencyRecord(recordKey) {
+    const row = this.statement('SELECT * FROM idempotency_keys WHERE record_key = ?').get(recordKey);
+    return row ? toIdempotencyRecord(row) : null;
+  }
+
+  deleteIdempotencyRecord(recordKey) {
+    this.statement('DELETE FROM idempotency_keys WHERE record_key = ?').run(recordKey);
+  }
+
+  /**
+   * Drop records whose time to live has passed
+   * @param {string} now - ISO timestamp
+   */
+  deleteExpiredIdempotencyRecords(now) {
+    this.statement('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(now);
+  }
+
+  // ---- Sponsor gas usage ----
+
+  /**
+   * Reserve a sponsored transaction's gas budget until it is settled or released
+   * @param {Object} reservation - { ticketId, day, sender, amount }
+   */
+  insertSponsorReservation(reservation) {
+    this.statement(`
+      INSERT INTO sponsor_reservations (ticket_id, day, sender, amount, created_at)
+      VALUES (@ticketId, @day, @sender, @amount, @createdAt)
+    `).run({ createdAt: new Date().toISOString(), ...reservation, amount: reservation.amount.toString() });
+  }
+
+  /**
+   * Remove a reservation
+   * @param {string} ticketId - Ticket ID
+   * @returns {Object|null} - The removed reservation, or null if there was none
+   */
+  deleteSponsorReservation(ticketId) {
+    const row = this.statement('SELECT * FROM sponsor_reservations WHERE ticket_id = ?').get(ticketId);
+    if (!row) {
+      return null;
+    }
+    this.statement('DELETE FROM sponsor_reservations WHERE ticket_id = ?').run(ticketId);
+    return { ticketId: row.ticket_id, day: row.day, sender: row.sender, amount: BigInt(row.amount) };
+  }
+
+  /**
+   * Add gas a sender's sponsored transaction cost to that day's usage
+   */
+  addSponsorSpend(day, sender, amount) {
+    this.transaction(() => {
+      const row = this.statement('SELECT spent FROM sponsor_usage WHERE day = ? AND sender = ?').get(day, sender);
+      this.statement(`
+        INSERT INTO sponsor_usage (day, sender, spent) VALUES (?, ?, ?)
+        ON CONFLICT (day, sender) DO UPDATE SET spent = excluded.spent
+      `).run(day, sender, ((row ? BigInt(row.spent) : 0n) + amount).toString());
+    });
+  }
+
+  /**
+   * Sponsor gas spent and reserved on a day, per sender
+   * @param {string} day - UTC day, YYYY-MM-DD
+   * @param {string} [sender] - Only this sender
+   * @returns {Array<Object>} - [{ sender, spent, reserved }] with BigInt amounts
+   */
+  listSponsorUsage(day, sender = null) {
+    const usage = new Map();
+    const senderUsage = address => {
+      if (!usage.has(address)) {
+        usage.set(address, { sender: address, spent: 0n, reserved: 0n });
+      }
+      return usage.get(address);
+    };
+
+    this.statement(`
+      SELECT sender, spent FROM sponsor_usage WHERE day = @day AND (@sender IS NULL OR sender = @sender)
+    `).all({ day, sender }).forEach(row => {
+      senderUsage(row.sender).spent += BigInt(row.spent);
+    });
+    this.statement(`
+      SELECT sender, amount FROM sponsor_reservations WHERE day = @day AND (@sender IS NULL OR sender = @sender)
+    `).all({ day, sender }).forEach(row => {
+      senderUsage(row.sender).reserved += BigInt(row.amount);
+    });
+
+    return Array.from(usage.values());
+  }
+
+  // ---- zkLogin salts ----
+
+  /**
+   * Store a user's salt unless one was already issued
+   * @param {Object} record - { userKey, salt, createdAt }
+   */
+  insertZkLoginSalt(record) {
+    this.statement(`
+      INSERT OR IGNORE INTO zklogin_salts (user_key, salt, created_at)
+      VALUES (@userKey, @salt, @createdAt)
+    `).run(record);
+  }
+
+  getZkLoginSalt(userKey) {
+    const row = this.statement('SELECT salt FROM zklogin_salts WHERE user_key = ?').get(userKey);
+    return row ? row.salt : null;
+  }
+
+  countZkLoginSalts() {
+    return this.statement('SELECT COUNT(*) AS count FROM zklogin_salts').get().count;
+  }
+
+  // ---- Audit trail ----
+
+  /**
+   * Append an audit event
+   * @param {string} entityType - e.g. 'payment', 'session', 'enrollment'
+   * @param {string} entityId - ID of the record the event is about
+   * @param {string} event - e.g. 'refund.succeeded'
+   * @param {Object} [data] - Event details (BigInts are stored as strings)
+   * @param {string} [at] - ISO timestamp, default now
+   */
+  recordAuditEvent(entityType, entityId, event, data = {}, at = new Date().toISOString()) {
+    this.statement(`
+      INSERT INTO audit_events (entity_type, entity_id, event, data, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(entityType, entityId, event, toJson(data), at);
+  }
+
+  /**
+   * A record's audit events, oldest first
+   * @returns {Array<Object>} - Events as { event, ...data, at }
+   */
+  listAuditEvents(entityType, entityId) {
+    return this.statement(`
+      SELECT event, data, created_at FROM audit_events
+      WHERE entity_type = ? AND entity_id = ?
+      ORDER BY id
+    `).all(entityType, entityId).map(row => ({
+      event: row.event,
+      ...JSON.parse(row.data),
+      at: row.created_at
+    }));
+  }
+}
+
+function toSession(row) {
+  return {
+    sessionId: row.session_id,
+    customerAddress: row.customer_address,
+    merchantAddress: row.merchant_address,
+    amount: row.amount,
+    status: row.status,
+    capturedAmount: row.captured_amount,
+    biometricHash: row.biometric_hash,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+function toEnrollment(row) {
+  return {
+    id: row.enrollment_id,
+    userInfo: JSON.parse(row.user_info),
+    provider: row.provider,
+    personId: row.person_id,
+    quality: row.quality,
+    confidence: row.confidence,
+    enrolledAt: row.enrolled_at,
+    isActive: row.is_active === 1
+  };
+}
+
+function toFaceIdentity(row) {
+  return {
+    personId: row.person_id,
+    walletAddress: row.wallet_address,
+    userName: row.user_name,
+    userEmail: row.user_email,
+    provider: row.provider,
+    providerPersonId: row.provider_person_id,
+    faceCount: row.face_count,
+    enrolledAt: row.enrolled_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toMultisigProposal(row) {
+  const amount = BigInt(row.amount);
+  return {
+    proposalId: row.proposal_id,
+    multisigAddress: row.multisig_address,
+    type: row.type,
+    status: row.status,
+    toAddress: row.to_address,
+    amount,
+    formatted: formatAmount(amount, row.decimals),
+    decimals: row.decimals,
+    coinType: row.coin_type,
+    symbol: row.symbol,
+    sponsored: row.sponsored === 1,
+    memo: row.memo,
+    txBytes: row.tx_bytes,
+    threshold: row.threshold,
+    collectedWeight: row.collected_weight,
+    signatures: JSON.parse(row.signatures),
+    digest: row.digest,
+    error: row.error,
+    gasUsed: row.gas_used ? JSON.parse(row.gas_used) : null,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    executedAt: row.executed_at
+  };
+}
+
+function toAuthorization(row) {
+  const amount = row.amount === null ? null : BigInt(row.amount);
+  return {
+    authorizationId: row.authorization_id,
+    rail: row.rail,
+    status: row.status,
+    merchantAddress: row.merchant_address,
+    customerAddress: row.customer_address,
+    amount,
+    formatted: amount === null ? null : formatAmount(amount, row.decimals),
+    coinType: row.coin_type,
+    symbol: row.symbol,
+    decimals: row.decimals,
+    capturedAmount: row.captured_amount === null ? null : BigInt(row.captured_amount),
+    releasedAmount: row.released_amount === null ? null : BigInt(row.released_amount),
+    sessionId: row.session_id,
+    escrowAddress: row.escrow_address,
+    escrowWalletId: row.escrow_wallet_id,
+    authorizeDigest: row.authorize_digest,
+    settleDigest: row.settle_digest,
+    paymentId: row.payment_id,
+    biometricHash: row.biometric_hash,
+    memo: row.memo,
+    error: row.error,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    settledAt: row.settled_at
+  };
+}
+
+function toInvoice(row) {
+  const payment = row.payment ? JSON.parse(row.payment) : null;
+  return {
+    invoiceId: row.invoice_id,
+    reference: row.reference,
+    status: row.status,
+    merchantAddress: row.merchant_address,
+    amount: BigInt(row.amount),
+    formatted: formatAmount(BigInt(row.amount), row.decimals),
+    coinType: row.coin_type,
+    symbol: row.symbol,
+    decimals: row.decimals,
+    memo: row.memo,
+    label: row.label,
+    paymentUri: row.payment_uri,
+    payment: payment && { ...payment, amount: BigInt(payment.amount) },
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    paidAt: row.paid_at
+  };
+}
+
+function toWebhookEndpoint(row) {
+  return {
+    endpointId: row.endpoint_id,
+    merchantId: row.merchant_id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    addresses: JSON.parse(row.addresses),
+    description: row.description,
+    secret: JSON.parse(row.secret),
+    createdAt: row.created_at
+  };
+}
+
+function toWebhookDelivery(row) {
+  return {
+    deliveryId: row.delivery_id,
+    endpointId: row.endpoint_id,
+    merchantId: row.merchant_id,
+    url: row.url,
+    event: JSON.parse(row.event),
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    failedAt: row.failed_at,
+    createdAt: row.created_at
+  };
+}
+
+function toIdempotencyRecord(row) {
+  return {
+    recordKey: row.record_key,
+    fingerprint: row.fingerprint,
+    state: row.state,
+    statusCode: row.status_code,
+    body: row.body === null ? null : JSON.parse(row.body),
+    digest: row.digest,
+    expiresAt: row.expires_at
+  };
+}
+
+function toText(amount) {
+  return amount === null || amount === undefined ? null : amount.toString();
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+}
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.map(field => [field, object[field]]));
+}
+
+module.exports = new LedgerRepository();
@@ -0,0 +1,77 @@
+-- Payments ledger: payments and their refunds, Yellow app sessions,
+-- biometric enrollments and an append-only audit trail.
+-- Amounts are base-unit integers stored as TEXT so they round-trip through BigInt.
+
+CREATE TABLE payments (
+  payment_id TEXT PRIMARY KEY,
+  rail TEXT NOT NULL,
+  source TEXT NOT NULL,
+  status TEXT NOT NULL,
+  customer_address TEXT NOT NULL,
+  merchant_address TEXT NOT NULL,
+  merchant_name TEXT,
+  amount TEXT NOT NULL,
+  decimals INTEGER NOT NULL,
+  coin_type TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  transaction_id TEXT,
+  refunded_amount TEXT NOT NULL DEFAULT '0',
+  pending_refund_amount TEXT NOT NULL DEFAULT '0',
+  metadata TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX payments_merchant ON payments (merchant_address, created_at);
+CREATE INDEX payments_customer ON payments (customer_address, created_at);
+
+CREATE TABLE refunds (
+  refund_id TEXT PRIMARY KEY,
+  payment_id TEXT NOT NULL REFERENCES payments (payment_id),
+  status TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  reason TEXT,
+  to_address TEXT NOT NULL,
+  transaction_id TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX refunds_payment ON refunds (payment_id, created_at);
+
+CREATE TABLE app_sessions (
+  session_id TEXT PRIMARY KEY,
+  customer_address TEXT NOT NULL,
+  merchant_address TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  status TEXT NOT NULL,
+  captured_amount TEXT,
+  biometric_hash TEXT,
+  created_at INTEGER NOT NULL,
+  completed_at INTEGER
+);
+
+CREATE INDEX app_sessions_status ON app_sessions (status, created_at);
+
+CREATE TABLE enrollments (
+  wallet_address TEXT PRIMARY KEY,
+  enrollment_id TEXT NOT NULL,
+  user_info TEXT NOT NULL,
+  face_hash TEXT NOT NULL,
+  quality TEXT,
+  confidence REAL,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  enrolled_at TEXT NOT NULL
+);
+
+CREATE TABLE audit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  data TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX audit_events_entity ON audit_events (entity_type, entity_id, id);
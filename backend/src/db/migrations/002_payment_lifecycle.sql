@@ -0,0 +1,8 @@
+-- One status lifecycle for every payment: pending -> authorized -> settled / failed,
+-- then partially_refunded / refunded. Payments recorded before this were settled.
+
+ALTER TABLE payments ADD COLUMN merchant_id TEXT;
+ALTER TABLE payments ADD COLUMN failure_reason TEXT;
+
+UPDATE payments SET status = 'settled' WHERE status = 'completed';
+UPDATE audit_events SET event = 'payment.settled' WHERE entity_type = 'payment' AND event = 'payment.completed';
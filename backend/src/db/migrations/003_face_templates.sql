@@ -0,0 +1,40 @@
+-- Face templates for providers that match faces themselves (google_vision,
+-- local, mock): one row per enrolled photo, grouped into persons.
+-- Real-biometric enrollments now point at a provider's person instead of
+-- holding a face hash; existing hashes become google_vision templates.
+
+CREATE TABLE face_templates (
+  face_id TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  person_id TEXT NOT NULL,
+  person_name TEXT NOT NULL,
+  template TEXT NOT NULL,
+  quality TEXT,
+  confidence REAL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX face_templates_person ON face_templates (provider, person_id);
+
+INSERT INTO face_templates (face_id, provider, person_id, person_name, template, quality, confidence, created_at)
+SELECT enrollment_id, 'google_vision', enrollment_id, wallet_address, json_quote(face_hash), quality, confidence, enrolled_at
+FROM enrollments;
+
+CREATE TABLE enrollments_v2 (
+  wallet_address TEXT PRIMARY KEY,
+  enrollment_id TEXT NOT NULL,
+  user_info TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  person_id TEXT NOT NULL,
+  quality TEXT,
+  confidence REAL,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  enrolled_at TEXT NOT NULL
+);
+
+INSERT INTO enrollments_v2 (wallet_address, enrollment_id, user_info, provider, person_id, quality, confidence, is_active, enrolled_at)
+SELECT wallet_address, enrollment_id, user_info, 'google_vision', enrollment_id, quality, confidence, is_active, enrolled_at
+FROM enrollments;
+
+DROP TABLE enrollments;
+ALTER TABLE enrollments_v2 RENAME TO enrollments;
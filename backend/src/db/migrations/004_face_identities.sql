@@ -0,0 +1,32 @@
+-- Who a face-provider person is. Providers only see the opaque person_id as
+-- the person's name; wallet, user and email live here, so status checks are
+-- a local lookup and renaming a user does not lose their enrollment.
+
+CREATE TABLE face_identities (
+  person_id TEXT PRIMARY KEY,
+  wallet_address TEXT NOT NULL UNIQUE,
+  user_name TEXT NOT NULL,
+  user_email TEXT,
+  provider TEXT NOT NULL,
+  provider_person_id TEXT NOT NULL,
+  enrolled_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  UNIQUE (provider, provider_person_id)
+);
+
+-- Persons enrolled under "walletAddress|userName" names in providers whose
+-- templates are stored here; Luxand persons are imported with
+-- scripts/import-face-identities.js
+INSERT OR IGNORE INTO face_identities (
+  person_id, wallet_address, user_name, provider, provider_person_id, enrolled_at, updated_at
+)
+SELECT person_id,
+       substr(person_name, 1, instr(person_name, '|') - 1),
+       substr(person_name, instr(person_name, '|') + 1),
+       provider, person_id, MIN(created_at), MIN(created_at)
+FROM face_templates
+WHERE person_name LIKE '%|%'
+GROUP BY provider, person_id
+ORDER BY MIN(created_at);
+
+UPDATE face_templates SET person_name = person_id;
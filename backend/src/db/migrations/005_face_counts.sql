@@ -0,0 +1,15 @@
+-- How many faces each person has at their provider, so the per-person cap
+-- can be enforced without asking the provider. Counted from the stored
+-- templates where there are any; Luxand persons start at one.
+
+ALTER TABLE face_identities ADD COLUMN face_count INTEGER NOT NULL DEFAULT 1;
+
+UPDATE face_identities
+SET face_count = (
+  SELECT COUNT(*) FROM face_templates t
+  WHERE t.provider = face_identities.provider AND t.person_id = face_identities.provider_person_id
+)
+WHERE EXISTS (
+  SELECT 1 FROM face_templates t
+  WHERE t.provider = face_identities.provider AND t.person_id = face_identities.provider_person_id
+);
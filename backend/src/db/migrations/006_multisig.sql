@@ -0,0 +1,39 @@
+-- Multisig treasury wallets and their transfer proposals. A proposal's
+-- partial signatures are collected over hours or days, so they and the
+-- proposal's status must survive a restart.
+
+CREATE TABLE multisig_wallets (
+  address TEXT PRIMARY KEY,
+  name TEXT,
+  threshold INTEGER NOT NULL,
+  total_weight INTEGER NOT NULL,
+  signers TEXT NOT NULL,
+  multisig_public_key TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE multisig_proposals (
+  proposal_id TEXT PRIMARY KEY,
+  multisig_address TEXT NOT NULL REFERENCES multisig_wallets (address),
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  decimals INTEGER NOT NULL,
+  coin_type TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  sponsored INTEGER NOT NULL,
+  memo TEXT,
+  tx_bytes TEXT NOT NULL,
+  threshold INTEGER NOT NULL,
+  collected_weight INTEGER NOT NULL DEFAULT 0,
+  signatures TEXT NOT NULL DEFAULT '[]',
+  digest TEXT,
+  error TEXT,
+  gas_used TEXT,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  executed_at TEXT
+);
+
+CREATE INDEX multisig_proposals_wallet ON multisig_proposals (multisig_address, created_at);
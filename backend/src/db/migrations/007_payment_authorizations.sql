@@ -0,0 +1,33 @@
+-- Authorize-now, capture-later holds. Sui holds keep the customer's funds in
+-- a per-authorization escrow wallet; its authorization token is stored sealed
+-- with the keystore master key until the escrow is emptied.
+
+CREATE TABLE payment_authorizations (
+  authorization_id TEXT PRIMARY KEY,
+  rail TEXT NOT NULL,
+  status TEXT NOT NULL,
+  merchant_address TEXT NOT NULL,
+  customer_address TEXT,
+  amount TEXT,
+  decimals INTEGER NOT NULL,
+  coin_type TEXT NOT NULL,
+  symbol TEXT,
+  captured_amount TEXT,
+  released_amount TEXT,
+  session_id TEXT,
+  escrow_address TEXT,
+  escrow_wallet_id TEXT,
+  escrow_token TEXT,
+  authorize_digest TEXT,
+  settle_digest TEXT,
+  payment_id TEXT,
+  biometric_hash TEXT,
+  memo TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  settled_at TEXT
+);
+
+CREATE INDEX payment_authorizations_status ON payment_authorizations (status, expires_at);
+CREATE INDEX payment_authorizations_merchant ON payment_authorizations (merchant_address, created_at);
@@ -0,0 +1,48 @@
+-- Recurring payments and their runs. The paying wallet's authorization token
+-- is stored sealed with the keystore master key while the schedule can still
+-- pay, and cleared once it is completed or cancelled.
+
+CREATE TABLE payment_schedules (
+  schedule_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  wallet_id TEXT NOT NULL,
+  auth_token TEXT,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  decimals INTEGER NOT NULL,
+  coin_type TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  sponsored INTEGER NOT NULL,
+  memo TEXT,
+  rule TEXT NOT NULL,
+  start_at TEXT NOT NULL,
+  end_at TEXT,
+  max_runs INTEGER,
+  due_at TEXT NOT NULL,
+  next_run_at TEXT,
+  successful_runs INTEGER NOT NULL DEFAULT 0,
+  failed_runs INTEGER NOT NULL DEFAULT 0,
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  last_run_at TEXT,
+  paused_reason TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX payment_schedules_due ON payment_schedules (status, next_run_at);
+CREATE INDEX payment_schedules_wallet ON payment_schedules (wallet_id);
+
+CREATE TABLE payment_schedule_runs (
+  run_id TEXT PRIMARY KEY,
+  schedule_id TEXT NOT NULL REFERENCES payment_schedules (schedule_id),
+  due_at TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  digest TEXT,
+  error TEXT,
+  started_at TEXT NOT NULL,
+  finished_at TEXT
+);
+
+CREATE INDEX payment_schedule_runs_schedule ON payment_schedule_runs (schedule_id, started_at);
@@ -0,0 +1,31 @@
+-- Merchant webhook endpoints and the deliveries still owed to them. An
+-- endpoint's signing secret is stored sealed with the keystore master key.
+-- Deliveries are removed once delivered; those that failed every attempt
+-- stay as dead letters until redelivered.
+
+CREATE TABLE webhook_endpoints (
+  endpoint_id TEXT PRIMARY KEY,
+  merchant_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL,
+  addresses TEXT NOT NULL,
+  description TEXT,
+  secret TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX webhook_endpoints_merchant ON webhook_endpoints (merchant_id, created_at);
+
+CREATE TABLE webhook_deliveries (
+  delivery_id TEXT PRIMARY KEY,
+  endpoint_id TEXT NOT NULL REFERENCES webhook_endpoints (endpoint_id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TEXT,
+  failed_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX webhook_deliveries_status ON webhook_deliveries (status, failed_at);
@@ -0,0 +1,15 @@
+-- Idempotency-Key records for money-moving routes. A key is in_flight while
+-- its handler runs and completed once the response is stored for replay.
+
+CREATE TABLE idempotency_keys (
+  record_key TEXT PRIMARY KEY,
+  fingerprint TEXT NOT NULL,
+  state TEXT NOT NULL,
+  status_code INTEGER,
+  body TEXT,
+  digest TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idempotency_keys_expiry ON idempotency_keys (expires_at);
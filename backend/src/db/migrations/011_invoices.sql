@@ -0,0 +1,24 @@
+-- Invoices merchants create before the customer pays. A transaction settles
+-- at most one invoice, so payment_digest is unique.
+
+CREATE TABLE invoices (
+  invoice_id TEXT PRIMARY KEY,
+  reference TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL,
+  merchant_address TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  decimals INTEGER NOT NULL,
+  coin_type TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  memo TEXT,
+  label TEXT,
+  payment_uri TEXT NOT NULL,
+  payment TEXT,
+  payment_digest TEXT UNIQUE,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  paid_at TEXT
+);
+
+CREATE INDEX invoices_status ON invoices (status, expires_at);
+CREATE INDEX invoices_merchant ON invoices (merchant_address, created_at);
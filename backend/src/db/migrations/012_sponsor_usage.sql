@@ -0,0 +1,19 @@
+-- Gas the sponsor account paid per sender and UTC day, and the gas budgets
+-- reserved for sponsored transactions that have not executed yet.
+
+CREATE TABLE sponsor_usage (
+  day TEXT NOT NULL,
+  sender TEXT NOT NULL,
+  spent TEXT NOT NULL DEFAULT '0',
+  PRIMARY KEY (day, sender)
+);
+
+CREATE TABLE sponsor_reservations (
+  ticket_id TEXT PRIMARY KEY,
+  day TEXT NOT NULL,
+  sender TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX sponsor_reservations_day ON sponsor_reservations (day, sender);
@@ -0,0 +1,8 @@
+-- zkLogin salts issued per OAuth user (iss|aud|sub). A salt never changes once
+-- issued: losing it loses the user's zkLogin address.
+
+CREATE TABLE zklogin_salts (
+  user_key TEXT PRIMARY KEY,
+  salt TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
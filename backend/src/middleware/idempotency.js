@@ -0,0 +1,135 @@
+/**
+ * Idempotency Middleware
+ * Lets clients safely retry money-moving requests by sending an
+ * Idempotency-Key header. The first response for a key is stored and
+ * replayed on retries; a retry that arrives while the first request is
+ * still running gets a 409 instead of paying twice. Records live in the
+ * ledger, so they survive a restart.
+ *
+ * A server error (5xx) releases the key, so the client may retry with it
+ * once the failure is fixed, unless a transaction was already submitted:
+ * then it may still execute, and the error is stored and replayed like any
+ * other response.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const ledgerRepository = require('../db/ledgerRepository');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const IDEMPOTENCY_KEY_PATTERN = /^[\w\-:.]{1,255}$/;
+const IDEMPOTENCY_KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+
+const submissions = new AsyncLocalStorage(); // request -> { submitted, digest }
+
+/**
+ * Express middleware for money-moving routes. Place it after any body
+ * parser (e.g. multer) so uploaded files are part of the request fingerprint.
+ * Requests without an Idempotency-Key header are processed normally.
+ */
+function idempotency(req, res, next) {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1-255 letters, digits, "-", "_", ":" or "."'
+    });
+  }
+
+  ledgerRepository.deleteExpiredIdempotencyRecords(new Date().toISOString());
+
+  const recordKey = `${req.method} ${req.baseUrl}${req.path} ${key}`;
+  const fingerprint = fingerprintRequest(req);
+  const existing = ledgerRepository.getIdempotencyRecord(recordKey);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key reused',
+        message: 'This Idempotency-Key was already used with a different request body'
+      });
+    }
+
+    if (existing.state === 'in_flight') {
+      return res.status(409).json({
+        success: false,
+        error: 'Request in progress',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    console.log(`🔁 Replaying stored response for Idempotency-Key ${key}${existing.digest ? ` (digest ${existing.digest})` : ''}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.body);
+  }
+
+  ledgerRepository.insertIdempotencyRecord({
+    recordKey,
+    fingerprint,
+    expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS).toISOString()
+  });
+
+  const submission = { submitted: false, digest: null };
+  let finished = false;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    finished = true;
+    if (res.statusCode >= 500 && !submission.submitted) {
+      ledgerRepository.deleteIdempotencyRecord(recordKey);
+    } else {
+      ledgerRepository.completeIdempotencyRecord(recordKey, {
+        statusCode: res.statusCode,
+        body,
+        digest: body?.data?.digest || body?.data?.transactionDigest || submission.digest
+      });
+    }
+    return json(body);
+  };
+
+  // Responded without a JSON body (e.g. Express's error handler): nothing to
+  // replay, so release the key if no transaction went out. After a submission
+  // it stays in flight until it expires.
+  res.on('finish', () => {
+    if (!finished && !submission.submitted) {
+      ledgerRepository.deleteIdempotencyRecord(recordKey);
+    }
+  });
+
+  submissions.run(submission, next);
+}
+
+/**
+ * Note that the current request has submitted a transaction, so a server
+ * error no longer releases its Idempotency-Key. Called by the services right
+ * before they submit; a no-op outside requests with an Idempotency-Key.
+ * @param {string} [digest] - Transaction digest, if known
+ */
+function markSubmitted(digest) {
+  const submission = submissions.getStore();
+  if (submission) {
+    submission.submitted = true;
+    submission.digest = submission.digest || digest || null;
+  }
+}
+
+function fingerprintRequest(req) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(req.body || {}));
+
+  const files = req.file ? [req.file] : (Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+  files.forEach(file => hash.update(file.buffer || file.originalname || ''));
+
+  return hash.digest('hex');
+}
+
+module.exports = {
+  idempotency,
+  markSubmitted
+};
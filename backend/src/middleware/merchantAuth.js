@@ -0,0 +1,51 @@
+/**
+ * Merchant Authentication Middleware
+ * Identifies the merchant behind a request from its X-Merchant-Key header
+ * (see apiKeyHash in config/merchantConfig) and sets req.merchant.
+ */
+
+const { authenticateMerchant } = require('../config/merchantConfig');
+
+const MERCHANT_KEY_HEADER = 'x-merchant-key';
+
+/**
+ * Reject requests without a valid merchant API key
+ */
+function requireMerchant(req, res, next) {
+  return resolveMerchant(req, res, next, true);
+}
+
+/**
+ * Set req.merchant when a merchant API key is sent; requests without one
+ * continue with req.merchant null. An invalid key is still rejected.
+ */
+function optionalMerchant(req, res, next) {
+  return resolveMerchant(req, res, next, false);
+}
+
+function resolveMerchant(req, res, next, required) {
+  const apiKey = req.get(MERCHANT_KEY_HEADER);
+  if (apiKey === undefined && !required) {
+    req.merchant = null;
+    return next();
+  }
+
+  const merchant = authenticateMerchant(apiKey);
+  if (!merchant) {
+    return res.status(401).json({
+      success: false,
+      error: 'Merchant authentication required',
+      message: apiKey === undefined
+        ? 'Send the merchant API key in the X-Merchant-Key header'
+        : 'Invalid merchant API key'
+    });
+  }
+
+  req.merchant = merchant;
+  next();
+}
+
+module.exports = {
+  requireMerchant,
+  optionalMerchant
+};
@@ -3,16 +3,20 @@ const multer = require('multer');
 const Joi = require('joi');
 const faceEnrollmentService = require('../services/faceEnrollmentService');
 const walrusService = require('../services/walrusService');
-const mockFaceService = require('../services/mockFaceService');
+const faceProviderRegistry = require('../services/faceProviders/faceProviderRegistry');
+const { requireMerchant } = require('../middleware/merchantAuth');
+const { faceProviderConfig } = require('../config/faceProviderConfig');
 
 const router = express.Router();
 
+const { maxPhotos } = faceProviderConfig.enrollment;
+
 // Configure multer for file uploads (in-memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1
+    files: maxPhotos
   },
   fileFilter: (req, file, cb) => {
     // Only allow image files
@@ -31,12 +35,42 @@ const checkEnrollmentSchema = Joi.object({
   userEmail: Joi.string().email().required()
 });
 
+const updateProfileSchema = Joi.object({
+  walletAddress: Joi.string().required().pattern(/^0x[a-fA-F0-9]+$/),
+  walletId: Joi.string().required(),
+  authToken: Joi.string().required(),
+  userName: Joi.string().min(1).max(100),
+  userEmail: Joi.string().email()
+}).or('userName', 'userEmail');
+
+const addFacesSchema = Joi.object({
+  walletId: Joi.string().required(),
+  authToken: Joi.string().required()
+});
+
 const enrollFaceSchema = Joi.object({
   walletAddress: Joi.string().required().pattern(/^0x[a-fA-F0-9]+$/),
   userName: Joi.string().required().min(1).max(100),
   userEmail: Joi.string().email().required()
 });
 
+const recognizeFaceSchema = Joi.object({
+  merchantId: Joi.string().max(100).optional()
+});
+
+const verifyFaceSchema = Joi.object({
+  walletAddress: Joi.string().required().pattern(/^0x[a-fA-F0-9]+$/)
+});
+
+const providersQuerySchema = Joi.object({
+  merchantId: Joi.string().max(100).optional()
+});
+
+const DEMO_WALLET_ADDRESS = '0x1234567890123456789012345678901234567890';
+const DEMO_USER_NAME = 'Demo User';
+const DEMO_USER_EMAIL = 'demo@example.com';
+const DEMO_FACE_DATA = Buffer.from('paywiser_demo_face');
+
 /**
  * POST /api/face/check-enrollment
  * Check if a wallet address is already enrolled for face recognition
@@ -80,19 +114,71 @@ router.post('/check-enrollment', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/face/profile
+ * Update the name and email stored with an enrolled wallet. Requires the
+ * wallet's keystore credentials; the status check never changes them.
+ */
+router.put('/profile', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = updateProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { walletAddress, ...profile } = value;
+    const result = await faceEnrollmentService.updateProfile(walletAddress, profile);
+
+    res.status(result.success ? 200 : result.statusCode || 400).json({
+      success: result.success,
+      data: result.data || null,
+      message: result.success
+        ? 'Profile updated successfully'
+        : `Profile update failed: ${result.error}`,
+      error: result.error || null
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Enrollment photos: one "photo" file or several "photos" files (e.g. different angles)
+const uploadPhotos = upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'photos', maxCount: maxPhotos }
+]);
+
+function uploadedPhotos(req) {
+  return [...(req.files?.photo || []), ...(req.files?.photos || [])]
+    .map(file => ({ buffer: file.buffer, mimeType: file.mimetype }));
+}
+
 /**
  * POST /api/face/enroll
  * Enroll a user's face for recognition
- * Expects multipart/form-data with photo file and user data
+ * Expects multipart/form-data with one photo file or up to
+ * FACE_ENROLLMENT_MAX_PHOTOS photos files, and user data
  */
-router.post('/enroll', upload.single('photo'), async (req, res) => {
+router.post('/enroll', uploadPhotos, async (req, res) => {
   try {
     // Validate file upload
-    if (!req.file) {
+    const photos = uploadedPhotos(req);
+    if (photos.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'Validation error',
-        message: 'Photo file is required'
+        message: 'At least one photo file is required'
       });
     }
 
@@ -109,15 +195,14 @@ router.post('/enroll', upload.single('photo'), async (req, res) => {
     const { walletAddress, userName, userEmail } = value;
     
     console.log(`🎭 Starting face enrollment for wallet: ${walletAddress}`);
-    console.log(`📸 Photo info: ${req.file.mimetype}, ${req.file.size} bytes`);
+    console.log(`📸 ${photos.length} photo(s), ${photos.reduce((sum, photo) => sum + photo.buffer.length, 0)} bytes`);
 
     // Prepare enrollment data
     const enrollmentData = {
       walletAddress,
       userName,
       userEmail,
-      photoBuffer: req.file.buffer,
-      photoMimeType: req.file.mimetype
+      photos
     };
 
     const result = await faceEnrollmentService.enrollFace(enrollmentData);
@@ -146,6 +231,7 @@ router.post('/enroll', upload.single('photo'), async (req, res) => {
 /**
  * POST /api/face/recognize
  * Recognize a face from uploaded photo
+ * An optional merchantId form field selects the merchant's face providers
  */
 router.post('/recognize', upload.single('photo'), async (req, res) => {
   try {
@@ -158,10 +244,22 @@ router.post('/recognize', upload.single('photo'), async (req, res) => {
       });
     }
 
+    // Validate form data
+    const { error, value } = recognizeFaceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
     console.log(`🔍 Starting face recognition`);
     console.log(`📸 Photo info: ${req.file.mimetype}, ${req.file.size} bytes`);
 
-    const result = await faceEnrollmentService.recognizeFace(req.file.buffer, req.file.mimetype);
+    const result = await faceEnrollmentService.recognizeFace(req.file.buffer, req.file.mimetype, {
+      merchantId: value.merchantId
+    });
     
     res.json({
       success: result.success,
@@ -182,6 +280,66 @@ router.post('/recognize', upload.single('photo'), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/face/verify
+ * Verify a photo against the person enrolled for a claimed wallet (1:1)
+ * Expects multipart/form-data with a photo file and walletAddress, from the
+ * merchant whose API key is sent in X-Merchant-Key; its faceVerification
+ * thresholds apply
+ */
+router.post('/verify', requireMerchant, upload.single('photo'), async (req, res) => {
+  try {
+    // Validate file upload
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Photo file is required'
+      });
+    }
+
+    // Validate form data
+    const { error, value } = verifyFaceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { walletAddress } = value;
+
+    console.log(`🔍 Starting face verification for wallet: ${walletAddress}`);
+    console.log(`📸 Photo info: ${req.file.mimetype}, ${req.file.size} bytes`);
+
+    const result = await faceEnrollmentService.verifyFace(walletAddress, req.file.buffer, req.file.mimetype, req.merchant);
+
+    const messages = {
+      match: 'Face matches the claimed wallet',
+      no_match: 'Face does not match the claimed wallet',
+      ambiguous: 'Another enrolled person matches this face better'
+    };
+
+    res.status(result.success ? 200 : result.statusCode || 400).json({
+      success: result.success,
+      data: result.data,
+      message: result.success
+        ? messages[result.data.result]
+        : `Verification failed: ${result.error}`,
+      error: result.error || null
+    });
+
+  } catch (error) {
+    console.error('Face verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/face/enrolled-persons
  * Get list of all enrolled persons
@@ -212,24 +370,79 @@ router.get('/enrolled-persons', async (req, res) => {
 });
 
 /**
- * DELETE /api/face/person/:uuid
+ * POST /api/face/person/:personId/faces
+ * Add photos to an enrolled person's faces
+ * Expects multipart/form-data with one photo file or several photos files,
+ * and the walletId and authToken of the person's wallet
+ */
+router.post('/person/:personId/faces', uploadPhotos, async (req, res) => {
+  try {
+    // Validate file upload
+    const photos = uploadedPhotos(req);
+    if (photos.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'At least one photo file is required'
+      });
+    }
+
+    // Validate form data
+    const { error, value } = addFacesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { personId } = req.params;
+
+    console.log(`🎭 Adding ${photos.length} face(s) to person: ${personId}`);
+
+    const result = await faceEnrollmentService.addFaces(personId, photos, value);
+
+    const statusCode = result.success ? 200 : result.statusCode || 400;
+
+    res.status(statusCode).json({
+      success: result.success,
+      data: result.data,
+      message: result.success
+        ? `Added ${result.data.addedFaces.length} face(s)`
+        : `Adding faces failed: ${result.error}`,
+      error: result.error || null
+    });
+
+  } catch (error) {
+    console.error('Add faces error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/face/person/:personId
  * Delete a person from the face recognition database
  */
-router.delete('/person/:uuid', async (req, res) => {
+router.delete('/person/:personId', async (req, res) => {
   try {
-    const { uuid } = req.params;
+    const { personId } = req.params;
     
-    if (!uuid) {
+    if (!personId) {
       return res.status(400).json({
         success: false,
         error: 'Validation error',
-        message: 'Person UUID is required'
+        message: 'Person ID is required'
       });
     }
 
-    console.log(`🗑️ Deleting person: ${uuid}`);
+    console.log(`🗑️ Deleting person: ${personId}`);
     
-    const result = await faceEnrollmentService.deletePerson(uuid);
+    const result = await faceEnrollmentService.deletePerson(personId);
     
     const statusCode = result.success ? 200 : 400;
     
@@ -252,6 +465,42 @@ router.delete('/person/:uuid', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/face/providers
+ * Face providers in the order a request would use them, with their health
+ */
+router.get('/providers', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = providersQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const providers = await faceProviderRegistry.health({ merchantId: value.merchantId });
+
+    res.json({
+      success: true,
+      data: {
+        providers,
+        override: !!faceProviderRegistry.override
+      },
+      message: 'Face provider status retrieved'
+    });
+
+  } catch (error) {
+    console.error('Face provider status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
 
 /**
  * GET /api/face/walrus-status
@@ -292,11 +541,13 @@ router.use((error, req, res, next) => {
         message: 'Photo file size must be less than 10MB'
       });
     }
-    if (error.code === 'LIMIT_FILE_COUNT') {
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         success: false,
         error: 'Too many files',
-        message: 'Only one photo file is allowed'
+        message: ['/recognize', '/verify'].includes(req.path)
+          ? 'Only one photo file is allowed'
+          : `Send one photo file, or at most ${maxPhotos} photos files`
       });
     }
   }
@@ -312,31 +563,30 @@ router.use((error, req, res, next) => {
   next(error);
 });
 
-// Demo route to enable mock service and enroll a demo face
+// Demo route to switch to the mock provider and enroll a demo face
 router.post('/demo/setup', async (req, res) => {
   try {
     console.log('🎭 Setting up demo face recognition...');
     
-    // Enable mock service
+    // Route every face request to the mock provider
     faceEnrollmentService.enableMockService();
     
-    // Enroll a demo face
-    const demoFaceData = 'demo_face_data_' + Date.now();
-    const demoUserInfo = {
-      walletAddress: '0x1234567890123456789012345678901234567890',
-      userName: 'Demo User',
-      userEmail: 'demo@example.com'
-    };
-    
-    const enrollmentResult = await mockFaceService.enrollFace(demoFaceData, demoUserInfo);
+    // Enroll the demo face once
+    const status = await faceEnrollmentService.checkEnrollmentStatus(DEMO_WALLET_ADDRESS, DEMO_USER_NAME, DEMO_USER_EMAIL);
+    const enrollment = status.data.isEnrolled ? status : await faceEnrollmentService.enrollFace({
+      walletAddress: DEMO_WALLET_ADDRESS,
+      userName: DEMO_USER_NAME,
+      userEmail: DEMO_USER_EMAIL,
+      photos: [{ buffer: DEMO_FACE_DATA, mimeType: 'image/jpeg' }]
+    });
     
     res.json({
       success: true,
       message: 'Demo face recognition setup complete',
       data: {
         mockServiceEnabled: true,
-        demoFaceEnrolled: enrollmentResult.success,
-        faceId: enrollmentResult.faceId
+        demoFaceEnrolled: enrollment.success,
+        personId: enrollment.data.personId || null
       }
     });
     
@@ -352,12 +602,13 @@ router.post('/demo/setup', async (req, res) => {
 // Route to get mock service status
 router.get('/demo/status', async (req, res) => {
   try {
-    const enrolledFaces = mockFaceService.getAllEnrolledFaces();
+    const enrolledFaces = await faceProviderRegistry.get('mock').list();
     
     res.json({
       success: true,
       data: {
         mockServiceEnabled: faceEnrollmentService.useMockService,
+        providers: faceProviderRegistry.providerNames(),
         enrolledFacesCount: enrolledFaces.length,
         enrolledFaces: enrolledFaces
       }
@@ -0,0 +1,232 @@
+const express = require('express');
+const Joi = require('joi');
+const invoiceService = require('../services/invoiceService');
+const suiService = require('../services/suiService');
+const { requireMerchant } = require('../middleware/merchantAuth');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
+
+const router = express.Router();
+
+const MAX_EXPIRY_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// Validation schemas
+const invoiceSchema = Joi.object({
+  merchantAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{1,64}$/).required().messages({
+    'string.pattern.base': 'Merchant address must be a 0x-prefixed hex Sui address',
+    'any.required': 'Merchant address is required'
+  }),
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "0.29"',
+    'any.required': 'Amount is required'
+  }),
+  coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).default(suiService.usdcCoinType).messages({
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI'
+  }),
+  memo: Joi.string().max(200),
+  label: Joi.string().max(100),
+  expiresInSeconds: Joi.number().integer().min(60).max(MAX_EXPIRY_SECONDS),
+  qrFormat: Joi.string().valid('svg', 'png').default('svg')
+});
+
+const listSchema = Joi.object({
+  merchantAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{1,64}$/),
+  status: Joi.string().valid('open', 'paid', 'expired', 'cancelled')
+});
+
+const qrSchema = Joi.object({
+  format: Joi.string().valid('svg', 'png').default('svg')
+});
+
+const paymentSchema = Joi.object({
+  reference: Joi.string().required().messages({
+    'any.required': 'Invoice reference is required'
+  }),
+  digest: Joi.string().required().messages({
+    'any.required': 'Transaction digest is required'
+  })
+});
+
+/**
+ * POST /api/invoices
+ * Create an invoice; returns its Sui payment URI and a QR code
+ * (SVG markup or a PNG data URL, per qrFormat)
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = invoiceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { qrFormat, ...params } = value;
+    const invoice = await invoiceService.createInvoice(params);
+    const qrCode = await invoiceService.renderQrCode(invoice.invoiceId, qrFormat);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...invoice,
+        qrCode: qrFormat === 'png' ? `data:image/png;base64,${qrCode.toString('base64')}` : qrCode,
+        qrFormat
+      },
+      message: `Invoice created for ${invoice.formatted} ${invoice.symbol}`
+    });
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create invoice',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/invoices
+ * List the invoices to the addresses of the merchant whose API key is sent
+ * in X-Merchant-Key, optionally for one of them and a status
+ */
+router.get('/', requireMerchant, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const invoices = invoiceService.listInvoices(req.merchant, value);
+
+    res.json({
+      success: true,
+      data: invoices,
+      message: `Found ${invoices.length} invoices`
+    });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to list invoices',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/invoices/payments
+ * Report the transaction that paid an invoice, identified by its reference
+ */
+router.post('/payments', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const invoice = await invoiceService.settleByReference(value.reference, value.digest);
+
+    res.json({
+      success: true,
+      data: invoice,
+      message: 'Invoice paid'
+    });
+  } catch (error) {
+    console.error('Invoice payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to settle invoice',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/invoices/:invoiceId
+ * Invoice status: open, paid, expired or cancelled
+ */
+router.get('/:invoiceId', async (req, res) => {
+  try {
+    const invoice = invoiceService.getInvoice(req.params.invoiceId);
+
+    res.json({
+      success: true,
+      data: invoice,
+      message: `Invoice is ${invoice.status}`
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get invoice',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/invoices/:invoiceId/qr?format=svg|png
+ * The invoice's payment URI as a QR image
+ */
+router.get('/:invoiceId/qr', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = qrSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const qrCode = await invoiceService.renderQrCode(req.params.invoiceId, value.format);
+
+    res.type(value.format === 'png' ? 'image/png' : 'image/svg+xml').send(qrCode);
+  } catch (error) {
+    console.error('Invoice QR error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to render QR code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/invoices/:invoiceId/cancel
+ * Cancel an open invoice, for the merchant (X-Merchant-Key) it pays
+ */
+router.post('/:invoiceId/cancel', requireMerchant, async (req, res) => {
+  try {
+    const invoice = invoiceService.cancelInvoice(req.params.invoiceId, req.merchant);
+
+    res.json({
+      success: true,
+      data: invoice,
+      message: 'Invoice cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel invoice',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const Joi = require('joi');
+const { idempotency } = require('../middleware/idempotency');
+const multisigService = require('../services/multisigService');
+const suiService = require('../services/suiService');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
+
+const router = express.Router();
+
+// Validation schemas
+const multisigSchema = Joi.object({
+  signers: Joi.array().min(1).max(10).required().items(Joi.object({
+    publicKey: Joi.string().base64(),
+    walletId: Joi.string(),
+    weight: Joi.number().integer().min(1).max(255).default(1)
+  }).xor('publicKey', 'walletId').messages({
+    'object.missing': 'Each signer needs a publicKey or a keystore walletId',
+    'object.xor': 'Give each signer either a publicKey or a walletId, not both'
+  })).messages({
+    'array.min': 'At least one signer is required',
+    'array.max': 'A multisig can have at most 10 signers',
+    'any.required': 'Signers are required'
+  }),
+  threshold: Joi.number().integer().min(1).max(65535).required().messages({
+    'any.required': 'Threshold is required'
+  }),
+  name: Joi.string().max(100)
+});
+
+const proposalSchema = Joi.object({
+  toAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{1,64}$/).required().messages({
+    'string.pattern.base': 'Recipient address must be a 0x-prefixed hex Sui address',
+    'any.required': 'Recipient address is required'
+  }),
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "0.29"',
+    'any.required': 'Amount is required'
+  }),
+  coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).default(suiService.usdcCoinType).messages({
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI'
+  }),
+  sponsored: Joi.boolean().default(false),
+  memo: Joi.string().max(200)
+});
+
+const signatureSchema = Joi.object({
+  signature: Joi.string(),
+  walletId: Joi.string(),
+  authToken: Joi.string()
+}).xor('signature', 'walletId').and('walletId', 'authToken').messages({
+  'object.missing': 'Provide a signature, or a walletId and authToken to sign with',
+  'object.xor': 'Provide either a signature or a walletId, not both',
+  'object.and': 'A walletId needs its authToken'
+});
+
+const cancelSchema = Joi.object({
+  signature: Joi.string(),
+  walletId: Joi.string(),
+  authToken: Joi.string()
+}).xor('signature', 'walletId').and('walletId', 'authToken').messages({
+  'object.missing': 'Provide a signer\'s signature of "Cancel multisig proposal <proposalId>", or a signer\'s walletId and authToken',
+  'object.xor': 'Provide either a signature or a walletId, not both',
+  'object.and': 'A walletId needs its authToken'
+});
+
+const proposalStatuses = ['pending', 'ready', 'executing', 'executed', 'failed', 'cancelled', 'expired'];
+
+/**
+ * POST /api/wallet/multisig
+ * Create a multisig treasury wallet from signer public keys, weights and a threshold
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = multisigSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const wallet = multisigService.createMultisigWallet(value);
+
+    res.json({
+      success: true,
+      data: wallet,
+      message: `Multisig wallet created (${wallet.threshold} of ${wallet.totalWeight})`
+    });
+  } catch (error) {
+    console.error('Create multisig error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create multisig wallet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wallet/multisig/proposals/:proposalId
+ * Get a proposal with its collected signatures and status
+ */
+router.get('/proposals/:proposalId', async (req, res) => {
+  try {
+    const proposal = multisigService.getProposal(req.params.proposalId);
+
+    res.json({
+      success: true,
+      data: proposal,
+      message: `Proposal is ${proposal.status}`
+    });
+  } catch (error) {
+    console.error('Get proposal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get proposal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/multisig/proposals/:proposalId/signatures
+ * Add a signer's partial signature over the proposal's txBytes, either
+ * signed client-side or with a keystore wallet
+ */
+router.post('/proposals/:proposalId/signatures', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const proposal = await multisigService.addSignature(req.params.proposalId, value);
+
+    res.json({
+      success: true,
+      data: proposal,
+      message: proposal.status === 'ready'
+        ? 'Signature added - threshold met, proposal ready to execute'
+        : `Signature added (${proposal.collectedWeight}/${proposal.threshold})`
+    });
+  } catch (error) {
+    console.error('Sign proposal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to add signature',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/multisig/proposals/:proposalId/execute
+ * Combine the collected signatures and execute the proposal
+ */
+router.post('/proposals/:proposalId/execute', idempotency, async (req, res) => {
+  try {
+    const proposal = await multisigService.executeProposal(req.params.proposalId);
+
+    res.json({
+      success: true,
+      data: proposal,
+      message: `Proposal ${proposal.status}`
+    });
+  } catch (error) {
+    console.error('Execute proposal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to execute proposal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/multisig/proposals/:proposalId/cancel
+ * Cancel a proposal that has not been executed; one of the signers must authorize it
+ */
+router.post('/proposals/:proposalId/cancel', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = cancelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const proposal = await multisigService.cancelProposal(req.params.proposalId, value);
+
+    res.json({
+      success: true,
+      data: proposal,
+      message: 'Proposal cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel proposal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel proposal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wallet/multisig/:address
+ * Get a multisig wallet's signers and threshold
+ */
+router.get('/:address', async (req, res) => {
+  try {
+    const wallet = multisigService.getMultisigWallet(req.params.address);
+
+    res.json({
+      success: true,
+      data: wallet,
+      message: 'Multisig wallet retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get multisig error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get multisig wallet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/multisig/:address/proposals
+ * Propose a transfer out of a multisig wallet
+ */
+router.post('/:address/proposals', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = proposalSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const proposal = await multisigService.createTransferProposal({
+      multisigAddress: req.params.address,
+      ...value
+    });
+
+    res.json({
+      success: true,
+      data: proposal,
+      message: 'Transfer proposal created - collect signatures over txBytes'
+    });
+  } catch (error) {
+    console.error('Create proposal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create proposal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wallet/multisig/:address/proposals
+ * List a multisig wallet's proposals, optionally filtered with ?status=
+ */
+router.get('/:address/proposals', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !proposalStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `Status must be one of: ${proposalStatuses.join(', ')}`
+      });
+    }
+
+    const proposals = multisigService.listProposals(req.params.address, status);
+
+    res.json({
+      success: true,
+      data: {
+        address: req.params.address,
+        proposals,
+        count: proposals.length
+      },
+      message: `Found ${proposals.length} proposals`
+    });
+  } catch (error) {
+    console.error('List proposals error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to list proposals',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const Joi = require('joi');
+const { idempotency } = require('../middleware/idempotency');
+const { optionalMerchant } = require('../middleware/merchantAuth');
+const authorizationService = require('../services/authorizationService');
+const suiService = require('../services/suiService');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
+
+const router = express.Router();
+
+const MAX_HOLD_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const SUI_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{1,64}$/;
+const EVM_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Validation schemas
+const authorizeSchema = Joi.object({
+  rail: Joi.string().valid('yellow', 'sui').required().messages({
+    'any.only': 'Rail must be "yellow" or "sui"',
+    'any.required': 'Rail is required'
+  }),
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "150.00"',
+    'any.required': 'Amount is required'
+  }),
+  merchantAddress: Joi.when('rail', {
+    is: 'yellow',
+    then: Joi.string().pattern(EVM_ADDRESS_PATTERN),
+    otherwise: Joi.string().pattern(SUI_ADDRESS_PATTERN)
+  }).required().messages({
+    'string.pattern.base': 'Merchant address must be an EVM address for yellow or a Sui address for sui',
+    'any.required': 'Merchant address is required'
+  }),
+  customerAddress: Joi.when('rail', {
+    is: 'yellow',
+    then: Joi.string().pattern(EVM_ADDRESS_PATTERN).required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Customer address must be an EVM address',
+    'any.required': 'Customer address is required for yellow authorizations',
+    'any.unknown': 'Sui authorizations take the customer from walletId'
+  }),
+  walletId: Joi.when('rail', {
+    is: 'sui',
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Wallet ID is required for sui authorizations'
+  }),
+  authToken: Joi.when('rail', {
+    is: 'sui',
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Wallet authorization token is required for sui authorizations'
+  }),
+  coinType: Joi.when('rail', {
+    is: 'sui',
+    then: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).default(suiService.usdcCoinType),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI'
+  }),
+  expiresInSeconds: Joi.number().integer().min(60).max(MAX_HOLD_SECONDS),
+  biometricHash: Joi.string().max(256),
+  memo: Joi.string().max(200)
+});
+
+const captureSchema = Joi.object({
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "87.40"'
+  }),
+  walletId: Joi.string(),
+  authToken: Joi.string()
+}).and('walletId', 'authToken').messages({
+  'object.and': 'A walletId needs its authToken'
+});
+
+const voidSchema = Joi.object({
+  walletId: Joi.string(),
+  authToken: Joi.string()
+}).and('walletId', 'authToken').messages({
+  'object.and': 'A walletId needs its authToken'
+});
+
+const listSchema = Joi.object({
+  merchantAddress: Joi.string(),
+  status: Joi.string().valid('authorized', 'capturing', 'captured', 'voiding', 'voided', 'expired', 'failed')
+});
+
+/**
+ * POST /api/payments/authorizations
+ * Hold an amount on the Yellow or Sui rail for later capture
+ */
+router.post('/', idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = authorizeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const authorization = await authorizationService.authorize(value);
+
+    res.status(201).json({
+      success: true,
+      data: authorization,
+      message: `${authorization.formatted} ${authorization.symbol} authorized until ${authorization.expiresAt}`
+    });
+  } catch (error) {
+    console.error('Authorize payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Authorization failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/authorizations
+ * List authorizations, optionally for one merchant and status
+ */
+router.get('/', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const authorizations = authorizationService.listAuthorizations(value);
+
+    res.json({
+      success: true,
+      data: authorizations,
+      message: `Found ${authorizations.length} authorizations`
+    });
+  } catch (error) {
+    console.error('List authorizations error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to list authorizations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/authorizations/:authorizationId
+ * Get an authorization and its status
+ */
+router.get('/:authorizationId', async (req, res) => {
+  try {
+    const authorization = authorizationService.getAuthorization(req.params.authorizationId);
+
+    res.json({
+      success: true,
+      data: authorization,
+      message: `Authorization is ${authorization.status}`
+    });
+  } catch (error) {
+    console.error('Get authorization error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get authorization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/authorizations/:authorizationId/capture
+ * Capture the final amount (at most the authorized amount, default all of it);
+ * the remainder is released to the customer. Only the merchant can capture:
+ * with its API key in X-Merchant-Key, or (sui) its walletId and authToken.
+ */
+router.post('/:authorizationId/capture', optionalMerchant, idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = captureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { amount, ...credentials } = value;
+    const authorization = await authorizationService.capture(req.params.authorizationId, amount, {
+      ...credentials,
+      merchant: req.merchant
+    });
+
+    res.json({
+      success: true,
+      data: authorization,
+      message: `Captured ${amount || authorization.formatted} of ${authorization.formatted} ${authorization.symbol}`
+    });
+  } catch (error) {
+    console.error('Capture authorization error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Capture failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/authorizations/:authorizationId/void
+ * Release the whole authorization back to the customer. Needs the same
+ * merchant credentials as capture.
+ */
+router.post('/:authorizationId/void', optionalMerchant, idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = voidSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const authorization = await authorizationService.void(req.params.authorizationId, {
+      ...value,
+      merchant: req.merchant
+    });
+
+    res.json({
+      success: true,
+      data: authorization,
+      message: `Authorization voided - ${authorization.formatted} ${authorization.symbol} released`
+    });
+  } catch (error) {
+    console.error('Void authorization error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Void failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const Joi = require('joi');
+const paymentScheduleService = require('../services/paymentScheduleService');
+const suiService = require('../services/suiService');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
+
+const router = express.Router();
+
+// Validation schemas
+const scheduleSchema = Joi.object({
+  walletId: Joi.string().required().messages({
+    'any.required': 'Wallet ID is required'
+  }),
+  authToken: Joi.string().required().messages({
+    'any.required': 'Wallet authorization token is required'
+  }),
+  toAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{1,64}$/).required().messages({
+    'string.pattern.base': 'Recipient address must be a 0x-prefixed hex Sui address',
+    'any.required': 'Recipient address is required'
+  }),
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "4.50"',
+    'any.required': 'Amount is required'
+  }),
+  coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).default(suiService.usdcCoinType).messages({
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI'
+  }),
+  rule: Joi.alternatives().try(
+    Joi.object({
+      type: Joi.string().valid('interval').required(),
+      every: Joi.number().integer().min(1).required(),
+      unit: Joi.string().valid('minutes', 'hours', 'days', 'weeks').required()
+    }),
+    Joi.object({
+      type: Joi.string().valid('cron').required(),
+      expression: Joi.string().max(100).required()
+    })
+  ).required().messages({
+    'alternatives.match': 'Rule must be an interval (type, every, unit) or a cron rule (type, expression)',
+    'any.required': 'Schedule rule is required'
+  }),
+  startAt: Joi.date().iso(),
+  endAt: Joi.date().iso().greater('now').messages({
+    'date.greater': 'End date must be in the future'
+  }),
+  maxRuns: Joi.number().integer().min(1),
+  sponsored: Joi.boolean(),
+  memo: Joi.string().max(200)
+});
+
+const authSchema = Joi.object({
+  authToken: Joi.string().required().messages({
+    'any.required': 'Wallet authorization token is required'
+  })
+});
+
+const listSchema = Joi.object({
+  walletId: Joi.string(),
+  fromAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/),
+  status: Joi.string().valid('active', 'paused', 'completed', 'cancelled')
+});
+
+/**
+ * POST /api/payments/schedules
+ * Create a recurring payment from a keystore wallet
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = scheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const schedule = await paymentScheduleService.createSchedule({
+      ...value,
+      startAt: value.startAt && value.startAt.toISOString(),
+      endAt: value.endAt && value.endAt.toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: schedule,
+      message: `Schedule created - first payment at ${schedule.nextRunAt}`
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/schedules
+ * List schedules, optionally filtered by wallet and status
+ */
+router.get('/', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const schedules = paymentScheduleService.listSchedules(value);
+
+    res.json({
+      success: true,
+      data: schedules,
+      message: `Found ${schedules.length} schedules`
+    });
+  } catch (error) {
+    console.error('List schedules error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/schedules/:scheduleId
+ * Get a schedule with its recent runs
+ */
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = paymentScheduleService.getSchedule(req.params.scheduleId);
+
+    res.json({
+      success: true,
+      data: schedule,
+      message: `Schedule is ${schedule.status}`
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/schedules/:scheduleId/pause
+ * Stop executing payments until the schedule is resumed
+ */
+router.post('/:scheduleId/pause', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = authSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const schedule = paymentScheduleService.pauseSchedule(req.params.scheduleId, value.authToken);
+
+    res.json({
+      success: true,
+      data: schedule,
+      message: 'Schedule paused'
+    });
+  } catch (error) {
+    console.error('Pause schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to pause schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/schedules/:scheduleId/resume
+ * Resume a paused schedule. Schedules paused after failed payments retry
+ * the owed payment immediately; the token given replaces the stored one.
+ */
+router.post('/:scheduleId/resume', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = authSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const schedule = paymentScheduleService.resumeSchedule(req.params.scheduleId, value.authToken);
+
+    res.json({
+      success: true,
+      data: schedule,
+      message: schedule.status === 'completed'
+        ? 'Schedule has no payments left and is completed'
+        : `Schedule resumed - next payment at ${schedule.nextRunAt}`
+    });
+  } catch (error) {
+    console.error('Resume schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to resume schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/schedules/:scheduleId/cancel
+ * Cancel a schedule permanently
+ */
+router.post('/:scheduleId/cancel', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = authSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const schedule = paymentScheduleService.cancelSchedule(req.params.scheduleId, value.authToken);
+
+    res.json({
+      success: true,
+      data: schedule,
+      message: 'Schedule cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel schedule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel schedule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
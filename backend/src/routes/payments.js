@@ -0,0 +1,219 @@
+const express = require('express');
+const Joi = require('joi');
+const { idempotency } = require('../middleware/idempotency');
+const { requireMerchant, optionalMerchant } = require('../middleware/merchantAuth');
+const paymentService = require('../services/paymentService');
+const { CURRENCIES } = require('../config/merchantConfig');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
+
+const router = express.Router();
+
+const EVM_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Validation schemas
+const paymentSchema = Joi.object({
+  merchantId: Joi.string().required().messages({
+    'any.required': 'Merchant ID is required'
+  }),
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "4.50"',
+    'any.required': 'Amount is required'
+  }),
+  currency: Joi.string().valid(...CURRENCIES).default('USDC').messages({
+    'any.only': `Currency must be one of ${CURRENCIES.join(', ')}`
+  }),
+  walletId: Joi.string(),
+  authToken: Joi.string(),
+  customerAddress: Joi.string().pattern(EVM_ADDRESS_PATTERN).messages({
+    'string.pattern.base': 'Customer address must be an EVM address'
+  }),
+  biometricHash: Joi.string().max(256),
+  memo: Joi.string().max(200)
+}).and('walletId', 'authToken').or('walletId', 'customerAddress').messages({
+  'object.and': 'A walletId needs its authToken',
+  'object.missing': 'A payer is required: walletId and authToken for Sui, customerAddress for Yellow'
+});
+
+const refundSchema = Joi.object({
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "2.50"'
+  }),
+  reason: Joi.string().max(200),
+  walletId: Joi.string(),
+  authToken: Joi.string()
+}).and('walletId', 'authToken').messages({
+  'object.and': 'A walletId needs its authToken'
+});
+
+const listSchema = Joi.object({
+  merchantAddress: Joi.string(),
+  customerAddress: Joi.string(),
+  status: Joi.string().valid('pending', 'authorized', 'settled', 'failed', 'partially_refunded', 'refunded')
+});
+
+/**
+ * POST /api/payments
+ * Pay a configured merchant. The rail (sui, sui_sponsored or yellow) is
+ * chosen from the merchant's configuration, the amount and the payer given;
+ * the payment moves pending -> authorized -> settled, or failed.
+ */
+router.post('/', idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const payment = await paymentService.createPayment(value);
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      message: `Paid ${payment.formatted} ${payment.symbol} to ${payment.merchantId} via ${payment.rail}`
+    });
+  } catch (error) {
+    console.error('Create payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Payment failed',
+      message: error.message,
+      paymentId: error.paymentId
+    });
+  }
+});
+
+/**
+ * GET /api/payments
+ * List the payments received by the merchant whose API key is sent in
+ * X-Merchant-Key, optionally for one of its addresses, a customer or a status
+ */
+router.get('/', requireMerchant, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const payments = paymentService.listPayments(req.merchant, value);
+
+    res.json({
+      success: true,
+      data: payments,
+      message: `Found ${payments.length} payments`
+    });
+  } catch (error) {
+    console.error('List payments error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to list payments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/:paymentId
+ * Get a payment with its refunds and history, for the merchant that received it
+ */
+router.get('/:paymentId', requireMerchant, async (req, res) => {
+  try {
+    const payment = paymentService.getPayment(req.params.paymentId, req.merchant);
+
+    res.json({
+      success: true,
+      data: payment,
+      message: `Payment is ${payment.status}`
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/:paymentId/refunds
+ * Refund all or part of a payment to the customer. Sui payments are
+ * refunded from the merchant's keystore wallet (walletId + authToken);
+ * Yellow payments through a reverse app session, for the merchant whose
+ * API key is sent in X-Merchant-Key.
+ */
+router.post('/:paymentId/refunds', optionalMerchant, idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = refundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { refund, payment } = await paymentService.refundPayment(req.params.paymentId, {
+      ...value,
+      merchant: req.merchant
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        refund,
+        payment
+      },
+      message: `Refunded ${refund.formatted} ${payment.symbol} (${payment.status === 'refunded' ? 'fully refunded' : 'partially refunded'})`
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Refund failed',
+      message: error.message,
+      refundId: error.refundId
+    });
+  }
+});
+
+/**
+ * GET /api/payments/:paymentId/refunds
+ * List a payment's refunds, including failed attempts, for the merchant that received it
+ */
+router.get('/:paymentId/refunds', requireMerchant, async (req, res) => {
+  try {
+    const payment = paymentService.getPayment(req.params.paymentId, req.merchant);
+
+    res.json({
+      success: true,
+      data: {
+        refunds: payment.refunds,
+        refundedAmount: payment.refundedAmount,
+        refundableAmount: payment.refundableAmount
+      },
+      message: `Found ${payment.refunds.length} refunds`
+    });
+  } catch (error) {
+    console.error('List refunds error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to list refunds',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,7 +6,9 @@
 const express = require('express');
 const multer = require('multer');
 const Joi = require('joi');
+const { idempotency } = require('../middleware/idempotency');
 const realBiometricService = require('../services/realBiometricService');
+const paymentService = require('../services/paymentService');
 const { getYellowNetworkService } = require('../services/yellowNetworkService');
 
 const router = express.Router();
@@ -167,7 +169,7 @@ router.post('/recognize', upload.single('faceImage'), async (req, res) => {
  * POST /api/real-biometric/payment
  * Process a real biometric payment with actual Yellow Network transaction
  */
-router.post('/payment', upload.single('faceImage'), requireYellowNetwork, async (req, res) => {
+router.post('/payment', upload.single('faceImage'), idempotency, requireYellowNetwork, async (req, res) => {
   try {
     console.log('🔐 Real biometric payment request received');
 
@@ -196,6 +198,23 @@ router.post('/payment', upload.single('faceImage'), requireYellowNetwork, async
       req.file.buffer
     );
 
+    // Record the payment so it can be refunded; the money has already moved,
+    // so a recording failure is logged instead of failing the request
+    try {
+      paymentResult.payment.paymentId = paymentService.recordYellowPayment({
+        source: 'real-biometric',
+        customerAddress: validatedData.customerAddress,
+        merchantAddress: validatedData.merchantAddress,
+        amount: validatedData.amount,
+        currency: validatedData.currency,
+        transactionId: paymentResult.payment.transactionId,
+        merchantName: validatedData.merchantName,
+        metadata: { faceConfidence: paymentResult.biometric.confidence }
+      }).paymentId;
+    } catch (error) {
+      console.error('❌ Failed to record payment:', error.message);
+    }
+
     res.json({
       success: true,
       message: 'Real biometric payment processed successfully',
@@ -285,7 +304,7 @@ router.get('/enrolled', async (req, res) => {
  */
 router.delete('/clear', async (req, res) => {
   try {
-    realBiometricService.clearAllEnrollments();
+    await realBiometricService.clearAllEnrollments();
 
     res.json({
       success: true,
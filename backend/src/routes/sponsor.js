@@ -1,31 +1,141 @@
 const express = require('express');
 const Joi = require('joi');
+const { idempotency } = require('../middleware/idempotency');
 const suiService = require('../services/suiService');
+const sponsorPolicyService = require('../services/sponsorPolicyService');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
 
 const router = express.Router();
 
 // Validation schemas
+const prepareSchema = Joi.object({
+  sender: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).required().messages({
+    'string.empty': 'Sender address is required',
+    'string.pattern.base': 'Sender must be a 64-character hex Sui address',
+    'any.required': 'Sender address is required'
+  }),
+  transactionKindBytes: Joi.string().base64().required().messages({
+    'string.empty': 'Transaction kind bytes are required',
+    'string.base64': 'Transaction kind bytes must be base64',
+    'any.required': 'Transaction kind bytes are required'
+  }),
+  gasBudget: Joi.number().integer().positive()
+});
+
+const executeSchema = Joi.object({
+  txBytes: Joi.string().base64().required().messages({
+    'string.empty': 'Transaction bytes are required',
+    'string.base64': 'Transaction bytes must be base64',
+    'any.required': 'Transaction bytes are required'
+  }),
+  userSignature: Joi.string().required().messages({
+    'string.empty': 'User signature is required',
+    'any.required': 'User signature is required'
+  })
+});
+
 const sponsoredTransferSchema = Joi.object({
-  fromPrivateKey: Joi.string().required().messages({
-    'string.empty': 'Sender private key is required',
-    'any.required': 'Sender private key is required'
+  walletId: Joi.string().required().messages({
+    'string.empty': 'Sender wallet ID is required',
+    'any.required': 'Sender wallet ID is required'
+  }),
+  authToken: Joi.string().required().messages({
+    'string.empty': 'Wallet authorization token is required',
+    'any.required': 'Wallet authorization token is required'
   }),
   toAddress: Joi.string().required().messages({
     'string.empty': 'Recipient address is required',
     'any.required': 'Recipient address is required'
   }),
-  amount: Joi.number().positive().required().messages({
-    'number.base': 'Amount must be a number',
-    'number.positive': 'Amount must be positive',
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.empty': 'Amount is required',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "0.29"',
     'any.required': 'Amount is required'
   })
 });
 
+/**
+ * POST /api/sponsor/prepare
+ * Gas station step 1: attach sponsor gas to client-built transaction kind
+ * bytes and return the full transaction bytes with the sponsor signature
+ */
+router.post('/prepare', idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = prepareSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const prepared = await suiService.prepareSponsoredTransaction(value);
+
+    res.json({
+      success: true,
+      data: prepared,
+      message: 'Sponsored transaction prepared - sign txBytes and call /api/sponsor/execute'
+    });
+  } catch (error) {
+    console.error('Prepare sponsored transaction error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to prepare sponsored transaction',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sponsor/execute
+ * Gas station step 2: submit a prepared transaction with the user's signature
+ */
+router.post('/execute', idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = executeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await suiService.executeSponsoredTransaction(value);
+
+    res.json({
+      success: true,
+      data: {
+        transactionDigest: result.digest,
+        status: result.status,
+        gasUsed: result.gasUsed,
+        sender: result.sender,
+        sponsored: true,
+        sponsor: result.sponsor,
+        objectChanges: result.objectChanges,
+        balanceChanges: result.balanceChanges
+      },
+      message: 'Sponsored transaction executed successfully'
+    });
+  } catch (error) {
+    console.error('Execute sponsored transaction error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to execute sponsored transaction',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/sponsor/transfer-usdc
  * Transfer USDC with gas sponsorship
  */
-router.post('/transfer-usdc', async (req, res) => {
+router.post('/transfer-usdc', idempotency, async (req, res) => {
   try {
     // Validate request
     const { error, value } = sponsoredTransferSchema.validate(req.body);
@@ -37,10 +147,10 @@ router.post('/transfer-usdc', async (req, res) => {
       });
     }
 
-    const { fromPrivateKey, toAddress, amount } = value;
+    const { walletId, authToken, toAddress, amount } = value;
     
     // Execute sponsored transfer
-    const result = await suiService.transferUSDCWithSponsorship(fromPrivateKey, toAddress, amount);
+    const result = await suiService.transferUSDCWithSponsorship(walletId, authToken, toAddress, amount);
     
     res.json({
       success: true,
@@ -49,6 +159,7 @@ router.post('/transfer-usdc', async (req, res) => {
         status: result.status,
         gasUsed: result.gasUsed,
         amount: amount,
+        amountBaseUnits: result.amount,
         recipient: toAddress,
         sponsored: true,
         sponsor: result.sponsor,
@@ -58,7 +169,7 @@ router.post('/transfer-usdc', async (req, res) => {
     });
   } catch (error) {
     console.error('Sponsored transfer error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Sponsored transfer failed',
       message: error.message
@@ -68,7 +179,8 @@ router.post('/transfer-usdc', async (req, res) => {
 
 /**
  * GET /api/sponsor/info
- * Get sponsor account information
+ * Get sponsor account information and policy budget usage
+ * Optional ?sender=0x... includes that sender's daily usage
  */
 router.get('/info', async (req, res) => {
   try {
@@ -81,14 +193,15 @@ router.get('/info', async (req, res) => {
     }
 
     const sponsorAddress = suiService.gasSponsorKeypair.getPublicKey().toSuiAddress();
-    const balance = await suiService.getBalance(sponsorAddress);
+    const balances = await suiService.getBalance(sponsorAddress);
     
     res.json({
       success: true,
       data: {
         sponsorAddress,
-        balances: balance,
-        network: suiService.network
+        balances,
+        network: suiService.network,
+        policy: sponsorPolicyService.getStatus(req.query.sender)
       },
       message: 'Sponsor information retrieved successfully'
     });
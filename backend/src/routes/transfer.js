@@ -1,24 +1,98 @@
 const express = require('express');
 const Joi = require('joi');
+const { idempotency } = require('../middleware/idempotency');
 const suiService = require('../services/suiService');
+const keystoreService = require('../services/keystoreService');
+const confirmationService = require('../services/confirmationService');
+const invoiceService = require('../services/invoiceService');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
 
 const router = express.Router();
 
+const MAX_BATCH_RECIPIENTS = 250; // Keeps a batch well under the PTB command limit
+
 // Validation schemas
 const transferSchema = Joi.object({
-  fromPrivateKey: Joi.string().required().messages({
-    'string.empty': 'Sender private key is required',
-    'any.required': 'Sender private key is required'
+  walletId: Joi.string().required().messages({
+    'string.empty': 'Sender wallet ID is required',
+    'any.required': 'Sender wallet ID is required'
+  }),
+  authToken: Joi.string().required().messages({
+    'string.empty': 'Wallet authorization token is required',
+    'any.required': 'Wallet authorization token is required'
   }),
   toAddress: Joi.string().required().messages({
     'string.empty': 'Recipient address is required',
     'any.required': 'Recipient address is required'
   }),
-  amount: Joi.number().positive().required().messages({
-    'number.base': 'Amount must be a number',
-    'number.positive': 'Amount must be positive',
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.empty': 'Amount is required',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "0.29"',
     'any.required': 'Amount is required'
-  })
+  }),
+  reference: Joi.string().max(64)
+});
+
+const coinTransferSchema = transferSchema.keys({
+  coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).required().messages({
+    'string.empty': 'Coin type is required',
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI',
+    'any.required': 'Coin type is required'
+  }),
+  sponsored: Joi.boolean().default(false)
+});
+
+const estimateSchema = Joi.object({
+  walletId: Joi.string(),
+  fromAddress: Joi.string().pattern(/^0x[a-fA-F0-9]+$/),
+  toAddress: Joi.string().required().messages({
+    'string.empty': 'Recipient address is required',
+    'any.required': 'Recipient address is required'
+  }),
+  amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+    'string.base': 'Amount must be a decimal string',
+    'string.empty': 'Amount is required',
+    'string.pattern.base': 'Amount must be a positive decimal string, e.g. "0.29"',
+    'any.required': 'Amount is required'
+  }),
+  coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).messages({
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI'
+  }),
+  sponsored: Joi.boolean().default(false)
+}).xor('walletId', 'fromAddress').messages({
+  'object.missing': 'Either walletId or fromAddress is required',
+  'object.xor': 'Provide only one of walletId or fromAddress'
+});
+
+const batchTransferSchema = Joi.object({
+  walletId: Joi.string().required().messages({
+    'string.empty': 'Sender wallet ID is required',
+    'any.required': 'Sender wallet ID is required'
+  }),
+  authToken: Joi.string().required().messages({
+    'string.empty': 'Wallet authorization token is required',
+    'any.required': 'Wallet authorization token is required'
+  }),
+  recipients: Joi.array().min(1).max(MAX_BATCH_RECIPIENTS).required().items(Joi.object({
+    toAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{1,64}$/).required().messages({
+      'string.pattern.base': 'Recipient address must be a 0x-prefixed hex Sui address',
+      'any.required': 'Recipient address is required'
+    }),
+    amount: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).required().messages({
+      'string.base': 'Amount must be a decimal string',
+      'string.pattern.base': 'Amount must be a positive decimal string, e.g. "0.29"',
+      'any.required': 'Amount is required'
+    }),
+    coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).default(suiService.usdcCoinType).messages({
+      'string.pattern.base': 'Coin type must look like 0x2::sui::SUI'
+    })
+  })).messages({
+    'array.min': 'At least one recipient is required',
+    'array.max': `A batch can pay at most ${MAX_BATCH_RECIPIENTS} recipients`,
+    'any.required': 'Recipients are required'
+  }),
+  sponsored: Joi.boolean()
 });
 
 const transactionSchema = Joi.object({
@@ -32,7 +106,7 @@ const transactionSchema = Joi.object({
  * POST /api/transfer/sui
  * Transfer SUI between accounts
  */
-router.post('/sui', async (req, res) => {
+router.post('/sui', idempotency, async (req, res) => {
   try {
     // Validate request
     const { error, value } = transferSchema.validate(req.body);
@@ -44,10 +118,11 @@ router.post('/sui', async (req, res) => {
       });
     }
 
-    const { fromPrivateKey, toAddress, amount } = value;
+    const { walletId, authToken, toAddress, amount, reference } = value;
     
     // Execute SUI transfer
-    const result = await suiService.transferSUI(fromPrivateKey, toAddress, amount);
+    const result = await suiService.transferSUI(walletId, authToken, toAddress, amount, { reference });
+    const invoice = await settleInvoice(reference, result.digest);
     
     res.json({
       success: true,
@@ -56,15 +131,17 @@ router.post('/sui', async (req, res) => {
         status: result.status,
         gasUsed: result.gasUsed,
         amount: amount,
+        amountBaseUnits: result.amount,
         recipient: toAddress,
         currency: 'SUI',
+        invoice,
         objectChanges: result.objectChanges
       },
       message: 'SUI transfer completed successfully'
     });
   } catch (error) {
     console.error('SUI transfer error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Transfer failed',
       message: error.message
@@ -76,7 +153,7 @@ router.post('/sui', async (req, res) => {
  * POST /api/transfer/usdc
  * Transfer USDC between accounts
  */
-router.post('/usdc', async (req, res) => {
+router.post('/usdc', idempotency, async (req, res) => {
   try {
     // Validate request
     const { error, value } = transferSchema.validate(req.body);
@@ -88,10 +165,11 @@ router.post('/usdc', async (req, res) => {
       });
     }
 
-    const { fromPrivateKey, toAddress, amount } = value;
+    const { walletId, authToken, toAddress, amount, reference } = value;
     
     // Execute transfer
-    const result = await suiService.transferUSDC(fromPrivateKey, toAddress, amount);
+    const result = await suiService.transferUSDC(walletId, authToken, toAddress, amount, { reference });
+    const invoice = await settleInvoice(reference, result.digest);
     
     res.json({
       success: true,
@@ -100,15 +178,17 @@ router.post('/usdc', async (req, res) => {
         status: result.status,
         gasUsed: result.gasUsed,
         amount: amount,
+        amountBaseUnits: result.amount,
         recipient: toAddress,
         sponsored: false,
+        invoice,
         objectChanges: result.objectChanges
       },
       message: 'USDC transfer completed successfully'
     });
   } catch (error) {
     console.error('USDC transfer error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Transfer failed',
       message: error.message
@@ -116,6 +196,145 @@ router.post('/usdc', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/transfer/coin
+ * Transfer any coin type between accounts, optionally with gas sponsorship
+ */
+router.post('/coin', idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = coinTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { walletId, authToken, toAddress, amount, coinType, sponsored, reference } = value;
+
+    // Execute transfer
+    const result = await suiService.transferCoin(walletId, authToken, toAddress, amount, coinType, { sponsored, reference });
+    const invoice = await settleInvoice(reference, result.digest);
+
+    res.json({
+      success: true,
+      data: {
+        transactionDigest: result.digest,
+        status: result.status,
+        gasUsed: result.gasUsed,
+        amount: amount,
+        amountBaseUnits: result.amount,
+        coinType: result.coinType,
+        currency: result.symbol,
+        recipient: toAddress,
+        sponsored: result.sponsored,
+        sponsor: result.sponsor,
+        invoice,
+        objectChanges: result.objectChanges
+      },
+      message: `${result.symbol} transfer completed successfully`
+    });
+  } catch (error) {
+    console.error('Coin transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Transfer failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfer/batch
+ * Pay many recipients (tips, refunds, payouts) in a single transaction.
+ * Sponsored by default when a gas sponsor account is configured.
+ */
+router.post('/batch', idempotency, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = batchTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { walletId, authToken, recipients, sponsored } = value;
+
+    // Execute batch transfer
+    const result = await suiService.batchTransfer(walletId, authToken, recipients, { sponsored });
+
+    res.json({
+      success: true,
+      data: {
+        transactionDigest: result.digest,
+        status: result.status,
+        gasUsed: result.gasUsed,
+        sponsored: result.sponsored,
+        sponsor: result.sponsor,
+        totals: result.totals,
+        results: result.results
+      },
+      message: `Batch transfer to ${result.results.length} recipients completed successfully`
+    });
+  } catch (error) {
+    console.error('Batch transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Batch transfer failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfer/estimate
+ * Dry-run a transfer and return the gas breakdown, balance changes and
+ * any failure reason without signing. No authorization token is needed.
+ */
+router.post('/estimate', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = estimateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const fromAddress = value.fromAddress || keystoreService.getWallet(value.walletId).address;
+
+    const estimate = await suiService.estimateTransfer({
+      fromAddress,
+      toAddress: value.toAddress,
+      amount: value.amount,
+      coinType: value.coinType || suiService.usdcCoinType,
+      sponsored: value.sponsored
+    });
+
+    res.json({
+      success: true,
+      data: estimate,
+      message: estimate.willSucceed
+        ? 'Transfer is expected to succeed'
+        : `Transfer is expected to fail: ${estimate.failureReason}`
+    });
+  } catch (error) {
+    console.error('Transfer estimate error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to estimate transfer',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/transfer/transaction
  * Get transaction details
@@ -150,4 +369,53 @@ router.post('/transaction', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transfer/confirmation/:digest
+ * Final on-chain status of a transaction submitted by this server
+ */
+router.get('/confirmation/:digest', async (req, res) => {
+  try {
+    const confirmation = confirmationService.getConfirmation(req.params.digest);
+    if (!confirmation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not tracked',
+        message: `No transaction ${req.params.digest} was submitted by this server`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: confirmation,
+      message: confirmation.status === 'pending' ? 'Transaction awaiting finality' : `Transaction ${confirmation.status}`
+    });
+  } catch (error) {
+    console.error('Get confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get confirmation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Settle the invoice a transfer paid. The transfer already happened, so a
+ * failure is reported alongside it rather than failing the request; the
+ * payer can retry via POST /api/invoices/payments.
+ */
+async function settleInvoice(reference, digest) {
+  if (!reference) {
+    return null;
+  }
+
+  try {
+    const invoice = await invoiceService.settleByReference(reference, digest);
+    return { invoiceId: invoice.invoiceId, status: invoice.status };
+  } catch (error) {
+    console.error('Invoice settlement error:', error.message);
+    return { reference, status: 'unsettled', error: error.message };
+  }
+}
+
 module.exports = router;
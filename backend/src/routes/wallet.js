@@ -1,6 +1,9 @@
 const express = require('express');
 const Joi = require('joi');
 const suiService = require('../services/suiService');
+const keystoreService = require('../services/keystoreService');
+const activityService = require('../services/activityService');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/money');
 
 const router = express.Router();
 
@@ -12,9 +15,53 @@ const addressSchema = Joi.object({
   })
 });
 
+const importSchema = Joi.object({
+  privateKey: Joi.string().required().messages({
+    'string.empty': 'Private key is required',
+    'any.required': 'Private key is required'
+  })
+});
+
+const consolidateSchema = Joi.object({
+  walletId: Joi.string().required().messages({
+    'string.empty': 'Wallet ID is required',
+    'any.required': 'Wallet ID is required'
+  }),
+  authToken: Joi.string().required().messages({
+    'string.empty': 'Wallet authorization token is required',
+    'any.required': 'Wallet authorization token is required'
+  }),
+  coinType: Joi.string().pattern(/^0x[a-fA-F0-9]+::\w+::\w+/).required().messages({
+    'string.empty': 'Coin type is required',
+    'string.pattern.base': 'Coin type must look like 0x2::sui::SUI',
+    'any.required': 'Coin type is required'
+  }),
+  dustThreshold: Joi.string().pattern(DECIMAL_AMOUNT_PATTERN).messages({
+    'string.pattern.base': 'Dust threshold must be a positive decimal string, e.g. "0.01"'
+  }),
+  sponsored: Joi.boolean().default(false)
+});
+
+const activitySchema = Joi.object({
+  address: Joi.string().pattern(/^0x[a-fA-F0-9]{1,64}$/).required().messages({
+    'string.pattern.base': 'Address must be a 0x-prefixed hex Sui address',
+    'any.required': 'Address is required'
+  }),
+  cursor: Joi.string(),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const walletAuthSchema = Joi.object({
+  authToken: Joi.string().required().messages({
+    'string.empty': 'Wallet authorization token is required',
+    'any.required': 'Wallet authorization token is required'
+  })
+});
+
 /**
  * POST /api/wallet/create
- * Create a new wallet
+ * Create a new custodial wallet in the keystore
+ * The authorization token is only returned once - store it client-side
  */
 router.post('/create', async (req, res) => {
   try {
@@ -23,15 +70,16 @@ router.post('/create', async (req, res) => {
     res.json({
       success: true,
       data: {
+        walletId: wallet.walletId,
         address: wallet.address,
-        privateKey: wallet.privateKey,
-        publicKey: wallet.publicKey
+        publicKey: wallet.publicKey,
+        authToken: wallet.authToken
       },
       message: 'Wallet created successfully'
     });
   } catch (error) {
     console.error('Create wallet error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create wallet',
       message: error.message
@@ -56,13 +104,13 @@ router.post('/balance', async (req, res) => {
     }
 
     const { address } = value;
-    const balance = await suiService.getBalance(address);
+    const balances = await suiService.getBalance(address);
     
     res.json({
       success: true,
       data: {
         address,
-        balances: balance
+        balances
       },
       message: 'Balance retrieved successfully'
     });
@@ -110,5 +158,211 @@ router.post('/faucet', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/wallet/consolidate
+ * Maintenance: merge a wallet's dust coins of one type into its largest coin
+ */
+router.post('/consolidate', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = consolidateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { walletId, authToken, coinType, dustThreshold, sponsored } = value;
+    const result = await suiService.consolidateCoins(walletId, authToken, coinType, { dustThreshold, sponsored });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.consolidated
+        ? `Merged ${result.mergedCoinCount} ${result.symbol} coins`
+        : result.message
+    });
+  } catch (error) {
+    console.error('Consolidate coins error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to consolidate coins',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wallet/:address/activity
+ * Paginated transaction history (sent and received), newest first
+ * Pass the returned nextCursor as ?cursor= to fetch the next page
+ */
+router.get('/:address/activity', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = activitySchema.validate({ ...req.query, address: req.params.address });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const { address, cursor, limit } = value;
+    const activity = await activityService.getActivity(address, { cursor, limit });
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        ...activity
+      },
+      message: `Retrieved ${activity.items.length} activity items`
+    });
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get wallet activity',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/import
+ * Import an existing private key into the keystore
+ */
+router.post('/import', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = importSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const wallet = keystoreService.importWallet(value.privateKey);
+
+    res.json({
+      success: true,
+      data: wallet,
+      message: 'Wallet imported successfully'
+    });
+  } catch (error) {
+    console.error('Import wallet error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to import wallet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/:walletId/export
+ * Export a wallet's private key (only when KEYSTORE_ALLOW_EXPORT=true)
+ */
+router.post('/:walletId/export', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = walletAuthSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const wallet = keystoreService.exportWallet(req.params.walletId, value.authToken);
+
+    res.json({
+      success: true,
+      data: wallet,
+      message: 'Wallet exported successfully'
+    });
+  } catch (error) {
+    console.error('Export wallet error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to export wallet',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet/:walletId/rotate
+ * Re-encrypt a wallet under a fresh data key and issue a new authorization token
+ */
+router.post('/:walletId/rotate', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = walletAuthSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const wallet = keystoreService.rotateWallet(req.params.walletId, value.authToken);
+
+    res.json({
+      success: true,
+      data: wallet,
+      message: 'Wallet key rotated successfully'
+    });
+  } catch (error) {
+    console.error('Rotate wallet error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to rotate wallet key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/wallet/:walletId
+ * Permanently delete a wallet from the keystore
+ */
+router.delete('/:walletId', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = walletAuthSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = keystoreService.deleteWallet(req.params.walletId, value.authToken);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Wallet deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete wallet error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to delete wallet',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,208 @@
+const express = require('express');
+const Joi = require('joi');
+const webhookService = require('../services/webhookService');
+const { requireMerchant } = require('../middleware/merchantAuth');
+
+const router = express.Router();
+
+// Every webhook route acts for the merchant whose X-Merchant-Key is sent
+router.use(requireMerchant);
+
+// Validation schemas
+const endpointSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https', 'http'] }).required().messages({
+    'string.empty': 'Webhook URL is required',
+    'string.uri': 'Webhook URL must be an http(s) URL',
+    'string.uriCustomScheme': 'Webhook URL must be an http(s) URL',
+    'any.required': 'Webhook URL is required'
+  }),
+  events: Joi.array().items(Joi.string().valid('*', ...webhookService.supportedEvents)).min(1).default(['*']).messages({
+    'any.only': `Events must be "*" or one of: ${webhookService.supportedEvents.join(', ')}`
+  }),
+  // A subset of the merchant's payout addresses; empty for all of them
+  addresses: Joi.array().items(Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/)).default([]).messages({
+    'string.pattern.base': 'Addresses must be full 0x-prefixed Sui addresses'
+  }),
+  description: Joi.string().max(200)
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook endpoint. The signing secret is only returned here
+ * and from the rotate-secret route - store it to verify X-PayWiser-Signature.
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = endpointSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    const endpoint = webhookService.registerEndpoint(req.merchant, value);
+
+    res.status(201).json({
+      success: true,
+      data: endpoint,
+      message: 'Webhook endpoint registered successfully'
+    });
+  } catch (error) {
+    console.error('Register webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to register webhook endpoint',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List the merchant's webhook endpoints
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = webhookService.listEndpoints(req.merchant);
+
+    res.json({
+      success: true,
+      data: {
+        endpoints,
+        count: endpoints.length,
+        supportedEvents: webhookService.supportedEvents
+      },
+      message: `Found ${endpoints.length} webhook endpoints`
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook endpoints',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/dead-letters
+ * The merchant's deliveries that failed every retry
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deadLetters = webhookService.listDeadLetters(req.merchant);
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+        count: deadLetters.length
+      },
+      message: `Found ${deadLetters.length} dead-lettered deliveries`
+    });
+  } catch (error) {
+    console.error('List dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list dead-lettered deliveries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/dead-letters/:deliveryId/redeliver
+ * Retry a dead-lettered delivery from scratch
+ */
+router.post('/dead-letters/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const result = webhookService.redeliver(req.merchant, req.params.deliveryId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Delivery requeued'
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to redeliver webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:endpointId
+ * Get one webhook endpoint
+ */
+router.get('/:endpointId', async (req, res) => {
+  try {
+    const endpoint = webhookService.getEndpoint(req.merchant, req.params.endpointId);
+
+    res.json({
+      success: true,
+      data: endpoint,
+      message: 'Webhook endpoint retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get webhook endpoint',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:endpointId/rotate-secret
+ * Replace an endpoint's signing secret
+ */
+router.post('/:endpointId/rotate-secret', async (req, res) => {
+  try {
+    const endpoint = webhookService.rotateSecret(req.merchant, req.params.endpointId);
+
+    res.json({
+      success: true,
+      data: endpoint,
+      message: 'Webhook signing secret rotated successfully'
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:endpointId
+ * Remove a webhook endpoint; pending retries to it are dropped
+ */
+router.delete('/:endpointId', async (req, res) => {
+  try {
+    const result = webhookService.deleteEndpoint(req.merchant, req.params.endpointId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to delete webhook endpoint',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
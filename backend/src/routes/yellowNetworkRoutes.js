@@ -3,6 +3,8 @@
 
 const express = require('express');
 const { getYellowNetworkService } = require('../services/yellowNetworkService');
+const { idempotency } = require('../middleware/idempotency');
+const paymentService = require('../services/paymentService');
 
 const router = express.Router();
 
@@ -194,7 +196,7 @@ router.get('/balances', requireYellowNetwork, async (req, res) => {
 });
 
 // Process biometric payment via Yellow Network
-router.post('/payment/biometric', requireYellowNetwork, async (req, res) => {
+router.post('/payment/biometric', idempotency, requireYellowNetwork, async (req, res) => {
   try {
     const {
       customerAddress,
@@ -240,9 +242,12 @@ router.post('/payment/biometric', requireYellowNetwork, async (req, res) => {
 
     console.log('✅ Biometric payment processed successfully');
 
+    const paymentId = recordPayment('yellow.biometric', req.body, result);
+
     res.json({
       success: true,
       payment: {
+        paymentId,
         transactionId: result.transactionId,
         amount: parseFloat(amount),
         currency: 'USDC',
@@ -278,7 +283,7 @@ router.post('/payment/biometric', requireYellowNetwork, async (req, res) => {
 
 // Demo endpoint for testing without real authentication
 router.post('/payment/biometric-demo', (req, res) => {
-  const { customerAddress, merchantAddress, amount, biometricHash, merchantName = 'Unknown Merchant' } = req.body;
+  const { customerAddress, merchantAddress, amount, merchantName = 'Unknown Merchant' } = req.body;
   
   res.json({
     success: true,
@@ -474,8 +479,8 @@ router.get('/channel/verify', requireYellowNetwork, async (req, res) => {
 router.get('/sessions/active', requireYellowNetwork, (req, res) => {
   try {
     const service = req.yellowService;
-    const activeSessions = Array.from(service.appSessions.entries()).map(([sessionId, session]) => ({
-      sessionId,
+    const activeSessions = service.getAppSessions().map(session => ({
+      sessionId: session.sessionId,
       status: session.status,
       customerAddress: session.customerAddress,
       merchantAddress: session.merchantAddress,
@@ -499,7 +504,7 @@ router.get('/sessions/active', requireYellowNetwork, (req, res) => {
 });
 
 // Process real biometric payment using your channel
-router.post('/payment/biometric-real', requireYellowNetwork, async (req, res) => {
+router.post('/payment/biometric-real', idempotency, requireYellowNetwork, async (req, res) => {
   try {
     const {
       customerAddress,
@@ -548,9 +553,12 @@ router.post('/payment/biometric-real', requireYellowNetwork, async (req, res) =>
 
     console.log('REAL biometric payment processed successfully');
 
+    const paymentId = recordPayment('yellow.biometric-real', req.body, result);
+
     res.json({
       success: true,
       payment: {
+        paymentId,
         transactionId: result.transactionId,
         amount: parseFloat(amount),
         currency: 'USDC',
@@ -588,6 +596,28 @@ router.post('/payment/biometric-real', requireYellowNetwork, async (req, res) =>
   }
 });
 
+// Record a completed payment so it can be refunded later. The money has
+// already moved, so a recording failure is logged instead of failing the request.
+function recordPayment(source, body, result) {
+  try {
+    return paymentService.recordYellowPayment({
+      source,
+      customerAddress: body.customerAddress,
+      merchantAddress: body.merchantAddress,
+      amount: body.amount,
+      transactionId: result.transactionId,
+      merchantName: body.merchantName || 'Unknown Merchant',
+      metadata: {
+        stateChannelId: result.stateChannelId,
+        biometricHash: body.biometricHash
+      }
+    }).paymentId;
+  } catch (error) {
+    console.error('❌ Failed to record payment:', error.message);
+    return null;
+  }
+}
+
 // Error handling middleware
 router.use((error, req, res, next) => {
   console.error('Yellow Network API error:', error);
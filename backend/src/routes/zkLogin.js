@@ -0,0 +1,194 @@
+const express = require('express');
+const Joi = require('joi');
+const zkLoginService = require('../services/zkLoginService');
+
+const router = express.Router();
+
+// Validation schemas
+const nonceSchema = Joi.object({
+  ephemeralPublicKey: Joi.string().base64().required().messages({
+    'string.base64': 'Ephemeral public key must be base64 encoded',
+    'any.required': 'Ephemeral public key is required'
+  })
+});
+
+const jwtSchema = Joi.object({
+  jwt: Joi.string().pattern(/^[\w-]+\.[\w-]+\.[\w-]+$/).required().messages({
+    'string.pattern.base': 'JWT must be a compact-serialized token',
+    'any.required': 'JWT is required'
+  })
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  message: error.details[0].message
+});
+
+/**
+ * GET /api/zklogin/status
+ * Supported OpenID providers, prover and salt configuration
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    data: zkLoginService.getStatus(),
+    message: 'zkLogin status retrieved'
+  });
+});
+
+/**
+ * POST /api/zklogin/nonce
+ * Create the OAuth nonce for a client-generated ephemeral key pair
+ */
+router.post('/nonce', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = nonceSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const nonce = await zkLoginService.createNonce(value.ephemeralPublicKey);
+
+    res.json({
+      success: true,
+      data: nonce,
+      message: `Nonce created - ephemeral key valid through epoch ${nonce.maxEpoch}`
+    });
+  } catch (error) {
+    console.error('zkLogin nonce error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create nonce',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/zklogin/verify
+ * Verify a JWT against the provider's published keys
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = jwtSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { provider, claims } = await zkLoginService.verifyJwt(value.jwt);
+
+    res.json({
+      success: true,
+      data: {
+        provider,
+        iss: claims.iss,
+        aud: claims.aud,
+        sub: claims.sub,
+        email: claims.email || null,
+        nonce: claims.nonce || null,
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+      },
+      message: `JWT verified (${provider})`
+    });
+  } catch (error) {
+    console.error('zkLogin verify error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'JWT verification failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/zklogin/salt
+ * Get the user's salt; the same user always gets the same salt
+ */
+router.post('/salt', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = jwtSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const salt = await zkLoginService.getSalt(value.jwt);
+
+    res.json({
+      success: true,
+      data: salt,
+      message: 'Salt retrieved'
+    });
+  } catch (error) {
+    console.error('zkLogin salt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to get salt',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/zklogin/address
+ * Derive the user's zkLogin Sui address from a JWT
+ */
+router.post('/address', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = jwtSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const address = await zkLoginService.getAddress(value.jwt);
+
+    res.json({
+      success: true,
+      data: address,
+      message: 'zkLogin address derived'
+    });
+  } catch (error) {
+    console.error('zkLogin address error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to derive address',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/zklogin/proof
+ * Get the zero-knowledge proof for a JWT whose nonce came from /nonce.
+ * The client combines it with its ephemeral signature to sign transactions.
+ */
+router.post('/proof', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = jwtSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const proof = await zkLoginService.requestProof(value.jwt);
+
+    res.json({
+      success: true,
+      data: proof,
+      message: `Proof generated by ${proof.prover} prover`
+    });
+  } catch (error) {
+    console.error('zkLogin proof error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate proof',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -8,8 +8,15 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const walletRoutes = require('./routes/wallet');
+const multisigRoutes = require('./routes/multisig');
 const transferRoutes = require('./routes/transfer');
 const sponsorRoutes = require('./routes/sponsor');
+const paymentScheduleRoutes = require('./routes/paymentSchedules');
+const paymentAuthorizationRoutes = require('./routes/paymentAuthorizations');
+const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const webhookRoutes = require('./routes/webhooks');
+const zkLoginRoutes = require('./routes/zkLogin');
 const faceEnrollmentRoutes = require('./routes/faceEnrollment');
 const sealRoutes = require('./routes/seal');
 const yellowNetworkRoutes = require('./routes/yellowNetworkRoutes');
@@ -20,6 +27,9 @@ const { initializeYellowNetwork } = require('./services/yellowNetworkService');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Amounts are carried as BigInt base units; serialize them as strings
+app.set('json replacer', (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -37,9 +47,16 @@ initializeYellowNetwork()
   });
 
 // Routes
+app.use('/api/wallet/multisig', multisigRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/transfer', transferRoutes);
 app.use('/api/sponsor', sponsorRoutes);
+app.use('/api/payments/schedules', paymentScheduleRoutes);
+app.use('/api/payments/authorizations', paymentAuthorizationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/zklogin', zkLoginRoutes);
 app.use('/api/face', faceEnrollmentRoutes);
 app.use('/api/seal', sealRoutes);
 app.use('/api/yellow', yellowNetworkRoutes);
@@ -0,0 +1,256 @@
+/**
+ * Wallet Activity Service
+ * Builds a paginated activity feed for an address from queryTransactionBlocks.
+ * Fullnodes only filter by sender (FromAddress) or recipient (ToAddress), so
+ * both streams are queried and merged newest-first into PayWiser activity items.
+ */
+
+const { bcs } = require('@mysten/sui/bcs');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
+const suiService = require('./suiService');
+const { formatAmount, toBigInt } = require('../utils/money');
+
+const DEFAULT_PAGE_SIZE = 20;
+const ACTIVITY_STREAMS = {
+  from: address => ({ FromAddress: address }),
+  to: address => ({ ToAddress: address })
+};
+
+class ActivityService {
+  /**
+   * Get one page of normalized wallet activity
+   * @param {string} address - Wallet address
+   * @param {Object} options - Pagination options
+   * @param {string} [options.cursor] - Opaque cursor from the previous page
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} - Activity items, nextCursor and hasNextPage
+   */
+  async getActivity(address, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+    try {
+      address = normalizeSuiAddress(address);
+      const state = decodeCursor(cursor);
+
+      const pages = {};
+      await Promise.all(Object.keys(ACTIVITY_STREAMS).map(async (stream) => {
+        if (state[stream].done) {
+          pages[stream] = { data: [], hasNextPage: false };
+          return;
+        }
+
+        pages[stream] = await suiService.client.queryTransactionBlocks({
+          filter: ACTIVITY_STREAMS[stream](address),
+          cursor: state[stream].cursor,
+          limit,
+          order: 'descending',
+          options: {
+            showInput: true,
+            showEffects: true,
+            showBalanceChanges: true
+          }
+        });
+      }));
+
+      const { transactions, consumed } = mergeStreams(pages.from.data, pages.to.data, limit);
+
+      // Each stream resumes after the last item taken from it
+      const nextState = {};
+      Object.keys(ACTIVITY_STREAMS).forEach(stream => {
+        const page = pages[stream];
+        const taken = consumed[stream];
+        nextState[stream] = {
+          cursor: taken > 0 ? page.data[taken - 1].digest : state[stream].cursor,
+          done: state[stream].done || (taken === page.data.length && !page.hasNextPage)
+        };
+      });
+
+      const items = await Promise.all(transactions.map(tx => this.normalizeTransaction(tx, address)));
+      const hasNextPage = !(nextState.from.done && nextState.to.done);
+
+      return {
+        items,
+        nextCursor: hasNextPage ? encodeCursor(nextState) : null,
+        hasNextPage
+      };
+    } catch (error) {
+      console.error('❌ Failed to get wallet activity:', error);
+      const wrapped = new Error(`Failed to get wallet activity: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Normalize a transaction into a PayWiser activity item from one address's view
+   * @param {Object} tx - SuiTransactionBlockResponse with input, effects and balance changes
+   * @param {string} address - Address whose activity this is
+   * @returns {Promise<Object>} - Activity item
+   */
+  async normalizeTransaction(tx, address) {
+    const txData = tx.transaction?.data;
+    const sender = txData?.sender || null;
+    const gasOwner = txData?.gasData?.owner || sender;
+    const gas = await suiService.summarizeGas(tx.effects?.gasUsed, txData?.gasData);
+
+    const balanceChanges = (tx.balanceChanges || []).map(change => ({
+      owner: ownerAddress(change.owner),
+      coinType: change.coinType,
+      amount: toBigInt(change.amount)
+    }));
+
+    // Take gas back out of the gas payer's SUI change so only the transfer remains
+    const ownChanges = balanceChanges
+      .filter(change => change.owner === address)
+      .map(change => (
+        gas && gasOwner === address && change.coinType === suiService.suiCoinType
+          ? { ...change, amount: change.amount + gas.totalGasCost }
+          : change
+      ))
+      .filter(change => change.amount !== 0n);
+
+    // Prefer non-SUI movements (payments), then the largest movement
+    const primary = [...ownChanges].sort((a, b) => {
+      const aIsSui = a.coinType === suiService.suiCoinType;
+      const bIsSui = b.coinType === suiService.suiCoinType;
+      if (aIsSui !== bIsSui) return aIsSui ? 1 : -1;
+      return absolute(b.amount) > absolute(a.amount) ? 1 : -1;
+    })[0] || null;
+
+    let direction = 'self';
+    let counterparty = null;
+    if (primary && primary.amount < 0n) {
+      direction = 'outgoing';
+      counterparty = balanceChanges.find(change =>
+        change.coinType === primary.coinType && change.owner !== address && change.amount > 0n
+      )?.owner || null;
+    } else if (primary && primary.amount > 0n) {
+      direction = 'incoming';
+      counterparty = sender !== address ? sender : null;
+    }
+
+    const coin = primary ? await this.describeCoin(primary.coinType) : null;
+
+    return {
+      digest: tx.digest,
+      timestamp: tx.timestampMs ? new Date(Number(tx.timestampMs)).toISOString() : null,
+      checkpoint: tx.checkpoint || null,
+      status: tx.effects?.status?.status === 'success' ? 'success' : 'failed',
+      error: tx.effects?.status?.error || null,
+      direction,
+      sender,
+      counterparty,
+      coinType: primary?.coinType || null,
+      symbol: coin?.symbol || null,
+      amount: primary ? absolute(primary.amount) : 0n,
+      formatted: primary && coin?.decimals != null ? formatAmount(absolute(primary.amount), coin.decimals) : null,
+      gas,
+      gasPayer: gasOwner,
+      sponsored: !!sender && gasOwner !== sender,
+      references: pureStrings(txData?.transaction?.inputs),
+      balanceChanges
+    };
+  }
+
+  async describeCoin(coinType) {
+    try {
+      return await suiService.getCoinMetadata(coinType);
+    } catch (error) {
+      return { symbol: coinType.split('::').pop(), decimals: null };
+    }
+  }
+}
+
+/**
+ * Merge two newest-first transaction lists, preserving each list's own order
+ * and taking a transaction that appears in both (self-transfers) only once,
+ * even when tied timestamps put its two copies at different positions
+ */
+function mergeStreams(fromTxs, toTxs, limit) {
+  const transactions = [];
+  const seen = new Set();
+  const consumed = { from: 0, to: 0 };
+
+  while (transactions.length < limit && (consumed.from < fromTxs.length || consumed.to < toTxs.length)) {
+    const fromTx = fromTxs[consumed.from];
+    const toTx = toTxs[consumed.to];
+
+    let tx;
+    if (!toTx || (fromTx && Number(fromTx.timestampMs || 0) >= Number(toTx.timestampMs || 0))) {
+      tx = fromTx;
+      consumed.from++;
+    } else {
+      tx = toTx;
+      consumed.to++;
+    }
+
+    if (!seen.has(tx.digest)) {
+      seen.add(tx.digest);
+      transactions.push(tx);
+    }
+  }
+
+  // Copies already taken that wait at a stream's head would open the next page
+  while (fromTxs[consumed.from] && seen.has(fromTxs[consumed.from].digest)) {
+    consumed.from++;
+  }
+  while (toTxs[consumed.to] && seen.has(toTxs[consumed.to].digest)) {
+    consumed.to++;
+  }
+
+  return { transactions, consumed };
+}
+
+/**
+ * String values of a transaction's pure inputs, e.g. invoice references.
+ * Inputs no command uses come back as raw BCS bytes rather than typed values.
+ */
+function pureStrings(inputs = []) {
+  return inputs
+    .filter(input => input.type === 'pure')
+    .map(input => {
+      if (typeof input.value === 'string') {
+        return input.value;
+      }
+      try {
+        return Array.isArray(input.value) ? bcs.string().parse(Uint8Array.from(input.value)) : null;
+      } catch (error) {
+        return null; // Not a string
+      }
+    })
+    .filter(value => value !== null);
+}
+
+function ownerAddress(owner) {
+  if (typeof owner === 'string') return owner;
+  return owner?.AddressOwner || owner?.ObjectOwner || null;
+}
+
+function absolute(value) {
+  return value < 0n ? -value : value;
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return {
+      from: { cursor: null, done: false },
+      to: { cursor: null, done: false }
+    };
+  }
+
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!state.from || !state.to) {
+      throw new Error('missing stream state');
+    }
+    return state;
+  } catch (error) {
+    const cursorError = new Error(`Invalid activity cursor: ${error.message}`);
+    cursorError.statusCode = 400;
+    throw cursorError;
+  }
+}
+
+module.exports = new ActivityService();
@@ -0,0 +1,479 @@
+/**
+ * Payment Authorization Service
+ * Authorize now, capture the final amount later (hotel stays, fuel pumps).
+ *
+ * authorize locks the amount on one of two rails:
+ * - yellow: a Yellow Network app session from createBiometricPaymentSession
+ *   holds the customer's allocation until the session is closed
+ * - sui: the amount moves from the customer's keystore wallet into a
+ *   dedicated escrow wallet created for this authorization alone
+ * capture pays the merchant up to the authorized amount and returns the rest
+ * to the customer; void returns everything. Authorizations that are neither
+ * captured nor voided by their expiry are voided automatically.
+ *
+ * Authorizations are kept in the ledger; an escrow wallet's authorization
+ * token is stored with them, sealed with the keystore master key.
+ *
+ * Sui escrow legs are always gas-sponsored, since escrow wallets hold no SUI.
+ * Capture and void need the merchant's credentials: its API key, or for
+ * sui the keystore wallet at the merchant address.
+ */
+
+const crypto = require('crypto');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
+const suiService = require('./suiService');
+const keystoreService = require('./keystoreService');
+const paymentService = require('./paymentService');
+const { getYellowNetworkService } = require('./yellowNetworkService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { merchantOwnsAddress } = require('../config/merchantConfig');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { httpError, wrapError } = require('../utils/errors');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.AUTHORIZATION_TTL_SECONDS || String(24 * 60 * 60), 10);
+const SWEEP_INTERVAL_MS = parseInt(process.env.AUTHORIZATION_SWEEP_INTERVAL_MS || '30000', 10);
+const YELLOW_ASSET_DECIMALS = 6; // Yellow app sessions settle in usdc
+
+class AuthorizationService {
+  constructor() {
+    this.sweeping = false;
+    this.timer = null;
+
+    if (process.env.AUTHORIZATION_SWEEPER_ENABLED !== 'false') {
+      this.start();
+    }
+  }
+
+  /**
+   * Start the worker that releases expired authorizations
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.recoverInterrupted();
+    this.timer = setInterval(() => this.releaseExpired(), SWEEP_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fail authorizations whose escrow deposit a restart cut short. Their
+   * escrow may hold funds, which voiding returns to the customer.
+   */
+  recoverInterrupted() {
+    ledgerRepository.listAuthorizations({ status: 'authorizing' }).forEach(authorization => {
+      authorization.status = 'failed';
+      authorization.error = 'Interrupted by a restart while authorizing';
+      ledgerRepository.saveAuthorization(authorization);
+      console.error(`❌ Authorization ${authorization.authorizationId} was interrupted while authorizing; void it to release the escrow`);
+    });
+  }
+
+  /**
+   * Lock an amount for later capture
+   * @param {Object} params - Authorization parameters
+   * @param {string} params.rail - 'yellow' or 'sui'
+   * @param {string} params.amount - Decimal amount string to hold
+   * @param {string} params.merchantAddress - Merchant that captures
+   * @param {string} [params.customerAddress] - Customer address (yellow)
+   * @param {string} [params.walletId] - Customer keystore wallet (sui)
+   * @param {string} [params.authToken] - Authorization token for that wallet (sui)
+   * @param {string} [params.coinType] - Fully qualified coin type (sui)
+   * @param {number} [params.expiresInSeconds] - Hold duration before automatic void
+   * @param {string} [params.biometricHash] - Face match that approved the checkout
+   * @param {string} [params.memo] - Description, e.g. "Room 214, 2 nights"
+   * @returns {Promise<Object>} - Authorization
+   */
+  async authorize({ rail, amount, merchantAddress, customerAddress, walletId, authToken, coinType, expiresInSeconds = DEFAULT_TTL_SECONDS, biometricHash = null, memo = null }) {
+    const now = Date.now();
+    const authorization = {
+      authorizationId: crypto.randomUUID(),
+      rail,
+      status: 'authorizing',
+      merchantAddress,
+      customerAddress,
+      amount: null,
+      formatted: null,
+      coinType: rail === 'yellow' ? 'usdc' : coinType,
+      symbol: rail === 'yellow' ? 'USDC' : null,
+      decimals: YELLOW_ASSET_DECIMALS,
+      capturedAmount: null,
+      releasedAmount: null,
+      sessionId: null, // yellow
+      escrowAddress: null, // sui
+      escrowWalletId: null, // sui
+      authorizeDigest: null,
+      settleDigest: null,
+      paymentId: null, // Payment recorded on capture, for refunds
+      biometricHash,
+      memo,
+      error: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresInSeconds * 1000).toISOString(),
+      settledAt: null
+    };
+
+    if (rail === 'yellow') {
+      await this.authorizeOnYellow(authorization, amount);
+    } else {
+      await this.authorizeOnSui(authorization, { amount, walletId, authToken });
+    }
+
+    authorization.status = 'authorized';
+    ledgerRepository.saveAuthorization(authorization);
+
+    console.log(`🔒 Authorization ${authorization.authorizationId}: ${authorization.formatted} ${authorization.symbol} held on ${rail} until ${authorization.expiresAt}`);
+
+    return { ...authorization };
+  }
+
+  async authorizeOnYellow(authorization, amount) {
+    const yellowService = requireYellowService();
+    const amountInSmallestUnit = parseAmount(amount, YELLOW_ASSET_DECIMALS);
+
+    authorization.amount = amountInSmallestUnit;
+    authorization.formatted = formatAmount(amountInSmallestUnit, YELLOW_ASSET_DECIMALS);
+
+    try {
+      const session = await yellowService.createBiometricPaymentSession(
+        authorization.customerAddress,
+        authorization.merchantAddress,
+        authorization.formatted
+      );
+      authorization.sessionId = session.sessionId;
+    } catch (error) {
+      throw wrapError('Failed to authorize on Yellow Network', error, 502);
+    }
+  }
+
+  async authorizeOnSui(authorization, { amount, walletId, authToken }) {
+    const customer = keystoreService.authorize(walletId, authToken);
+    if (!suiService.gasSponsorKeypair) {
+      throw httpError('Sui authorizations need a gas sponsor account', 503);
+    }
+
+    const escrow = keystoreService.createWallet();
+    authorization.customerAddress = customer.address;
+    authorization.escrowAddress = escrow.address;
+    authorization.escrowWalletId = escrow.walletId;
+
+    // Stored before any funds move, so the escrow can be released after a restart
+    ledgerRepository.transaction(() => {
+      ledgerRepository.saveAuthorization(authorization);
+      ledgerRepository.setAuthorizationEscrowToken(
+        authorization.authorizationId,
+        keystoreService.sealSecret(authorization.authorizationId, escrow.authToken)
+      );
+    });
+
+    try {
+      const result = await suiService.transferCoin(walletId, authToken, escrow.address, amount, authorization.coinType, { sponsored: true });
+      if (result.status !== 'success') {
+        throw new Error(`Transaction ${result.digest} failed on chain`);
+      }
+
+      authorization.amount = result.amount;
+      authorization.formatted = formatAmount(result.amount, result.decimals);
+      authorization.symbol = result.symbol;
+      authorization.decimals = result.decimals;
+      authorization.authorizeDigest = result.digest;
+    } catch (error) {
+      await this.discardEscrow(authorization, error);
+      const kept = authorization.status === 'failed' ? ` (authorization ${authorization.authorizationId} kept; void it to release the escrow)` : '';
+      throw wrapError(`Failed to move funds into escrow${kept}`, error);
+    }
+  }
+
+  /**
+   * Clean up after a failed escrow deposit. If funds reached the escrow
+   * anyway (e.g. the transfer landed but its response was lost), the
+   * authorization is kept as failed so the escrow can still be released.
+   */
+  async discardEscrow(authorization, error) {
+    const { totalBalance } = await suiService.client.getBalance({
+      owner: authorization.escrowAddress,
+      coinType: authorization.coinType
+    }).catch(() => ({ totalBalance: null }));
+
+    if (totalBalance === '0') {
+      keystoreService.deleteWallet(authorization.escrowWalletId, this.escrowToken(authorization));
+      ledgerRepository.deleteAuthorization(authorization.authorizationId);
+      return;
+    }
+
+    authorization.status = 'failed';
+    authorization.error = error.message;
+    ledgerRepository.saveAuthorization(authorization);
+    console.error(`❌ Escrow ${authorization.escrowAddress} for authorization ${authorization.authorizationId} may hold funds; kept for release`);
+  }
+
+  /**
+   * Capture up to the authorized amount; the remainder returns to the customer
+   * @param {string} authorizationId - Authorization ID
+   * @param {string} [amount] - Decimal amount to capture (defaults to the full authorization)
+   * @param {Object} credentials - { merchant } authenticated by API key, or the merchant's { walletId, authToken } (sui)
+   * @returns {Promise<Object>} - Captured authorization
+   */
+  async capture(authorizationId, amount, credentials = {}) {
+    const authorization = this.getOpenAuthorization(authorizationId);
+    authorizeMerchant(authorization, credentials);
+
+    const captured = amount ? parseAmount(amount, authorization.decimals) : authorization.amount;
+    if (captured > authorization.amount) {
+      throw httpError(
+        `Capture of ${formatAmount(captured, authorization.decimals)} exceeds the authorized ${authorization.formatted} ${authorization.symbol}`,
+        400
+      );
+    }
+
+    return this.settle(authorization, captured, 'captured');
+  }
+
+  /**
+   * Release the whole authorization back to the customer
+   * @param {string} authorizationId - Authorization ID
+   * @param {Object} credentials - Merchant credentials, as for capture
+   * @returns {Promise<Object>} - Voided authorization
+   */
+  async void(authorizationId, credentials = {}) {
+    const authorization = this.requireAuthorization(authorizationId);
+    authorizeMerchant(authorization, credentials);
+    if (authorization.status === 'failed' && authorization.rail === 'sui') {
+      return this.releaseFailedEscrow(authorization);
+    }
+
+    this.getOpenAuthorization(authorizationId);
+    return this.settle(authorization, 0n, 'voided');
+  }
+
+  /**
+   * Return whatever a failed deposit left in escrow to the customer
+   */
+  async releaseFailedEscrow(authorization) {
+    const { totalBalance } = await suiService.client.getBalance({
+      owner: authorization.escrowAddress,
+      coinType: authorization.coinType
+    });
+
+    const metadata = await suiService.getCoinMetadata(authorization.coinType);
+    authorization.amount = BigInt(totalBalance);
+    authorization.formatted = formatAmount(authorization.amount, metadata.decimals);
+    authorization.symbol = metadata.symbol;
+    authorization.decimals = metadata.decimals;
+
+    if (authorization.amount === 0n) {
+      keystoreService.deleteWallet(authorization.escrowWalletId, this.escrowToken(authorization));
+      authorization.status = 'voided';
+      authorization.settledAt = new Date().toISOString();
+      ledgerRepository.transaction(() => {
+        ledgerRepository.saveAuthorization(authorization);
+        ledgerRepository.setAuthorizationEscrowToken(authorization.authorizationId, null);
+      });
+      return { ...authorization };
+    }
+
+    return this.settle(authorization, 0n, 'voided');
+  }
+
+  /**
+   * Close an authorization: captured to the merchant, the rest to the customer
+   */
+  async settle(authorization, captured, finalStatus) {
+    const released = authorization.amount - captured;
+    const previousStatus = authorization.status;
+    authorization.status = finalStatus === 'captured' ? 'capturing' : 'voiding';
+    ledgerRepository.saveAuthorization(authorization);
+
+    try {
+      if (authorization.rail === 'yellow') {
+        await requireYellowService().closeBiometricPaymentSession(
+          authorization.sessionId,
+          formatAmount(captured, authorization.decimals),
+          formatAmount(released, authorization.decimals)
+        );
+      } else {
+        await this.settleEscrow(authorization, captured, released);
+      }
+    } catch (error) {
+      authorization.status = previousStatus;
+      authorization.error = error.message;
+      ledgerRepository.saveAuthorization(authorization);
+      throw wrapError(`Failed to ${finalStatus === 'captured' ? 'capture' : 'void'} authorization`, error, 502);
+    }
+
+    // The funds have moved: close the authorization before anything else can fail
+    authorization.status = finalStatus;
+    authorization.capturedAmount = captured;
+    authorization.releasedAmount = released;
+    authorization.error = null;
+    authorization.settledAt = new Date().toISOString();
+    ledgerRepository.saveAuthorization(authorization);
+
+    if (captured > 0n) {
+      try {
+        const payment = paymentService.recordPayment({
+          rail: authorization.rail,
+          source: 'authorization.capture',
+          customerAddress: authorization.customerAddress,
+          merchantAddress: authorization.merchantAddress,
+          amount: captured,
+          decimals: authorization.decimals,
+          coinType: authorization.coinType,
+          symbol: authorization.symbol,
+          transactionId: authorization.rail === 'yellow' ? authorization.sessionId : authorization.settleDigest,
+          metadata: { authorizationId: authorization.authorizationId, memo: authorization.memo }
+        });
+        authorization.paymentId = payment.paymentId;
+        ledgerRepository.saveAuthorization(authorization);
+      } catch (error) {
+        console.error(`❌ Failed to record payment for authorization ${authorization.authorizationId}:`, error.message);
+      }
+    }
+
+    console.log(`🔓 Authorization ${authorization.authorizationId} ${finalStatus}: ${formatAmount(captured, authorization.decimals)} captured, ${formatAmount(released, authorization.decimals)} released`);
+
+    return { ...authorization };
+  }
+
+  async settleEscrow(authorization, captured, released) {
+    const recipients = [
+      { toAddress: authorization.merchantAddress, amount: captured },
+      { toAddress: authorization.customerAddress, amount: released }
+    ]
+      .filter(recipient => recipient.amount > 0n)
+      .map(recipient => ({
+        toAddress: recipient.toAddress,
+        amount: formatAmount(recipient.amount, authorization.decimals),
+        coinType: authorization.coinType
+      }));
+
+    const escrowToken = this.escrowToken(authorization);
+    const result = await suiService.batchTransfer(authorization.escrowWalletId, escrowToken, recipients, { sponsored: true });
+    if (result.status !== 'success') {
+      throw new Error(`Transaction ${result.digest} failed on chain`);
+    }
+
+    authorization.settleDigest = result.digest;
+
+    // The escrow wallet is empty now and never used again
+    keystoreService.deleteWallet(authorization.escrowWalletId, escrowToken);
+    ledgerRepository.setAuthorizationEscrowToken(authorization.authorizationId, null);
+  }
+
+  /**
+   * Unseal the authorization token of an authorization's escrow wallet
+   */
+  escrowToken(authorization) {
+    const sealed = ledgerRepository.getAuthorizationEscrowToken(authorization.authorizationId);
+    return sealed ? keystoreService.openSecret(authorization.authorizationId, sealed) : null;
+  }
+
+  /**
+   * Void every authorization past its expiry. A failed release stays
+   * authorized and is retried on the next sweep.
+   */
+  async releaseExpired() {
+    if (this.sweeping) {
+      return;
+    }
+    this.sweeping = true;
+
+    try {
+      const expired = ledgerRepository.listAuthorizations({
+        status: 'authorized',
+        expiredBefore: new Date().toISOString()
+      }).reverse();
+
+      for (const authorization of expired) {
+        try {
+          await this.settle(authorization, 0n, 'expired');
+        } catch (error) {
+          console.error(`❌ Failed to release expired authorization ${authorization.authorizationId}:`, error.message);
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  getAuthorization(authorizationId) {
+    return { ...this.requireAuthorization(authorizationId) };
+  }
+
+  /**
+   * List authorizations, optionally for one merchant and status
+   * @param {Object} filters - { merchantAddress, status }
+   * @returns {Array<Object>} - Authorizations, newest first
+   */
+  listAuthorizations({ merchantAddress, status } = {}) {
+    return ledgerRepository.listAuthorizations({ merchantAddress, status });
+  }
+
+  requireAuthorization(authorizationId) {
+    const authorization = ledgerRepository.getAuthorization(authorizationId);
+    if (!authorization) {
+      throw httpError(`Authorization ${authorizationId} not found`, 404);
+    }
+    return authorization;
+  }
+
+  getOpenAuthorization(authorizationId) {
+    const authorization = this.requireAuthorization(authorizationId);
+    if (authorization.status !== 'authorized') {
+      throw httpError(`Authorization is ${authorization.status}`, 409);
+    }
+    if (Date.parse(authorization.expiresAt) <= Date.now()) {
+      throw httpError('Authorization has expired and is being released', 409);
+    }
+    return authorization;
+  }
+}
+
+/**
+ * Check that the caller is the merchant an authorization pays
+ */
+function authorizeMerchant(authorization, { merchant = null, walletId, authToken }) {
+  if (merchant) {
+    if (!merchantOwnsAddress(merchant, authorization.merchantAddress)) {
+      throw httpError(`Merchant ${merchant.merchantId} is not the payee of this authorization`, 403);
+    }
+    return;
+  }
+
+  if (walletId && authorization.rail === 'sui') {
+    const wallet = keystoreService.authorize(walletId, authToken);
+    if (normalizeSuiAddress(wallet.address) !== normalizeSuiAddress(authorization.merchantAddress)) {
+      throw httpError('Wallet is not the merchant wallet of this authorization', 403);
+    }
+    return;
+  }
+
+  throw httpError(
+    authorization.rail === 'sui'
+      ? 'Merchant credentials required: X-Merchant-Key, or the merchant walletId and authToken'
+      : 'Merchant credentials required: X-Merchant-Key',
+    401
+  );
+}
+
+function requireYellowService() {
+  let yellowService;
+  try {
+    yellowService = getYellowNetworkService();
+  } catch (error) {
+    throw httpError(error.message, 503);
+  }
+
+  if (!yellowService.isAuthenticated) {
+    throw httpError('Yellow Network not authenticated', 503);
+  }
+  return yellowService;
+}
+
+module.exports = new AuthorizationService();
@@ -0,0 +1,119 @@
+/**
+ * Transaction Confirmation Service
+ * Follows every digest suiService submits until it is final on chain,
+ * records the outcome and notifies registered webhooks.
+ *
+ * executeTransactionBlock returns as soon as a fullnode accepts the
+ * transaction; waitForTransaction polls until the transaction can be read
+ * back with its effects, which is the status recorded here.
+ */
+
+const webhookService = require('./webhookService');
+
+const WAIT_TIMEOUT_MS = parseInt(process.env.CONFIRMATION_TIMEOUT_MS || '60000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS || '2000', 10);
+const MAX_WAITS = parseInt(process.env.CONFIRMATION_MAX_WAITS || '3', 10);
+const MAX_TRACKED_TRANSACTIONS = 10000;
+
+class ConfirmationService {
+  constructor() {
+    this.transactions = new Map(); // digest -> confirmation record, oldest first
+  }
+
+  /**
+   * Start tracking a submitted transaction. Returns immediately; the
+   * confirmation runs in the background.
+   * @param {SuiClient} client - Client the transaction was submitted through
+   * @param {string} digest - Transaction digest
+   * @param {Object} context - What was submitted (sender, sponsored, ...)
+   * @returns {Object} - The pending confirmation record
+   */
+  track(client, digest, context = {}) {
+    if (this.transactions.has(digest)) {
+      return this.transactions.get(digest);
+    }
+
+    const record = {
+      digest,
+      status: 'pending',
+      submittedAt: new Date().toISOString(),
+      confirmedAt: null,
+      checkpoint: null,
+      error: null,
+      gasUsed: null,
+      context
+    };
+
+    this.transactions.set(digest, record);
+    if (this.transactions.size > MAX_TRACKED_TRANSACTIONS) {
+      this.transactions.delete(this.transactions.keys().next().value);
+    }
+
+    this.waitForFinality(client, record);
+
+    return record;
+  }
+
+  /**
+   * Poll until the transaction is readable with effects, then record and announce it
+   * @param {SuiClient} client - Sui client
+   * @param {Object} record - Confirmation record
+   */
+  async waitForFinality(client, record) {
+    for (let wait = 1; wait <= MAX_WAITS; wait++) {
+      try {
+        const tx = await client.waitForTransaction({
+          digest: record.digest,
+          timeout: WAIT_TIMEOUT_MS,
+          pollInterval: POLL_INTERVAL_MS,
+          options: {
+            showEffects: true,
+            showBalanceChanges: true
+          }
+        });
+
+        const succeeded = tx.effects?.status?.status === 'success';
+        record.status = succeeded ? 'success' : 'failed';
+        record.error = tx.effects?.status?.error || null;
+        record.checkpoint = tx.checkpoint || null;
+        record.timestampMs = tx.timestampMs || null;
+        record.gasUsed = tx.effects?.gasUsed || null;
+        record.balanceChanges = tx.balanceChanges || [];
+        record.confirmedAt = new Date().toISOString();
+
+        console.log(`${succeeded ? '✅' : '❌'} Transaction ${record.digest} final: ${record.status}`);
+        this.notify(succeeded ? 'transaction.confirmed' : 'transaction.failed', record);
+        return;
+      } catch (error) {
+        console.warn(`⏳ Transaction ${record.digest} not final after wait ${wait}/${MAX_WAITS}: ${error.message}`);
+        record.error = error.message;
+      }
+    }
+
+    record.status = 'timeout';
+    record.confirmedAt = new Date().toISOString();
+    this.notify('transaction.timeout', record);
+  }
+
+  notify(type, record) {
+    const addresses = new Set([record.context.sender].filter(Boolean));
+    (record.balanceChanges || []).forEach(change => {
+      const owner = change.owner?.AddressOwner || change.owner?.ObjectOwner;
+      if (owner) addresses.add(owner);
+    });
+
+    webhookService.dispatch(type, { ...record }, Array.from(addresses));
+  }
+
+  /**
+   * Get the recorded confirmation for a digest
+   * @param {string} digest - Transaction digest
+   * @returns {Object|null} - Confirmation record, or null if not tracked
+   */
+  getConfirmation(digest) {
+    const record = this.transactions.get(digest);
+    return record ? { ...record } : null;
+  }
+}
+
+module.exports = new ConfirmationService();
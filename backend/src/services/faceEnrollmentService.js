@@ -1,35 +1,41 @@
-const fetch = require('node-fetch');
-const FormData = require('form-data');
+const crypto = require('crypto');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
 const walrusService = require('./walrusService');
-const mockFaceService = require('./mockFaceService');
+const keystoreService = require('./keystoreService');
+const ledgerRepository = require('../db/ledgerRepository');
+const faceProviderRegistry = require('./faceProviders/faceProviderRegistry');
+const { faceProviderConfig } = require('../config/faceProviderConfig');
+const { httpError } = require('../utils/errors');
 
 /**
- * Face Enrollment Service using Luxand Cloud API
- * Handles face enrollment, recognition, and enrollment status management
+ * Face Enrollment Service
+ * Handles face enrollment, recognition, and enrollment status management on
+ * the configured face providers (see config/faceProviderConfig.js)
+ *
+ * Who a person is (wallet, user, email) is kept in the ledger's face
+ * identities; providers only know a person by the opaque internal person ID.
  */
 class FaceEnrollmentService {
   constructor() {
-    this.apiToken = process.env.LUXAND_API_TOKEN || "6ba425b03f5041798c807fc4d8bfd4ac";
-    this.baseUrl = "https://api.luxand.cloud";
-    this.useMockService = false; // Flag to switch to mock service
-    
-    console.log('🎭 Face Enrollment Service initialized');
+    console.log(`🎭 Face Enrollment Service initialized (providers: ${faceProviderRegistry.providerNames().join(' -> ')})`);
   }
 
   /**
-   * Enable mock service for demo purposes
+   * Enable the mock provider for demo purposes
    */
   enableMockService() {
-    this.useMockService = true;
-    console.log('🎭 Face Enrollment Service: Mock service enabled');
+    faceProviderRegistry.useProviders(['mock']);
   }
 
   /**
-   * Disable mock service (use real Luxand API)
+   * Disable the mock provider (use the configured providers)
    */
   disableMockService() {
-    this.useMockService = false;
-    console.log('🎭 Face Enrollment Service: Mock service disabled');
+    faceProviderRegistry.useProviders(null);
+  }
+
+  get useMockService() {
+    return faceProviderRegistry.override?.includes('mock') || false;
   }
 
   /**
@@ -39,49 +45,27 @@ class FaceEnrollmentService {
    * @returns {Promise<Object>} - Enrollment status
    */
   async checkEnrollmentStatus(walletAddress, userName) {
-    // Use mock service if enabled
-    if (this.useMockService) {
-      console.log('🎭 Using mock service for enrollment check');
-      return await mockFaceService.checkEnrollment({ walletAddress, userName });
-    }
     try {
-      console.log(`🔍 Checking enrollment status for wallet: ${walletAddress} (REAL-TIME)`);
-      
-      // Always fetch fresh data from Luxand - no caching
-      const personsResponse = await fetch(`${this.baseUrl}/v2/person`, {
-        method: 'GET',
-        headers: {
-          'token': this.apiToken,
-          'Content-Type': 'application/json'
-        }
-      });
+      console.log(`🔍 Checking enrollment status for wallet: ${walletAddress}`);
 
-      if (!personsResponse.ok) {
-        throw new Error(`Luxand API error: ${personsResponse.status} ${personsResponse.statusText}`);
-      }
-
-      const personsData = await personsResponse.json();
-      console.log(`📋 Found ${personsData.length} persons in Luxand database`);
-
-      // Look for person with name format: walletAddress|userName
-      const expectedPersonName = `${walletAddress}|${userName}`;
-      const enrolledPerson = personsData.find(person => person.name === expectedPersonName);
+      const identity = ledgerRepository.getFaceIdentityByWallet(walletAddress);
 
       const enrollmentStatus = {
-        isEnrolled: !!enrolledPerson,
+        isEnrolled: !!identity,
         walletAddress,
         userName,
-        luxandUuid: enrolledPerson?.uuid || null,
-        luxandPersonName: expectedPersonName,
-        enrolledAt: enrolledPerson?.created || null,
+        personId: identity?.personId || null,
+        provider: identity?.provider || null,
+        providerPersonId: identity?.providerPersonId || null,
+        faceCount: identity?.faceCount || 0,
+        enrolledAt: identity?.enrolledAt || null,
         lastChecked: new Date().toISOString()
       };
 
-      console.log('✅ Real-time enrollment status:', {
+      console.log('✅ Enrollment status:', {
         walletAddress,
         isEnrolled: enrollmentStatus.isEnrolled,
-        luxandUuid: enrollmentStatus.luxandUuid,
-        expectedName: expectedPersonName
+        personId: enrollmentStatus.personId
       });
 
       return {
@@ -91,28 +75,6 @@ class FaceEnrollmentService {
 
     } catch (error) {
       console.error('❌ Failed to check enrollment status:', error);
-      
-      // Fallback to mock service if Luxand fails
-      if (error.message.includes('Trial is ended') || error.message.includes('401')) {
-        console.log('🎭 Luxand trial expired, falling back to mock service');
-        try {
-          const mockResult = await mockFaceService.checkEnrollment({ walletAddress, userName });
-          return {
-            success: true,
-            data: {
-              isEnrolled: mockResult.isEnrolled,
-              walletAddress,
-              userName,
-              luxandUuid: mockResult.faceId,
-              enrolledAt: mockResult.enrolledAt,
-              lastChecked: new Date().toISOString()
-            }
-          };
-        } catch (mockError) {
-          console.error('❌ Mock service also failed:', mockError);
-        }
-      }
-      
       return {
         success: false,
         error: error.message,
@@ -127,67 +89,103 @@ class FaceEnrollmentService {
   }
 
   /**
-   * Enroll a person's face using Luxand Cloud API
+   * Update the name and email stored with a wallet's face identity. The
+   * caller proves it controls the wallet with its keystore credentials.
+   * @param {string} walletAddress - Enrolled Sui wallet address
+   * @param {Object} profile - Profile update
+   * @param {string} profile.walletId - Keystore wallet ID of walletAddress
+   * @param {string} profile.authToken - Authorization token for the wallet
+   * @param {string} [profile.userName] - New user name
+   * @param {string} [profile.userEmail] - New user email
+   * @returns {Promise<Object>} - Updated identity
+   */
+  async updateProfile(walletAddress, { walletId, authToken, userName, userEmail }) {
+    try {
+      this.authorizeWallet(walletAddress, walletId, authToken);
+
+      const identity = ledgerRepository.getFaceIdentityByWallet(walletAddress);
+      if (!identity) {
+        throw httpError(`Wallet ${walletAddress} is not enrolled for face recognition`, 404);
+      }
+
+      const updatedAt = new Date().toISOString();
+      ledgerRepository.transaction(() => {
+        ledgerRepository.updateFaceIdentity(identity.personId, { userName, userEmail }, updatedAt);
+        ledgerRepository.recordAuditEvent('face_identity', identity.personId, 'identity.profile_updated', {
+          userName: userName || null,
+          userEmail: userEmail || null
+        }, updatedAt);
+      });
+
+      console.log(`✅ Profile updated for wallet: ${walletAddress}`);
+
+      return {
+        success: true,
+        data: ledgerRepository.getFaceIdentity(identity.personId)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to update profile:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode
+      };
+    }
+  }
+
+  /**
+   * Enroll a person's face with the primary face provider
    * @param {Object} enrollmentData - Enrollment data
    * @param {string} enrollmentData.walletAddress - Sui wallet address
    * @param {string} enrollmentData.userName - User's name from Google OAuth
    * @param {string} enrollmentData.userEmail - User's email from Google OAuth
-   * @param {Buffer} enrollmentData.photoBuffer - Photo buffer for face enrollment
-   * @param {string} enrollmentData.photoMimeType - Photo MIME type
+   * @param {Array<Object>} enrollmentData.photos - Photos of the face, e.g. several angles: [{ buffer, mimeType }]
    * @returns {Promise<Object>} - Enrollment result
    */
   async enrollFace(enrollmentData) {
     try {
-      const { walletAddress, userName, userEmail, photoBuffer, photoMimeType } = enrollmentData;
-      const personName = `${walletAddress}|${userName}`;
-      
-      console.log(`🎭 Starting face enrollment for: ${personName}`);
+      const { walletAddress, userName, userEmail, photos } = enrollmentData;
+
+      console.log(`🎭 Starting face enrollment for wallet: ${walletAddress}`);
 
       // First check if already enrolled
       const statusCheck = await this.checkEnrollmentStatus(walletAddress, userName);
       if (statusCheck.success && statusCheck.data.isEnrolled) {
         return {
           success: false,
-          error: 'Person already enrolled',
+          error: 'Person already enrolled; add photos with POST /api/face/person/:personId/faces',
           data: statusCheck.data
         };
       }
 
-      // Prepare form data for Luxand API
-      const formData = new FormData();
-      formData.append('name', personName);
-      formData.append('store', '1');
-      formData.append('collections', '');
-      formData.append('unique', '0');
-      formData.append('photos', photoBuffer, {
-        filename: 'enrollment_photo.jpg',
-        contentType: photoMimeType || 'image/jpeg'
-      });
-
-      // Call Luxand API to enroll person
-      const enrollResponse = await fetch(`${this.baseUrl}/v2/person`, {
-        method: 'POST',
-        headers: {
-          'token': this.apiToken,
-          ...formData.getHeaders()
-        },
-        body: formData
-      });
-
-      if (!enrollResponse.ok) {
-        const errorData = await enrollResponse.json().catch(() => ({}));
-        throw new Error(`Luxand enrollment failed: ${enrollResponse.status} ${errorData.message || enrollResponse.statusText}`);
-      }
+      const personId = crypto.randomUUID();
+      const { provider, result: person } = await faceProviderRegistry.run('enroll', p => p.enroll({
+        personName: personId,
+        photos
+      }));
 
-      const enrollResult = await enrollResponse.json();
-      
-      if (!enrollResult.uuid) {
-        throw new Error('Luxand API did not return UUID');
+      const identity = {
+        personId,
+        walletAddress,
+        userName,
+        userEmail,
+        provider,
+        providerPersonId: person.personId,
+        faceCount: photos.length,
+        enrolledAt: person.createdAt
+      };
+      try {
+        this.saveIdentity(identity);
+      } catch (error) {
+        // Most likely a concurrent enrollment of the same wallet won
+        await this.deleteProviderPerson(identity);
+        throw error;
       }
 
-      console.log(`✅ Face enrolled successfully in Luxand:`, {
-        uuid: enrollResult.uuid,
-        personName
+      console.log(`✅ Face enrolled successfully with ${provider}:`, {
+        personId,
+        providerPersonId: person.personId
       });
 
       // Prepare enrollment data for Walrus storage
@@ -195,8 +193,10 @@ class FaceEnrollmentService {
         walletAddress,
         userName,
         userEmail,
-        luxandUuid: enrollResult.uuid,
-        enrolledAt: new Date().toISOString(),
+        personId,
+        provider,
+        providerPersonId: person.personId,
+        enrolledAt: person.createdAt,
         isEnrolled: true
       };
 
@@ -212,8 +212,10 @@ class FaceEnrollmentService {
       return {
         success: true,
         data: {
-          luxandUuid: enrollResult.uuid,
-          luxandPersonName: personName,
+          personId,
+          provider,
+          providerPersonId: person.personId,
+          faceCount: photos.length,
           walletAddress,
           userName,
           userEmail,
@@ -239,148 +241,300 @@ class FaceEnrollmentService {
   }
 
   /**
-   * Recognize a face using Luxand Cloud API
+   * Recognize a face against the enrolled persons
    * @param {Buffer} photoBuffer - Photo buffer for recognition
    * @param {string} photoMimeType - Photo MIME type
+   * @param {Object} [options] - { merchantId } to use the merchant's face providers
    * @returns {Promise<Object>} - Recognition result
    */
-  async recognizeFace(photoBuffer, photoMimeType) {
+  async recognizeFace(photoBuffer, photoMimeType, { merchantId } = {}) {
     try {
       console.log('🔍 Starting face recognition...');
 
-      const formData = new FormData();
-      // Use "photo" (singular) as field name, matching the working HTML demo
-      formData.append('photo', photoBuffer, {
-        filename: 'recognition_photo.jpg',
-        contentType: photoMimeType || 'image/jpeg'
-      });
-      // Add collections parameter (empty string like in HTML demo)
-      formData.append('collections', '');
-
-      // Use the correct endpoint that works in HTML demo
-      const recognizeResponse = await fetch(`${this.baseUrl}/photo/search/v2`, {
-        method: 'POST',
-        headers: {
-          'token': this.apiToken,
-          ...formData.getHeaders()
-        },
-        body: formData
-      });
+      const { provider, result, failovers } = await faceProviderRegistry.run(
+        'recognize',
+        p => p.recognize({ buffer: photoBuffer, mimeType: photoMimeType }),
+        { merchantId }
+      );
+
+      // Only persons with a known identity count as recognized
+      const identified = result.matches
+        .map(match => ({ match, identity: ledgerRepository.getFaceIdentityByProviderPerson(provider, match.personId) }))
+        .filter(({ identity }) => identity);
+      const matches = identified.map(({ match, identity }) => ({
+        personId: identity.personId,
+        walletAddress: identity.walletAddress,
+        userName: identity.userName,
+        confidence: match.confidence
+      }));
+      const [bestMatch] = matches;
+
+      console.log(`✅ Face recognition completed with ${provider}: ${matches.length} match(es)`);
+
+      const templateEnriched = bestMatch
+        ? await this.enrichFromRecognition(identified[0].identity, { buffer: photoBuffer, mimeType: photoMimeType }, bestMatch.confidence)
+        : false;
 
-      if (!recognizeResponse.ok) {
-        const errorData = await recognizeResponse.json().catch(() => ({}));
-        throw new Error(`Luxand recognition failed: ${recognizeResponse.status} ${errorData.message || recognizeResponse.statusText}`);
-      }
+      return {
+        success: true,
+        data: {
+          recognized: !!bestMatch,
+          confidence: bestMatch?.confidence || 0,
+          provider,
+          personId: bestMatch?.personId || null,
+          walletAddress: bestMatch?.walletAddress || null,
+          userName: bestMatch?.userName || null,
+          recognizedAt: new Date().toISOString(),
+          templateEnriched,
+          failovers,
+          matches
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Face recognition failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: {
+          recognized: false,
+          provider: error.provider || null,
+          recognizedAt: new Date().toISOString()
+        }
+      };
+    }
+  }
 
-      const recognitionResult = await recognizeResponse.json();
-      
-      console.log('✅ Face recognition completed:', recognitionResult);
-
-      // Parse the person name to extract wallet address and user name
-      let walletAddress = null;
-      let userName = null;
-      
-      if (recognitionResult.length > 0 && recognitionResult[0].name) {
-        const [extractedWallet, extractedName] = recognitionResult[0].name.split('|');
-        walletAddress = extractedWallet;
-        userName = extractedName;
+  /**
+   * Verify that a photo shows the person enrolled for a claimed wallet (1:1)
+   *
+   * The result is "match" or "no_match" against the verification threshold
+   * for the person's provider, or "ambiguous" when a different enrolled
+   * person scores higher than the claimed one, whatever the claimed person's score.
+   * @param {string} walletAddress - Claimed wallet address
+   * @param {Buffer} photoBuffer - Photo buffer for verification
+   * @param {string} photoMimeType - Photo MIME type
+   * @param {Object} merchant - Authenticated merchant asking
+   * @returns {Promise<Object>} - Verification result
+   */
+  async verifyFace(walletAddress, photoBuffer, photoMimeType, merchant) {
+    try {
+      console.log(`🔍 Verifying face for wallet: ${walletAddress} (merchant ${merchant.merchantId})`);
+
+      const identity = ledgerRepository.getFaceIdentityByWallet(walletAddress);
+      if (!identity) {
+        throw httpError(`Wallet ${walletAddress} is not enrolled for face recognition`, 404);
       }
 
+      // The person only exists at the provider that enrolled them
+      const provider = faceProviderRegistry.get(identity.provider);
+      const photo = { buffer: photoBuffer, mimeType: photoMimeType };
+      const [verification, search] = await Promise.all([
+        provider.verify(identity.providerPersonId, photo),
+        provider.recognize(photo)
+      ]);
+
+      const threshold = this.verificationThreshold(provider, merchant);
+      const score = verification.confidence;
+
+      // Best-scoring other enrolled person, if they beat the claimed one
+      const competitor = search.matches
+        .filter(match => match.personId !== identity.providerPersonId && match.confidence > score)
+        .map(match => ({ match, other: ledgerRepository.getFaceIdentityByProviderPerson(identity.provider, match.personId) }))
+        .find(({ other }) => other);
+
+      const result = competitor ? 'ambiguous' : (score >= threshold ? 'match' : 'no_match');
+
+      const templateEnriched = result === 'match'
+        ? await this.enrichFromRecognition(identity, photo, score)
+        : false;
+
+      console.log(`✅ Face verification for ${walletAddress}: ${result} (score ${score.toFixed(3)}, threshold ${threshold})`);
+
       return {
         success: true,
         data: {
-          recognized: recognitionResult.length > 0,
-          confidence: recognitionResult[0]?.probability || 0, // Note: HTML demo uses "probability"
-          luxandUuid: recognitionResult[0]?.uuid || null,
-          luxandPersonName: recognitionResult[0]?.name || null,
+          result,
+          match: result === 'match',
+          score,
+          threshold,
           walletAddress,
-          userName,
-          recognizedAt: new Date().toISOString(),
-          rawResult: recognitionResult
+          personId: identity.personId,
+          provider: identity.provider,
+          competingMatch: competitor
+            ? {
+              personId: competitor.other.personId,
+              walletAddress: competitor.other.walletAddress,
+              score: competitor.match.confidence
+            }
+            : null,
+          templateEnriched,
+          verifiedAt: new Date().toISOString()
         }
       };
 
     } catch (error) {
-      console.error('❌ Face recognition failed:', error);
-      
-      // Fallback to mock service if Luxand fails
-      if (error.message.includes('Trial is ended') || error.message.includes('401')) {
-        console.log('🎭 Luxand trial expired, falling back to mock service for recognition');
-        try {
-          const mockResult = await mockFaceService.recognizeFace(photoBuffer.toString('base64'), {});
-          return {
-            success: true,
-            data: {
-              recognized: mockResult.success,
-              confidence: mockResult.confidence,
-              luxandUuid: mockResult.faceId,
-              luxandPersonName: mockResult.userInfo ? `${mockResult.userInfo.walletAddress}|${mockResult.userInfo.userName}` : null,
-              walletAddress: mockResult.userInfo?.walletAddress || null,
-              userName: mockResult.userInfo?.userName || null,
-              recognizedAt: new Date().toISOString()
-            }
-          };
-        } catch (mockError) {
-          console.error('❌ Mock service also failed:', mockError);
+      console.error('❌ Face verification failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode, // e.g. 503 when the provider is unavailable
+        data: {
+          result: null,
+          match: false,
+          walletAddress,
+          verifiedAt: new Date().toISOString()
         }
+      };
+    }
+  }
+
+  /**
+   * Add photos to an enrolled person's faces. Verification accepts any of
+   * them, so the caller proves it controls the person's wallet with its
+   * keystore credentials.
+   * @param {string} personId - Internal person ID
+   * @param {Array<Object>} photos - [{ buffer, mimeType }]
+   * @param {Object} credentials - { walletId, authToken } of the person's wallet
+   * @returns {Promise<Object>} - Result with the added faces
+   */
+  async addFaces(personId, photos, { walletId, authToken }) {
+    try {
+      console.log(`🎭 Adding ${photos.length} face(s) to person: ${personId}`);
+
+      const identity = ledgerRepository.getFaceIdentity(personId);
+      if (!identity) {
+        throw httpError(`Person ${personId} not found`, 404);
       }
-      
+      this.authorizeWallet(identity.walletAddress, walletId, authToken);
+
+      const { maxFacesPerPerson } = faceProviderConfig.enrollment;
+      const faces = await this.addProviderFaces(identity, photos, { maxFaces: maxFacesPerPerson, source: 'manual' });
+      if (!faces) {
+        throw httpError(`Person ${personId} has ${identity.faceCount} faces; at most ${maxFacesPerPerson} are allowed`, 409);
+      }
+
+      console.log(`✅ Added ${faces.length} face(s) to person ${personId}`);
+
+      return {
+        success: true,
+        data: {
+          personId,
+          provider: identity.provider,
+          addedFaces: faces,
+          faceCount: ledgerRepository.getFaceIdentity(personId).faceCount
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to add faces:', error);
       return {
         success: false,
         error: error.message,
+        statusCode: error.statusCode,
         data: {
-          recognized: false,
-          recognizedAt: new Date().toISOString()
+          personId
         }
       };
     }
   }
 
   /**
-   * Get all enrolled persons from Luxand database
+   * Score a 1:1 verification needs at a provider: the merchant's own
+   * threshold for it, else the configured one, else the provider's match
+   * threshold. Providers score on different scales, so there is no
+   * threshold across providers.
+   * @param {Object} provider - Face provider the person is enrolled with
+   * @param {Object} [merchant] - Merchant asking
+   * @returns {number} - Threshold in (0, 1]
+   */
+  verificationThreshold(provider, merchant) {
+    return merchant?.faceVerification?.matchThresholds?.[provider.name] ??
+      faceProviderConfig.verification.matchThresholds[provider.name] ??
+      provider.matchThreshold;
+  }
+
+  /**
+   * Check keystore credentials for the wallet a face identity belongs to
+   * @param {string} walletAddress - Wallet the identity is enrolled for
+   * @param {string} walletId - Keystore wallet ID
+   * @param {string} authToken - Authorization token for the wallet
+   */
+  authorizeWallet(walletAddress, walletId, authToken) {
+    const wallet = keystoreService.authorize(walletId, authToken);
+    if (normalizeSuiAddress(wallet.address) !== normalizeSuiAddress(walletAddress)) {
+      throw httpError(`Wallet ${walletId} is not ${walletAddress}`, 403);
+    }
+  }
+
+  /**
+   * Add a recognition or verification capture to the person's faces when it
+   * is confident, good enough and the person is below the enrichment cap.
+   * Enrichment never fails the recognition.
+   * @returns {Promise<boolean>} - Whether the capture was added
+   */
+  async enrichFromRecognition(identity, photo, confidence) {
+    const { enabled, minConfidence, minQuality, maxFaces } = faceProviderConfig.enrichment;
+    if (!enabled || confidence < minConfidence || identity.faceCount >= maxFaces) {
+      return false;
+    }
+
+    try {
+      const faces = await this.addProviderFaces(identity, [photo], { maxFaces, minQuality, source: 'recognition', confidence });
+      return !!faces;
+    } catch (error) {
+      console.warn(`⚠️ Template enrichment skipped for ${identity.personId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add faces at the person's provider within a face cap. Room is reserved
+   * before the provider call so concurrent additions cannot pass the cap.
+   * @returns {Promise<Array|null>} - Added faces, or null when the cap is reached
+   */
+  async addProviderFaces(identity, photos, { maxFaces, minQuality, source, confidence }) {
+    if (!ledgerRepository.reserveFaceIdentityFaces(identity.personId, photos.length, maxFaces, new Date().toISOString())) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await faceProviderRegistry.get(identity.provider).addFaces(identity.providerPersonId, photos, { minQuality });
+    } catch (error) {
+      ledgerRepository.releaseFaceIdentityFaces(identity.personId, photos.length);
+      throw error;
+    }
+
+    ledgerRepository.recordAuditEvent('face_identity', identity.personId, 'identity.faces_added', {
+      count: photos.length,
+      source,
+      confidence: confidence || null
+    });
+    return result.faces;
+  }
+
+  /**
+   * Get all enrolled persons
    * @returns {Promise<Object>} - List of enrolled persons
    */
   async getEnrolledPersons() {
     try {
       console.log('📋 Fetching all enrolled persons...');
 
-      const response = await fetch(`${this.baseUrl}/v2/person`, {
-        method: 'GET',
-        headers: {
-          'token': this.apiToken,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Luxand API error: ${response.status} ${response.statusText}`);
-      }
-
-      const persons = await response.json();
-      
-      // Filter and parse PayWiser enrolled persons
-      const payWiserPersons = persons
-        .filter(person => person.name && person.name.includes('|'))
-        .map(person => {
-          const [walletAddress, userName] = person.name.split('|');
-          return {
-            luxandUuid: person.uuid,
-            luxandPersonName: person.name,
-            walletAddress,
-            userName,
-            enrolledAt: person.created,
-            isEnrolled: true
-          };
-        });
+      const persons = ledgerRepository.listFaceIdentities().map(identity => ({
+        ...identity,
+        isEnrolled: true
+      }));
 
-      console.log(`✅ Found ${payWiserPersons.length} PayWiser enrolled persons`);
+      console.log(`✅ Found ${persons.length} PayWiser enrolled persons`);
 
       return {
         success: true,
         data: {
           totalPersons: persons.length,
-          payWiserPersons: payWiserPersons.length,
-          persons: payWiserPersons
+          payWiserPersons: persons.length,
+          persons
         }
       };
 
@@ -397,32 +551,43 @@ class FaceEnrollmentService {
   }
 
   /**
-   * Delete a person from Luxand database
-   * @param {string} luxandUuid - Luxand person UUID
+   * Delete a person from their face provider and forget their identity
+   * @param {string} personId - Internal person ID
    * @returns {Promise<Object>} - Deletion result
    */
-  async deletePerson(luxandUuid) {
+  async deletePerson(personId) {
     try {
-      console.log(`🗑️ Deleting person from Luxand: ${luxandUuid}`);
+      console.log(`🗑️ Deleting person: ${personId}`);
 
-      const response = await fetch(`${this.baseUrl}/v2/person/${luxandUuid}`, {
-        method: 'DELETE',
-        headers: {
-          'token': this.apiToken,
-          'Content-Type': 'application/json'
-        }
-      });
+      const identity = ledgerRepository.getFaceIdentity(personId);
+      if (!identity) {
+        throw new Error(`Person ${personId} not found`);
+      }
 
-      if (!response.ok) {
-        throw new Error(`Luxand deletion failed: ${response.status} ${response.statusText}`);
+      try {
+        await faceProviderRegistry.get(identity.provider).delete(identity.providerPersonId);
+      } catch (error) {
+        // Already gone from the provider; the identity can still go
+        if (error.kind !== 'not_found') {
+          throw error;
+        }
       }
 
-      console.log('✅ Person deleted from Luxand successfully');
+      ledgerRepository.transaction(() => {
+        ledgerRepository.deleteFaceIdentity(personId);
+        ledgerRepository.recordAuditEvent('face_identity', personId, 'identity.deleted', {
+          walletAddress: identity.walletAddress,
+          provider: identity.provider
+        });
+      });
+
+      console.log(`✅ Person deleted from ${identity.provider} successfully`);
 
       return {
         success: true,
         data: {
-          deletedUuid: luxandUuid,
+          provider: identity.provider,
+          deletedPersonId: personId,
           deletedAt: new Date().toISOString()
         }
       };
@@ -436,6 +601,62 @@ class FaceEnrollmentService {
     }
   }
 
+  /**
+   * Create identities for persons enrolled under the old
+   * "walletAddress|userName" names, e.g. existing Luxand persons. This lists
+   * every person at the provider, so it is a one-off migration step.
+   * @param {string} providerName - Provider to import from
+   * @returns {Promise<Object>} - { imported, skipped }
+   */
+  async importLegacyPersons(providerName) {
+    const provider = faceProviderRegistry.get(providerName);
+    const persons = await provider.list();
+    let imported = 0;
+    let skipped = 0;
+
+    for (const person of persons) {
+      const separator = person.personName ? person.personName.indexOf('|') : -1;
+      const walletAddress = separator > 0 ? person.personName.slice(0, separator) : null;
+      if (!walletAddress ||
+          ledgerRepository.getFaceIdentityByWallet(walletAddress) ||
+          ledgerRepository.getFaceIdentityByProviderPerson(provider.name, person.personId)) {
+        skipped++;
+        continue;
+      }
+
+      this.saveIdentity({
+        personId: crypto.randomUUID(),
+        walletAddress,
+        userName: person.personName.slice(separator + 1),
+        provider: provider.name,
+        providerPersonId: person.personId,
+        enrolledAt: person.createdAt || new Date().toISOString()
+      });
+      imported++;
+    }
+
+    console.log(`✅ Imported ${imported} ${provider.name} persons (${skipped} skipped)`);
+    return { imported, skipped };
+  }
+
+  saveIdentity(identity) {
+    ledgerRepository.transaction(() => {
+      ledgerRepository.insertFaceIdentity(identity);
+      ledgerRepository.recordAuditEvent('face_identity', identity.personId, 'identity.created', {
+        walletAddress: identity.walletAddress,
+        provider: identity.provider
+      });
+    });
+  }
+
+  async deleteProviderPerson(identity) {
+    try {
+      await faceProviderRegistry.get(identity.provider).delete(identity.providerPersonId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete ${identity.provider} person ${identity.providerPersonId}:`, error.message);
+    }
+  }
+
 }
 
 module.exports = new FaceEnrollmentService();
@@ -0,0 +1,125 @@
+/**
+ * Face Provider Interface
+ * Every face-recognition backend (Luxand, Google Vision, local model, mock)
+ * is wrapped in a FaceProvider so callers never depend on one vendor:
+ *
+ *   enroll({ personName, photos: [{ buffer, mimeType }] })
+ *     -> { personId, personName, faces: [{ faceId, quality, confidence }], createdAt }
+ *   addFaces(personId, photos, { minQuality })   more photos of an enrolled person
+ *     -> { personId, faces: [{ faceId, quality, confidence }] }
+ *   recognize(photo)          1:N search
+ *     -> { matches: [{ personId, personName, confidence }] }, best first
+ *   verify(personId, photo)   1:1 check against one person
+ *     -> { personId, match, confidence }
+ *   list()                    -> [{ personId, personName, faceCount, createdAt }]
+ *   delete(personId)          -> { personId, deleted: true }
+ *   health()                  -> { provider, healthy, message }
+ *
+ * Face quality is one of QUALITY_GRADES (config/faceProviderConfig.js), or null when the provider does not
+ * grade faces; a photo below minQuality is rejected as invalid_input.
+ *
+ * Failures are thrown as faceProviderError(message, kind), where kind tells
+ * the registry's failover policy what went wrong without reading the text:
+ * - unauthorized: credentials rejected or expired
+ * - quota_exceeded: plan or rate limit used up
+ * - unavailable: network error, timeout, 5xx, or the provider is not set up
+ * - invalid_input: no usable face in the photo, bad image
+ * - not_found: unknown person
+ * - unsupported: the provider cannot do this operation
+ */
+
+const { QUALITY_GRADES } = require('../../config/faceProviderConfig');
+
+const STATUS_BY_KIND = {
+  unauthorized: 502,
+  quota_exceeded: 503,
+  unavailable: 503,
+  invalid_input: 400,
+  not_found: 404,
+  unsupported: 501
+};
+
+class FaceProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async enroll() {
+    throw this.unsupported('enroll');
+  }
+
+  async addFaces() {
+    throw this.unsupported('addFaces');
+  }
+
+  async recognize() {
+    throw this.unsupported('recognize');
+  }
+
+  async verify() {
+    throw this.unsupported('verify');
+  }
+
+  async list() {
+    throw this.unsupported('list');
+  }
+
+  async delete() {
+    throw this.unsupported('delete');
+  }
+
+  async health() {
+    return { provider: this.name, healthy: true, message: 'No health check' };
+  }
+
+  unsupported(operation) {
+    return faceProviderError(`Face provider ${this.name} does not support ${operation}`, 'unsupported');
+  }
+}
+
+/**
+ * Create a face provider error
+ * @param {string} message - Error message
+ * @param {string} kind - Failure kind (see above)
+ * @param {number} [statusCode] - HTTP status for API responses, default by kind
+ * @returns {Error}
+ */
+function faceProviderError(message, kind, statusCode = STATUS_BY_KIND[kind] || 500) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Map an HTTP status from a provider's API to a failure kind
+ * @param {number} status - HTTP status
+ * @returns {string} - Failure kind
+ */
+function kindFromHttpStatus(status) {
+  if (status === 401 || status === 403) return 'unauthorized';
+  if (status === 402 || status === 429) return 'quota_exceeded';
+  if (status === 404) return 'not_found';
+  if (status >= 500) return 'unavailable';
+  return 'invalid_input';
+}
+
+/**
+ * Whether a face's quality grade reaches a minimum; ungraded faces pass
+ * @param {string|null} quality - Face quality
+ * @param {string} [minQuality] - Minimum grade
+ * @returns {boolean}
+ */
+function meetsQuality(quality, minQuality) {
+  if (!minQuality || quality === null || quality === undefined) {
+    return true;
+  }
+  return QUALITY_GRADES.indexOf(quality) >= QUALITY_GRADES.indexOf(minQuality);
+}
+
+module.exports = {
+  FaceProvider,
+  faceProviderError,
+  kindFromHttpStatus,
+  meetsQuality
+};
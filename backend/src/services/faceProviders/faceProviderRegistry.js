@@ -0,0 +1,133 @@
+/**
+ * Face Provider Registry
+ * Creates face providers by name and runs operations on them in order.
+ *
+ * The order comes from, first match wins: a runtime override (demo mode),
+ * the merchant's faceProviders, then FACE_PROVIDERS. An operation fails over
+ * to the next provider only when the failover policy in faceProviderConfig
+ * allows that operation and the error's kind; every other error is returned
+ * as is.
+ */
+
+const { faceProviderConfig, validateFaceProviderConfig } = require('../../config/faceProviderConfig');
+const { getMerchant } = require('../../config/merchantConfig');
+const { faceProviderError } = require('./faceProvider');
+const { LuxandFaceProvider } = require('./luxandFaceProvider');
+const { GoogleVisionFaceProvider } = require('./googleVisionFaceProvider');
+const { LocalFaceProvider } = require('./localFaceProvider');
+const { OnnxFaceEmbedder } = require('./onnxFaceEmbedder');
+const { MockFaceProvider } = require('./mockFaceProvider');
+
+class FaceProviderRegistry {
+  constructor() {
+    validateFaceProviderConfig();
+
+    this.factories = new Map(); // name -> () => FaceProvider
+    this.instances = new Map(); // name -> FaceProvider, created on first use
+    this.override = null;
+
+    this.register('luxand', () => new LuxandFaceProvider(faceProviderConfig.luxand));
+    this.register('google_vision', () => new GoogleVisionFaceProvider(faceProviderConfig.googleVision));
+    this.register('local', () => new LocalFaceProvider({
+      matchThreshold: faceProviderConfig.local.matchThreshold,
+      embedder: new OnnxFaceEmbedder(faceProviderConfig.local)
+    }));
+    this.register('mock', () => new MockFaceProvider(faceProviderConfig.mock));
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {string} name - Provider name
+   * @param {Function} factory - Returns the FaceProvider
+   */
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+  }
+
+  get(name) {
+    if (!this.instances.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw faceProviderError(`Unknown face provider ${name}`, 'unsupported', 500);
+      }
+      this.instances.set(name, factory());
+    }
+    return this.instances.get(name);
+  }
+
+  /**
+   * Provider order for a request
+   * @param {Object} [options] - { merchantId }
+   * @returns {Array<string>} - Provider names, primary first
+   */
+  providerNames({ merchantId } = {}) {
+    if (this.override) {
+      return this.override;
+    }
+    const merchant = merchantId ? getMerchant(merchantId) : null;
+    return merchant?.faceProviders || faceProviderConfig.providers;
+  }
+
+  /**
+   * Force a provider order for every request, e.g. ['mock'] for demos;
+   * null goes back to the configuration
+   */
+  useProviders(names) {
+    names?.forEach(name => this.get(name));
+    this.override = names;
+    console.log(`🎭 Face providers: ${(names || faceProviderConfig.providers).join(' -> ')}${names ? ' (override)' : ''}`);
+  }
+
+  /**
+   * Run an operation on the first provider that completes it
+   * @param {string} operation - enroll, recognize, verify, list, delete
+   * @param {Function} fn - (provider) => Promise
+   * @param {Object} [options] - { merchantId } or an explicit { providers } order
+   * @returns {Promise<Object>} - { provider, result, failovers }
+   */
+  async run(operation, fn, { merchantId, providers } = {}) {
+    const names = providers || this.providerNames({ merchantId });
+    const failovers = [];
+
+    for (let i = 0; i < names.length; i++) {
+      const provider = this.get(names[i]);
+      try {
+        const result = await fn(provider);
+        return { provider: provider.name, result, failovers };
+      } catch (error) {
+        const next = names[i + 1];
+        if (!next || !this.shouldFailOver(operation, error)) {
+          error.provider = provider.name;
+          error.failovers = failovers;
+          throw error;
+        }
+
+        console.warn(`🎭 ${provider.name} ${operation} failed (${error.kind}): ${error.message} - failing over to ${next}`);
+        failovers.push({ provider: provider.name, kind: error.kind, message: error.message });
+      }
+    }
+  }
+
+  shouldFailOver(operation, error) {
+    const { on, operations } = faceProviderConfig.failover;
+    return operations.includes(operation) && on.includes(error.kind);
+  }
+
+  /**
+   * Health of the providers a request would use
+   * @param {Object} [options] - { merchantId }
+   * @returns {Promise<Array<Object>>} - One health report per provider, in order
+   */
+  async health(options) {
+    return Promise.all(this.providerNames(options).map(async name => {
+      try {
+        return await this.get(name).health();
+      } catch (error) {
+        return { provider: name, healthy: false, kind: error.kind, message: error.message };
+      }
+    }));
+  }
+}
+
+module.exports = new FaceProviderRegistry();
@@ -0,0 +1,65 @@
+/**
+ * Google Vision Face Provider
+ * Google Vision detects faces but does not identify them, so this provider
+ * keeps its own templates: Vision checks there is exactly one usable face,
+ * and the template is a fingerprint of the image, compared character by
+ * character. That is a simplified matcher, not real face recognition.
+ */
+
+const crypto = require('crypto');
+const googleVisionService = require('../googleVisionService');
+const { faceProviderError, kindFromHttpStatus } = require('./faceProvider');
+const { TemplateFaceProvider } = require('./templateFaceProvider');
+
+class GoogleVisionFaceProvider extends TemplateFaceProvider {
+  constructor({ matchThreshold }) {
+    super('google_vision', { matchThreshold });
+  }
+
+  async extractTemplate(photo) {
+    if (!googleVisionService.apiKey) {
+      throw faceProviderError('Google Vision API key not configured', 'unavailable');
+    }
+
+    let detection;
+    try {
+      detection = await googleVisionService.detectFaces(photo.buffer, photo.mimeType);
+    } catch (error) {
+      throw faceProviderError(error.message, error.httpStatus ? kindFromHttpStatus(error.httpStatus) : 'unavailable');
+    }
+
+    const grade = googleVisionService.gradeDetection(detection);
+    if (!grade.success) {
+      throw faceProviderError(grade.message, 'invalid_input');
+    }
+
+    return {
+      template: crypto.createHash('sha256').update(photo.buffer).digest('hex').substring(0, 32),
+      quality: grade.quality,
+      confidence: grade.confidence
+    };
+  }
+
+  compareTemplates(hash1, hash2) {
+    let matches = 0;
+    const minLength = Math.min(hash1.length, hash2.length);
+
+    for (let i = 0; i < minLength; i++) {
+      if (hash1[i] === hash2[i]) {
+        matches++;
+      }
+    }
+
+    return matches / minLength;
+  }
+
+  async health() {
+    return googleVisionService.apiKey
+      ? { provider: this.name, healthy: true, message: 'API key configured' }
+      : { provider: this.name, healthy: false, kind: 'unavailable', message: 'GOOGLE_VISION_API_KEY is not set' };
+  }
+}
+
+module.exports = {
+  GoogleVisionFaceProvider
+};
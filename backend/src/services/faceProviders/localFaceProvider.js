@@ -0,0 +1,70 @@
+/**
+ * Local Face Provider
+ * Matches faces on this server, with no third-party API or network: an
+ * embedder turns each photo into a face embedding, templates are the
+ * embeddings normalized by BiometricUtils.normalizeFaceEmbeddings
+ * ({ vector, dimension, magnitude, checksum }), and faces match by cosine
+ * similarity.
+ *
+ * An embedder implements embed(photo) -> { embedding: number[], quality, confidence }
+ * and health(); the registry gives this provider an OnnxFaceEmbedder.
+ */
+
+const { BiometricUtils } = require('../../utils/sealUtils');
+const { faceProviderError } = require('./faceProvider');
+const { TemplateFaceProvider } = require('./templateFaceProvider');
+
+const EMBEDDING_DIMENSIONS = [128, 512];
+
+class LocalFaceProvider extends TemplateFaceProvider {
+  constructor({ matchThreshold, embedder = null }) {
+    super('local', { matchThreshold });
+    this.embedder = embedder;
+  }
+
+  setEmbedder(embedder) {
+    this.embedder = embedder;
+  }
+
+  async extractTemplate(photo) {
+    if (!this.embedder) {
+      throw faceProviderError('No local face model is loaded', 'unavailable');
+    }
+
+    const { embedding, quality, confidence } = await this.embedder.embed(photo);
+    if (!EMBEDDING_DIMENSIONS.includes(embedding.length)) {
+      throw faceProviderError(
+        `Face model returned a ${embedding.length}-d embedding, expected ${EMBEDDING_DIMENSIONS.join(' or ')}`,
+        'unavailable'
+      );
+    }
+    if (!embedding.some(value => value !== 0)) {
+      throw faceProviderError('Face model returned an empty embedding', 'invalid_input');
+    }
+
+    return {
+      template: BiometricUtils.normalizeFaceEmbeddings(embedding),
+      quality,
+      confidence
+    };
+  }
+
+  compareTemplates(a, b) {
+    if (a.dimension !== b.dimension) {
+      return 0; // Embeddings from different models are not comparable
+    }
+    const cosine = a.vector.reduce((sum, value, i) => sum + value * b.vector[i], 0);
+    return Math.max(0, cosine);
+  }
+
+  async health() {
+    if (!this.embedder) {
+      return { provider: this.name, healthy: false, kind: 'unavailable', message: 'No local face model is loaded' };
+    }
+    return { provider: this.name, ...(await this.embedder.health()) };
+  }
+}
+
+module.exports = {
+  LocalFaceProvider
+};
@@ -0,0 +1,159 @@
+/**
+ * Luxand Face Provider
+ * Luxand Cloud keeps the person database and does the matching; persons are
+ * Luxand persons and personId is their uuid.
+ */
+
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const { FaceProvider, faceProviderError, kindFromHttpStatus } = require('./faceProvider');
+
+class LuxandFaceProvider extends FaceProvider {
+  constructor({ apiToken, baseUrl, timeoutMs, matchThreshold }) {
+    super('luxand');
+    this.apiToken = apiToken;
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.matchThreshold = matchThreshold;
+  }
+
+  async enroll({ personName, photos }) {
+    const formData = new FormData();
+    formData.append('name', personName);
+    formData.append('store', '1');
+    formData.append('collections', '');
+    formData.append('unique', '0');
+    appendPhotos(formData, photos, 'enrollment_photo');
+
+    const result = await this.request('POST', '/v2/person', formData);
+    if (!result.uuid) {
+      throw faceProviderError('Luxand API did not return UUID', 'unavailable');
+    }
+
+    return {
+      personId: result.uuid,
+      personName,
+      faces: toFaces(result.faces),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Luxand does not grade faces, so minQuality never rejects a photo here
+  async addFaces(personId, photos) {
+    const formData = new FormData();
+    formData.append('store', '1');
+    appendPhotos(formData, photos, 'added_photo');
+
+    const result = await this.request('POST', `/v2/person/${encodeURIComponent(personId)}`, formData);
+
+    return { personId, faces: toFaces(result.faces || result) };
+  }
+
+  async recognize(photo) {
+    const formData = new FormData();
+    // "photo" (singular) as field name, matching Luxand's search demo
+    formData.append('photo', photo.buffer, {
+      filename: 'recognition_photo.jpg',
+      contentType: photo.mimeType || 'image/jpeg'
+    });
+    formData.append('collections', '');
+
+    const candidates = await this.request('POST', '/photo/search/v2', formData);
+
+    return {
+      matches: candidates
+        .filter(candidate => candidate.probability >= this.matchThreshold)
+        .map(candidate => ({
+          personId: candidate.uuid,
+          personName: candidate.name,
+          confidence: candidate.probability
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+    };
+  }
+
+  async verify(personId, photo) {
+    const formData = new FormData();
+    formData.append('photo', photo.buffer, {
+      filename: 'verification_photo.jpg',
+      contentType: photo.mimeType || 'image/jpeg'
+    });
+
+    const result = await this.request('POST', `/photo/verify/${encodeURIComponent(personId)}`, formData);
+    const confidence = result.probability || 0;
+
+    return { personId, match: confidence >= this.matchThreshold, confidence };
+  }
+
+  async list() {
+    const persons = await this.request('GET', '/v2/person');
+
+    return persons.map(person => ({
+      personId: person.uuid,
+      personName: person.name,
+      faceCount: Array.isArray(person.faces) ? person.faces.length : null,
+      createdAt: person.created || null
+    }));
+  }
+
+  async delete(personId) {
+    await this.request('DELETE', `/v2/person/${encodeURIComponent(personId)}`);
+    return { personId, deleted: true };
+  }
+
+  async health() {
+    try {
+      await this.request('GET', '/v2/person');
+      return { provider: this.name, healthy: true, message: 'Luxand API reachable' };
+    } catch (error) {
+      return { provider: this.name, healthy: false, kind: error.kind, message: error.message };
+    }
+  }
+
+  /**
+   * Call the Luxand API, turning HTTP and network failures into face provider errors
+   */
+  async request(method, path, formData = null) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'token': this.apiToken,
+          ...(formData ? formData.getHeaders() : { 'Content-Type': 'application/json' })
+        },
+        body: formData || undefined,
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      throw faceProviderError(`Luxand request failed: ${error.message}`, 'unavailable');
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw faceProviderError(
+        `Luxand ${method} ${path} failed: ${response.status} ${errorData.message || response.statusText}`,
+        kindFromHttpStatus(response.status)
+      );
+    }
+
+    return response.json();
+  }
+}
+
+function appendPhotos(formData, photos, filenamePrefix) {
+  photos.forEach((photo, index) => {
+    formData.append('photos', photo.buffer, {
+      filename: `${filenamePrefix}_${index}.jpg`,
+      contentType: photo.mimeType || 'image/jpeg'
+    });
+  });
+}
+
+function toFaces(faces) {
+  return (Array.isArray(faces) ? faces : []).map(face => ({ faceId: face.uuid || face, quality: null, confidence: null }));
+}
+
+module.exports = {
+  LuxandFaceProvider
+};
@@ -0,0 +1,308 @@
+/**
+ * ONNX Face Embedder
+ * Turns a photo into a face embedding entirely on this server's CPU, for the
+ * local face provider. Two models are loaded from the model directory with
+ * onnxruntime-node, and images are decoded with sharp:
+ *
+ * - a detector in the SCRFD layout with keypoints (e.g. det_500m.onnx): a
+ *   square RGB input scaled to about [-1, 1], and score, box and 5-point
+ *   landmark outputs for strides 8, 16 and 32, in that order
+ * - an embedding model in the ArcFace layout (e.g. w600k_mbf.onnx): a square
+ *   RGB face scaled to [-1, 1], one 128- or 512-d embedding output
+ *
+ * The face is aligned as ArcFace models were trained: a similarity transform
+ * maps the detected eyes, nose and mouth corners onto the standard ArcFace
+ * landmark positions. Both models ship in InsightFace's buffalo_s pack; see
+ * scripts/fetch-face-models.js. Models are loaded on first use, so the server
+ * starts without them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { faceProviderError } = require('./faceProvider');
+
+const DETECTOR_STRIDES = [8, 16, 32];
+const DETECTOR_ANCHORS = 2; // Anchors per feature map location
+const NMS_IOU_THRESHOLD = 0.4;
+
+// Eyes, nose tip and mouth corners in a 112x112 ArcFace training image
+const ARCFACE_LANDMARKS = [
+  [38.2946, 51.6963],
+  [73.5318, 51.5014],
+  [56.0252, 71.7366],
+  [41.5493, 92.3655],
+  [70.7299, 92.2041]
+];
+
+class OnnxFaceEmbedder {
+  constructor({ modelDir, detectorModel, embeddingModel, detectorInputSize, embeddingInputSize, minDetectionScore }) {
+    this.detectorPath = path.resolve(modelDir, detectorModel);
+    this.embeddingPath = path.resolve(modelDir, embeddingModel);
+    this.detectorInputSize = detectorInputSize;
+    this.embeddingInputSize = embeddingInputSize;
+    this.minDetectionScore = minDetectionScore;
+    this.loading = null;
+  }
+
+  /**
+   * Embed the single face in a photo
+   * @param {Object} photo - { buffer, mimeType }
+   * @returns {Promise<Object>} - { embedding, quality, confidence }
+   */
+  async embed(photo) {
+    const { ort, sharp, detector, embedding } = await this.load();
+
+    let image;
+    try {
+      // Grayscale and CMYK images are converted so every pixel is three RGB bytes
+      image = await sharp(photo.buffer)
+        .rotate()
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      throw faceProviderError(`Could not decode image: ${error.message}`, 'invalid_input');
+    }
+    if (image.info.channels !== 3) {
+      throw faceProviderError(`Unsupported image: ${image.info.channels} channels after RGB conversion`, 'invalid_input');
+    }
+    const { width, height } = image.info;
+
+    // Detect on the image scaled to fit the square input, padded right and below
+    const inputSize = this.detectorInputSize;
+    const scale = Math.min(inputSize / width, inputSize / height);
+    const scaled = await sharp(image.data, { raw: { width, height, channels: 3 } })
+      .resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)), { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const detectorPixels = padImage(scaled.data, scaled.info.width, scaled.info.height, inputSize);
+    const detectorOutput = await detector.run({
+      [detector.inputNames[0]]: toTensor(ort, detectorPixels, inputSize, inputSize, 127.5, 128)
+    });
+    const faces = this.findFaces(detector.outputNames.map(name => detectorOutput[name].data), scale);
+
+    if (faces.length === 0) {
+      throw faceProviderError('No face detected in the image', 'invalid_input');
+    }
+    if (faces.length > 1) {
+      throw faceProviderError('Multiple faces detected. Please use an image with only one face.', 'invalid_input');
+    }
+
+    // Embed the aligned face
+    const [face] = faces;
+    const size = this.embeddingInputSize;
+    const template = ARCFACE_LANDMARKS.map(([x, y]) => [x * size / 112, y * size / 112]);
+    const facePixels = warpImage(image.data, width, height, estimateSimilarity(face.landmarks, template), size);
+    const embeddingOutput = await embedding.run({
+      [embedding.inputNames[0]]: toTensor(ort, facePixels, size, size, 127.5, 127.5)
+    });
+
+    return {
+      embedding: Array.from(embeddingOutput[embedding.outputNames[0]].data),
+      quality: gradeScore(face.score),
+      confidence: face.score
+    };
+  }
+
+  /**
+   * Faces above the detection threshold, after non-maximum suppression
+   * @param {Array<Float32Array>} outputs - Detector outputs: scores, boxes and
+   *   landmarks per stride, boxes and landmarks as distances from the anchor in strides
+   * @param {number} scale - Detector input pixels per image pixel
+   * @returns {Array<Object>} - { score, box, landmarks } in image pixels, best first
+   */
+  findFaces(outputs, scale) {
+    const candidates = [];
+    DETECTOR_STRIDES.forEach((stride, level) => {
+      const scores = outputs[level];
+      const boxes = outputs[level + DETECTOR_STRIDES.length];
+      const points = outputs[level + DETECTOR_STRIDES.length * 2];
+      const columns = Math.ceil(this.detectorInputSize / stride);
+
+      for (let i = 0; i < scores.length; i++) {
+        if (scores[i] < this.minDetectionScore) {
+          continue;
+        }
+        const location = Math.floor(i / DETECTOR_ANCHORS);
+        const anchorX = (location % columns) * stride;
+        const anchorY = Math.floor(location / columns) * stride;
+        const distance = (values, index) => values[i * values.length / scores.length + index] * stride;
+
+        candidates.push({
+          score: scores[i],
+          box: [
+            (anchorX - distance(boxes, 0)) / scale,
+            (anchorY - distance(boxes, 1)) / scale,
+            (anchorX + distance(boxes, 2)) / scale,
+            (anchorY + distance(boxes, 3)) / scale
+          ],
+          landmarks: ARCFACE_LANDMARKS.map((_, point) => [
+            (anchorX + distance(points, point * 2)) / scale,
+            (anchorY + distance(points, point * 2 + 1)) / scale
+          ])
+        });
+      }
+    });
+
+    const faces = [];
+    candidates.sort((a, b) => b.score - a.score).forEach(candidate => {
+      if (faces.every(face => iou(face.box, candidate.box) < NMS_IOU_THRESHOLD)) {
+        faces.push(candidate);
+      }
+    });
+    return faces;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.loadModels().catch(error => {
+        this.loading = null; // Retry on the next request, e.g. once the models are installed
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadModels() {
+    const missing = this.missingRequirements();
+    if (missing.length > 0) {
+      throw faceProviderError(`Local face model unavailable: missing ${missing.join(', ')}`, 'unavailable');
+    }
+
+    const ort = require('onnxruntime-node');
+    const sharp = require('sharp');
+    const [detector, embedding] = await Promise.all([
+      ort.InferenceSession.create(this.detectorPath),
+      ort.InferenceSession.create(this.embeddingPath)
+    ]);
+
+    console.log(`🧠 Local face models loaded: ${path.basename(this.detectorPath)}, ${path.basename(this.embeddingPath)}`);
+    return { ort, sharp, detector, embedding };
+  }
+
+  missingRequirements() {
+    const missing = ['onnxruntime-node', 'sharp'].filter(name => {
+      try {
+        require.resolve(name);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    return missing.concat([this.detectorPath, this.embeddingPath].filter(file => !fs.existsSync(file)));
+  }
+
+  async health() {
+    const missing = this.missingRequirements();
+    return missing.length === 0
+      ? { healthy: true, message: `Face models in ${path.dirname(this.embeddingPath)}` }
+      : { healthy: false, kind: 'unavailable', message: `Missing ${missing.join(', ')} (see scripts/fetch-face-models.js)` };
+  }
+}
+
+/**
+ * Interleaved RGB bytes to a normalized [1, 3, height, width] tensor
+ */
+function toTensor(ort, pixels, width, height, mean, std) {
+  const plane = width * height;
+  const data = new Float32Array(3 * plane);
+  for (let i = 0; i < plane; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      data[channel * plane + i] = (pixels[i * 3 + channel] - mean) / std;
+    }
+  }
+  return new ort.Tensor('float32', data, [1, 3, height, width]);
+}
+
+/**
+ * Interleaved RGB bytes on a black square canvas, at its top left
+ */
+function padImage(pixels, width, height, size) {
+  const canvas = Buffer.alloc(size * size * 3);
+  for (let row = 0; row < height; row++) {
+    pixels.copy(canvas, row * size * 3, row * width * 3, (row + 1) * width * 3);
+  }
+  return canvas;
+}
+
+/**
+ * Least-squares similarity transform (scale, rotation, translation) taking
+ * the from points onto the to points
+ * @returns {Array<number>} - [a, b, tx, ty] for x' = a x - b y + tx, y' = b x + a y + ty
+ */
+function estimateSimilarity(from, to) {
+  const mean = points => [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+  const [fromX, fromY] = mean(from);
+  const [toX, toY] = mean(to);
+
+  let dot = 0;
+  let cross = 0;
+  let norm = 0;
+  from.forEach(([x, y], i) => {
+    const [px, py] = [x - fromX, y - fromY];
+    const [qx, qy] = [to[i][0] - toX, to[i][1] - toY];
+    dot += px * qx + py * qy;
+    cross += px * qy - py * qx;
+    norm += px * px + py * py;
+  });
+
+  const a = dot / norm;
+  const b = cross / norm;
+  return [a, b, toX - (a * fromX - b * fromY), toY - (b * fromX + a * fromY)];
+}
+
+/**
+ * A size x size RGB image of the source under a similarity transform,
+ * sampled bilinearly; pixels from outside the source are black
+ */
+function warpImage(pixels, width, height, [a, b, tx, ty], size) {
+  // Inverse transform: from each output pixel back into the source
+  const det = a * a + b * b;
+  const output = Buffer.alloc(size * size * 3);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = x - tx;
+      const dy = y - ty;
+      const sourceX = (a * dx + b * dy) / det;
+      const sourceY = (a * dy - b * dx) / det;
+
+      const left = Math.floor(sourceX);
+      const top = Math.floor(sourceY);
+      if (left < 0 || top < 0 || left + 1 >= width || top + 1 >= height) {
+        continue;
+      }
+      const fx = sourceX - left;
+      const fy = sourceY - top;
+      for (let channel = 0; channel < 3; channel++) {
+        const at = (px, py) => pixels[(py * width + px) * 3 + channel];
+        output[(y * size + x) * 3 + channel] = Math.round(
+          at(left, top) * (1 - fx) * (1 - fy) + at(left + 1, top) * fx * (1 - fy) +
+          at(left, top + 1) * (1 - fx) * fy + at(left + 1, top + 1) * fx * fy
+        );
+      }
+    }
+  }
+  return output;
+}
+
+function iou(a, b) {
+  const overlapX = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]));
+  const overlapY = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+  const intersection = overlapX * overlapY;
+  const area = box => (box[2] - box[0]) * (box[3] - box[1]);
+  return intersection / (area(a) + area(b) - intersection);
+}
+
+// Same grades as Google Vision's detection confidence
+function gradeScore(score) {
+  if (score >= 0.8) return 'excellent';
+  if (score >= 0.6) return 'good';
+  if (score >= 0.4) return 'fair';
+  return 'poor';
+}
+
+module.exports = {
+  OnnxFaceEmbedder
+};
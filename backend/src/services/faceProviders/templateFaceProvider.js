@@ -0,0 +1,117 @@
+/**
+ * Template Face Provider
+ * Base for providers that match faces themselves rather than through a
+ * vendor's person database. Each enrolled photo is reduced to a template
+ * (a fingerprint, an embedding) kept in the ledger's face_templates table;
+ * recognition and verification compare a new photo's template against them,
+ * and a person with several photos scores as their best-matching one.
+ *
+ * Subclasses implement:
+ *   extractTemplate(photo) -> { template, quality, confidence }
+ *   compareTemplates(a, b) -> similarity in [0, 1]
+ */
+
+const crypto = require('crypto');
+const ledgerRepository = require('../../db/ledgerRepository');
+const { FaceProvider, faceProviderError, meetsQuality } = require('./faceProvider');
+
+class TemplateFaceProvider extends FaceProvider {
+  constructor(name, { matchThreshold }) {
+    super(name);
+    this.matchThreshold = matchThreshold;
+  }
+
+  async enroll({ personName, photos }) {
+    const personId = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const faces = await this.storeFaces(personId, personName, photos, 'fair', createdAt);
+
+    return { personId, personName, faces, createdAt };
+  }
+
+  async addFaces(personId, photos, { minQuality = 'fair' } = {}) {
+    const [existing] = ledgerRepository.listFaceTemplates(this.name, personId);
+    if (!existing) {
+      throw faceProviderError(`Person ${personId} is not enrolled with ${this.name}`, 'not_found');
+    }
+
+    const faces = await this.storeFaces(personId, existing.personName, photos, minQuality, new Date().toISOString());
+    return { personId, faces };
+  }
+
+  /**
+   * Extract every photo's template and store them together, or none if a
+   * photo is below minQuality
+   */
+  async storeFaces(personId, personName, photos, minQuality, createdAt) {
+    const faces = [];
+    for (const photo of photos) {
+      const face = await this.extractTemplate(photo);
+      if (!meetsQuality(face.quality, minQuality)) {
+        throw faceProviderError(
+          face.quality === 'poor'
+            ? 'Face quality is too poor for enrollment. Please use a clearer image.'
+            : `Face quality is ${face.quality}, at least ${minQuality} is required`,
+          'invalid_input'
+        );
+      }
+      faces.push({ faceId: crypto.randomUUID(), ...face });
+    }
+
+    ledgerRepository.transaction(() => {
+      faces.forEach(face => ledgerRepository.insertFaceTemplate({
+        ...face,
+        provider: this.name,
+        personId,
+        personName,
+        createdAt
+      }));
+    });
+
+    return faces.map(({ faceId, quality, confidence }) => ({ faceId, quality, confidence }));
+  }
+
+  async recognize(photo) {
+    const { template } = await this.extractTemplate(photo);
+
+    // A person scores as their best-matching face
+    const best = new Map(); // personId -> match
+    for (const face of ledgerRepository.listFaceTemplates(this.name)) {
+      const confidence = this.compareTemplates(template, face.template);
+      if (confidence >= this.matchThreshold && confidence > (best.get(face.personId)?.confidence || 0)) {
+        best.set(face.personId, { personId: face.personId, personName: face.personName, confidence });
+      }
+    }
+
+    return {
+      matches: Array.from(best.values()).sort((a, b) => b.confidence - a.confidence)
+    };
+  }
+
+  async verify(personId, photo) {
+    const faces = ledgerRepository.listFaceTemplates(this.name, personId);
+    if (faces.length === 0) {
+      throw faceProviderError(`Person ${personId} is not enrolled with ${this.name}`, 'not_found');
+    }
+
+    const { template } = await this.extractTemplate(photo);
+    const confidence = Math.max(...faces.map(face => this.compareTemplates(template, face.template)));
+
+    return { personId, match: confidence >= this.matchThreshold, confidence };
+  }
+
+  async list() {
+    return ledgerRepository.listFacePersons(this.name);
+  }
+
+  async delete(personId) {
+    if (ledgerRepository.deleteFacePerson(this.name, personId) === 0) {
+      throw faceProviderError(`Person ${personId} is not enrolled with ${this.name}`, 'not_found');
+    }
+    return { personId, deleted: true };
+  }
+}
+
+module.exports = {
+  TemplateFaceProvider
+};
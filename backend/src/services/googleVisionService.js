@@ -59,7 +59,9 @@ class GoogleVisionService {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Google Vision API error: ${response.status} ${errorData.error?.message || response.statusText}`);
+        const apiError = new Error(`Google Vision API error: ${response.status} ${errorData.error?.message || response.statusText}`);
+        apiError.httpStatus = response.status;
+        throw apiError;
       }
 
       const result = await response.json();
@@ -98,41 +100,7 @@ class GoogleVisionService {
   async assessFaceQuality(imageBuffer, mimeType = 'image/jpeg') {
     try {
       const detectionResult = await this.detectFaces(imageBuffer, mimeType);
-      
-      if (detectionResult.facesDetected === 0) {
-        return {
-          success: false,
-          hasFace: false,
-          quality: 'no_face',
-          message: 'No face detected in the image'
-        };
-      }
-
-      if (detectionResult.facesDetected > 1) {
-        return {
-          success: false,
-          hasFace: true,
-          quality: 'multiple_faces',
-          message: 'Multiple faces detected. Please use an image with only one face.'
-        };
-      }
-
-      const face = detectionResult.faces[0];
-      const confidence = face.confidence;
-
-      // Assess quality based on confidence
-      let quality = 'poor';
-      if (confidence >= 0.8) quality = 'excellent';
-      else if (confidence >= 0.6) quality = 'good';
-      else if (confidence >= 0.4) quality = 'fair';
-
-      return {
-        success: true,
-        hasFace: true,
-        quality: quality,
-        confidence: confidence,
-        message: `Face detected with ${quality} quality (confidence: ${(confidence * 100).toFixed(1)}%)`
-      };
+      return this.gradeDetection(detectionResult);
 
     } catch (error) {
       console.error('❌ Face quality assessment failed:', error);
@@ -145,6 +113,48 @@ class GoogleVisionService {
     }
   }
 
+  /**
+   * Grade a detection result: exactly one face, rated by detection confidence
+   * @param {Object} detectionResult - Result of detectFaces
+   * @returns {Object} - Face quality assessment
+   */
+  gradeDetection(detectionResult) {
+    if (detectionResult.facesDetected === 0) {
+      return {
+        success: false,
+        hasFace: false,
+        quality: 'no_face',
+        message: 'No face detected in the image'
+      };
+    }
+
+    if (detectionResult.facesDetected > 1) {
+      return {
+        success: false,
+        hasFace: true,
+        quality: 'multiple_faces',
+        message: 'Multiple faces detected. Please use an image with only one face.'
+      };
+    }
+
+    const face = detectionResult.faces[0];
+    const confidence = face.confidence;
+
+    // Assess quality based on confidence
+    let quality = 'poor';
+    if (confidence >= 0.8) quality = 'excellent';
+    else if (confidence >= 0.6) quality = 'good';
+    else if (confidence >= 0.4) quality = 'fair';
+
+    return {
+      success: true,
+      hasFace: true,
+      quality: quality,
+      confidence: confidence,
+      message: `Face detected with ${quality} quality (confidence: ${(confidence * 100).toFixed(1)}%)`
+    };
+  }
+
   /**
    * Generate a face hash for enrollment/recognition
    * This is a simplified approach - in production you'd use more sophisticated methods
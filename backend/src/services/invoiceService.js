@@ -0,0 +1,382 @@
+/**
+ * Invoice Service
+ * Payment requests a merchant creates before the customer pays.
+ *
+ * Every invoice gets a Sui payment URI (rendered as a QR code) of the form
+ *   sui:<merchantAddress>?amount=<decimal>&coinType=<type>&reference=<reference>&label=<label>&message=<memo>
+ * An invoice is marked paid in one of two ways:
+ * - by reference: the payer reports the invoice reference with the transaction
+ *   digest (directly, or through the transfer routes' `reference` field). As
+ *   with Solana Pay references, the transaction must carry the reference as a
+ *   pure string input, so a digest cannot be claimed for someone else's invoice
+ * - by watching: a worker scans the merchant's activity feed for an incoming
+ *   transfer of exactly the invoiced amount and coin, matching the oldest open
+ *   invoice first
+ * Either way the transaction must pay the merchant before the invoice expires.
+ *
+ * Invoices are kept in the ledger database, so they survive a restart.
+ * Merchants list and cancel only the invoices to their own addresses.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { normalizeSuiAddress, normalizeStructTag } = require('@mysten/sui/utils');
+const suiService = require('./suiService');
+const activityService = require('./activityService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { merchantOwnsAddress } = require('../config/merchantConfig');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { httpError, wrapError } = require('../utils/errors');
+
+const POLL_INTERVAL_MS = parseInt(process.env.INVOICE_POLL_INTERVAL_MS || '10000', 10);
+const DEFAULT_EXPIRY_SECONDS = parseInt(process.env.INVOICE_DEFAULT_EXPIRY_SECONDS || '900', 10); // 15 minutes
+const MAX_ACTIVITY_PAGES = 5; // Per merchant per poll
+const ACTIVITY_PAGE_SIZE = 50;
+const REFERENCE_WAIT_TIMEOUT_MS = 15000; // A just-submitted transaction may not be readable yet
+
+class InvoiceService {
+  constructor() {
+    this.polling = false;
+    this.timer = null;
+
+    if (process.env.INVOICE_WATCHER_ENABLED !== 'false') {
+      this.start();
+    }
+  }
+
+  /**
+   * Start the worker that watches merchant addresses for payments
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.pollPayments(), POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Create an invoice
+   * @param {Object} params - Invoice parameters
+   * @param {string} params.merchantAddress - Address that receives the payment
+   * @param {string} params.amount - Decimal amount string
+   * @param {string} params.coinType - Fully qualified coin type
+   * @param {string} [params.memo] - Shown to the payer
+   * @param {string} [params.label] - Merchant name shown to the payer
+   * @param {number} [params.expiresInSeconds] - Lifetime of the invoice
+   * @returns {Promise<Object>} - Invoice with its payment URI
+   */
+  async createInvoice({ merchantAddress, amount, coinType, memo = null, label = null, expiresInSeconds = DEFAULT_EXPIRY_SECONDS }) {
+    let metadata;
+    try {
+      metadata = await suiService.getCoinMetadata(coinType);
+    } catch (error) {
+      throw wrapError('Failed to create invoice', error);
+    }
+    const amountInSmallestUnit = parseAmount(amount, metadata.decimals);
+
+    const now = Date.now();
+    const invoice = {
+      invoiceId: crypto.randomUUID(),
+      reference: crypto.randomBytes(16).toString('base64url'),
+      status: 'open',
+      merchantAddress: normalizeSuiAddress(merchantAddress),
+      amount: amountInSmallestUnit,
+      formatted: formatAmount(amountInSmallestUnit, metadata.decimals),
+      coinType,
+      symbol: metadata.symbol,
+      decimals: metadata.decimals,
+      memo,
+      label,
+      paymentUri: null,
+      payment: null, // { digest, payer, amount, timestamp, matchedBy }
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresInSeconds * 1000).toISOString(),
+      paidAt: null
+    };
+    invoice.paymentUri = buildPaymentUri(invoice);
+
+    ledgerRepository.saveInvoice(invoice);
+
+    console.log(`🧾 Invoice ${invoice.invoiceId}: ${invoice.formatted} ${invoice.symbol} to ${invoice.merchantAddress}`);
+
+    return this.requireInvoice(invoice.invoiceId);
+  }
+
+  /**
+   * Render an invoice's payment URI as a QR code
+   * @param {string} invoiceId - Invoice ID
+   * @param {string} format - 'svg' or 'png'
+   * @returns {Promise<string|Buffer>} - SVG markup or PNG bytes
+   */
+  async renderQrCode(invoiceId, format = 'svg') {
+    const invoice = this.requireInvoice(invoiceId);
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+    return format === 'png'
+      ? QRCode.toBuffer(invoice.paymentUri, { ...options, type: 'png', width: 512 })
+      : QRCode.toString(invoice.paymentUri, { ...options, type: 'svg' });
+  }
+
+  getInvoice(invoiceId) {
+    this.expireStaleInvoices();
+    return this.requireInvoice(invoiceId);
+  }
+
+  /**
+   * List the invoices to a merchant's addresses
+   * @param {Object} merchant - Authenticated merchant
+   * @param {Object} filters - { merchantAddress, status }
+   * @returns {Array<Object>} - Invoices, newest first
+   */
+  listInvoices(merchant, { merchantAddress, status } = {}) {
+    this.expireStaleInvoices();
+
+    return ledgerRepository.listInvoices({
+      merchantAddress: merchantAddress ? normalizeSuiAddress(merchantAddress) : null,
+      status
+    }).filter(invoice => merchantOwnsAddress(merchant, invoice.merchantAddress));
+  }
+
+  /**
+   * Cancel an open invoice
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} merchant - Authenticated merchant; the invoice must pay one of its addresses
+   * @returns {Object} - Cancelled invoice
+   */
+  cancelInvoice(invoiceId, merchant) {
+    this.expireStaleInvoices();
+    const invoice = this.requireInvoice(invoiceId);
+    if (!merchantOwnsAddress(merchant, invoice.merchantAddress)) {
+      throw httpError(`Invoice ${invoiceId} is not payable to merchant ${merchant.merchantId}`, 403);
+    }
+    if (invoice.status !== 'open') {
+      throw httpError(`Invoice is ${invoice.status}`, 409);
+    }
+
+    invoice.status = 'cancelled';
+    ledgerRepository.saveInvoice(invoice);
+    return invoice;
+  }
+
+  /**
+   * Settle the invoice a reference belongs to with a reported transaction
+   * @param {string} reference - Invoice reference from the payment URI
+   * @param {string} digest - Digest of the transaction that paid it
+   * @returns {Promise<Object>} - Paid invoice
+   */
+  async settleByReference(reference, digest) {
+    this.expireStaleInvoices();
+    const invoice = ledgerRepository.getInvoiceByReference(reference);
+    if (!invoice) {
+      throw httpError(`No invoice has reference ${reference}`, 404);
+    }
+
+    if (invoice.status === 'paid' && invoice.payment.digest === digest) {
+      return invoice;
+    }
+    this.checkPayable(invoice, digest, 'reference');
+
+    let item;
+    try {
+      const tx = await suiService.client.waitForTransaction({
+        digest,
+        timeout: REFERENCE_WAIT_TIMEOUT_MS,
+        options: {
+          showInput: true,
+          showEffects: true,
+          showBalanceChanges: true
+        }
+      });
+      item = await activityService.normalizeTransaction(tx, invoice.merchantAddress);
+    } catch (error) {
+      throw httpError(`Failed to load transaction ${digest}: ${error.message}`, 400);
+    }
+
+    if (item.status !== 'success') {
+      throw httpError(`Transaction ${digest} failed on chain`, 400);
+    }
+    if (!item.references.includes(reference)) {
+      throw httpError(`Transaction ${digest} does not carry the invoice reference`, 400);
+    }
+
+    const received = receivedAmount(item, invoice);
+    if (received < invoice.amount) {
+      throw httpError(
+        `Transaction ${digest} paid ${formatAmount(received, invoice.decimals)} ${invoice.symbol} to the merchant, invoice is for ${invoice.formatted}`,
+        400
+      );
+    }
+    if (item.timestamp && Date.parse(item.timestamp) < Date.parse(invoice.createdAt)) {
+      throw httpError('Transaction predates the invoice', 409);
+    }
+    if (item.timestamp && Date.parse(item.timestamp) > Date.parse(invoice.expiresAt)) {
+      throw httpError('Transaction landed after the invoice expired', 409);
+    }
+
+    return this.markPaid(invoice.invoiceId, item, received, 'reference');
+  }
+
+  /**
+   * Scan the activity feed of every merchant with open invoices and settle
+   * invoices whose exact amount arrived
+   */
+  async pollPayments() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      this.expireStaleInvoices();
+      const openByMerchant = new Map();
+      ledgerRepository.listInvoices({ status: 'open' }).reverse().forEach(invoice => {
+        const open = openByMerchant.get(invoice.merchantAddress) || [];
+        open.push(invoice);
+        openByMerchant.set(invoice.merchantAddress, open);
+      });
+
+      for (const [merchantAddress, open] of openByMerchant) {
+        await this.matchIncomingPayments(merchantAddress, open);
+      }
+    } catch (error) {
+      console.error('❌ Invoice payment watcher failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Match a merchant's recent incoming transfers against its open invoices
+   * @param {string} merchantAddress - Merchant address
+   * @param {Array<Object>} open - Open invoices, oldest first
+   */
+  async matchIncomingPayments(merchantAddress, open) {
+    const since = Math.min(...open.map(invoice => Date.parse(invoice.createdAt)));
+    const incoming = [];
+
+    let cursor = null;
+    for (let page = 0; page < MAX_ACTIVITY_PAGES; page++) {
+      const activity = await activityService.getActivity(merchantAddress, { cursor, limit: ACTIVITY_PAGE_SIZE });
+      incoming.push(...activity.items.filter(item =>
+        item.status === 'success' && !ledgerRepository.getInvoiceByPaymentDigest(item.digest)
+      ));
+
+      const oldest = activity.items[activity.items.length - 1];
+      if (!activity.hasNextPage || !oldest || Date.parse(oldest.timestamp) < since) {
+        break;
+      }
+      cursor = activity.nextCursor;
+    }
+
+    // Oldest payments settle the oldest invoices first
+    incoming.reverse().forEach(item => {
+      const paidAt = item.timestamp ? Date.parse(item.timestamp) : Date.now();
+      const invoice = open.find(candidate =>
+        candidate.status === 'open' &&
+        receivedAmount(item, candidate) === candidate.amount &&
+        paidAt >= Date.parse(candidate.createdAt) &&
+        paidAt <= Date.parse(candidate.expiresAt)
+      );
+
+      if (!invoice) {
+        return;
+      }
+      try {
+        invoice.status = this.markPaid(invoice.invoiceId, item, invoice.amount, 'activity').status;
+      } catch (error) {
+        // Paid, cancelled or expired while the feed was loading
+        invoice.status = this.requireInvoice(invoice.invoiceId).status;
+        console.log(`🧾 Invoice ${invoice.invoiceId} not matched to ${item.digest}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Throw unless a transaction may still pay this invoice. Invoices paid by
+   * reference may have expired since: the transaction's time is checked instead.
+   */
+  checkPayable(invoice, digest, matchedBy) {
+    const payable = matchedBy === 'reference' ? ['open', 'expired'] : ['open'];
+    if (!payable.includes(invoice.status)) {
+      throw httpError(`Invoice is ${invoice.status}`, 409);
+    }
+
+    const settled = ledgerRepository.getInvoiceByPaymentDigest(digest);
+    if (settled) {
+      throw httpError(`Transaction ${digest} already paid invoice ${settled.invoiceId}`, 409);
+    }
+  }
+
+  /**
+   * Record the transaction that paid an invoice. Callers have awaited the
+   * chain, so the invoice is read and checked again first.
+   * @returns {Object} - Paid invoice
+   */
+  markPaid(invoiceId, item, received, matchedBy) {
+    return ledgerRepository.transaction(() => {
+      const invoice = this.requireInvoice(invoiceId);
+      this.checkPayable(invoice, item.digest, matchedBy);
+
+      invoice.status = 'paid';
+      invoice.paidAt = new Date().toISOString();
+      invoice.payment = {
+        digest: item.digest,
+        payer: item.sender,
+        amount: received,
+        formatted: formatAmount(received, invoice.decimals),
+        timestamp: item.timestamp,
+        matchedBy
+      };
+      ledgerRepository.saveInvoice(invoice);
+
+      console.log(`✅ Invoice ${invoice.invoiceId} paid by ${item.digest} (${matchedBy})`);
+      return invoice;
+    });
+  }
+
+  requireInvoice(invoiceId) {
+    const invoice = ledgerRepository.getInvoice(invoiceId);
+    if (!invoice) {
+      throw httpError(`Invoice ${invoiceId} not found`, 404);
+    }
+    return invoice;
+  }
+
+  expireStaleInvoices() {
+    ledgerRepository.expireInvoices(new Date().toISOString());
+  }
+}
+
+/**
+ * Build the sui: payment URI for an invoice
+ */
+function buildPaymentUri(invoice) {
+  const params = new URLSearchParams({
+    amount: invoice.formatted,
+    coinType: invoice.coinType,
+    reference: invoice.reference
+  });
+  if (invoice.label) params.set('label', invoice.label);
+  if (invoice.memo) params.set('message', invoice.memo);
+
+  return `sui:${invoice.merchantAddress}?${params.toString()}`;
+}
+
+/**
+ * Amount of the invoice's coin a transaction credited to the merchant
+ */
+function receivedAmount(item, invoice) {
+  const coinType = normalizeStructTag(invoice.coinType);
+  return item.balanceChanges
+    .filter(change => change.owner === invoice.merchantAddress && normalizeStructTag(change.coinType) === coinType)
+    .reduce((sum, change) => sum + change.amount, 0n);
+}
+
+module.exports = new InvoiceService();
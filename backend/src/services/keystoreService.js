@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { fromB64 } = require('@mysten/sui/utils');
+const { httpError } = require('../utils/errors');
+
+/**
+ * Custodial Keystore Service
+ * Holds Ed25519 wallet keys envelope-encrypted at rest:
+ * - each secret key is sealed with its own random data key (AES-256-GCM)
+ * - each data key is sealed with the master key from KEYSTORE_MASTER_KEY
+ * Wallets are unlocked with the authorization token issued on create/import,
+ * so private keys never need to travel through the API.
+ */
+class KeystoreService {
+  constructor() {
+    this.storePath = process.env.KEYSTORE_PATH || path.join(__dirname, '../../data/keystore.json');
+    this.allowExport = process.env.KEYSTORE_ALLOW_EXPORT === 'true';
+    this.masterKeys = new Map(); // masterKeyId -> key buffer
+    this.currentMasterKeyId = null;
+    this.wallets = new Map(); // walletId -> sealed wallet record
+
+    this.initializeMasterKeys();
+    this.loadStore();
+  }
+
+  /**
+   * Load the current master key and any previous ones kept around for rotation
+   */
+  initializeMasterKeys() {
+    try {
+      const currentKey = process.env.KEYSTORE_MASTER_KEY;
+      if (!currentKey) {
+        console.warn('⚠️ Keystore master key not configured. Set KEYSTORE_MASTER_KEY environment variable.');
+        return;
+      }
+
+      this.currentMasterKeyId = this.addMasterKey(currentKey);
+
+      const previousKeys = (process.env.KEYSTORE_PREVIOUS_MASTER_KEYS || '')
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean);
+      previousKeys.forEach(key => this.addMasterKey(key));
+
+      console.log('🔐 Keystore master key initialized');
+    } catch (error) {
+      console.error('❌ Failed to initialize keystore master key:', error.message);
+    }
+  }
+
+  /**
+   * Register a base64 master key and return its identifier
+   * @param {string} encodedKey - Base64-encoded 32-byte key
+   * @returns {string} - Master key identifier
+   */
+  addMasterKey(encodedKey) {
+    const key = Buffer.from(encodedKey, 'base64');
+    if (key.length !== 32) {
+      throw new Error('Keystore master key must be 32 bytes (base64-encoded)');
+    }
+
+    const keyId = crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+    this.masterKeys.set(keyId, key);
+    return keyId;
+  }
+
+  /**
+   * Read sealed wallet records from disk
+   */
+  loadStore() {
+    try {
+      if (!fs.existsSync(this.storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      (store.wallets || []).forEach(record => this.wallets.set(record.walletId, record));
+
+      console.log(`🔐 Keystore loaded ${this.wallets.size} wallets`);
+    } catch (error) {
+      console.error('❌ Failed to load keystore:', error.message);
+    }
+  }
+
+  /**
+   * Persist sealed wallet records to disk (write-then-rename)
+   */
+  saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+
+    const tempPath = `${this.storePath}.tmp`;
+    const store = {
+      version: '1.0',
+      updatedAt: new Date().toISOString(),
+      wallets: Array.from(this.wallets.values())
+    };
+
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.storePath);
+  }
+
+  /**
+   * Create a new custodial wallet
+   * @returns {Object} - Wallet ID, address, public key and authorization token
+   */
+  createWallet() {
+    const keypair = new Ed25519Keypair();
+    return this.storeKeypair(keypair);
+  }
+
+  /**
+   * Import an existing private key into the keystore
+   * @param {string} privateKey - Bech32 `suiprivkey...` or base64 secret key
+   * @returns {Object} - Wallet ID, address, public key and authorization token
+   */
+  importWallet(privateKey) {
+    let keypair;
+    try {
+      keypair = Ed25519Keypair.fromSecretKey(parseSecretKey(privateKey));
+    } catch (error) {
+      throw httpError(`Invalid private key: ${error.message}`, 400);
+    }
+
+    const address = keypair.getPublicKey().toSuiAddress();
+    const existing = Array.from(this.wallets.values()).find(record => record.address === address);
+    if (existing) {
+      throw httpError(`Address ${address} is already held as wallet ${existing.walletId}`, 409);
+    }
+
+    return this.storeKeypair(keypair);
+  }
+
+  /**
+   * Unlock a wallet for signing
+   * @param {string} walletId - Keystore wallet ID
+   * @param {string} authToken - Authorization token for the wallet
+   * @returns {Ed25519Keypair} - Decrypted keypair
+   */
+  getKeypair(walletId, authToken) {
+    const record = this.authorize(walletId, authToken);
+    return Ed25519Keypair.fromSecretKey(this.openSecretKey(record));
+  }
+
+  /**
+   * Get the public details of a wallet
+   * @param {string} walletId - Keystore wallet ID
+   * @returns {Object} - Wallet address and metadata
+   */
+  getWallet(walletId) {
+    const record = this.wallets.get(walletId);
+    if (!record) {
+      throw httpError('Wallet not found', 404);
+    }
+    return toPublicWallet(record);
+  }
+
+  /**
+   * Export a wallet's private key (requires KEYSTORE_ALLOW_EXPORT=true)
+   * @param {string} walletId - Keystore wallet ID
+   * @param {string} authToken - Authorization token for the wallet
+   * @returns {Object} - Wallet details including the bech32 private key
+   */
+  exportWallet(walletId, authToken) {
+    if (!this.allowExport) {
+      throw httpError('Key export is disabled. Set KEYSTORE_ALLOW_EXPORT=true to enable it.', 403);
+    }
+
+    const record = this.authorize(walletId, authToken);
+    console.warn(`⚠️ Exporting private key for wallet ${walletId}`);
+
+    return {
+      ...toPublicWallet(record),
+      privateKey: this.openSecretKey(record)
+    };
+  }
+
+  /**
+   * Rotate a wallet's envelope: fresh data key under the current master key
+   * and a new authorization token. The on-chain address is unchanged.
+   * @param {string} walletId - Keystore wallet ID
+   * @param {string} authToken - Current authorization token for the wallet
+   * @returns {Object} - Wallet details with the new authorization token
+   */
+  rotateWallet(walletId, authToken) {
+    const record = this.authorize(walletId, authToken);
+    const secretKey = this.openSecretKey(record);
+    const newAuthToken = generateAuthToken();
+
+    const rotated = {
+      ...record,
+      ...this.sealSecretKey(walletId, secretKey),
+      authTokenHash: hashAuthToken(newAuthToken),
+      rotatedAt: new Date().toISOString()
+    };
+
+    this.wallets.set(walletId, rotated);
+    this.saveStore();
+
+    console.log(`🔄 Keystore wallet rotated: ${walletId}`);
+
+    return {
+      ...toPublicWallet(rotated),
+      authToken: newAuthToken
+    };
+  }
+
+  /**
+   * Permanently delete a wallet from the keystore
+   * @param {string} walletId - Keystore wallet ID
+   * @param {string} authToken - Authorization token for the wallet
+   * @returns {Object} - Deletion result
+   */
+  deleteWallet(walletId, authToken) {
+    const record = this.authorize(walletId, authToken);
+
+    this.wallets.delete(walletId);
+    this.saveStore();
+
+    console.log(`🗑️ Keystore wallet deleted: ${walletId}`);
+
+    return {
+      walletId,
+      address: record.address,
+      deletedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Seal a keypair and store it under a new wallet ID
+   * @param {Ed25519Keypair} keypair - Keypair to store
+   * @returns {Object} - Wallet details with the authorization token
+   */
+  storeKeypair(keypair) {
+    this.requireMasterKey();
+
+    const walletId = crypto.randomUUID();
+    const authToken = generateAuthToken();
+
+    const record = {
+      walletId,
+      address: keypair.getPublicKey().toSuiAddress(),
+      publicKey: keypair.getPublicKey().toBase64(),
+      ...this.sealSecretKey(walletId, keypair.getSecretKey()),
+      authTokenHash: hashAuthToken(authToken),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null
+    };
+
+    this.wallets.set(walletId, record);
+    this.saveStore();
+
+    console.log(`✅ Keystore wallet stored: ${walletId} (${record.address})`);
+
+    return {
+      ...toPublicWallet(record),
+      authToken
+    };
+  }
+
+  /**
+   * Check a wallet's authorization token
+   * @param {string} walletId - Keystore wallet ID
+   * @param {string} authToken - Authorization token to check
+   * @returns {Object} - Sealed wallet record
+   */
+  authorize(walletId, authToken) {
+    const record = this.wallets.get(walletId);
+    if (!record) {
+      throw httpError('Wallet not found', 404);
+    }
+
+    const expected = Buffer.from(record.authTokenHash, 'hex');
+    const provided = Buffer.from(hashAuthToken(authToken || ''), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      throw httpError('Invalid wallet authorization token', 401);
+    }
+
+    return record;
+  }
+
+  /**
+   * Envelope-encrypt a bech32 secret key
+   * @param {string} walletId - Wallet ID, bound into both ciphertexts as AAD
+   * @param {string} secretKey - Bech32 `suiprivkey...` secret key
+   * @returns {Object} - masterKeyId, wrappedKey and encryptedSecret fields
+   */
+  sealSecretKey(walletId, secretKey) {
+    this.requireMasterKey();
+
+    const dataKey = crypto.randomBytes(32);
+    const masterKey = this.masterKeys.get(this.currentMasterKeyId);
+
+    return {
+      masterKeyId: this.currentMasterKeyId,
+      wrappedKey: encrypt(dataKey, masterKey, walletId),
+      encryptedSecret: encrypt(Buffer.from(secretKey, 'utf8'), dataKey, walletId)
+    };
+  }
+
+  /**
+   * Decrypt a sealed wallet record's secret key
+   * @param {Object} record - Sealed wallet record
+   * @returns {string} - Bech32 `suiprivkey...` secret key
+   */
+  openSecretKey(record) {
+    const masterKey = this.masterKeys.get(record.masterKeyId);
+    if (!masterKey) {
+      throw httpError(`Master key ${record.masterKeyId} for wallet ${record.walletId} is not configured`, 503);
+    }
+
+    const dataKey = decrypt(record.wrappedKey, masterKey, record.walletId);
+    return decrypt(record.encryptedSecret, dataKey, record.walletId).toString('utf8');
+  }
+
+  /**
+   * Envelope-encrypt a secret another service keeps at rest, such as the
+   * authorization token of a wallet it acts for
+   * @param {string} context - ID of the record holding the secret, bound in as AAD
+   * @param {string} secret - Secret to seal
+   * @returns {Object} - Sealed secret for openSecret
+   */
+  sealSecret(context, secret) {
+    return this.sealSecretKey(context, secret);
+  }
+
+  /**
+   * Decrypt a secret sealed with sealSecret
+   * @param {string} context - The context it was sealed with
+   * @param {Object} sealed - Sealed secret
+   * @returns {string} - Secret
+   */
+  openSecret(context, sealed) {
+    return this.openSecretKey({ ...sealed, walletId: context });
+  }
+
+  requireMasterKey() {
+    if (!this.currentMasterKeyId) {
+      throw httpError('Keystore master key not configured', 503);
+    }
+  }
+}
+
+function toPublicWallet(record) {
+  return {
+    walletId: record.walletId,
+    address: record.address,
+    publicKey: record.publicKey,
+    createdAt: record.createdAt,
+    rotatedAt: record.rotatedAt
+  };
+}
+
+function generateAuthToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashAuthToken(authToken) {
+  return crypto.createHash('sha256').update(authToken).digest('hex');
+}
+
+function parseSecretKey(privateKey) {
+  if (privateKey.startsWith('suiprivkey')) {
+    return privateKey;
+  }
+
+  // Base64 keys may carry a leading scheme flag byte (33 bytes) or be 64-byte legacy keys
+  const bytes = fromB64(privateKey);
+  return bytes.length === 33 ? bytes.slice(1) : bytes.slice(0, 32);
+}
+
+function encrypt(plaintext, key, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64')
+  };
+}
+
+function decrypt(sealed, key, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+}
+
+module.exports = new KeystoreService();
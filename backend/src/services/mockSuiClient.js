@@ -0,0 +1,647 @@
+/**
+ * Mock Sui Client
+ * In-process stand-in for SuiClient, selected with SUI_NETWORK=local-mock.
+ *
+ * Keeps an in-memory ledger of coin objects and executes the programmable
+ * transaction commands PayWiser builds (SplitCoins, MergeCoins,
+ * TransferObjects, GasCoin) with Sui's object versioning, gas charging and
+ * sponsor semantics, so transfer and sponsorship flows run with no network.
+ * Move calls are not supported and fail like an aborted transaction.
+ */
+
+const crypto = require('crypto');
+const { bcs } = require('@mysten/sui/bcs');
+const { Transaction, TransactionDataBuilder } = require('@mysten/sui/transactions');
+const { verifyTransactionSignature } = require('@mysten/sui/verify');
+const { parseSerializedSignature } = require('@mysten/sui/cryptography');
+const { fromB64, toBase58, normalizeSuiAddress } = require('@mysten/sui/utils');
+
+const SUI_COIN_TYPE = '0x2::sui::SUI';
+const REFERENCE_GAS_PRICE = 1000n;
+const COMPUTATION_UNITS = 1000n; // Flat computation charge per transaction, in gas units
+const STORAGE_COST_PER_OBJECT = 1976000n; // Charged for every object written
+const STORAGE_REBATE_PER_OBJECT = 978120n; // Refunded for every input object rewritten
+const DRY_RUN_GAS_BALANCE = 50000000000n; // Gas coin balance assumed when a dry run has no payment
+const DEFAULT_PAGE_SIZE = 50;
+
+class MockSuiClient {
+  constructor() {
+    this.objects = new Map(); // objectId -> { objectId, coinType, owner, balance, version, digest, previousTransaction }
+    this.transactions = new Map(); // digest -> transaction response, in execution order
+    this.coinMetadata = new Map([
+      [SUI_COIN_TYPE, { decimals: 9, name: 'Sui', symbol: 'SUI', description: '', iconUrl: null, id: null }]
+    ]);
+    this.checkpoint = 0;
+
+    console.log('🧪 Using in-memory mock Sui ledger (SUI_NETWORK=local-mock)');
+  }
+
+  /**
+   * Register CoinMetadata for a coin type so balances and transfers can format it
+   * @param {string} coinType - Fully qualified coin type
+   * @param {Object} metadata - { decimals, symbol, name }
+   */
+  registerCoin(coinType, { decimals, symbol, name }) {
+    this.coinMetadata.set(coinType, { decimals, symbol, name, description: '', iconUrl: null, id: null });
+  }
+
+  /**
+   * Create a new coin object out of thin air (genesis / faucet)
+   * @param {string} owner - Owner address
+   * @param {string} coinType - Fully qualified coin type
+   * @param {bigint} balance - Balance in base units
+   * @returns {Object} - The minted coin
+   */
+  mintCoin(owner, coinType, balance) {
+    if (!this.coinMetadata.has(coinType)) {
+      throw new Error(`Coin type ${coinType} is not registered with the mock ledger`);
+    }
+
+    const coin = {
+      objectId: newObjectId(),
+      coinType,
+      owner: normalizeSuiAddress(owner),
+      balance: BigInt(balance),
+      version: '1',
+      digest: newObjectDigest(),
+      previousTransaction: null
+    };
+    this.objects.set(coin.objectId, coin);
+    return { ...coin };
+  }
+
+  async getReferenceGasPrice() {
+    return REFERENCE_GAS_PRICE;
+  }
+
+  async getLatestSuiSystemState() {
+    return { epoch: '0', referenceGasPrice: REFERENCE_GAS_PRICE.toString() };
+  }
+
+  async getCoinMetadata({ coinType }) {
+    return this.coinMetadata.get(coinType) || null;
+  }
+
+  async getCoins({ owner, coinType = SUI_COIN_TYPE, cursor = null, limit = DEFAULT_PAGE_SIZE }) {
+    const coins = this.ownedCoins(owner).filter(coin => coin.coinType === coinType);
+    const start = cursor ? coins.findIndex(coin => coin.objectId === cursor) + 1 : 0;
+    const page = coins.slice(start, start + limit);
+
+    return {
+      data: page.map(toCoinStruct),
+      nextCursor: page.length > 0 ? page[page.length - 1].objectId : cursor,
+      hasNextPage: start + limit < coins.length
+    };
+  }
+
+  async getBalance({ owner, coinType = SUI_COIN_TYPE }) {
+    const coins = this.ownedCoins(owner).filter(coin => coin.coinType === coinType);
+    return toBalance(coinType, coins);
+  }
+
+  async getAllBalances({ owner }) {
+    const byType = new Map();
+    this.ownedCoins(owner).forEach(coin => {
+      byType.set(coin.coinType, [...(byType.get(coin.coinType) || []), coin]);
+    });
+    return Array.from(byType.entries()).map(([coinType, coins]) => toBalance(coinType, coins));
+  }
+
+  async multiGetObjects({ ids }) {
+    return ids.map(id => {
+      const object = this.objects.get(normalizeSuiAddress(id));
+      if (!object) {
+        return { error: { code: 'notExists', object_id: id } };
+      }
+      return {
+        data: {
+          objectId: object.objectId,
+          version: object.version,
+          digest: object.digest,
+          type: coinObjectType(object.coinType),
+          owner: { AddressOwner: object.owner }
+        }
+      };
+    });
+  }
+
+  /**
+   * Execute a signed transaction against the ledger
+   * @param {Object} params - executeTransactionBlock parameters
+   * @param {Uint8Array|string} params.transactionBlock - Transaction bytes (or base64)
+   * @param {string|string[]} params.signature - Sender and, if sponsored, gas owner signatures
+   * @returns {Promise<Object>} - Transaction response with effects, object and balance changes
+   */
+  async executeTransactionBlock({ transactionBlock, signature }) {
+    const txBytes = typeof transactionBlock === 'string' ? fromB64(transactionBlock) : transactionBlock;
+    const txData = Transaction.from(txBytes).getData();
+    const digest = TransactionDataBuilder.getDigestFromBytes(txBytes);
+
+    if (this.transactions.has(digest)) {
+      return stripInternal(this.transactions.get(digest));
+    }
+
+    await this.verifySignatures(txBytes, txData, Array.isArray(signature) ? signature : [signature]);
+
+    const outcome = this.runTransaction(txData, { dryRun: false });
+    this.commit(outcome, digest);
+
+    const response = {
+      digest,
+      transaction: { data: toTransactionData(txData) },
+      effects: toEffects(outcome, digest),
+      objectChanges: outcome.objectChanges,
+      balanceChanges: outcome.balanceChanges,
+      events: [],
+      timestampMs: String(Date.now()),
+      checkpoint: String(++this.checkpoint),
+      recipients: outcome.recipients
+    };
+    this.transactions.set(digest, response);
+
+    return stripInternal(response);
+  }
+
+  /**
+   * Execute a transaction without signatures or ledger changes
+   * @param {Object} params - dryRunTransactionBlock parameters
+   * @param {Uint8Array|string} params.transactionBlock - Transaction bytes (or base64)
+   * @returns {Promise<Object>} - Dry run response
+   */
+  async dryRunTransactionBlock({ transactionBlock }) {
+    const txBytes = typeof transactionBlock === 'string' ? fromB64(transactionBlock) : transactionBlock;
+    const txData = Transaction.from(txBytes).getData();
+    const outcome = this.runTransaction(txData, { dryRun: true });
+
+    return {
+      effects: toEffects(outcome, TransactionDataBuilder.getDigestFromBytes(txBytes)),
+      objectChanges: outcome.objectChanges,
+      balanceChanges: outcome.balanceChanges,
+      events: [],
+      input: toTransactionData(txData)
+    };
+  }
+
+  async getTransactionBlock({ digest }) {
+    const response = this.transactions.get(digest);
+    if (!response) {
+      throw new Error(`Could not find the referenced transaction [TransactionDigest(${digest})]`);
+    }
+    return stripInternal(response);
+  }
+
+  async waitForTransaction({ digest }) {
+    // Mock execution is final immediately
+    return this.getTransactionBlock({ digest });
+  }
+
+  async queryTransactionBlocks({ filter = {}, cursor = null, limit = DEFAULT_PAGE_SIZE, order = 'descending' }) {
+    let responses = Array.from(this.transactions.values());
+    if (order === 'descending') {
+      responses = responses.reverse();
+    }
+
+    if (filter.FromAddress) {
+      const address = normalizeSuiAddress(filter.FromAddress);
+      responses = responses.filter(response => response.transaction.data.sender === address);
+    }
+    if (filter.ToAddress) {
+      const address = normalizeSuiAddress(filter.ToAddress);
+      responses = responses.filter(response => response.recipients.includes(address));
+    }
+
+    const start = cursor ? responses.findIndex(response => response.digest === cursor) + 1 : 0;
+    const page = responses.slice(start, start + limit);
+
+    return {
+      data: page.map(stripInternal),
+      nextCursor: page.length > 0 ? page[page.length - 1].digest : cursor,
+      hasNextPage: start + limit < responses.length
+    };
+  }
+
+  /**
+   * Check that the sender and the gas owner both signed the transaction
+   */
+  async verifySignatures(txBytes, txData, signatures) {
+    const signers = new Set();
+
+    for (const signature of signatures) {
+      // zkLogin proofs need a live network to verify; accept the claimed address
+      const parsed = parseSerializedSignature(signature);
+      if (parsed.signatureScheme === 'ZkLogin') {
+        signers.add(normalizeSuiAddress(txData.sender));
+        continue;
+      }
+
+      try {
+        const publicKey = await verifyTransactionSignature(txBytes, signature);
+        signers.add(publicKey.toSuiAddress());
+      } catch (error) {
+        throw new Error(`Invalid user signature: ${error.message}`);
+      }
+    }
+
+    const required = [txData.sender, txData.gasData.owner || txData.sender].map(address => normalizeSuiAddress(address));
+    required.forEach(address => {
+      if (!signers.has(address)) {
+        throw new Error(`Transaction is missing a valid signature from ${address}`);
+      }
+    });
+  }
+
+  /**
+   * Run transaction commands on copies of the input objects
+   * @param {Object} txData - Transaction data from Transaction#getData
+   * @param {Object} options - { dryRun }
+   * @returns {Object} - Outcome to commit (or report, for a dry run)
+   */
+  runTransaction(txData, { dryRun }) {
+    const sender = normalizeSuiAddress(txData.sender);
+    const gasOwner = normalizeSuiAddress(txData.gasData.owner || txData.sender);
+    const gasPrice = BigInt(txData.gasData.price || REFERENCE_GAS_PRICE);
+    const gasBudget = BigInt(txData.gasData.budget || 0);
+    const payment = txData.gasData.payment || [];
+
+    // Owned object inputs must be current and belong to the sender
+    const inputObjects = txData.inputs.map(input => {
+      const ref = input.Object?.ImmOrOwnedObject;
+      if (!ref) {
+        return null;
+      }
+      return this.loadOwnedObject(ref, sender);
+    });
+
+    let gasCoins;
+    if (payment.length === 0 && dryRun) {
+      gasCoins = [{ objectId: newObjectId(), coinType: SUI_COIN_TYPE, owner: gasOwner, balance: DRY_RUN_GAS_BALANCE, version: '0', virtual: true }];
+    } else {
+      gasCoins = payment.map(ref => this.loadOwnedObject(ref, gasOwner));
+      if (gasCoins.length === 0) {
+        throw new Error('Transaction has no gas payment');
+      }
+    }
+
+    gasCoins.forEach(coin => {
+      if (coin.coinType !== SUI_COIN_TYPE) {
+        throw new Error(`Gas object ${coin.objectId} is not a SUI coin`);
+      }
+    });
+
+    const gasBalance = gasCoins.reduce((sum, coin) => sum + coin.balance, 0n);
+    if (!dryRun && gasBalance < gasBudget) {
+      throw new Error(`Balance of gas object ${gasCoins[0].objectId} is lower than the needed amount: ${gasBudget}`);
+    }
+
+    // Work on copies so a failed execution leaves the ledger untouched
+    const working = new Map();
+    const originals = [...inputObjects.filter(Boolean), ...gasCoins];
+    originals.forEach(object => working.set(object.objectId, { ...object }));
+
+    const gasCoin = working.get(gasCoins[0].objectId);
+    gasCoins.slice(1).forEach(coin => {
+      gasCoin.balance += coin.balance;
+      working.get(coin.objectId).deleted = true;
+    });
+
+    const created = [];
+    const recipients = new Set();
+    let status = { status: 'success' };
+
+    try {
+      executeCommands(txData, { inputObjects, working, gasCoin, created, recipients });
+    } catch (error) {
+      status = { status: 'failure', error: error.message };
+    }
+
+    const succeeded = status.status === 'success';
+    // Merged and destroyed objects are deleted, not written
+    const remaining = Array.from(working.values()).filter(object => !object.deleted).length;
+    const written = succeeded ? remaining + created.length : 1 + inputObjects.filter(Boolean).length;
+    const gasUsed = {
+      computationCost: gasPrice * COMPUTATION_UNITS,
+      storageCost: STORAGE_COST_PER_OBJECT * BigInt(written),
+      storageRebate: STORAGE_REBATE_PER_OBJECT * BigInt(originals.length),
+      nonRefundableStorageFee: 0n
+    };
+
+    const netGasCost = gasUsed.computationCost + gasUsed.storageCost - gasUsed.storageRebate;
+    if (succeeded && netGasCost > gasBudget && !(dryRun && payment.length === 0)) {
+      status = { status: 'failure', error: 'InsufficientGas' };
+    }
+
+    // Failed transactions only pay gas; every other change is reverted
+    if (status.status !== 'success') {
+      working.clear();
+      originals.forEach(object => working.set(object.objectId, { ...object }));
+      const revertedGasCoin = working.get(gasCoins[0].objectId);
+      gasCoins.slice(1).forEach(coin => {
+        revertedGasCoin.balance += coin.balance;
+        working.get(coin.objectId).deleted = true;
+      });
+      created.length = 0;
+      recipients.clear();
+    }
+
+    const finalGasCoin = working.get(gasCoins[0].objectId);
+    finalGasCoin.balance -= netGasCost > 0n ? netGasCost : 0n;
+
+    const lamportVersion = String(
+      originals.reduce((max, object) => (BigInt(object.version) > max ? BigInt(object.version) : max), 0n) + 1n
+    );
+
+    const outcome = {
+      sender,
+      gasOwner,
+      status,
+      gasUsed,
+      lamportVersion,
+      originals: originals.filter(object => !object.virtual),
+      working: Array.from(working.values()).filter(object => !object.virtual),
+      created,
+      recipients: Array.from(recipients)
+    };
+
+    outcome.objectChanges = describeObjectChanges(outcome);
+    outcome.balanceChanges = describeBalanceChanges(originals, [...working.values(), ...created]);
+
+    return outcome;
+  }
+
+  loadOwnedObject(ref, expectedOwner) {
+    const objectId = normalizeSuiAddress(ref.objectId);
+    const object = this.objects.get(objectId);
+
+    if (!object) {
+      throw new Error(`Object ${objectId} does not exist`);
+    }
+    if (String(object.version) !== String(ref.version) || object.digest !== ref.digest) {
+      throw new Error(`Object ${objectId} is not available for consumption, its current version: ${object.version}`);
+    }
+    if (object.owner !== expectedOwner) {
+      throw new Error(`Object ${objectId} is owned by ${object.owner}, not ${expectedOwner}`);
+    }
+
+    return { ...object };
+  }
+
+  commit(outcome, digest) {
+    outcome.working.forEach(object => {
+      if (object.deleted) {
+        this.objects.delete(object.objectId);
+        return;
+      }
+      this.objects.set(object.objectId, toLedgerObject(object, outcome.lamportVersion, digest));
+    });
+
+    outcome.created.forEach(object => {
+      this.objects.set(object.objectId, toLedgerObject(object, outcome.lamportVersion, digest));
+    });
+  }
+
+  ownedCoins(owner) {
+    const address = normalizeSuiAddress(owner);
+    return Array.from(this.objects.values()).filter(coin => coin.owner === address);
+  }
+}
+
+/**
+ * Apply SplitCoins, MergeCoins and TransferObjects to the working objects
+ */
+function executeCommands(txData, { inputObjects, working, gasCoin, created, recipients }) {
+  const results = [];
+
+  const resolve = (arg) => {
+    switch (arg.$kind) {
+      case 'GasCoin':
+        return gasCoin;
+      case 'Input': {
+        const object = inputObjects[arg.Input];
+        return object ? working.get(object.objectId) : { pure: txData.inputs[arg.Input].Pure.bytes };
+      }
+      case 'Result':
+        return results[arg.Result].length === 1 ? results[arg.Result][0] : results[arg.Result];
+      case 'NestedResult':
+        return results[arg.NestedResult[0]][arg.NestedResult[1]];
+      default:
+        throw new Error(`Unsupported argument ${arg.$kind}`);
+    }
+  };
+
+  const resolveCoin = (arg, index) => {
+    const coin = resolve(arg);
+    if (!coin || coin.pure !== undefined || Array.isArray(coin)) {
+      throw new Error(`Command ${index}: expected a coin argument`);
+    }
+    if (coin.deleted) {
+      throw new Error(`Command ${index}: coin ${coin.objectId} was already merged`);
+    }
+    return coin;
+  };
+
+  const resolvePure = (arg, schema) => {
+    const value = resolve(arg);
+    if (!value || value.pure === undefined) {
+      throw new Error('Expected a pure argument');
+    }
+    return schema.parse(fromB64(value.pure));
+  };
+
+  txData.commands.forEach((command, index) => {
+    switch (command.$kind) {
+      case 'SplitCoins': {
+        const coin = resolveCoin(command.SplitCoins.coin, index);
+        const amounts = command.SplitCoins.amounts.map(arg => BigInt(resolvePure(arg, bcs.u64())));
+        const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+
+        if (total > coin.balance) {
+          throw new Error(`InsufficientCoinBalance in command ${index}`);
+        }
+
+        coin.balance -= total;
+        const coins = amounts.map(amount => {
+          const newCoin = { objectId: newObjectId(), coinType: coin.coinType, owner: null, balance: amount };
+          created.push(newCoin);
+          return newCoin;
+        });
+        results.push(coins);
+        break;
+      }
+
+      case 'MergeCoins': {
+        const destination = resolveCoin(command.MergeCoins.destination, index);
+        command.MergeCoins.sources.forEach(arg => {
+          const source = resolveCoin(arg, index);
+          if (source === gasCoin || source === destination) {
+            throw new Error(`Command ${index}: invalid merge source ${source.objectId}`);
+          }
+          if (source.coinType !== destination.coinType) {
+            throw new Error(`Command ${index}: cannot merge ${source.coinType} into ${destination.coinType}`);
+          }
+          destination.balance += source.balance;
+          source.balance = 0n;
+          source.deleted = true;
+        });
+        results.push([]);
+        break;
+      }
+
+      case 'TransferObjects': {
+        const address = normalizeSuiAddress(resolvePure(command.TransferObjects.address, bcs.Address));
+        command.TransferObjects.objects.forEach(arg => {
+          const resolved = resolve(arg);
+          (Array.isArray(resolved) ? resolved : [resolved]).forEach(object => {
+            if (!object || object.pure !== undefined || object.deleted) {
+              throw new Error(`Command ${index}: invalid object to transfer`);
+            }
+            object.owner = address;
+            recipients.add(address);
+          });
+        });
+        results.push([]);
+        break;
+      }
+
+      default:
+        throw new Error(`Command ${index}: ${command.$kind} is not supported by the local-mock network`);
+    }
+  });
+
+  const unowned = created.find(coin => coin.owner === null);
+  if (unowned) {
+    throw new Error('UnusedValueWithoutDrop: split coin was never transferred');
+  }
+}
+
+function describeObjectChanges({ sender, lamportVersion, originals, working, created }) {
+  const previousVersions = new Map(originals.map(object => [object.objectId, object.version]));
+
+  return [
+    ...working.map(object => (object.deleted
+      ? { type: 'deleted', sender, objectType: coinObjectType(object.coinType), objectId: object.objectId, version: lamportVersion }
+      : {
+        type: 'mutated',
+        sender,
+        owner: { AddressOwner: object.owner },
+        objectType: coinObjectType(object.coinType),
+        objectId: object.objectId,
+        version: lamportVersion,
+        previousVersion: previousVersions.get(object.objectId)
+      })),
+    ...created.map(object => ({
+      type: 'created',
+      sender,
+      owner: { AddressOwner: object.owner },
+      objectType: coinObjectType(object.coinType),
+      objectId: object.objectId,
+      version: lamportVersion
+    }))
+  ];
+}
+
+function describeBalanceChanges(before, after) {
+  const changes = new Map(); // owner|coinType -> amount
+
+  const add = (owner, coinType, amount) => {
+    const key = `${owner}|${coinType}`;
+    changes.set(key, (changes.get(key) || 0n) + amount);
+  };
+
+  before.forEach(object => add(object.owner, object.coinType, -object.balance));
+  after.filter(object => !object.deleted).forEach(object => add(object.owner, object.coinType, object.balance));
+
+  return Array.from(changes.entries())
+    .filter(([, amount]) => amount !== 0n)
+    .map(([key, amount]) => {
+      const [owner, coinType] = key.split('|');
+      return { owner: { AddressOwner: owner }, coinType, amount: amount.toString() };
+    });
+}
+
+function toEffects(outcome, digest) {
+  return {
+    messageVersion: 'v1',
+    status: outcome.status,
+    executedEpoch: '0',
+    gasUsed: {
+      computationCost: outcome.gasUsed.computationCost.toString(),
+      storageCost: outcome.gasUsed.storageCost.toString(),
+      storageRebate: outcome.gasUsed.storageRebate.toString(),
+      nonRefundableStorageFee: outcome.gasUsed.nonRefundableStorageFee.toString()
+    },
+    transactionDigest: digest
+  };
+}
+
+function toTransactionData(txData) {
+  return {
+    messageVersion: 'v1',
+    transaction: {
+      kind: 'ProgrammableTransaction',
+      // Pure values are returned as raw BCS bytes, as fullnodes do for inputs no command types
+      inputs: txData.inputs.map(input => (input.Pure
+        ? { type: 'pure', value: Array.from(fromB64(input.Pure.bytes)) }
+        : { type: 'object', objectType: 'immOrOwnedObject', ...input.Object?.ImmOrOwnedObject }))
+    },
+    sender: normalizeSuiAddress(txData.sender),
+    gasData: {
+      owner: normalizeSuiAddress(txData.gasData.owner || txData.sender),
+      budget: String(txData.gasData.budget),
+      price: String(txData.gasData.price),
+      payment: txData.gasData.payment || []
+    }
+  };
+}
+
+function toLedgerObject(object, version, digest) {
+  return {
+    objectId: object.objectId,
+    coinType: object.coinType,
+    owner: object.owner,
+    balance: object.balance,
+    version,
+    digest: newObjectDigest(),
+    previousTransaction: digest
+  };
+}
+
+function toCoinStruct(coin) {
+  return {
+    coinType: coin.coinType,
+    coinObjectId: coin.objectId,
+    version: coin.version,
+    digest: coin.digest,
+    balance: coin.balance.toString(),
+    previousTransaction: coin.previousTransaction
+  };
+}
+
+function toBalance(coinType, coins) {
+  return {
+    coinType,
+    coinObjectCount: coins.length,
+    totalBalance: coins.reduce((sum, coin) => sum + coin.balance, 0n).toString(),
+    lockedBalance: {}
+  };
+}
+
+function stripInternal(response) {
+  const { recipients, ...publicResponse } = response;
+  return publicResponse;
+}
+
+function coinObjectType(coinType) {
+  return `0x2::coin::Coin<${coinType}>`;
+}
+
+function newObjectId() {
+  return normalizeSuiAddress(crypto.randomBytes(32).toString('hex'));
+}
+
+function newObjectDigest() {
+  return toBase58(crypto.randomBytes(32));
+}
+
+module.exports = {
+  MockSuiClient
+};
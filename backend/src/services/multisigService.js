@@ -0,0 +1,412 @@
+/**
+ * Multisig Treasury Service
+ * Merchant treasury wallets controlled by several keys instead of one.
+ *
+ * A multisig wallet is an address derived from N public keys, their weights
+ * and a threshold. Funds leave it through transfer proposals: the proposal's
+ * transaction is built once, signers each sign those exact bytes, and the
+ * partial signatures are combined and executed once their weights reach the
+ * threshold. Wallets and proposals, with their partial signatures and
+ * status, are kept in the ledger.
+ */
+
+const crypto = require('crypto');
+const { MultiSigPublicKey } = require('@mysten/sui/multisig');
+const { TransactionDataBuilder } = require('@mysten/sui/transactions');
+const { verifyPersonalMessageSignature, verifyTransactionSignature } = require('@mysten/sui/verify');
+const { fromB64, toB64, normalizeSuiAddress } = require('@mysten/sui/utils');
+const suiService = require('./suiService');
+const keystoreService = require('./keystoreService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { httpError, wrapError } = require('../utils/errors');
+const { parsePublicKey } = require('../utils/publicKeys');
+
+const MAX_SIGNERS = 10; // Protocol limit on keys in a multisig
+const PROPOSAL_TTL_MS = parseInt(process.env.MULTISIG_PROPOSAL_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+const SUBMITTED_WAIT_TIMEOUT_MS = parseInt(process.env.MULTISIG_SUBMITTED_WAIT_TIMEOUT_MS || '120000', 10);
+
+// Personal message a signer signs to cancel a proposal without a keystore wallet
+const cancelMessage = proposalId => `Cancel multisig proposal ${proposalId}`;
+
+class MultisigService {
+  /**
+   * Create a multisig wallet from member public keys
+   * @param {Object} params - Multisig parameters
+   * @param {Array<Object>} params.signers - [{ publicKey | walletId, weight }]
+   * @param {number} params.threshold - Combined weight needed to sign
+   * @param {string} [params.name] - Label for the treasury
+   * @returns {Object} - Multisig wallet
+   */
+  createMultisigWallet({ signers, threshold, name = null }) {
+    if (signers.length === 0 || signers.length > MAX_SIGNERS) {
+      throw httpError(`A multisig needs between 1 and ${MAX_SIGNERS} signers`, 400);
+    }
+
+    const members = signers.map(signer => {
+      const publicKey = signer.walletId
+        ? parsePublicKey(keystoreService.getWallet(signer.walletId).publicKey)
+        : parsePublicKey(signer.publicKey, `public key ${signer.publicKey}`);
+      return { publicKey, weight: signer.weight };
+    });
+
+    const addresses = members.map(member => member.publicKey.toSuiAddress());
+    if (new Set(addresses).size !== addresses.length) {
+      throw httpError('Each signer public key may only appear once', 400);
+    }
+
+    const totalWeight = members.reduce((sum, member) => sum + member.weight, 0);
+    if (threshold > totalWeight) {
+      throw httpError(`Threshold ${threshold} is higher than the total signer weight ${totalWeight}`, 400);
+    }
+
+    const multisigPublicKey = MultiSigPublicKey.fromPublicKeys({ threshold, publicKeys: members });
+    const address = multisigPublicKey.toSuiAddress();
+
+    const wallet = {
+      address,
+      name,
+      threshold,
+      totalWeight,
+      signers: members.map(member => ({
+        address: member.publicKey.toSuiAddress(),
+        publicKey: member.publicKey.toSuiPublicKey(),
+        weight: member.weight
+      })),
+      multisigPublicKey: multisigPublicKey.toBase64(),
+      createdAt: new Date().toISOString()
+    };
+
+    // The same keys, weights and threshold always give the same address
+    if (ledgerRepository.insertMultisigWallet(wallet)) {
+      console.log(`🔐 Multisig wallet created: ${address} (${threshold} of ${totalWeight})`);
+    }
+
+    return ledgerRepository.getMultisigWallet(address);
+  }
+
+  getMultisigWallet(address) {
+    const wallet = ledgerRepository.getMultisigWallet(normalizeSuiAddress(address));
+    if (!wallet) {
+      throw httpError(`Multisig wallet ${address} not found`, 404);
+    }
+    return wallet;
+  }
+
+  /**
+   * Create a transfer proposal and build the transaction signers will sign
+   * @param {Object} params - Proposal parameters
+   * @param {string} params.multisigAddress - Multisig wallet address (sender)
+   * @param {string} params.toAddress - Recipient address
+   * @param {string} params.amount - Decimal amount string
+   * @param {string} params.coinType - Fully qualified coin type
+   * @param {boolean} params.sponsored - Pay gas from the sponsor account
+   * @param {string} [params.memo] - Note shown to signers
+   * @returns {Promise<Object>} - Proposal including the bytes to sign
+   */
+  async createTransferProposal({ multisigAddress, toAddress, amount, coinType, sponsored = false, memo = null }) {
+    const wallet = this.getMultisigWallet(multisigAddress);
+
+    try {
+      const metadata = await suiService.getCoinMetadata(coinType);
+      const amountInSmallestUnit = parseAmount(amount, metadata.decimals);
+
+      const txb = await suiService.buildTransferTransaction({
+        fromAddress: wallet.address,
+        toAddress,
+        amount: amountInSmallestUnit,
+        coinType,
+        sponsored
+      });
+      const txBytes = await txb.build({ client: suiService.client });
+
+      const now = Date.now();
+      const proposal = {
+        proposalId: crypto.randomUUID(),
+        multisigAddress: wallet.address,
+        type: 'transfer',
+        status: 'pending',
+        toAddress,
+        amount: amountInSmallestUnit,
+        formatted: formatAmount(amountInSmallestUnit, metadata.decimals),
+        decimals: metadata.decimals,
+        coinType,
+        symbol: metadata.symbol,
+        sponsored,
+        memo,
+        txBytes: toB64(txBytes),
+        threshold: wallet.threshold,
+        collectedWeight: 0,
+        signatures: [], // [{ address, publicKey, weight, signature, signedAt }]
+        digest: null,
+        error: null,
+        gasUsed: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + PROPOSAL_TTL_MS).toISOString(),
+        executedAt: null
+      };
+
+      ledgerRepository.insertMultisigProposal(proposal);
+      console.log(`📝 Multisig proposal ${proposal.proposalId}: ${proposal.formatted} ${metadata.symbol} to ${toAddress}`);
+
+      return { ...proposal };
+    } catch (error) {
+      throw wrapError('Failed to create proposal', error);
+    }
+  }
+
+  /**
+   * Add one signer's signature to a proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} params - Either a client-made signature or a keystore wallet to sign with
+   * @param {string} [params.signature] - Serialized signature over the proposal's txBytes
+   * @param {string} [params.walletId] - Keystore wallet of a signer
+   * @param {string} [params.authToken] - Authorization token for that wallet
+   * @returns {Promise<Object>} - Updated proposal
+   */
+  async addSignature(proposalId, { signature, walletId, authToken }) {
+    let proposal = this.getOpenProposal(proposalId);
+    const wallet = this.getMultisigWallet(proposal.multisigAddress);
+    const txBytes = fromB64(proposal.txBytes);
+
+    let partialSignature = signature;
+    if (walletId) {
+      const keypair = keystoreService.getKeypair(walletId, authToken);
+      partialSignature = (await keypair.signTransaction(txBytes)).signature;
+    }
+
+    let signerPublicKey;
+    try {
+      signerPublicKey = await verifyTransactionSignature(txBytes, partialSignature);
+    } catch (error) {
+      throw httpError(`Signature does not verify against the proposal transaction: ${error.message}`, 400);
+    }
+
+    const signerAddress = signerPublicKey.toSuiAddress();
+    const member = wallet.signers.find(signer => signer.address === signerAddress);
+    if (!member) {
+      throw httpError(`${signerAddress} is not a signer of multisig ${wallet.address}`, 403);
+    }
+
+    // Re-read after signing: other signers may have signed, or the proposal closed, meanwhile
+    proposal = this.getOpenProposal(proposalId);
+    if (proposal.signatures.some(entry => entry.address === signerAddress)) {
+      throw httpError(`${signerAddress} has already signed this proposal`, 409);
+    }
+
+    proposal.signatures.push({
+      address: signerAddress,
+      publicKey: member.publicKey,
+      weight: member.weight,
+      signature: partialSignature,
+      signedAt: new Date().toISOString()
+    });
+    proposal.collectedWeight += member.weight;
+
+    if (proposal.collectedWeight >= proposal.threshold) {
+      proposal.status = 'ready';
+    }
+    ledgerRepository.updateMultisigProposal(proposal);
+
+    console.log(`✍️  Proposal ${proposalId} signed by ${signerAddress} (${proposal.collectedWeight}/${proposal.threshold})`);
+
+    return { ...proposal };
+  }
+
+  /**
+   * Combine collected signatures and execute a proposal that met its threshold
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<Object>} - Executed proposal
+   */
+  async executeProposal(proposalId) {
+    const proposal = this.getOpenProposal(proposalId);
+    if (proposal.status !== 'ready') {
+      throw httpError(
+        `Proposal needs signer weight ${proposal.threshold}, has ${proposal.collectedWeight}`,
+        409
+      );
+    }
+
+    const wallet = this.getMultisigWallet(proposal.multisigAddress);
+    const multisigPublicKey = new MultiSigPublicKey(fromB64(wallet.multisigPublicKey));
+    const combinedSignature = multisigPublicKey.combinePartialSignatures(
+      proposal.signatures.map(entry => entry.signature)
+    );
+
+    // Claimed before the first await, so a second execute sees 'executing'.
+    // The digest is kept so a lost response can be looked up on chain.
+    const txBytes = fromB64(proposal.txBytes);
+    proposal.status = 'executing';
+    proposal.digest = TransactionDataBuilder.getDigestFromBytes(txBytes);
+    ledgerRepository.updateMultisigProposal(proposal);
+
+    let effects;
+    try {
+      const result = await suiService.executeSigned(txBytes, combinedSignature, {
+        sender: wallet.address,
+        sponsored: proposal.sponsored,
+        options: {
+          showEffects: true,
+          showBalanceChanges: true
+        }
+      });
+      effects = result.effects;
+    } catch (error) {
+      effects = await this.findLostExecution(proposal, error);
+    }
+
+    this.recordExecution(proposal, effects);
+    return { ...proposal };
+  }
+
+  /**
+   * Find out whether a proposal whose execution threw ran on chain anyway.
+   * Errors of our own (sponsor policy, signing) mean nothing was submitted;
+   * anything else may be a lost response, so the digest is looked up first.
+   * @param {Object} proposal - Executing proposal with its digest
+   * @param {Error} error - Error executeSigned threw
+   * @returns {Promise<Object>} - Effects of the executed transaction
+   */
+  async findLostExecution(proposal, error) {
+    let tx = null;
+    if (!error.statusCode) {
+      try {
+        tx = await suiService.findExecutedTransaction(proposal.digest);
+      } catch (lookupError) {
+        console.error(`❌ Could not look up transaction ${proposal.digest}:`, lookupError.message);
+      }
+
+      if (!tx) {
+        this.waitForExecution(proposal);
+        const unknown = httpError(
+          `Transaction ${proposal.digest} was submitted but its outcome is unknown (${error.message}); ` +
+          'the proposal stays executing until it is confirmed',
+          504
+        );
+        unknown.outcomeUnknown = true;
+        throw unknown;
+      }
+      return tx.effects;
+    }
+
+    // Coin versions may have moved on since the proposal was built
+    proposal.status = 'failed';
+    proposal.error = error.message;
+    ledgerRepository.updateMultisigProposal(proposal);
+    throw wrapError('Failed to execute proposal', error);
+  }
+
+  // Record the outcome of a proposal whose response was lost once the chain has it
+  async waitForExecution(proposal) {
+    let tx;
+    try {
+      tx = await suiService.client.waitForTransaction({
+        digest: proposal.digest,
+        timeout: SUBMITTED_WAIT_TIMEOUT_MS,
+        options: { showEffects: true }
+      });
+    } catch (error) {
+      // Not on chain after the wait: the signed bytes' coin versions are spent or it was rejected
+      proposal.status = 'failed';
+      proposal.error = `Transaction ${proposal.digest} not found on chain: ${error.message}`;
+      ledgerRepository.updateMultisigProposal(proposal);
+      console.error(`❌ Multisig proposal ${proposal.proposalId} failed: ${proposal.error}`);
+      return;
+    }
+    this.recordExecution(proposal, tx.effects);
+  }
+
+  recordExecution(proposal, effects) {
+    proposal.status = effects?.status?.status === 'success' ? 'executed' : 'failed';
+    proposal.error = effects?.status?.error || null;
+    proposal.gasUsed = effects?.gasUsed || null;
+    proposal.executedAt = new Date().toISOString();
+    ledgerRepository.updateMultisigProposal(proposal);
+
+    console.log(`✅ Multisig proposal ${proposal.proposalId} ${proposal.status}: ${proposal.digest}`);
+  }
+
+  /**
+   * Cancel a proposal that has not been executed. Only the multisig's
+   * signers can cancel: either with a signature over the personal message
+   * "Cancel multisig proposal <proposalId>", or with a keystore wallet.
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} params - Either a client-made signature or a keystore wallet
+   * @param {string} [params.signature] - Serialized personal message signature
+   * @param {string} [params.walletId] - Keystore wallet of a signer
+   * @param {string} [params.authToken] - Authorization token for that wallet
+   * @returns {Promise<Object>} - Cancelled proposal
+   */
+  async cancelProposal(proposalId, { signature, walletId, authToken }) {
+    let proposal = this.getOpenProposal(proposalId);
+    const wallet = this.getMultisigWallet(proposal.multisigAddress);
+
+    let signerAddress;
+    if (walletId) {
+      signerAddress = keystoreService.authorize(walletId, authToken).address;
+    } else {
+      try {
+        const message = new TextEncoder().encode(cancelMessage(proposalId));
+        signerAddress = (await verifyPersonalMessageSignature(message, signature)).toSuiAddress();
+      } catch (error) {
+        throw httpError(`Signature does not verify against "${cancelMessage(proposalId)}": ${error.message}`, 400);
+      }
+    }
+
+    if (!wallet.signers.some(signer => signer.address === normalizeSuiAddress(signerAddress))) {
+      throw httpError(`${signerAddress} is not a signer of multisig ${wallet.address}`, 403);
+    }
+
+    // Re-read after verifying: the proposal may have been executed meanwhile
+    proposal = this.getOpenProposal(proposalId);
+    proposal.status = 'cancelled';
+    ledgerRepository.updateMultisigProposal(proposal);
+
+    console.log(`🛑 Proposal ${proposalId} cancelled by ${signerAddress}`);
+
+    return { ...proposal };
+  }
+
+  getProposal(proposalId) {
+    const proposal = ledgerRepository.getMultisigProposal(proposalId);
+    if (!proposal) {
+      throw httpError(`Proposal ${proposalId} not found`, 404);
+    }
+    this.expireIfStale(proposal);
+    return { ...proposal };
+  }
+
+  listProposals(multisigAddress, status) {
+    const wallet = this.getMultisigWallet(multisigAddress);
+
+    return ledgerRepository.listMultisigProposals(wallet.address)
+      .map(proposal => {
+        this.expireIfStale(proposal);
+        return proposal;
+      })
+      .filter(proposal => !status || proposal.status === status)
+      .map(proposal => ({ ...proposal }));
+  }
+
+  getOpenProposal(proposalId) {
+    const proposal = ledgerRepository.getMultisigProposal(proposalId);
+    if (!proposal) {
+      throw httpError(`Proposal ${proposalId} not found`, 404);
+    }
+
+    this.expireIfStale(proposal);
+    if (!['pending', 'ready'].includes(proposal.status)) {
+      throw httpError(`Proposal is ${proposal.status}`, 409);
+    }
+    return proposal;
+  }
+
+  expireIfStale(proposal) {
+    if (['pending', 'ready'].includes(proposal.status) && Date.parse(proposal.expiresAt) <= Date.now()) {
+      proposal.status = 'expired';
+      ledgerRepository.updateMultisigProposal(proposal);
+    }
+  }
+}
+
+module.exports = new MultisigService();
@@ -0,0 +1,532 @@
+/**
+ * Payment Schedule Service
+ * Recurring payments (subscriptions, memberships) from keystore wallets.
+ *
+ * A schedule pays a fixed amount to one recipient on an interval or cron
+ * rule until its end date. A background worker executes due payments through
+ * suiService, sponsored when a gas sponsor is configured, and records every
+ * run. A failed payment is retried until it succeeds or fails
+ * SCHEDULE_MAX_CONSECUTIVE_FAILURES times in a row, which pauses the schedule.
+ * Each run keeps its transaction digest from before submission; an attempt
+ * that reported failure but landed on chain anyway counts as the payment
+ * instead of being retried.
+ *
+ * Schedules and their runs are kept in the ledger, with the paying wallet's
+ * auth token sealed by the keystore master key until the schedule ends.
+ *
+ * Slots missed while the server was down or the schedule was paused are not
+ * paid retroactively; the schedule continues with the next slot.
+ */
+
+const crypto = require('crypto');
+const suiService = require('./suiService');
+const keystoreService = require('./keystoreService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { parseCron, nextCronTime } = require('../utils/cron');
+const { httpError, wrapError } = require('../utils/errors');
+
+const TICK_INTERVAL_MS = parseInt(process.env.SCHEDULER_TICK_MS || '15000', 10);
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.SCHEDULE_MAX_CONSECUTIVE_FAILURES || '3', 10);
+const RETRY_DELAY_MS = parseInt(process.env.SCHEDULE_RETRY_DELAY_MS || '300000', 10); // 5 minutes
+const MIN_INTERVAL_MS = 60 * 1000;
+const MAX_RUNS_KEPT = 100; // Per schedule; totals are kept separately
+
+const INTERVAL_UNITS_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+class PaymentScheduleService {
+  constructor() {
+    this.running = new Set(); // scheduleIds with a payment in flight
+    this.ticking = false;
+    this.timer = null;
+
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      this.start();
+    }
+  }
+
+  /**
+   * Start the worker that executes due payments
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`⏰ Payment scheduler started (every ${TICK_INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Create a recurring payment
+   * @param {Object} params - Schedule parameters
+   * @param {string} params.walletId - Keystore wallet that pays
+   * @param {string} params.authToken - Authorization token for the wallet
+   * @param {string} params.toAddress - Recipient address
+   * @param {string} params.amount - Decimal amount string per payment
+   * @param {string} params.coinType - Fully qualified coin type
+   * @param {Object} params.rule - { type: 'interval', every, unit } or { type: 'cron', expression }
+   * @param {string} [params.startAt] - ISO time of the first payment (interval) or search start (cron)
+   * @param {string} [params.endAt] - ISO time after which no payments are made
+   * @param {number} [params.maxRuns] - Stop after this many successful payments
+   * @param {boolean} [params.sponsored] - Pay gas from the sponsor account (defaults to whether one is configured)
+   * @param {string} [params.memo] - Description, e.g. "Monthly gym membership"
+   * @returns {Promise<Object>} - Created schedule
+   */
+  async createSchedule({ walletId, authToken, toAddress, amount, coinType, rule, startAt, endAt = null, maxRuns = null, sponsored, memo = null }) {
+    const wallet = keystoreService.authorize(walletId, authToken);
+    const useSponsor = sponsored === undefined ? !!suiService.gasSponsorKeypair : !!sponsored;
+    if (useSponsor && !suiService.gasSponsorKeypair) {
+      throw httpError('Gas sponsor account not configured', 503);
+    }
+
+    const normalizedRule = normalizeRule(rule);
+
+    let metadata;
+    try {
+      metadata = await suiService.getCoinMetadata(coinType);
+    } catch (error) {
+      throw wrapError('Failed to create schedule', error);
+    }
+    const amountInSmallestUnit = parseAmount(amount, metadata.decimals);
+
+    const now = new Date();
+    const start = startAt ? new Date(startAt) : now;
+    const firstRunAt = normalizedRule.type === 'interval'
+      ? start
+      : nextCronTime(normalizedRule.expression, new Date(start.getTime() - 1));
+
+    if (endAt && Date.parse(endAt) < firstRunAt.getTime()) {
+      throw httpError('End date is before the first payment', 400);
+    }
+
+    const schedule = {
+      scheduleId: crypto.randomUUID(),
+      status: 'active',
+      walletId,
+      fromAddress: wallet.address,
+      toAddress,
+      amount: amountInSmallestUnit,
+      formatted: formatAmount(amountInSmallestUnit, metadata.decimals),
+      coinType,
+      symbol: metadata.symbol,
+      decimals: metadata.decimals,
+      sponsored: useSponsor,
+      memo,
+      rule: normalizedRule,
+      startAt: start.toISOString(),
+      endAt: endAt ? new Date(endAt).toISOString() : null,
+      maxRuns,
+      dueAt: firstRunAt.toISOString(), // Slot currently owed
+      nextRunAt: firstRunAt.toISOString(), // Next attempt (later than dueAt while retrying)
+      successfulRuns: 0,
+      failedRuns: 0,
+      consecutiveFailures: 0,
+      lastRunAt: null,
+      pausedReason: null,
+      runs: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    ledgerRepository.transaction(() => {
+      ledgerRepository.saveSchedule(schedule);
+      ledgerRepository.setScheduleAuthToken(
+        schedule.scheduleId,
+        keystoreService.sealSecret(schedule.scheduleId, authToken)
+      );
+    });
+
+    console.log(`⏰ Schedule ${schedule.scheduleId}: ${schedule.formatted} ${schedule.symbol} to ${toAddress}, first run ${schedule.nextRunAt}`);
+
+    return toPublicSchedule(schedule);
+  }
+
+  /**
+   * Execute every schedule whose next run is due. Runs are sequential so two
+   * payments from the same wallet never race for the same coins.
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const due = ledgerRepository
+        .listSchedules({ status: 'active', dueBefore: new Date().toISOString() }, MAX_RUNS_KEPT)
+        .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt));
+
+      for (const { scheduleId } of due) {
+        // Re-read: the owner may have paused or cancelled it during an earlier run
+        const schedule = this.requireSchedule(scheduleId);
+        if (schedule.status === 'active') {
+          await this.executeRun(schedule);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Payment scheduler tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Pay the schedule's due slot and record the run
+   * @param {Object} schedule - Active schedule
+   * @returns {Promise<Object>} - Run record
+   */
+  async executeRun(schedule) {
+    this.running.add(schedule.scheduleId);
+    try {
+      return await this.payDueSlot(schedule);
+    } finally {
+      this.running.delete(schedule.scheduleId);
+    }
+  }
+
+  async payDueSlot(schedule) {
+    if (this.isFinished(schedule, new Date(schedule.dueAt))) {
+      this.complete(schedule);
+      return null;
+    }
+
+    let landed;
+    try {
+      landed = await this.findLandedAttempt(schedule);
+    } catch (error) {
+      // Paying again without knowing whether the last attempt landed could pay twice
+      schedule.nextRunAt = new Date(Date.now() + RETRY_DELAY_MS).toISOString();
+      ledgerRepository.saveSchedule(schedule);
+      console.warn(`⚠️ Schedule ${schedule.scheduleId} retry postponed, previous attempt could not be checked: ${error.message}`);
+      return null;
+    }
+    if (landed) {
+      return this.recordLandedAttempt(schedule, landed);
+    }
+
+    const run = {
+      runId: crypto.randomUUID(),
+      dueAt: schedule.dueAt,
+      attempt: schedule.consecutiveFailures + 1,
+      status: 'running',
+      digest: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    try {
+      const result = await suiService.transferCoin(
+        schedule.walletId,
+        this.authToken(schedule),
+        schedule.toAddress,
+        formatAmount(schedule.amount, schedule.decimals),
+        schedule.coinType,
+        {
+          sponsored: schedule.sponsored,
+          onDigest: digest => {
+            // Saved before submission so a lost response can be checked on chain
+            run.digest = digest;
+            ledgerRepository.saveScheduleRun(schedule.scheduleId, run, MAX_RUNS_KEPT);
+          }
+        }
+      );
+
+      if (result.status !== 'success') {
+        throw new Error(`Transaction ${result.digest} failed on chain`);
+      }
+
+      run.status = 'succeeded';
+      schedule.successfulRuns += 1;
+      schedule.consecutiveFailures = 0;
+      this.advance(schedule);
+
+      console.log(`✅ Schedule ${schedule.scheduleId} paid ${schedule.formatted} ${schedule.symbol}: ${result.digest}`);
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      schedule.failedRuns += 1;
+      schedule.consecutiveFailures += 1;
+
+      if (schedule.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        schedule.status = 'paused';
+        schedule.pausedReason = `${schedule.consecutiveFailures} consecutive failed payments: ${error.message}`;
+        console.warn(`⏸️ Schedule ${schedule.scheduleId} paused after ${schedule.consecutiveFailures} failures`);
+      } else {
+        schedule.nextRunAt = new Date(Date.now() + RETRY_DELAY_MS).toISOString();
+        console.warn(`⚠️ Schedule ${schedule.scheduleId} payment failed (attempt ${run.attempt}): ${error.message}`);
+      }
+    }
+
+    run.finishedAt = new Date().toISOString();
+    schedule.lastRunAt = run.finishedAt;
+    schedule.updatedAt = run.finishedAt;
+    ledgerRepository.transaction(() => {
+      ledgerRepository.saveScheduleRun(schedule.scheduleId, run, MAX_RUNS_KEPT);
+      this.save(schedule);
+    });
+
+    return { ...run };
+  }
+
+  /**
+   * An earlier attempt at the due slot that succeeded on chain although it
+   * was recorded as failed (e.g. its response was lost)
+   * @param {Object} schedule - Schedule about to be paid
+   * @returns {Promise<Object|null>} - The landed run, if any
+   */
+  async findLandedAttempt(schedule) {
+    const attempts = schedule.runs.filter(run =>
+      run.dueAt === schedule.dueAt && run.status !== 'succeeded' && run.digest
+    );
+
+    for (const run of attempts) {
+      const tx = await suiService.findExecutedTransaction(run.digest);
+      if (tx?.effects?.status?.status === 'success') {
+        return run;
+      }
+      if (!tx && run.status === 'running') {
+        // Submitted just before a restart and never executed
+        run.status = 'interrupted';
+        run.finishedAt = new Date().toISOString();
+        ledgerRepository.saveScheduleRun(schedule.scheduleId, run, MAX_RUNS_KEPT);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count a landed attempt as the slot's payment
+   */
+  recordLandedAttempt(schedule, run) {
+    if (run.status === 'failed') {
+      schedule.failedRuns -= 1;
+    }
+    run.status = 'succeeded';
+    run.error = null;
+    run.finishedAt = run.finishedAt || new Date().toISOString();
+
+    schedule.successfulRuns += 1;
+    schedule.consecutiveFailures = 0;
+    schedule.updatedAt = new Date().toISOString();
+    this.advance(schedule);
+    ledgerRepository.transaction(() => {
+      ledgerRepository.saveScheduleRun(schedule.scheduleId, run, MAX_RUNS_KEPT);
+      this.save(schedule);
+    });
+
+    console.log(`✅ Schedule ${schedule.scheduleId} payment ${run.digest} landed after being reported failed`);
+
+    return { ...run };
+  }
+
+  /**
+   * Move a schedule to its next slot after now, completing it past its end
+   */
+  advance(schedule) {
+    const now = new Date();
+    let next = this.nextSlot(schedule, new Date(schedule.dueAt));
+    while (next < now) {
+      next = this.nextSlot(schedule, next);
+    }
+
+    if (this.isFinished(schedule, next)) {
+      this.complete(schedule);
+      return;
+    }
+
+    schedule.dueAt = next.toISOString();
+    schedule.nextRunAt = schedule.dueAt;
+  }
+
+  nextSlot(schedule, after) {
+    if (schedule.rule.type === 'interval') {
+      return new Date(after.getTime() + schedule.rule.every * INTERVAL_UNITS_MS[schedule.rule.unit]);
+    }
+    return nextCronTime(schedule.rule.expression, after);
+  }
+
+  isFinished(schedule, slot) {
+    return (schedule.endAt && slot.getTime() > Date.parse(schedule.endAt)) ||
+      (schedule.maxRuns && schedule.successfulRuns >= schedule.maxRuns);
+  }
+
+  complete(schedule) {
+    schedule.status = 'completed';
+    schedule.nextRunAt = null;
+    schedule.updatedAt = new Date().toISOString();
+    this.save(schedule);
+    console.log(`🏁 Schedule ${schedule.scheduleId} completed after ${schedule.successfulRuns} payments`);
+  }
+
+  /**
+   * Pause an active schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} authToken - Authorization token for the paying wallet
+   * @returns {Object} - Paused schedule
+   */
+  pauseSchedule(scheduleId, authToken) {
+    const schedule = this.getAuthorizedSchedule(scheduleId, authToken);
+    if (schedule.status !== 'active') {
+      throw httpError(`Schedule is ${schedule.status}`, 409);
+    }
+
+    schedule.status = 'paused';
+    schedule.pausedReason = 'Paused by wallet owner';
+    schedule.updatedAt = new Date().toISOString();
+    this.save(schedule);
+
+    return toPublicSchedule(schedule);
+  }
+
+  /**
+   * Resume a paused schedule. A schedule paused by failures retries its owed
+   * payment immediately; one paused by its owner skips the slots it missed.
+   * The token given here replaces the stored one, so resuming also recovers
+   * schedules that failed because the wallet's token was rotated.
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} authToken - Authorization token for the paying wallet
+   * @returns {Object} - Resumed schedule
+   */
+  resumeSchedule(scheduleId, authToken) {
+    const schedule = this.getAuthorizedSchedule(scheduleId, authToken);
+    if (schedule.status !== 'paused') {
+      throw httpError(`Schedule is ${schedule.status}`, 409);
+    }
+
+    const now = new Date();
+    if (schedule.consecutiveFailures > 0) {
+      schedule.consecutiveFailures = 0;
+      schedule.nextRunAt = now.toISOString();
+    } else if (Date.parse(schedule.dueAt) < now.getTime()) {
+      let next = new Date(schedule.dueAt);
+      while (next < now) {
+        next = this.nextSlot(schedule, next);
+      }
+      schedule.dueAt = next.toISOString();
+      schedule.nextRunAt = schedule.dueAt;
+    }
+
+    schedule.status = 'active';
+    schedule.pausedReason = null;
+    schedule.updatedAt = now.toISOString();
+
+    if (this.isFinished(schedule, new Date(schedule.dueAt))) {
+      this.complete(schedule);
+    } else {
+      ledgerRepository.transaction(() => {
+        this.save(schedule);
+        ledgerRepository.setScheduleAuthToken(scheduleId, keystoreService.sealSecret(scheduleId, authToken));
+      });
+    }
+
+    return toPublicSchedule(schedule);
+  }
+
+  /**
+   * Cancel a schedule permanently
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} authToken - Authorization token for the paying wallet
+   * @returns {Object} - Cancelled schedule
+   */
+  cancelSchedule(scheduleId, authToken) {
+    const schedule = this.getAuthorizedSchedule(scheduleId, authToken);
+    if (!['active', 'paused'].includes(schedule.status)) {
+      throw httpError(`Schedule is ${schedule.status}`, 409);
+    }
+
+    schedule.status = 'cancelled';
+    schedule.nextRunAt = null;
+    schedule.pausedReason = null;
+    schedule.updatedAt = new Date().toISOString();
+    this.save(schedule);
+
+    return toPublicSchedule(schedule);
+  }
+
+  getSchedule(scheduleId) {
+    return toPublicSchedule(this.requireSchedule(scheduleId));
+  }
+
+  /**
+   * List schedules, optionally for one wallet and status
+   * @param {Object} filters - { walletId, fromAddress, status }
+   * @returns {Array<Object>} - Schedules without their run history
+   */
+  listSchedules({ walletId, fromAddress, status } = {}) {
+    return ledgerRepository
+      .listSchedules({ walletId, fromAddress, status }, 1)
+      .map(({ runs, ...summary }) => ({ ...summary, lastRun: runs[0] || null }));
+  }
+
+  /**
+   * Store a schedule, dropping the wallet's token once it can no longer pay
+   */
+  save(schedule) {
+    ledgerRepository.transaction(() => {
+      ledgerRepository.saveSchedule(schedule);
+      if (['completed', 'cancelled'].includes(schedule.status)) {
+        ledgerRepository.setScheduleAuthToken(schedule.scheduleId, null);
+      }
+    });
+  }
+
+  authToken(schedule) {
+    const sealed = ledgerRepository.getScheduleAuthToken(schedule.scheduleId);
+    return sealed ? keystoreService.openSecret(schedule.scheduleId, sealed) : null;
+  }
+
+  requireSchedule(scheduleId) {
+    const schedule = ledgerRepository.getSchedule(scheduleId, MAX_RUNS_KEPT);
+    if (!schedule) {
+      throw httpError(`Schedule ${scheduleId} not found`, 404);
+    }
+    return schedule;
+  }
+
+  getAuthorizedSchedule(scheduleId, authToken) {
+    const schedule = this.requireSchedule(scheduleId);
+    keystoreService.authorize(schedule.walletId, authToken);
+    if (this.running.has(scheduleId)) {
+      throw httpError('A payment for this schedule is in progress, try again shortly', 409);
+    }
+    return schedule;
+  }
+}
+
+function normalizeRule(rule) {
+  if (rule.type === 'cron') {
+    parseCron(rule.expression);
+    return { type: 'cron', expression: rule.expression };
+  }
+
+  if (!INTERVAL_UNITS_MS[rule.unit]) {
+    throw httpError(`Interval unit must be one of ${Object.keys(INTERVAL_UNITS_MS).join(', ')}`, 400);
+  }
+  if (rule.every * INTERVAL_UNITS_MS[rule.unit] < MIN_INTERVAL_MS) {
+    throw httpError('Payments can be scheduled at most once a minute', 400);
+  }
+  return { type: 'interval', every: rule.every, unit: rule.unit };
+}
+
+function toPublicSchedule(schedule) {
+  return {
+    ...schedule,
+    rule: { ...schedule.rule },
+    runs: schedule.runs.map(run => ({ ...run }))
+  };
+}
+
+module.exports = new PaymentScheduleService();
@@ -0,0 +1,631 @@
+/**
+ * Payment Service
+ * Ledger of customer-to-merchant payments and their refunds.
+ *
+ * createPayment (POST /api/payments) takes a payment through one lifecycle
+ * whatever the rail: pending -> authorized -> settled, or failed. The rail
+ * (sui, sui_sponsored or yellow) comes from the merchant's configuration
+ * and the amount; see config/merchantConfig.js. A Sui payment whose
+ * transfer was submitted but never reported back stays authorized, with its
+ * digest, until the chain shows whether it landed.
+ *
+ * Other payment flows (Yellow biometric payments, authorization captures)
+ * record their settled payments here too. Refunds are linked to a payment:
+ * they can be full or partial, but never more in total than was paid, and
+ * move funds back on the rail the payment used:
+ * - sui, sui_sponsored: a transfer from the merchant's keystore wallet to the customer
+ * - yellow: a reverse app session, merchant to customer, closed immediately
+ * A Sui refund whose transfer outcome is unknown stays pending, with its
+ * digest and its amount reserved, until the chain shows whether it landed.
+ *
+ * Payments, refunds and each payment's history (its audit events) are kept
+ * in the ledger database, so they survive a restart.
+ */
+
+const crypto = require('crypto');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
+const suiService = require('./suiService');
+const keystoreService = require('./keystoreService');
+const { getYellowNetworkService } = require('./yellowNetworkService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { getMerchant, merchantOwnsAddress, validateMerchantConfig } = require('../config/merchantConfig');
+const { parseAmount, formatAmount } = require('../utils/money');
+const { httpError } = require('../utils/errors');
+
+const YELLOW_ASSET_DECIMALS = 6; // Yellow app sessions settle in usdc
+const SUBMITTED_WAIT_TIMEOUT_MS = parseInt(process.env.PAYMENT_SUBMITTED_WAIT_TIMEOUT_MS || '120000', 10);
+
+class PaymentService {
+  constructor() {
+    validateMerchantConfig();
+  }
+
+  /**
+   * Take a payment to a configured merchant on the rail its configuration selects
+   * @param {Object} params - Payment parameters
+   * @param {string} params.merchantId - Merchant from the merchant configuration
+   * @param {string} params.amount - Decimal amount
+   * @param {string} params.currency - 'USDC' or 'SUI'
+   * @param {string} [params.walletId] - Payer's keystore wallet (Sui rails)
+   * @param {string} [params.authToken] - Authorization token for that wallet
+   * @param {string} [params.customerAddress] - Payer's EVM address (Yellow rail)
+   * @param {string} [params.biometricHash] - Biometric verification the payment was approved with
+   * @param {string} [params.memo] - Merchant's note
+   * @returns {Promise<Object>} - Settled payment
+   */
+  async createPayment({ merchantId, amount, currency, walletId, authToken, customerAddress, biometricHash, memo }) {
+    const merchant = getMerchant(merchantId);
+    if (!merchant) {
+      throw httpError(`Merchant ${merchantId} is not configured`, 404);
+    }
+
+    const coinType = currency === 'SUI' ? suiService.suiCoinType : suiService.usdcCoinType;
+    const { decimals } = await suiService.getCoinMetadata(coinType);
+    const baseUnits = parseAmount(amount, decimals);
+
+    const rail = this.selectRail(merchant, { currency, amount: baseUnits, decimals, walletId, customerAddress });
+    const onSui = rail !== 'yellow';
+
+    const now = new Date().toISOString();
+    const payment = {
+      paymentId: crypto.randomUUID(),
+      rail,
+      source: 'payments.api',
+      status: 'pending',
+      merchantId,
+      customerAddress: onSui ? keystoreService.getWallet(walletId).address : customerAddress,
+      merchantAddress: onSui ? merchant.suiAddress : merchant.yellowAddress,
+      merchantName: merchant.name || null,
+      amount: baseUnits,
+      formatted: formatAmount(baseUnits, decimals),
+      coinType: onSui ? coinType : 'usdc',
+      symbol: currency,
+      decimals,
+      transactionId: null,
+      refundedAmount: 0n,
+      pendingRefundAmount: 0n,
+      metadata: { biometricHash: biometricHash || null, memo: memo || null },
+      createdAt: now,
+      updatedAt: now
+    };
+
+    ledgerRepository.transaction(() => {
+      ledgerRepository.insertPayment(payment);
+      ledgerRepository.recordAuditEvent('payment', payment.paymentId, 'payment.pending', { rail, amount: baseUnits }, now);
+    });
+    console.log(`💳 Payment ${payment.paymentId} to ${merchantId}: ${payment.formatted} ${currency} via ${rail}`);
+
+    try {
+      if (onSui) {
+        await this.payOnSui(payment, { walletId, authToken });
+      } else {
+        await this.payOnYellow(payment);
+      }
+    } catch (error) {
+      if (error.outcomeUnknown) {
+        // Stays authorized with its digest; marking it failed could let it be paid twice
+        error.paymentId = payment.paymentId;
+        throw error;
+      }
+
+      payment.status = 'failed';
+      payment.failureReason = error.message;
+      this.savePaymentStatus(payment, { error: error.message });
+
+      const failure = httpError(`Payment failed: ${error.message}`, error.statusCode || 502);
+      failure.paymentId = payment.paymentId;
+      throw failure;
+    }
+
+    return this.getPayment(payment.paymentId);
+  }
+
+  /**
+   * Pick the first of the merchant's rails that allows this payment
+   * @returns {string} - 'yellow', 'sui_sponsored' or 'sui'
+   */
+  selectRail(merchant, { currency, amount, decimals, walletId, customerAddress }) {
+    const skipped = [];
+
+    for (const option of merchant.rails) {
+      const reason = this.railUnavailableReason(option, merchant, { currency, amount, decimals, walletId, customerAddress });
+      if (!reason) {
+        return option.rail;
+      }
+      skipped.push(`${option.rail}: ${reason}`);
+    }
+
+    throw httpError(`No payment rail available for merchant ${merchant.merchantId} (${skipped.join('; ')})`, 422);
+  }
+
+  railUnavailableReason(option, merchant, { currency, amount, decimals, walletId, customerAddress }) {
+    if (option.currencies && !option.currencies.includes(currency)) {
+      return `not enabled for ${currency}`;
+    }
+    if (option.maxAmount !== undefined && amount > parseAmount(option.maxAmount, decimals)) {
+      return `amount is above ${option.maxAmount} ${currency}`;
+    }
+
+    if (option.rail === 'yellow') {
+      if (currency !== 'USDC') {
+        return 'settles USDC only';
+      }
+      if (!merchant.yellowAddress) {
+        return 'merchant has no yellowAddress';
+      }
+      if (!customerAddress) {
+        return 'payer gave no customerAddress';
+      }
+      if (!isYellowAvailable()) {
+        return 'Yellow Network is not connected';
+      }
+      return null;
+    }
+
+    if (!merchant.suiAddress) {
+      return 'merchant has no suiAddress';
+    }
+    if (!walletId) {
+      return 'payer gave no walletId';
+    }
+    if (option.rail === 'sui_sponsored' && !suiService.gasSponsorKeypair) {
+      return 'no gas sponsor is configured';
+    }
+    return null;
+  }
+
+  // Authorized once the payer's wallet credentials check out; settled when the transfer lands.
+  // The digest is saved before submission, and a transfer error is checked against the chain
+  // before the payment counts as failed.
+  async payOnSui(payment, { walletId, authToken }) {
+    keystoreService.authorize(walletId, authToken);
+    payment.status = 'authorized';
+    this.savePaymentStatus(payment);
+
+    let result;
+    try {
+      result = await suiService.transferCoin(
+        walletId,
+        authToken,
+        payment.merchantAddress,
+        payment.formatted,
+        payment.coinType,
+        {
+          sponsored: payment.rail === 'sui_sponsored',
+          onDigest: digest => {
+            payment.transactionId = digest;
+            this.savePaymentStatus(payment, { transactionId: digest });
+          }
+        }
+      );
+    } catch (error) {
+      if (!payment.transactionId) {
+        throw error; // Never submitted
+      }
+      result = await this.findSubmittedTransfer(payment.transactionId, error, {
+        stays: 'the payment stays authorized',
+        whenFinal: effects => this.settleWhenFinal(payment, effects)
+      });
+    }
+
+    if (result.status !== 'success') {
+      payment.transactionId = result.digest;
+      throw new Error(`Transaction ${result.digest} failed on chain`);
+    }
+
+    payment.status = 'settled';
+    payment.transactionId = result.digest;
+    this.savePaymentStatus(payment, { transactionId: result.digest, gasUsed: result.gasUsed });
+  }
+
+  /**
+   * Look up a submitted transfer whose response was lost. If the chain does
+   * not show it yet, whenFinal runs in the background once it does and an
+   * outcome-unknown error is thrown.
+   * @param {string} digest - Digest kept before submission
+   * @param {Error} error - Error transferCoin threw
+   * @param {Object} pending - What happens meanwhile
+   * @param {string} pending.stays - e.g. 'the payment stays authorized'
+   * @param {Function} pending.whenFinal - Called with the transaction's effects
+   * @returns {Promise<Object>} - { digest, status, gasUsed } once executed
+   */
+  async findSubmittedTransfer(digest, error, { stays, whenFinal }) {
+    let tx;
+    try {
+      tx = await suiService.findExecutedTransaction(digest);
+    } catch (lookupError) {
+      console.error(`❌ Could not look up transaction ${digest}:`, lookupError.message);
+    }
+
+    if (!tx) {
+      this.waitForFinal(digest, stays, whenFinal);
+      const unknown = httpError(
+        `Transaction ${digest} was submitted but its outcome is unknown (${error.message}); ` +
+        `${stays} until it is confirmed`,
+        504
+      );
+      unknown.outcomeUnknown = true;
+      throw unknown;
+    }
+
+    return { digest, status: tx.effects?.status?.status, gasUsed: tx.effects?.gasUsed };
+  }
+
+  /**
+   * Wait for a submitted transaction to be final and hand its effects to
+   * whenFinal. A transaction that never shows up leaves the record as it is.
+   */
+  async waitForFinal(digest, stays, whenFinal) {
+    let tx;
+    try {
+      tx = await suiService.client.waitForTransaction({
+        digest,
+        timeout: SUBMITTED_WAIT_TIMEOUT_MS,
+        options: { showEffects: true }
+      });
+    } catch (error) {
+      console.error(`❌ Transaction ${digest} not found, ${stays}: ${error.message}`);
+      return;
+    }
+    whenFinal(tx.effects);
+  }
+
+  // Settle or fail an authorized payment once its lost transfer is final
+  settleWhenFinal(payment, effects) {
+    const digest = payment.transactionId;
+    if (effects?.status?.status === 'success') {
+      payment.status = 'settled';
+      this.savePaymentStatus(payment, { transactionId: digest, gasUsed: effects.gasUsed });
+    } else {
+      payment.status = 'failed';
+      payment.failureReason = `Transaction ${digest} failed on chain`;
+      this.savePaymentStatus(payment, { error: payment.failureReason });
+    }
+    console.log(`💳 Payment ${payment.paymentId} ${payment.status} after its response was lost`);
+  }
+
+  // Authorized once an app session locks the customer's funds; settled when it closes to the merchant
+  async payOnYellow(payment) {
+    const yellowService = getYellowNetworkService();
+    const session = await yellowService.createBiometricPaymentSession(
+      payment.customerAddress,
+      payment.merchantAddress,
+      payment.formatted
+    );
+
+    payment.status = 'authorized';
+    payment.transactionId = session.sessionId;
+    this.savePaymentStatus(payment, { sessionId: session.sessionId });
+
+    try {
+      await yellowService.closeBiometricPaymentSession(session.sessionId, payment.formatted, '0');
+    } catch (error) {
+      // Hand the locked funds back rather than leave the session open
+      await yellowService.closeBiometricPaymentSession(session.sessionId, '0', payment.formatted).catch(releaseError => {
+        console.error(`❌ Could not release session ${session.sessionId}:`, releaseError.message);
+      });
+      throw error;
+    }
+
+    payment.status = 'settled';
+    this.savePaymentStatus(payment, { transactionId: session.sessionId });
+  }
+
+  savePaymentStatus(payment, data = {}) {
+    payment.updatedAt = new Date().toISOString();
+    ledgerRepository.transaction(() => {
+      ledgerRepository.updatePayment(payment);
+      ledgerRepository.recordAuditEvent('payment', payment.paymentId, `payment.${payment.status}`, data, payment.updatedAt);
+    });
+  }
+
+  /**
+   * Record a payment another flow has already settled
+   * @param {Object} params - Payment details
+   * @param {string} params.rail - 'sui', 'sui_sponsored' or 'yellow'
+   * @param {string} params.source - Flow that took the payment, e.g. 'yellow.biometric'
+   * @param {string} params.customerAddress - Payer (refunds go here)
+   * @param {string} params.merchantAddress - Payee
+   * @param {bigint} params.amount - Amount in base units
+   * @param {number} params.decimals - Coin decimals
+   * @param {string} params.coinType - Coin type ('usdc' on Yellow)
+   * @param {string} params.symbol - Coin symbol
+   * @param {string} [params.transactionId] - Digest, session or transaction ID of the payment
+   * @param {string} [params.merchantName] - Merchant display name
+   * @param {Object} [params.metadata] - Flow-specific details
+   * @returns {Object} - Payment record
+   */
+  recordPayment({ rail, source, customerAddress, merchantAddress, amount, decimals, coinType, symbol, transactionId = null, merchantName = null, metadata = {} }) {
+    const now = new Date().toISOString();
+    const payment = {
+      paymentId: crypto.randomUUID(),
+      rail,
+      source,
+      status: 'settled',
+      customerAddress,
+      merchantAddress,
+      merchantName,
+      amount,
+      formatted: formatAmount(amount, decimals),
+      coinType,
+      symbol,
+      decimals,
+      transactionId,
+      refundedAmount: 0n,
+      pendingRefundAmount: 0n,
+      metadata,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    ledgerRepository.transaction(() => {
+      ledgerRepository.insertPayment(payment);
+      ledgerRepository.recordAuditEvent('payment', payment.paymentId, 'payment.settled', { amount, transactionId }, now);
+    });
+    console.log(`💳 Payment ${payment.paymentId} recorded: ${payment.formatted} ${symbol} via ${rail} (${source})`);
+
+    return this.getPayment(payment.paymentId);
+  }
+
+  /**
+   * Record a payment taken through a Yellow biometric session, where
+   * amounts are decimal strings
+   */
+  recordYellowPayment({ source, customerAddress, merchantAddress, amount, currency = 'USDC', transactionId, merchantName, metadata }) {
+    return this.recordPayment({
+      rail: 'yellow',
+      source,
+      customerAddress,
+      merchantAddress,
+      amount: parseAmount(String(amount), YELLOW_ASSET_DECIMALS),
+      decimals: YELLOW_ASSET_DECIMALS,
+      coinType: 'usdc',
+      symbol: currency,
+      transactionId,
+      merchantName,
+      metadata
+    });
+  }
+
+  /**
+   * Refund all or part of a payment to its customer
+   * @param {string} paymentId - Payment ID
+   * @param {Object} params - Refund parameters
+   * @param {string} [params.amount] - Decimal amount (defaults to everything not yet refunded)
+   * @param {string} [params.reason] - Why the payment is refunded
+   * @param {string} [params.walletId] - Merchant keystore wallet that pays the refund (sui)
+   * @param {string} [params.authToken] - Authorization token for that wallet (sui)
+   * @param {Object} [params.merchant] - Merchant authenticated by API key (yellow)
+   * @returns {Promise<Object>} - The refund and the updated payment
+   */
+  async refundPayment(paymentId, { amount, reason = null, walletId, authToken, merchant = null }) {
+    const payment = this.requirePayment(paymentId);
+
+    const refundable = payment.amount - payment.refundedAmount - payment.pendingRefundAmount;
+    const refundAmount = amount ? parseAmount(amount, payment.decimals) : refundable;
+    if (refundable <= 0n) {
+      throw httpError('Payment has already been fully refunded', 409);
+    }
+    if (payment.status !== 'settled' && payment.status !== 'partially_refunded') {
+      throw httpError(`Only settled payments can be refunded (payment is ${payment.status})`, 409);
+    }
+    if (refundAmount > refundable) {
+      throw httpError(
+        `Refund of ${formatAmount(refundAmount, payment.decimals)} exceeds the refundable ${formatAmount(refundable, payment.decimals)} ${payment.symbol}`,
+        400
+      );
+    }
+
+    const onSui = payment.rail !== 'yellow';
+    if (onSui) {
+      const merchantWallet = keystoreService.authorize(walletId, authToken);
+      if (normalizeSuiAddress(merchantWallet.address) !== normalizeSuiAddress(payment.merchantAddress)) {
+        throw httpError('Refunds must be paid from the merchant wallet that received the payment', 403);
+      }
+    } else if (!merchant) {
+      throw httpError('Yellow refunds need the merchant API key (X-Merchant-Key)', 401);
+    } else if (!merchantOwnsAddress(merchant, payment.merchantAddress)) {
+      throw httpError(`Merchant ${merchant.merchantId} did not receive this payment`, 403);
+    }
+
+    const refund = {
+      refundId: crypto.randomUUID(),
+      status: 'pending',
+      amount: refundAmount,
+      formatted: formatAmount(refundAmount, payment.decimals),
+      reason,
+      toAddress: payment.customerAddress,
+      transactionId: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    // Reserve the amount so concurrent refunds cannot exceed the payment (nothing is
+    // awaited between the check above and this write). A crash mid-refund leaves the
+    // reservation in place rather than risk refunding twice.
+    payment.pendingRefundAmount += refundAmount;
+    payment.updatedAt = refund.createdAt;
+    ledgerRepository.transaction(() => {
+      ledgerRepository.updatePayment(payment);
+      ledgerRepository.insertRefund(payment.paymentId, refund);
+    });
+
+    let failure = null;
+    try {
+      refund.transactionId = onSui
+        ? await this.refundOnSui(payment, refund, { walletId, authToken })
+        : await this.refundOnYellow(payment, refund);
+
+      refund.status = 'succeeded';
+    } catch (error) {
+      if (error.outcomeUnknown) {
+        // Stays pending with its digest and reservation; failing it could let it be refunded twice
+        error.refundId = refund.refundId;
+        throw error;
+      }
+      failure = error;
+      refund.status = 'failed';
+      refund.error = error.message;
+    }
+
+    this.completeRefund(paymentId, refund);
+
+    if (failure) {
+      throw httpError(`Refund failed: ${failure.message}`, failure.statusCode || 502);
+    }
+
+    console.log(`↩️ Refund ${refund.refundId}: ${refund.formatted} ${payment.symbol} returned to ${payment.customerAddress}`);
+
+    return { refund: { ...refund }, payment: this.getPayment(paymentId) };
+  }
+
+  /**
+   * Apply a finished refund to the payment's stored totals. Other refunds
+   * may have completed meanwhile, so the payment is read again here.
+   * @param {string} paymentId - Payment ID
+   * @param {Object} refund - Refund with its final status
+   */
+  completeRefund(paymentId, refund) {
+    refund.completedAt = new Date().toISOString();
+    ledgerRepository.transaction(() => {
+      const current = this.requirePayment(paymentId);
+      current.pendingRefundAmount -= refund.amount;
+      if (refund.status === 'succeeded') {
+        current.refundedAmount += refund.amount;
+        current.status = current.refundedAmount === current.amount ? 'refunded' : 'partially_refunded';
+      }
+      current.updatedAt = refund.completedAt;
+
+      ledgerRepository.updatePayment(current);
+      ledgerRepository.updateRefund(refund);
+      ledgerRepository.recordAuditEvent('payment', paymentId, `refund.${refund.status}`, {
+        refundId: refund.refundId,
+        amount: refund.amount,
+        transactionId: refund.transactionId,
+        error: refund.error
+      }, refund.completedAt);
+    });
+  }
+
+  // The digest is saved before submission, and a transfer error is checked
+  // against the chain before the refund counts as failed
+  async refundOnSui(payment, refund, { walletId, authToken }) {
+    let result;
+    try {
+      result = await suiService.transferCoin(
+        walletId,
+        authToken,
+        payment.customerAddress,
+        refund.formatted,
+        payment.coinType,
+        {
+          sponsored: !!suiService.gasSponsorKeypair,
+          onDigest: digest => {
+            refund.transactionId = digest;
+            ledgerRepository.updateRefund(refund);
+          }
+        }
+      );
+    } catch (error) {
+      if (!refund.transactionId) {
+        throw error; // Never submitted
+      }
+      result = await this.findSubmittedTransfer(refund.transactionId, error, {
+        stays: 'the refund stays pending',
+        whenFinal: effects => {
+          const succeeded = effects?.status?.status === 'success';
+          refund.status = succeeded ? 'succeeded' : 'failed';
+          refund.error = succeeded ? null : `Transaction ${refund.transactionId} failed on chain`;
+          this.completeRefund(payment.paymentId, refund);
+          console.log(`↩️ Refund ${refund.refundId} ${refund.status} after its response was lost`);
+        }
+      });
+    }
+
+    if (result.status !== 'success') {
+      throw new Error(`Transaction ${result.digest} failed on chain`);
+    }
+    return result.digest;
+  }
+
+  async refundOnYellow(payment, refund) {
+    let yellowService;
+    try {
+      yellowService = getYellowNetworkService();
+    } catch (error) {
+      throw httpError(error.message, 503);
+    }
+    if (!yellowService.isAuthenticated) {
+      throw httpError('Yellow Network not authenticated', 503);
+    }
+
+    // The merchant funds a session with the customer as payee, then it closes in the customer's favour
+    const session = await yellowService.createBiometricPaymentSession(
+      payment.merchantAddress,
+      payment.customerAddress,
+      refund.formatted
+    );
+    await yellowService.closeBiometricPaymentSession(session.sessionId, refund.formatted, '0');
+
+    return session.sessionId;
+  }
+
+  /**
+   * Get a payment with its refunds and history
+   * @param {string} paymentId - Payment ID
+   * @param {Object} [merchant] - Merchant asking; it must have received the payment
+   * @returns {Object} - Payment
+   */
+  getPayment(paymentId, merchant = null) {
+    const payment = this.requirePayment(paymentId);
+    if (merchant && !receivedBy(merchant, payment)) {
+      throw httpError(`Merchant ${merchant.merchantId} did not receive payment ${paymentId}`, 403);
+    }
+    return toPublicPayment(payment);
+  }
+
+  /**
+   * List the payments a merchant received
+   * @param {Object} merchant - Authenticated merchant
+   * @param {Object} filters - { merchantAddress, customerAddress, status }
+   * @returns {Array<Object>} - Payments, newest first
+   */
+  listPayments(merchant, filters = {}) {
+    return ledgerRepository.listPayments(filters)
+      .filter(payment => receivedBy(merchant, payment))
+      .map(toPublicPayment);
+  }
+
+  requirePayment(paymentId) {
+    const payment = ledgerRepository.getPayment(paymentId);
+    if (!payment) {
+      throw httpError(`Payment ${paymentId} not found`, 404);
+    }
+    return payment;
+  }
+}
+
+function isYellowAvailable() {
+  try {
+    return getYellowNetworkService().isAuthenticated;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Payments taken through POST /api/payments carry the merchant's ID; those
+// other flows recorded only have the address that was paid
+function receivedBy(merchant, payment) {
+  return payment.merchantId === merchant.merchantId || merchantOwnsAddress(merchant, payment.merchantAddress);
+}
+
+function toPublicPayment(payment) {
+  const { pendingRefundAmount, ...rest } = payment;
+  return {
+    ...rest,
+    refundableAmount: payment.amount - payment.refundedAmount - pendingRefundAmount
+  };
+}
+
+module.exports = new PaymentService();
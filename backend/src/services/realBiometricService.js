@@ -3,16 +3,15 @@
  * Integrates real facial recognition with real Yellow Network transactions
  */
 
-const googleVisionService = require('./googleVisionService');
 const yellowNetworkService = require('./yellowNetworkService');
+const ledgerRepository = require('../db/ledgerRepository');
+const faceProviderRegistry = require('./faceProviders/faceProviderRegistry');
+const { faceProviderConfig } = require('../config/faceProviderConfig');
 const crypto = require('crypto');
 
 class RealBiometricService {
   constructor() {
-    this.enrolledFaces = new Map(); // Store enrolled face hashes
-    this.faceThreshold = 0.7; // Minimum confidence threshold for face recognition
-    
-    console.log('🔐 Real Biometric Service initialized');
+    console.log(`🔐 Real Biometric Service initialized (face provider: ${faceProviderConfig.realBiometricProvider})`);
   }
 
   /**
@@ -25,42 +24,51 @@ class RealBiometricService {
     try {
       console.log('🔐 Enrolling face for real biometric payments...');
       
-      // Use Google Vision API to assess face quality
-      const qualityResult = await googleVisionService.assessFaceQuality(faceImage);
-      
-      if (!qualityResult.success || !qualityResult.hasFace) {
-        throw new Error(`Face enrollment failed: ${qualityResult.message}`);
-      }
-
-      if (qualityResult.quality === 'poor') {
-        throw new Error('Face quality is too poor for enrollment. Please use a clearer image.');
-      }
+      // The provider checks there is exactly one usable face
+      const enrollmentId = crypto.randomUUID();
+      const provider = faceProviderRegistry.get(faceProviderConfig.realBiometricProvider);
+      const person = await provider.enroll({
+        personName: enrollmentId,
+        photos: [{ buffer: faceImage }]
+      });
+      const [face] = person.faces;
 
-      // Generate face hash
-      const hashResult = await googleVisionService.generateFaceHash(faceImage);
-      
       // Store enrollment data
-      const enrollmentId = crypto.randomUUID();
+      const previous = ledgerRepository.getEnrollment(userInfo.walletAddress);
       const enrollmentData = {
         id: enrollmentId,
         userInfo: userInfo,
-        faceHash: hashResult.faceHash,
-        quality: qualityResult.quality,
-        confidence: qualityResult.confidence,
-        enrolledAt: new Date().toISOString(),
+        provider: provider.name,
+        personId: person.personId,
+        quality: face.quality,
+        confidence: face.confidence,
+        enrolledAt: person.createdAt,
         isActive: true
       };
 
-      this.enrolledFaces.set(userInfo.walletAddress, enrollmentData);
+      ledgerRepository.transaction(() => {
+        ledgerRepository.saveEnrollment(userInfo.walletAddress, enrollmentData);
+        ledgerRepository.recordAuditEvent('enrollment', userInfo.walletAddress, 'enrollment.created', {
+          enrollmentId,
+          provider: provider.name,
+          quality: face.quality
+        });
+      });
+
+      // The new enrollment replaces the old one; its person is no longer needed
+      if (previous) {
+        await this.deleteProviderPerson(previous);
+      }
       
       console.log(`✅ Face enrolled successfully for ${userInfo.walletAddress}`);
       
       return {
         success: true,
         enrollmentId: enrollmentId,
-        faceHash: hashResult.faceHash,
-        quality: qualityResult.quality,
-        confidence: qualityResult.confidence,
+        provider: provider.name,
+        personId: person.personId,
+        quality: face.quality,
+        confidence: face.confidence,
         message: 'Face enrolled successfully for real biometric payments'
       };
 
@@ -80,18 +88,8 @@ class RealBiometricService {
     try {
       console.log('🔐 Recognizing face for real biometric payment...');
       
-      // Use Google Vision API to assess face quality
-      const qualityResult = await googleVisionService.assessFaceQuality(faceImage);
-      
-      if (!qualityResult.success || !qualityResult.hasFace) {
-        throw new Error(`Face recognition failed: ${qualityResult.message}`);
-      }
-
-      // Generate face hash for comparison
-      const hashResult = await googleVisionService.generateFaceHash(faceImage);
-      
       // Check if user is enrolled
-      const enrollmentData = this.enrolledFaces.get(expectedWalletAddress);
+      const enrollmentData = ledgerRepository.getEnrollment(expectedWalletAddress);
       
       if (!enrollmentData) {
         throw new Error('User not enrolled for biometric payments');
@@ -101,10 +99,11 @@ class RealBiometricService {
         throw new Error('User enrollment is inactive');
       }
 
-      // Compare face hashes (simplified - in production use more sophisticated matching)
-      const hashSimilarity = this.calculateHashSimilarity(hashResult.faceHash, enrollmentData.faceHash);
+      // Verify against the enrolled person, on the provider that holds it
+      const verification = await faceProviderRegistry.get(enrollmentData.provider)
+        .verify(enrollmentData.personId, { buffer: faceImage });
       
-      if (hashSimilarity < this.faceThreshold) {
+      if (!verification.match) {
         throw new Error('Face does not match enrolled user');
       }
 
@@ -113,8 +112,8 @@ class RealBiometricService {
       return {
         success: true,
         recognized: true,
-        confidence: qualityResult.confidence,
-        hashSimilarity: hashSimilarity,
+        confidence: verification.confidence,
+        provider: enrollmentData.provider,
         userInfo: enrollmentData.userInfo,
         message: 'Face recognized successfully'
       };
@@ -195,7 +194,7 @@ class RealBiometricService {
    */
   async checkEnrollmentStatus(walletAddress) {
     try {
-      const enrollmentData = this.enrolledFaces.get(walletAddress);
+      const enrollmentData = ledgerRepository.getEnrollment(walletAddress);
       
       if (!enrollmentData) {
         return {
@@ -222,41 +221,40 @@ class RealBiometricService {
     }
   }
 
-  /**
-   * Calculate similarity between two face hashes
-   * @param {string} hash1 - First hash
-   * @param {string} hash2 - Second hash
-   * @returns {number} - Similarity score (0-1)
-   */
-  calculateHashSimilarity(hash1, hash2) {
-    // Simple similarity calculation - in production use more sophisticated methods
-    let matches = 0;
-    const minLength = Math.min(hash1.length, hash2.length);
-    
-    for (let i = 0; i < minLength; i++) {
-      if (hash1[i] === hash2[i]) {
-        matches++;
-      }
-    }
-    
-    return matches / minLength;
-  }
-
   /**
    * Get all enrolled users (for debugging)
    * @returns {Array} - List of enrolled users
    */
   getAllEnrolledUsers() {
-    return Array.from(this.enrolledFaces.values());
+    return ledgerRepository.listEnrollments();
   }
 
   /**
    * Clear all enrollments (for testing)
    */
-  clearAllEnrollments() {
-    this.enrolledFaces.clear();
+  async clearAllEnrollments() {
+    const enrollments = ledgerRepository.listEnrollments();
+    const cleared = ledgerRepository.deleteAllEnrollments();
+    ledgerRepository.recordAuditEvent('enrollment', '*', 'enrollment.cleared', { count: cleared });
+
+    for (const enrollment of enrollments) {
+      await this.deleteProviderPerson(enrollment);
+    }
     console.log('🧹 All real biometric enrollments cleared');
   }
+
+  /**
+   * Remove an enrollment's person from its face provider; failures are only
+   * logged since the enrollment no longer points at it
+   * @param {Object} enrollment - Enrollment
+   */
+  async deleteProviderPerson(enrollment) {
+    try {
+      await faceProviderRegistry.get(enrollment.provider).delete(enrollment.personId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete ${enrollment.provider} person ${enrollment.personId}:`, error.message);
+    }
+  }
 }
 
 module.exports = new RealBiometricService();
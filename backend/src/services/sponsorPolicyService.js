@@ -0,0 +1,239 @@
+/**
+ * Gas Sponsor Policy Service
+ * Decides whether the gas sponsor account may sign a transaction:
+ * - no spending from the sponsor's gas coin
+ * - maximum gas budget per transaction
+ * - allowed Move call targets
+ * - per-sender daily gas budget
+ * - global daily sponsor spend cap
+ * Gas is reserved at the transaction's budget when authorized and settled
+ * to the actual cost once the transaction has executed. Usage and
+ * reservations are kept in the ledger, so a restart does not reset the
+ * daily budgets; a reservation orphaned by a crash holds budget until the
+ * day ends.
+ */
+
+const crypto = require('crypto');
+const { Transaction } = require('@mysten/sui/transactions');
+const { normalizeSuiAddress } = require('@mysten/sui/utils');
+const { sponsorPolicyConfig, validateSponsorPolicyConfig } = require('../config/sponsorPolicyConfig');
+const ledgerRepository = require('../db/ledgerRepository');
+const { formatAmount, toBigInt } = require('../utils/money');
+
+const SUI_DECIMALS = 9; // MIST per SUI is fixed by the protocol
+
+class SponsorPolicyService {
+  constructor() {
+    validateSponsorPolicyConfig();
+
+    this.config = sponsorPolicyConfig;
+    this.allowedTargets = this.config.allowedMoveCallTargets.map(parseMoveTarget);
+
+    console.log('⛽ Sponsor policy initialized:', {
+      maxGasBudgetPerTransaction: this.config.maxGasBudgetPerTransaction.toString(),
+      senderDailyBudget: this.config.senderDailyBudget.toString(),
+      globalDailyCap: this.config.globalDailyCap.toString(),
+      allowedMoveCallTargets: this.config.allowedMoveCallTargets.length
+    });
+  }
+
+  /**
+   * Check a built transaction against the policy and reserve its gas budget
+   * @param {Object} params - Authorization parameters
+   * @param {string} params.sender - Transaction sender address
+   * @param {Uint8Array|string} params.txBytes - Built transaction bytes (or base64)
+   * @returns {Object} - Reservation ticket to settle or release later
+   */
+  authorize({ sender, txBytes }) {
+    const txData = Transaction.from(txBytes).getData();
+    const gasBudget = toBigInt(txData.gasData.budget || 0);
+
+    if (gasBudget <= 0n) {
+      throw policyError('Transaction has no gas budget set');
+    }
+
+    if (gasBudget > this.config.maxGasBudgetPerTransaction) {
+      throw policyError(
+        `Gas budget ${formatSui(gasBudget)} SUI exceeds the per-transaction maximum of ${formatSui(this.config.maxGasBudgetPerTransaction)} SUI`
+      );
+    }
+
+    // The gas coin belongs to the sponsor, so the sender must not spend from it
+    if (referencesGasCoin(txData.commands)) {
+      throw policyError('Transaction spends from the sponsor gas coin');
+    }
+
+    txData.commands
+      .filter(command => command.$kind === 'MoveCall')
+      .forEach(({ MoveCall }) => {
+        if (!this.isMoveCallAllowed(MoveCall)) {
+          throw policyError(
+            `Move call ${MoveCall.package}::${MoveCall.module}::${MoveCall.function} is not an allowed sponsor target`
+          );
+        }
+      });
+
+    // Checked and reserved in one ledger transaction so two authorizations cannot both fit
+    return ledgerRepository.transaction(() => {
+      const senderUsage = this.getSenderUsage(sender);
+      const senderUsed = senderUsage.spent + senderUsage.reserved;
+      if (senderUsed + gasBudget > this.config.senderDailyBudget) {
+        throw policyError(
+          `Sender daily gas budget exceeded: ${formatSui(senderUsed)} of ${formatSui(this.config.senderDailyBudget)} SUI used today, transaction needs up to ${formatSui(gasBudget)} SUI`,
+          429
+        );
+      }
+
+      const globalUsage = this.getGlobalUsage();
+      const globalUsed = globalUsage.spent + globalUsage.reserved;
+      if (globalUsed + gasBudget > this.config.globalDailyCap) {
+        throw policyError(
+          `Sponsor daily spend cap reached: ${formatSui(globalUsed)} of ${formatSui(this.config.globalDailyCap)} SUI used today`,
+          503
+        );
+      }
+
+      const ticketId = crypto.randomUUID();
+      ledgerRepository.insertSponsorReservation({ ticketId, day: globalUsage.day, sender, amount: gasBudget });
+
+      return { ticketId, sender, gasBudget };
+    });
+  }
+
+  /**
+   * Replace a reservation with the gas the transaction actually cost
+   * @param {Object} ticket - Ticket returned by authorize()
+   * @param {Object} gasUsed - effects.gasUsed from the executed transaction
+   */
+  settle(ticket, gasUsed) {
+    ledgerRepository.transaction(() => {
+      const reservation = this.release(ticket);
+      if (!reservation || !gasUsed) {
+        return;
+      }
+
+      const netCost = toBigInt(gasUsed.computationCost) + toBigInt(gasUsed.storageCost) - toBigInt(gasUsed.storageRebate);
+      ledgerRepository.addSponsorSpend(currentDay(), reservation.sender, netCost > 0n ? netCost : 0n);
+    });
+  }
+
+  /**
+   * Drop a reservation without charging (transaction was never executed)
+   * @param {Object} ticket - Ticket returned by authorize()
+   * @returns {Object|null} - The released reservation
+   */
+  release(ticket) {
+    return ticket ? ledgerRepository.deleteSponsorReservation(ticket.ticketId) : null;
+  }
+
+  /**
+   * Check a MoveCall command against the allowed targets
+   * @param {Object} moveCall - MoveCall command data
+   * @returns {boolean} - True if allowed
+   */
+  isMoveCallAllowed(moveCall) {
+    const moveCallPackage = normalizeSuiAddress(moveCall.package);
+
+    return this.allowedTargets.some(target =>
+      target.package === moveCallPackage &&
+      target.module === moveCall.module &&
+      (target.function === '*' || target.function === moveCall.function)
+    );
+  }
+
+  /**
+   * Report policy limits and how much of each budget is used today
+   * @param {string} [sender] - Optionally include one sender's usage
+   * @returns {Object} - Policy status
+   */
+  getStatus(sender) {
+    const globalUsage = this.getGlobalUsage();
+
+    const status = {
+      day: globalUsage.day,
+      limits: {
+        maxGasBudgetPerTransaction: this.config.maxGasBudgetPerTransaction,
+        senderDailyBudget: this.config.senderDailyBudget,
+        globalDailyCap: this.config.globalDailyCap,
+        allowedMoveCallTargets: this.config.allowedMoveCallTargets
+      },
+      global: describeUsage(globalUsage, this.config.globalDailyCap),
+      senders: ledgerRepository.listSponsorUsage(globalUsage.day).map(usage => ({
+        address: usage.sender,
+        ...describeUsage(usage, this.config.senderDailyBudget)
+      }))
+    };
+
+    if (sender) {
+      status.sender = {
+        address: sender,
+        ...describeUsage(this.getSenderUsage(sender), this.config.senderDailyBudget)
+      };
+    }
+
+    return status;
+  }
+
+  getSenderUsage(sender) {
+    const day = currentDay();
+    const [usage] = ledgerRepository.listSponsorUsage(day, sender);
+    return { day, spent: usage ? usage.spent : 0n, reserved: usage ? usage.reserved : 0n };
+  }
+
+  getGlobalUsage() {
+    const day = currentDay();
+    return ledgerRepository.listSponsorUsage(day).reduce(
+      (total, usage) => ({ day, spent: total.spent + usage.spent, reserved: total.reserved + usage.reserved }),
+      { day, spent: 0n, reserved: 0n }
+    );
+  }
+}
+
+function policyError(message, statusCode = 403) {
+  const error = new Error(`Sponsorship rejected: ${message}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function referencesGasCoin(value) {
+  if (Array.isArray(value)) {
+    return value.some(referencesGasCoin);
+  }
+  if (value && typeof value === 'object') {
+    return value.$kind === 'GasCoin' || Object.values(value).some(referencesGasCoin);
+  }
+  return false;
+}
+
+function parseMoveTarget(target) {
+  const [targetPackage, targetModule, targetFunction] = target.split('::');
+  return {
+    package: normalizeSuiAddress(targetPackage),
+    module: targetModule,
+    function: targetFunction
+  };
+}
+
+function describeUsage(usage, limit) {
+  const used = usage.spent + usage.reserved;
+  const remaining = limit > used ? limit - used : 0n;
+
+  return {
+    spent: usage.spent,
+    reserved: usage.reserved,
+    limit,
+    remaining,
+    spentFormatted: formatSui(usage.spent),
+    remainingFormatted: formatSui(remaining)
+  };
+}
+
+function formatSui(mist) {
+  return formatAmount(mist, SUI_DECIMALS);
+}
+
+function currentDay() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+module.exports = new SponsorPolicyService();
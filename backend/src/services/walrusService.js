@@ -33,7 +33,9 @@ class WalrusService {
    * @param {string} enrollmentData.walletAddress - Sui wallet address
    * @param {string} enrollmentData.userName - User's name from Google OAuth
    * @param {string} enrollmentData.userEmail - User's email from Google OAuth
-   * @param {string} enrollmentData.luxandUuid - UUID from Luxand Cloud API
+   * @param {string} enrollmentData.personId - Internal person ID
+   * @param {string} enrollmentData.provider - Face provider holding the person
+   * @param {string} enrollmentData.providerPersonId - Person ID at the face provider
    * @param {string} enrollmentData.enrolledAt - ISO timestamp of enrollment
    * @param {boolean} enrollmentData.isEnrolled - Enrollment status
    * @returns {Promise<Object>} - Walrus blob information
@@ -44,12 +46,13 @@ class WalrusService {
       
       // Create enrollment record
       const enrollmentRecord = {
-        version: '1.0',
+        version: '1.2',
         walletAddress: enrollmentData.walletAddress,
         userName: enrollmentData.userName,
         userEmail: enrollmentData.userEmail,
-        luxandUuid: enrollmentData.luxandUuid,
-        luxandPersonName: `${enrollmentData.walletAddress}|${enrollmentData.userName}`,
+        personId: enrollmentData.personId,
+        provider: enrollmentData.provider,
+        providerPersonId: enrollmentData.providerPersonId,
         enrolledAt: enrollmentData.enrolledAt,
         isEnrolled: enrollmentData.isEnrolled,
         updatedAt: new Date().toISOString(),
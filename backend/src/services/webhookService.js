@@ -0,0 +1,284 @@
+/**
+ * Webhook Service
+ * Merchants register endpoint URLs and receive signed event callbacks for
+ * their own payout addresses (or a subset of them).
+ *
+ * Every delivery is a JSON POST signed with the endpoint's secret:
+ *   X-PayWiser-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Failed deliveries are retried with exponential backoff; deliveries that
+ * still fail after the last attempt are moved to a dead-letter list from
+ * which they can be inspected and redelivered. Endpoints and undelivered
+ * deliveries are kept in the ledger, so pending retries resume after a
+ * restart; signing secrets are sealed with the keystore master key.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const keystoreService = require('./keystoreService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { getMerchant, merchantOwnsAddress } = require('../config/merchantConfig');
+const { httpError } = require('../utils/errors');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '2000', 10);
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const MAX_DEAD_LETTERS = 1000;
+
+const WEBHOOK_EVENTS = ['transaction.confirmed', 'transaction.failed', 'transaction.timeout'];
+
+class WebhookService {
+  constructor() {
+    this.supportedEvents = WEBHOOK_EVENTS;
+    this.resumePending();
+  }
+
+  /**
+   * Reschedule deliveries a restart interrupted
+   */
+  resumePending() {
+    ledgerRepository.listWebhookDeliveries({ status: 'pending' }).forEach(delivery => {
+      const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+      setTimeout(() => this.deliver(delivery), delay).unref();
+    });
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {Object} merchant - Authenticated merchant that owns the endpoint
+   * @param {Object} params - Endpoint parameters
+   * @param {string} params.url - HTTPS URL that receives events
+   * @param {Array<string>} [params.events] - Event types to deliver ('*' for all)
+   * @param {Array<string>} [params.addresses] - Only deliver events touching these of the
+   *   merchant's payout addresses (default: all of them)
+   * @param {string} [params.description] - Free-form label
+   * @returns {Object} - Endpoint including its signing secret (only returned here)
+   */
+  registerEndpoint(merchant, { url, events = ['*'], addresses = [], description = null }) {
+    const foreign = addresses.find(address => !merchantOwnsAddress(merchant, address));
+    if (foreign) {
+      throw httpError(`${foreign} is not a payout address of merchant ${merchant.merchantId}`, 403);
+    }
+
+    const endpointId = `we_${crypto.randomUUID()}`;
+    const secret = generateSecret();
+    const endpoint = {
+      endpointId,
+      merchantId: merchant.merchantId,
+      url,
+      events,
+      addresses,
+      description,
+      createdAt: new Date().toISOString()
+    };
+
+    ledgerRepository.insertWebhookEndpoint({ ...endpoint, secret: keystoreService.sealSecret(endpointId, secret) });
+    console.log(`🔔 Webhook endpoint registered for ${merchant.merchantId}: ${endpointId} -> ${url}`);
+
+    return { ...endpoint, secret };
+  }
+
+  listEndpoints(merchant) {
+    return ledgerRepository.listWebhookEndpoints({ merchantId: merchant.merchantId }).map(toPublicEndpoint);
+  }
+
+  getEndpoint(merchant, endpointId) {
+    return toPublicEndpoint(this.requireEndpoint(merchant, endpointId));
+  }
+
+  deleteEndpoint(merchant, endpointId) {
+    this.requireEndpoint(merchant, endpointId);
+    ledgerRepository.deleteWebhookEndpoint(endpointId);
+    return { endpointId, deleted: true };
+  }
+
+  /**
+   * Issue a new signing secret for an endpoint
+   * @param {Object} merchant - Authenticated merchant that owns the endpoint
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Object} - Endpoint including its new secret
+   */
+  rotateSecret(merchant, endpointId) {
+    const endpoint = this.requireEndpoint(merchant, endpointId);
+    const secret = generateSecret();
+    ledgerRepository.setWebhookEndpointSecret(endpointId, keystoreService.sealSecret(endpointId, secret));
+    return { ...toPublicEndpoint(endpoint), secret };
+  }
+
+  /**
+   * Send an event to every matching endpoint. Delivery happens in the
+   * background; this never throws into the caller.
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @param {Array<string>} [addresses] - Addresses the event concerns, for endpoint filtering
+   */
+  dispatch(type, data, addresses = []) {
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    ledgerRepository.listWebhookEndpoints()
+      .filter(endpoint => endpoint.events.includes('*') || endpoint.events.includes(type))
+      .filter(endpoint => this.concernsEndpoint(endpoint, addresses))
+      .forEach(endpoint => {
+        const delivery = {
+          deliveryId: `whd_${crypto.randomUUID()}`,
+          endpointId: endpoint.endpointId,
+          event,
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: event.createdAt,
+          failedAt: null,
+          createdAt: event.createdAt
+        };
+        ledgerRepository.saveWebhookDelivery(delivery);
+        this.deliver(delivery);
+      });
+
+    return event;
+  }
+
+  /**
+   * Attempt one delivery and schedule a retry or dead-letter it on failure
+   * @param {Object} delivery - Delivery state
+   */
+  async deliver(delivery) {
+    const endpoint = ledgerRepository.getWebhookEndpoint(delivery.endpointId);
+    if (!endpoint) {
+      return; // Endpoint was deleted while the delivery was pending
+    }
+
+    delivery.attempts++;
+
+    try {
+      const secret = keystoreService.openSecret(endpoint.endpointId, endpoint.secret);
+      const body = JSON.stringify(delivery.event, (key, value) => (
+        typeof value === 'bigint' ? value.toString() : value
+      ));
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PayWiser-Webhooks/1.0',
+          'X-PayWiser-Event': delivery.event.type,
+          'X-PayWiser-Delivery': delivery.deliveryId,
+          'X-PayWiser-Signature': `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`
+        },
+        body,
+        timeout: DELIVERY_TIMEOUT_MS
+      });
+
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      ledgerRepository.deleteWebhookDelivery(delivery.deliveryId);
+      console.log(`✅ Webhook ${delivery.event.type} delivered to ${endpoint.url} (attempt ${delivery.attempts})`);
+    } catch (error) {
+      if (!ledgerRepository.getWebhookEndpoint(delivery.endpointId)) {
+        return; // Deleted during the attempt, with its deliveries
+      }
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        console.error(`💀 Webhook ${delivery.deliveryId} dead-lettered after ${delivery.attempts} attempts: ${error.message}`);
+        delivery.status = 'dead';
+        delivery.nextAttemptAt = null;
+        delivery.failedAt = new Date().toISOString();
+        ledgerRepository.transaction(() => {
+          ledgerRepository.saveWebhookDelivery(delivery);
+          ledgerRepository.pruneWebhookDeadLetters(MAX_DEAD_LETTERS);
+        });
+        return;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      ledgerRepository.saveWebhookDelivery(delivery);
+      console.warn(`⚠️  Webhook delivery to ${endpoint.url} failed (${error.message}), retrying in ${delay}ms`);
+      setTimeout(() => this.deliver(delivery), delay).unref();
+    }
+  }
+
+  listDeadLetters(merchant) {
+    return ledgerRepository.listWebhookDeliveries({ status: 'dead', merchantId: merchant.merchantId })
+      .map(toDeadLetter);
+  }
+
+  /**
+   * Take a delivery off the dead-letter list and deliver it again
+   * @param {Object} merchant - Authenticated merchant that owns the delivery's endpoint
+   * @param {string} deliveryId - Dead-lettered delivery ID
+   * @returns {Object} - The requeued delivery
+   */
+  redeliver(merchant, deliveryId) {
+    const deadLetter = ledgerRepository.getWebhookDelivery(deliveryId);
+    if (!deadLetter || deadLetter.status !== 'dead' || deadLetter.merchantId !== merchant.merchantId) {
+      throw httpError(`Dead-lettered delivery ${deliveryId} not found`, 404);
+    }
+
+    const delivery = {
+      deliveryId: deadLetter.deliveryId,
+      endpointId: deadLetter.endpointId,
+      event: deadLetter.event,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: new Date().toISOString(),
+      failedAt: null,
+      createdAt: deadLetter.createdAt
+    };
+    ledgerRepository.saveWebhookDelivery(delivery);
+
+    this.deliver(delivery);
+
+    return { deliveryId, endpointId: delivery.endpointId, eventId: delivery.event.id, requeued: true };
+  }
+
+  /**
+   * Whether an event touching these addresses goes to an endpoint: one of
+   * the endpoint's addresses, or of its merchant's payout addresses when it
+   * lists none
+   */
+  concernsEndpoint(endpoint, addresses) {
+    if (endpoint.addresses.length > 0) {
+      return endpoint.addresses.some(address => addresses.includes(address));
+    }
+
+    const merchant = getMerchant(endpoint.merchantId);
+    return !!merchant && addresses.some(address => merchantOwnsAddress(merchant, address));
+  }
+
+  requireEndpoint(merchant, endpointId) {
+    const endpoint = ledgerRepository.getWebhookEndpoint(endpointId);
+    if (!endpoint || endpoint.merchantId !== merchant.merchantId) {
+      throw httpError(`Webhook endpoint ${endpointId} not found`, 404);
+    }
+    return endpoint;
+  }
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function toPublicEndpoint(endpoint) {
+  const { secret, ...publicEndpoint } = endpoint;
+  return publicEndpoint;
+}
+
+function toDeadLetter(delivery) {
+  const { deliveryId, endpointId, event, attempts, lastError, url, failedAt } = delivery;
+  return { deliveryId, endpointId, event, attempts, lastError, url, failedAt };
+}
+
+module.exports = new WebhookService();
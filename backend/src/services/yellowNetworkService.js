@@ -13,6 +13,8 @@ const {
   parseAnyRPCResponse,
   RPCMethod
 } = require('@erc7824/nitrolite');
+const ledgerRepository = require('../db/ledgerRepository');
+const { markSubmitted } = require('../middleware/idempotency');
 
 class YellowNetworkService extends EventEmitter {
   constructor() {
@@ -31,7 +33,7 @@ class YellowNetworkService extends EventEmitter {
     this.sessionDuration = 3600; // 1 hour
     this.requestMap = new Map();
     this.pendingByMethod = [];
-    this.appSessions = new Map();
+    // Application sessions are kept in the ledger database (ledgerRepository) so they outlive a restart
     
     // Initialize wallet and session key
     this.initializeWallet();
@@ -483,7 +485,7 @@ class YellowNetworkService extends EventEmitter {
       sessionKeyAddress: this.sessionKey?.address,
       clearNodeUrl: this.clearNodeUrl,
       channelId: process.env.YELLOW_CHANNEL_ID,
-      activeSessions: this.appSessions.size,
+      activeSessions: ledgerRepository.countSessions({ status: 'open' }),
       isProduction: true
     };
   }
@@ -540,6 +542,7 @@ class YellowNetworkService extends EventEmitter {
 
       console.log('🔍 App Session Message:', message);
 
+      markSubmitted();
       const response = await this.sendRequest(message, 'create_app_session');
       
       console.log('🔍 App Session Response:', JSON.stringify(response, null, 2));
@@ -552,13 +555,11 @@ class YellowNetworkService extends EventEmitter {
         // Generate a session ID for tracking
         const sessionId = `session_${Date.now()}_${Math.random().toString(16).substr(2, 8)}`;
         
-        this.appSessions.set(sessionId, {
+        this.recordAppSession({
           sessionId,
           customerAddress,
           merchantAddress,
-          amount,
-          status: 'open',
-          createdAt: Date.now()
+          amount
         });
         
         console.log('✅ Biometric payment session created (via balance update):', sessionId);
@@ -572,13 +573,11 @@ class YellowNetworkService extends EventEmitter {
       if (response.params && response.params[0] && response.params[0].app_session_id) {
         const sessionId = response.params[0].app_session_id;
         
-        this.appSessions.set(sessionId, {
+        this.recordAppSession({
           sessionId,
           customerAddress,
           merchantAddress,
-          amount,
-          status: 'open',
-          createdAt: Date.now()
+          amount
         });
         
         console.log('✅ Biometric payment session created:', sessionId);
@@ -601,44 +600,16 @@ class YellowNetworkService extends EventEmitter {
   // Process biometric payment
   async processBiometricPayment(sessionId, biometricHash, merchantName) {
     try {
-      const session = this.appSessions.get(sessionId);
+      const session = ledgerRepository.getSession(sessionId);
       if (!session) {
         throw new Error('Application session not found');
       }
 
       console.log('🟡 Processing biometric payment via Yellow Network state channels...');
       
-      const finalAllocations = [
-        {
-          participant: session.customerAddress,
-          asset: 'usdc',
-          amount: '0'
-        },
-        {
-          participant: session.merchantAddress,
-          asset: 'usdc',
-          amount: session.amount.toString()
-        },
-        {
-          participant: this.wallet.address,
-          asset: 'usdc',
-          amount: '0'
-        }
-      ];
-
-      const closeMessage = await createCloseAppSessionMessage(
-        (payload) => this.messageSigner(payload),
-        [{
-          app_session_id: sessionId,
-          allocations: finalAllocations
-        }]
-      );
-
-      await this.sendRequest(closeMessage, 'close_app_session');
+      await this.closeBiometricPaymentSession(sessionId, session.amount.toString(), '0');
 
-      session.status = 'completed';
-      session.completedAt = Date.now();
-      session.biometricHash = biometricHash;
+      ledgerRepository.updateSession(sessionId, { biometricHash });
 
       console.log('✅ Biometric payment processed successfully');
 
@@ -665,6 +636,77 @@ class YellowNetworkService extends EventEmitter {
     }
   }
 
+  // Close an application session, splitting its locked amount between merchant and customer.
+  // Used to capture part of an authorization (the rest returns to the customer) or to void it.
+  async closeBiometricPaymentSession(sessionId, merchantAmount, customerAmount) {
+    const session = ledgerRepository.getSession(sessionId);
+    if (!session) {
+      throw new Error('Application session not found');
+    }
+    if (session.status !== 'open') {
+      throw new Error(`Application session is ${session.status}`);
+    }
+
+    const finalAllocations = [
+      {
+        participant: session.customerAddress,
+        asset: 'usdc',
+        amount: customerAmount
+      },
+      {
+        participant: session.merchantAddress,
+        asset: 'usdc',
+        amount: merchantAmount
+      },
+      {
+        participant: this.wallet.address,
+        asset: 'usdc',
+        amount: '0'
+      }
+    ];
+
+    const closeMessage = await createCloseAppSessionMessage(
+      (payload) => this.messageSigner(payload),
+      [{
+        app_session_id: sessionId,
+        allocations: finalAllocations
+      }]
+    );
+
+    markSubmitted();
+    await this.sendRequest(closeMessage, 'close_app_session');
+
+    const status = Number(merchantAmount) > 0 ? 'completed' : 'voided';
+    ledgerRepository.transaction(() => {
+      ledgerRepository.updateSession(sessionId, { status, capturedAmount: merchantAmount, completedAt: Date.now() });
+      ledgerRepository.recordAuditEvent('session', sessionId, `session.${status}`, { merchantAmount, customerAmount });
+    });
+
+    console.log(`✅ Application session ${sessionId} closed: ${merchantAmount} to merchant, ${customerAmount} returned`);
+
+    return { sessionId, status, merchantAmount, customerAmount };
+  }
+
+  // Store a newly opened application session
+  recordAppSession({ sessionId, customerAddress, merchantAddress, amount }) {
+    ledgerRepository.transaction(() => {
+      ledgerRepository.insertSession({
+        sessionId,
+        customerAddress,
+        merchantAddress,
+        amount,
+        status: 'open',
+        createdAt: Date.now()
+      });
+      ledgerRepository.recordAuditEvent('session', sessionId, 'session.opened', { customerAddress, merchantAddress, amount });
+    });
+  }
+
+  // Application sessions opened by this app, oldest first
+  getAppSessions() {
+    return ledgerRepository.listSessions();
+  }
+
   // Generate cross-chain rewards (simulated for hackathon)
   async generateCrossChainRewards(session) {
     const rewardAmount = (parseFloat(session.amount) * 0.01).toFixed(6);
@@ -823,7 +865,6 @@ class YellowNetworkService extends EventEmitter {
     this.isConnected = false;
     this.isAuthenticated = false;
     this.isAuthAttempted = false;
-    this.appSessions.clear();
   }
 }
 
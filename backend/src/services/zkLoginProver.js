@@ -0,0 +1,89 @@
+/**
+ * zkLogin Prover Clients
+ * The zkLogin service asks a prover for the Groth16 proof that binds a JWT
+ * to an ephemeral key. Every client implements:
+ *   prove({ jwt, extendedEphemeralPublicKey, maxEpoch, jwtRandomness, salt, keyClaimName })
+ *     -> { proofPoints, issBase64Details, headerBase64 }
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * Calls a zkLogin prover service (Mysten Labs hosted prover or a self-hosted one)
+ */
+class RemoteProverClient {
+  constructor({ url, timeoutMs }) {
+    this.name = 'remote';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async prove(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...request,
+        maxEpoch: String(request.maxEpoch)
+      }),
+      timeout: this.timeoutMs
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Prover request failed: ${response.status} - ${errorText}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Stand-in prover for tests and offline development. Returns a proof with
+ * the right shape, deterministically derived from the request. Its proofs
+ * are NOT valid on chain.
+ */
+class LocalProverClient {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async prove({ jwt, extendedEphemeralPublicKey, maxEpoch, jwtRandomness, salt, keyClaimName }) {
+    const [headerBase64, payloadBase64] = jwt.split('.');
+    const iss = JSON.parse(Buffer.from(payloadBase64, 'base64url').toString('utf8')).iss;
+
+    const seed = `${jwt}|${extendedEphemeralPublicKey}|${maxEpoch}|${jwtRandomness}|${salt}|${keyClaimName}`;
+    const fieldElement = index => BigInt(`0x${crypto.createHash('sha256').update(`${seed}|${index}`).digest('hex')}`).toString();
+
+    return {
+      proofPoints: {
+        a: [fieldElement(0), fieldElement(1), '1'],
+        b: [[fieldElement(2), fieldElement(3)], [fieldElement(4), fieldElement(5)], ['1', '0']],
+        c: [fieldElement(6), fieldElement(7), '1']
+      },
+      issBase64Details: {
+        value: Buffer.from(`"iss":"${iss}",`).toString('base64url'),
+        indexMod4: 0
+      },
+      headerBase64
+    };
+  }
+}
+
+/**
+ * Create the prover client selected in configuration
+ * @param {Object} config - zkLoginConfig.prover
+ * @returns {RemoteProverClient|LocalProverClient}
+ */
+function createProverClient(config) {
+  return config.type === 'local' ? new LocalProverClient() : new RemoteProverClient(config);
+}
+
+module.exports = {
+  RemoteProverClient,
+  LocalProverClient,
+  createProverClient
+};
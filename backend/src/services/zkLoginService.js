@@ -0,0 +1,337 @@
+/**
+ * zkLogin Service
+ * Server side of Sui zkLogin for OAuth (Google, Facebook, Twitch) logins:
+ * - nonces that bind an OAuth login to the client's ephemeral public key
+ * - JWT verification against the provider's cached JSON Web Keys
+ * - deterministic per-user salts: HMAC-derived on first use, then stored in the ledger
+ * - real zkLogin address derivation (jwtToAddress)
+ * - zero-knowledge proofs from a pluggable prover client
+ * The ephemeral private key never leaves the client.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { publicKeyFromSuiBytes } = require('@mysten/sui/verify');
+const {
+  generateNonce,
+  generateRandomness,
+  genAddressSeed,
+  getExtendedEphemeralPublicKey,
+  jwtToAddress
+} = require('@mysten/sui/zklogin');
+const suiService = require('./suiService');
+const ledgerRepository = require('../db/ledgerRepository');
+const { createProverClient } = require('./zkLoginProver');
+const { zkLoginConfig, validateZkLoginConfig } = require('../config/zkLoginConfig');
+const { httpError } = require('../utils/errors');
+const { parsePublicKey } = require('../utils/publicKeys');
+
+const KEY_CLAIM_NAME = 'sub';
+const SALT_BYTES = 16; // zkLogin salts must fit in 128 bits
+
+class ZkLoginService {
+  constructor() {
+    validateZkLoginConfig();
+
+    this.config = zkLoginConfig;
+    this.saltSecret = this.config.salt.secret ? Buffer.from(this.config.salt.secret, 'base64') : null;
+    this.nonces = new Map(); // nonce -> { ephemeralPublicKey, maxEpoch, randomness, expiresAt }
+    this.jwksCache = new Map(); // provider -> { keys, fetchedAt }
+    this.prover = createProverClient(this.config.prover);
+
+    if (!this.saltSecret) {
+      console.warn('⚠️ zkLogin salt secret not configured. Set ZKLOGIN_SALT_SECRET environment variable.');
+    }
+
+    this.importLegacySalts();
+    console.log(`🔑 zkLogin initialized with ${this.prover.name} prover`);
+  }
+
+  /**
+   * Swap the prover client (e.g. a LocalProverClient in tests)
+   * @param {Object} prover - Object with a prove(request) method
+   */
+  setProver(prover) {
+    this.prover = prover;
+  }
+
+  /**
+   * Create the nonce the client passes to the OAuth provider
+   * @param {string} ephemeralPublicKey - Base64 ephemeral public key (raw Ed25519 or Sui flag-prefixed)
+   * @returns {Promise<Object>} - Nonce, maxEpoch and randomness
+   */
+  async createNonce(ephemeralPublicKey) {
+    const publicKey = parsePublicKey(ephemeralPublicKey, 'ephemeral public key');
+    const { epoch } = await suiService.client.getLatestSuiSystemState();
+    const maxEpoch = Number(epoch) + this.config.maxEpochOffset;
+    const randomness = generateRandomness();
+    const nonce = generateNonce(publicKey, maxEpoch, randomness);
+
+    this.cleanupNonces();
+    this.nonces.set(nonce, {
+      ephemeralPublicKey: publicKey.toSuiPublicKey(),
+      maxEpoch,
+      randomness,
+      expiresAt: Date.now() + this.config.nonceTtlMs
+    });
+
+    return {
+      nonce,
+      maxEpoch,
+      randomness,
+      currentEpoch: Number(epoch),
+      expiresAt: new Date(Date.now() + this.config.nonceTtlMs).toISOString()
+    };
+  }
+
+  /**
+   * Verify a JWT's signature, issuer, audience and lifetime
+   * @param {string} jwt - OpenID Connect ID token
+   * @returns {Promise<Object>} - Provider name and verified claims
+   */
+  async verifyJwt(jwt) {
+    const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+    if (parts.length !== 3) {
+      throw httpError('JWT must have three dot-separated parts', 400);
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw httpError('JWT header or payload is not valid JSON', 400);
+    }
+
+    if (header.alg !== 'RS256') {
+      throw httpError(`Unsupported JWT algorithm ${header.alg}`, 401);
+    }
+
+    const provider = Object.keys(this.config.providers)
+      .find(name => this.config.providers[name].issuers.includes(claims.iss));
+    if (!provider) {
+      throw httpError(`Unsupported JWT issuer ${claims.iss}`, 401);
+    }
+
+    const jwk = await this.getSigningKey(provider, header.kid);
+    const signatureValid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!signatureValid) {
+      throw httpError('JWT signature is invalid', 401);
+    }
+
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (audience.length !== 1) {
+      throw httpError('zkLogin requires a JWT with a single audience', 401);
+    }
+    if (!this.config.providers[provider].clientIds.includes(audience[0])) {
+      throw httpError(`JWT audience ${audience[0]} is not an allowed ${provider} client ID`, 401);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const skew = this.config.jwt.clockSkewSeconds;
+    if (typeof claims.exp !== 'number' || claims.exp + skew < now) {
+      throw httpError('JWT has expired', 401);
+    }
+    if (typeof claims.iat === 'number' && claims.iat - skew > now) {
+      throw httpError('JWT was issued in the future', 401);
+    }
+    if (!claims.sub) {
+      throw httpError('JWT has no subject', 401);
+    }
+
+    return { provider, claims: { ...claims, aud: audience[0] } };
+  }
+
+  /**
+   * Get (or derive and store) the salt for the user a JWT belongs to
+   * @param {string} jwt - OpenID Connect ID token
+   * @returns {Promise<Object>} - Salt as a decimal string plus the user's identity
+   */
+  async getSalt(jwt) {
+    const { provider, claims } = await this.verifyJwt(jwt);
+    const salt = this.saltFor(claims);
+
+    return { salt, provider, iss: claims.iss, aud: claims.aud, sub: claims.sub };
+  }
+
+  /**
+   * Derive the user's zkLogin Sui address
+   * @param {string} jwt - OpenID Connect ID token
+   * @returns {Promise<Object>} - Address, salt and identity
+   */
+  async getAddress(jwt) {
+    const identity = await this.getSalt(jwt);
+    const address = jwtToAddress(jwt, identity.salt);
+
+    return { address, ...identity };
+  }
+
+  /**
+   * Request the zkLogin proof for a JWT obtained with a nonce from createNonce
+   * @param {string} jwt - OpenID Connect ID token carrying the nonce
+   * @returns {Promise<Object>} - Proof inputs (with addressSeed), maxEpoch and address
+   */
+  async requestProof(jwt) {
+    const { claims } = await this.verifyJwt(jwt);
+
+    const nonceRecord = this.nonces.get(claims.nonce);
+    if (!nonceRecord || nonceRecord.expiresAt <= Date.now()) {
+      throw httpError('JWT nonce was not issued by this server or has expired', 401);
+    }
+
+    const salt = this.saltFor(claims);
+    const ephemeralPublicKey = publicKeyFromSuiBytes(nonceRecord.ephemeralPublicKey);
+
+    // A nonce buys one proof: claimed before proving so a replayed JWT cannot
+    // get a second one, and given back only if the prover fails
+    this.nonces.delete(claims.nonce);
+
+    try {
+      const proof = await this.prover.prove({
+        jwt,
+        extendedEphemeralPublicKey: getExtendedEphemeralPublicKey(ephemeralPublicKey),
+        maxEpoch: nonceRecord.maxEpoch,
+        jwtRandomness: nonceRecord.randomness,
+        salt,
+        keyClaimName: KEY_CLAIM_NAME
+      });
+
+      return {
+        proof: {
+          ...proof,
+          addressSeed: genAddressSeed(BigInt(salt), KEY_CLAIM_NAME, claims.sub, claims.aud).toString()
+        },
+        maxEpoch: nonceRecord.maxEpoch,
+        address: jwtToAddress(jwt, salt),
+        prover: this.prover.name
+      };
+    } catch (error) {
+      this.nonces.set(claims.nonce, nonceRecord);
+      const wrapped = new Error(`zkLogin proof generation failed: ${error.message}`);
+      wrapped.statusCode = 502;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Look up a stored salt, deriving and storing it on first use
+   */
+  saltFor({ iss, aud, sub }) {
+    const userKey = `${iss}|${aud}|${sub}`;
+    const stored = ledgerRepository.getZkLoginSalt(userKey);
+    if (stored) {
+      return stored;
+    }
+
+    if (!this.saltSecret) {
+      throw httpError('zkLogin salt secret not configured', 503);
+    }
+
+    const digest = crypto.createHmac('sha256', this.saltSecret).update(userKey).digest();
+    const salt = BigInt(`0x${digest.subarray(0, SALT_BYTES).toString('hex')}`).toString();
+
+    ledgerRepository.insertZkLoginSalt({ userKey, salt, createdAt: new Date().toISOString() });
+
+    return ledgerRepository.getZkLoginSalt(userKey);
+  }
+
+  /**
+   * Find the provider key that signed a JWT, refetching the JWKS for unknown key IDs
+   */
+  async getSigningKey(provider, kid) {
+    const cached = this.jwksCache.get(provider);
+    const cacheAge = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+    let key = cacheAge < this.config.jwt.jwksCacheTtlMs ? findKey(cached.keys, kid) : null;
+    if (!key && cacheAge >= this.config.jwt.jwksMinRefreshIntervalMs) {
+      const keys = await this.fetchJwks(provider);
+      key = findKey(keys, kid);
+    }
+
+    if (!key) {
+      throw httpError(`No ${provider} signing key matches JWT key ID ${kid}`, 401);
+    }
+    return key;
+  }
+
+  async fetchJwks(provider) {
+    const { jwksUri } = this.config.providers[provider];
+
+    try {
+      const response = await fetch(jwksUri);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { keys } = await response.json();
+      this.jwksCache.set(provider, { keys, fetchedAt: Date.now() });
+      console.log(`🔑 Fetched ${keys.length} ${provider} JWKs`);
+      return keys;
+    } catch (error) {
+      throw httpError(`Failed to fetch ${provider} JWKs: ${error.message}`, 502);
+    }
+  }
+
+  cleanupNonces() {
+    const now = Date.now();
+    for (const [nonce, record] of this.nonces) {
+      if (record.expiresAt <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Report configured providers and whether salts can be issued
+   */
+  getStatus() {
+    return {
+      providers: Object.entries(this.config.providers).map(([name, provider]) => ({
+        name,
+        issuers: provider.issuers,
+        configured: provider.clientIds.length > 0
+      })),
+      saltSecretConfigured: !!this.saltSecret,
+      storedSalts: ledgerRepository.countZkLoginSalts(),
+      prover: this.prover.name,
+      maxEpochOffset: this.config.maxEpochOffset
+    };
+  }
+
+  /**
+   * Copy salts from the JSON store used before the ledger. Already stored
+   * salts win, so importing the same file again changes nothing.
+   */
+  importLegacySalts() {
+    const storePath = this.config.salt.legacyStorePath;
+    try {
+      if (!fs.existsSync(storePath)) {
+        return;
+      }
+
+      const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      ledgerRepository.transaction(() => {
+        (store.salts || []).forEach(({ userKey, salt, createdAt }) => {
+          ledgerRepository.insertZkLoginSalt({ userKey, salt, createdAt });
+        });
+      });
+
+      console.log(`🔑 zkLogin imported ${(store.salts || []).length} user salts from ${storePath}`);
+    } catch (error) {
+      console.error('❌ Failed to import zkLogin salts:', error.message);
+    }
+  }
+}
+
+function findKey(keys, kid) {
+  return (keys || []).find(key => key.kid === kid && key.kty === 'RSA') || null;
+}
+
+module.exports = new ZkLoginService();
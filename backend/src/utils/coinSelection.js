@@ -0,0 +1,126 @@
+/**
+ * Coin Selection Utilities
+ *
+ * Pages through every coin object an address owns and picks the fewest
+ * objects that cover an amount, instead of merging the first page of
+ * coins on every transfer. Also plans "consolidate dust" maintenance
+ * merges for wallets that have accumulated many tiny coins.
+ */
+
+const { toBigInt } = require('./money');
+
+const COINS_PAGE_SIZE = 50;
+const MAX_MERGE_COINS = 500; // Stay well under the PTB input object limit
+const MAX_GAS_PAYMENT_COINS = 255; // Protocol cap on gas payment objects
+
+/**
+ * Fetch every coin object of a type owned by an address, following cursors
+ * @param {SuiClient} client - Sui client
+ * @param {string} owner - Owner address
+ * @param {string} coinType - Fully qualified coin type
+ * @returns {Promise<Array>} Coins with BigInt balances
+ */
+async function fetchAllCoins(client, owner, coinType) {
+  const coins = [];
+  let cursor = null;
+
+  do {
+    const page = await client.getCoins({ owner, coinType, cursor, limit: COINS_PAGE_SIZE });
+    coins.push(...page.data.map(coin => ({ ...coin, balance: toBigInt(coin.balance) })));
+    cursor = page.hasNextPage ? page.nextCursor : null;
+  } while (cursor);
+
+  return coins;
+}
+
+/**
+ * Pick the smallest set of coins whose balances cover an amount
+ * - a single coin is used when one is large enough (the smallest such coin)
+ * - otherwise the largest coins are taken until the amount is covered
+ * - never more than maxCoins; a wallet that needs more must consolidate first
+ * @param {Array} coins - Coins with BigInt balances
+ * @param {bigint} amount - Required amount in base units
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.maxCoins] - Maximum coins one transaction may merge
+ * @returns {Object} Selected coins (first is the merge target) and their total
+ */
+function selectCoins(coins, amount, { maxCoins = MAX_MERGE_COINS } = {}) {
+  const sorted = [...coins].sort((a, b) => compareBalances(a.balance, b.balance));
+
+  const singleCoin = sorted.find(coin => coin.balance >= amount);
+  if (singleCoin) {
+    return { coins: [singleCoin], total: singleCoin.balance };
+  }
+
+  const selected = [];
+  let total = 0n;
+  for (const coin of sorted.reverse().slice(0, maxCoins)) {
+    selected.push(coin);
+    total += coin.balance;
+    if (total >= amount) {
+      return { coins: selected, total };
+    }
+  }
+
+  const balance = coins.reduce((sum, coin) => sum + coin.balance, 0n);
+  const error = balance >= amount
+    ? new Error(
+      `Covering ${amount} base units takes more than ${maxCoins} of the ${coins.length} coins; ` +
+      'consolidate the wallet\'s coins (POST /api/wallet/consolidate) and try again'
+    )
+    : new Error(`Insufficient balance: need ${amount} base units, have ${balance} across ${coins.length} coins`);
+  error.statusCode = 400;
+  throw error;
+}
+
+/**
+ * Plan a dust consolidation: merge small coins into the largest coin
+ * @param {Array} coins - Coins with BigInt balances
+ * @param {Object} options - Consolidation options
+ * @param {bigint|null} options.dustThreshold - Merge coins below this balance (all coins when null)
+ * @param {number} options.maxCoins - Maximum coins to merge in one transaction
+ * @returns {Object} Target coin, coins to merge, and how many dust coins remain
+ */
+function planConsolidation(coins, { dustThreshold = null, maxCoins = MAX_MERGE_COINS } = {}) {
+  if (coins.length < 2) {
+    return { target: coins[0] || null, merge: [], remaining: 0 };
+  }
+
+  const sorted = [...coins].sort((a, b) => compareBalances(b.balance, a.balance));
+  const [target, ...rest] = sorted;
+
+  // Smallest coins first so the worst dust goes in the first batch
+  const dust = rest
+    .filter(coin => dustThreshold === null || coin.balance < dustThreshold)
+    .reverse();
+
+  const merge = dust.slice(0, maxCoins);
+
+  return {
+    target,
+    merge,
+    remaining: dust.length - merge.length
+  };
+}
+
+function compareBalances(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function toObjectRef(coin) {
+  return {
+    objectId: coin.coinObjectId,
+    version: coin.version,
+    digest: coin.digest
+  };
+}
+
+module.exports = {
+  MAX_MERGE_COINS,
+  MAX_GAS_PAYMENT_COINS,
+  fetchAllCoins,
+  selectCoins,
+  planConsolidation,
+  toObjectRef
+};
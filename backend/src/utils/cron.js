@@ -0,0 +1,133 @@
+/**
+ * Cron Utilities
+ *
+ * Minimal five-field cron expressions evaluated in UTC:
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12) day-of-week (0-7, 0 and 7 = Sunday)
+ * Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `0-30/10`).
+ * As in classic cron, when both day fields are restricted a day matches either;
+ * a day field starting with `*` (including steps such as `*\/2`) is not restricted.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS; // Give up after five years
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or an alias such as @daily
+ * @returns {Object} - Sets of allowed values per field
+ */
+function parseCron(expression) {
+  const source = ALIASES[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw cronError(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const cron = { expression: source };
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (cron.dayOfWeek.has(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  cron.dayOfMonthRestricted = !parts[2].startsWith('*');
+  cron.dayOfWeekRestricted = !parts[4].startsWith('*');
+
+  return cron;
+}
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+
+  part.split(',').forEach(item => {
+    const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw cronError(`Invalid ${name} field "${part}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw cronError(`${name} field "${part}" is out of range ${min}-${max}`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the first time strictly after `after` that matches a cron expression
+ * @param {Object|string} cron - Parsed cron (from parseCron) or an expression
+ * @param {Date} after - Start of the search
+ * @returns {Date} - Next matching minute (UTC)
+ */
+function nextCronTime(cron, after) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+  const time = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+
+  while (time.getTime() <= limit) {
+    if (!parsed.month.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(parsed, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(time.getUTCMinutes())) {
+      time.setTime(time.getTime() + MINUTE_MS);
+    } else {
+      return time;
+    }
+  }
+
+  throw cronError(`Cron expression "${parsed.expression}" never matches`);
+}
+
+function cronError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime
+};
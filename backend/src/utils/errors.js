@@ -0,0 +1,34 @@
+/**
+ * Error Utilities
+ *
+ * Services throw plain Errors carrying the HTTP status the routes respond
+ * with (res.status(error.statusCode || 500)).
+ */
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} [statusCode] - HTTP status for API responses
+ * @returns {Error}
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Prefix an error's message with what was being done, keeping its status
+ * @param {string} context - What failed, e.g. 'Transfer failed'
+ * @param {Error} error - Underlying error
+ * @param {number} [fallbackStatusCode] - Status when the error has none
+ * @returns {Error}
+ */
+function wrapError(context, error, fallbackStatusCode) {
+  return httpError(`${context}: ${error.message}`, error.statusCode || fallbackStatusCode);
+}
+
+module.exports = {
+  httpError,
+  wrapError
+};
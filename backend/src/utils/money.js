@@ -0,0 +1,83 @@
+/**
+ * Money Utilities
+ *
+ * Precise conversion between decimal amount strings and on-chain base units.
+ * Amounts are carried as BigInt so values like "0.29" USDC never pass
+ * through floating point.
+ */
+
+const DECIMAL_AMOUNT_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Parse a decimal amount string into base units
+ * @param {string} amount - Decimal amount, e.g. "0.29"
+ * @param {number} decimals - Coin decimals from CoinMetadata
+ * @returns {bigint} Amount in base units
+ */
+function parseAmount(amount, decimals) {
+  if (typeof amount !== 'string') {
+    throw amountError('Amount must be a decimal string');
+  }
+
+  const match = amount.trim().match(DECIMAL_AMOUNT_PATTERN);
+  if (!match) {
+    throw amountError(`Invalid amount "${amount}": expected a decimal string such as "0.29"`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw amountError(`Amount "${amount}" has more than ${decimals} decimal places`);
+  }
+
+  const baseUnits = BigInt(whole + fraction.padEnd(decimals, '0'));
+  if (baseUnits <= 0n) {
+    throw amountError('Amount must be positive');
+  }
+
+  return baseUnits;
+}
+
+/**
+ * Format base units as a fixed-point decimal string
+ * @param {bigint|string|number} baseUnits - Amount in base units
+ * @param {number} decimals - Coin decimals from CoinMetadata
+ * @returns {string} Decimal string with exactly `decimals` fraction digits
+ */
+function formatAmount(baseUnits, decimals) {
+  const value = toBigInt(baseUnits);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals);
+
+  return `${negative ? '-' : ''}${whole}${decimals > 0 ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Coerce an RPC balance value (string or integer) into a BigInt
+ * @param {bigint|string|number} value - Base-unit value
+ * @returns {bigint} BigInt value
+ */
+function toBigInt(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`Unsafe integer base-unit value: ${value}`);
+  }
+  return BigInt(value);
+}
+
+function amountError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  DECIMAL_AMOUNT_PATTERN,
+  parseAmount,
+  formatAmount,
+  toBigInt
+};
@@ -0,0 +1,30 @@
+/**
+ * Public Key Utilities
+ *
+ * Clients send public keys as base64, either the raw 32 Ed25519 bytes
+ * /api/wallet/create returns or a flag-prefixed Sui public key.
+ */
+
+const { Ed25519PublicKey } = require('@mysten/sui/keypairs/ed25519');
+const { publicKeyFromSuiBytes } = require('@mysten/sui/verify');
+const { fromB64 } = require('@mysten/sui/utils');
+const { httpError } = require('./errors');
+
+/**
+ * Parse a base64 public key
+ * @param {string} publicKey - Raw Ed25519 or flag-prefixed Sui public key
+ * @param {string} [label] - What the key is, for the error message
+ * @returns {PublicKey} Sui public key
+ */
+function parsePublicKey(publicKey, label = 'public key') {
+  try {
+    const bytes = fromB64(publicKey);
+    return bytes.length === 32 ? new Ed25519PublicKey(bytes) : publicKeyFromSuiBytes(bytes);
+  } catch (error) {
+    throw httpError(`Invalid ${label}: ${error.message}`, 400);
+  }
+}
+
+module.exports = {
+  parsePublicKey
+};
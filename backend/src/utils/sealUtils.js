@@ -46,7 +46,7 @@ class BiometricUtils {
     const required = ['type', 'data', 'timestamp', 'quality'];
     
     for (const field of required) {
-      if (!biometricData.hasOwnProperty(field)) {
+      if (!Object.prototype.hasOwnProperty.call(biometricData, field)) {
         throw new Error(`Missing required field: ${field}`);
       }
     }
@@ -357,7 +357,7 @@ class StorageUtils {
    * @returns {Object} Parsed reference
    */
   static parseStorageReference(reference) {
-    const match = reference.match(/^seal:\/\/([^\/]+)\/(.+)$/);
+    const match = reference.match(/^seal:\/\/([^/]+)\/(.+)$/);
     if (!match) {
       throw new Error('Invalid storage reference format');
     }
@@ -0,0 +1,55 @@
+require('./support/env');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const suiService = require('../src/services/suiService');
+const { fetchAllCoins, selectCoins } = require('../src/utils/coinSelection');
+
+const coin = (id, balance) => ({ coinObjectId: id, balance });
+const ids = selection => selection.coins.map(selected => selected.coinObjectId);
+
+test('the smallest coin that covers the amount is used on its own', () => {
+  const selection = selectCoins([coin('a', 500n), coin('b', 120n), coin('c', 90n)], 100n);
+
+  assert.deepEqual(ids(selection), ['b']);
+  assert.equal(selection.total, 120n);
+});
+
+test('without a large enough coin the largest coins are merged', () => {
+  const selection = selectCoins([coin('a', 10n), coin('b', 60n), coin('c', 50n), coin('d', 5n)], 100n);
+
+  assert.deepEqual(ids(selection), ['b', 'c']);
+  assert.equal(selection.total, 110n);
+});
+
+test('an amount above the balance is rejected as insufficient', () => {
+  assert.throws(
+    () => selectCoins([coin('a', 10n), coin('b', 20n)], 31n),
+    { statusCode: 400, message: /Insufficient balance: need 31 base units, have 30 across 2 coins/ }
+  );
+});
+
+test('an amount that needs more coins than one transaction may merge asks for consolidation', () => {
+  const dust = Array.from({ length: 20 }, (_, i) => coin(`dust-${i}`, 1n));
+
+  assert.equal(selectCoins(dust, 10n, { maxCoins: 10 }).coins.length, 10);
+  assert.throws(
+    () => selectCoins(dust, 11n, { maxCoins: 10 }),
+    { statusCode: 400, message: /more than 10 of the 20 coins; consolidate/ }
+  );
+});
+
+test('coins are selected from every coin the wallet owns on the mock ledger', async () => {
+  const wallet = suiService.createWallet();
+  for (let i = 0; i < 3; i++) {
+    await suiService.requestTestTokens(wallet.address);
+  }
+
+  const coins = await fetchAllCoins(suiService.client, wallet.address, suiService.usdcCoinType);
+  const each = coins[0].balance;
+  const selection = selectCoins(coins, each * 2n + 1n);
+
+  assert.equal(coins.length, 3);
+  assert.equal(selection.coins.length, 3);
+  assert.equal(selection.total, each * 3n);
+});
@@ -0,0 +1,48 @@
+require('./support/env');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextCronTime } = require('../src/utils/cron');
+
+const next = (expression, after) => nextCronTime(expression, new Date(after)).toISOString();
+
+test('the next run is strictly after the given time', () => {
+  assert.equal(next('*/15 * * * *', '2026-03-10T08:15:00Z'), '2026-03-10T08:30:00.000Z');
+  assert.equal(next('*/15 * * * *', '2026-03-10T08:14:59Z'), '2026-03-10T08:15:00.000Z');
+});
+
+test('aliases roll over into the next hour, day, month and year', () => {
+  assert.equal(next('@hourly', '2026-03-10T23:30:00Z'), '2026-03-11T00:00:00.000Z');
+  assert.equal(next('@daily', '2026-02-28T12:00:00Z'), '2026-03-01T00:00:00.000Z');
+  assert.equal(next('@monthly', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+  assert.equal(next('@yearly', '2026-01-01T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('Sunday may be written as 0 or 7', () => {
+  // 2026-03-10 is a Tuesday
+  assert.equal(next('0 9 * * 7', '2026-03-10T00:00:00Z'), '2026-03-15T09:00:00.000Z');
+  assert.equal(next('0 9 * * 0', '2026-03-10T00:00:00Z'), '2026-03-15T09:00:00.000Z');
+});
+
+test('a day matches either day field when both are restricted', () => {
+  // The 20th, or any Friday: Friday the 13th comes first
+  assert.equal(next('0 0 20 * 5', '2026-03-10T00:00:00Z'), '2026-03-13T00:00:00.000Z');
+  assert.equal(next('0 0 20 * 5', '2026-03-19T00:00:00Z'), '2026-03-20T00:00:00.000Z');
+});
+
+test('a stepped wildcard day field does not switch to either-day matching', () => {
+  // Odd days of the month that are also Mondays, not odd days or Mondays
+  assert.equal(next('0 0 */2 * 1', '2026-03-10T00:00:00Z'), '2026-03-23T00:00:00.000Z');
+  // Sundays, Tuesdays, Thursdays and Saturdays on any day of the month
+  assert.equal(next('0 0 * * */2', '2026-03-10T00:00:00Z'), '2026-03-12T00:00:00.000Z');
+});
+
+test('the 31st is only found in months that have one', () => {
+  assert.equal(next('0 0 31 * *', '2026-03-31T00:00:00Z'), '2026-05-31T00:00:00.000Z');
+});
+
+test('invalid and impossible expressions are rejected', () => {
+  assert.throws(() => next('* * * *', '2026-03-10T00:00:00Z'), { statusCode: 400, message: /must have 5 fields/ });
+  assert.throws(() => next('60 * * * *', '2026-03-10T00:00:00Z'), { statusCode: 400, message: /out of range/ });
+  assert.throws(() => next('0 0 30 2 *', '2026-03-10T00:00:00Z'), { statusCode: 400, message: /never matches/ });
+});
@@ -0,0 +1,82 @@
+require('./support/env');
+process.env.FACE_PROVIDERS = 'mock';
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const walrusService = require('../src/services/walrusService');
+const faceEnrollmentService = require('../src/services/faceEnrollmentService');
+const { faceProviderConfig } = require('../src/config/faceProviderConfig');
+
+const alice = { walletAddress: `0x${'a'.repeat(64)}`, photo: Buffer.from('alice') };
+const bob = { walletAddress: `0x${'b'.repeat(64)}`, photo: Buffer.from('bob') };
+const cafe = { merchantId: 'corner-cafe' };
+
+before(async () => {
+  mock.method(walrusService, 'storeEnrollmentData', async () => ({ success: true, blobId: 'blob' }));
+  for (const [person, userName] of [[alice, 'Alice'], [bob, 'Bob']]) {
+    const result = await faceEnrollmentService.enrollFace({
+      walletAddress: person.walletAddress,
+      userName,
+      userEmail: `${userName.toLowerCase()}@example.com`,
+      photos: [{ buffer: person.photo, mimeType: 'image/jpeg' }]
+    });
+    assert.ok(result.success, result.error);
+  }
+});
+
+function verify(walletAddress, photo, merchant = cafe) {
+  return faceEnrollmentService.verifyFace(walletAddress, photo, 'image/jpeg', merchant);
+}
+
+test('the enrolled person matches at the provider\'s own threshold', async () => {
+  const { data } = await verify(alice.walletAddress, alice.photo);
+
+  assert.equal(data.result, 'match');
+  assert.equal(data.threshold, faceProviderConfig.mock.matchThreshold);
+});
+
+test('a different face does not match the claimed wallet', async () => {
+  const { data } = await verify(alice.walletAddress, Buffer.from('mallory'));
+
+  assert.equal(data.result, 'no_match');
+});
+
+test('a face that is another enrolled person\'s is ambiguous', async () => {
+  const { data } = await verify(alice.walletAddress, bob.photo);
+
+  assert.equal(data.result, 'ambiguous');
+  assert.equal(data.competingMatch.walletAddress, bob.walletAddress);
+});
+
+test('a merchant\'s threshold applies only to the provider it is set for', async () => {
+  const strict = { ...cafe, faceVerification: { matchThresholds: { mock: 1 } } };
+  const otherProvider = { ...cafe, faceVerification: { matchThresholds: { luxand: 1 } } };
+
+  const strictResult = await verify(alice.walletAddress, alice.photo, strict);
+  assert.equal(strictResult.data.result, 'no_match');
+  assert.equal(strictResult.data.threshold, 1);
+
+  const otherResult = await verify(alice.walletAddress, alice.photo, otherProvider);
+  assert.equal(otherResult.data.result, 'match');
+  assert.equal(otherResult.data.threshold, faceProviderConfig.mock.matchThreshold);
+});
+
+test('a configured provider threshold replaces the provider\'s own', () => {
+  const provider = { name: 'mock', matchThreshold: 0.85 };
+  faceProviderConfig.verification.matchThresholds.mock = 0.95;
+
+  try {
+    assert.equal(faceEnrollmentService.verificationThreshold(provider, cafe), 0.95);
+    assert.equal(faceEnrollmentService.verificationThreshold({ name: 'local', matchThreshold: 0.6 }, cafe), 0.6);
+    assert.equal(faceEnrollmentService.verificationThreshold(provider, { faceVerification: { matchThresholds: { mock: 0.9 } } }), 0.9);
+  } finally {
+    delete faceProviderConfig.verification.matchThresholds.mock;
+  }
+});
+
+test('an unknown wallet is a 404', async () => {
+  const result = await verify(`0x${'c'.repeat(64)}`, alice.photo);
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 404);
+});
@@ -0,0 +1,113 @@
+require('./support/env');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { idempotency, markSubmitted } = require('../src/middleware/idempotency');
+
+let server;
+let baseUrl;
+let calls = 0;
+const gates = new Map(); // key -> resolve, for requests held open by the test
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/pay', idempotency, async (req, res) => {
+    calls++;
+    const { outcome, hold } = req.body;
+    if (hold) {
+      await new Promise(resolve => gates.set(req.get('Idempotency-Key'), resolve));
+    }
+    if (outcome === 'submitted-error') {
+      markSubmitted('0xdigest');
+      return res.status(504).json({ success: false, error: 'Outcome unknown' });
+    }
+    if (outcome === 'error') {
+      return res.status(500).json({ success: false, error: 'Node unavailable' });
+    }
+    res.json({ success: true, data: { call: calls } });
+  });
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function pay(key, body, signal) {
+  return fetch(`${baseUrl}/pay`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'idempotency-key': key },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('a retry replays the stored response without running the handler again', async () => {
+  const first = await pay('replay', { amount: 1 });
+  const firstBody = await first.json();
+  const callsAfterFirst = calls;
+
+  const retry = await pay('replay', { amount: 1 });
+
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await retry.json(), firstBody);
+  assert.equal(calls, callsAfterFirst);
+});
+
+test('a key reused with a different body is rejected', async () => {
+  await (await pay('reused', { amount: 1 })).json();
+
+  const retry = await pay('reused', { amount: 2 });
+
+  assert.equal(retry.status, 422);
+});
+
+test('a retry while the first request runs gets a 409, even after the client disconnects', async () => {
+  const aborted = new AbortController();
+  const first = pay('in-flight', { amount: 1, hold: true }, aborted.signal).catch(() => null);
+  await waitFor(() => gates.has('in-flight'));
+  aborted.abort();
+  await first;
+
+  const duringRun = await pay('in-flight', { amount: 1, hold: true });
+  assert.equal(duringRun.status, 409);
+
+  gates.get('in-flight')();
+  let replay;
+  do {
+    replay = await pay('in-flight', { amount: 1, hold: true });
+  } while (replay.status === 409);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+});
+
+test('a server error before any submission releases the key', async () => {
+  const failed = await pay('released', { outcome: 'error' });
+  assert.equal(failed.status, 500);
+  const callsAfterFailure = calls;
+
+  const retry = await pay('released', { outcome: 'error' });
+
+  assert.equal(retry.headers.get('idempotent-replayed'), null);
+  assert.equal(calls, callsAfterFailure + 1);
+});
+
+test('a server error after a submission is stored and replayed', async () => {
+  const failed = await pay('submitted', { outcome: 'submitted-error' });
+  assert.equal(failed.status, 504);
+  const callsAfterFailure = calls;
+
+  const retry = await pay('submitted', { outcome: 'submitted-error' });
+
+  assert.equal(retry.status, 504);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(calls, callsAfterFailure);
+});
@@ -0,0 +1,63 @@
+require('./support/env');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const suiService = require('../src/services/suiService');
+
+const balance = async (address, coinType) =>
+  BigInt((await suiService.client.getBalance({ owner: address, coinType })).totalBalance);
+
+async function fundedWallet() {
+  const wallet = suiService.createWallet();
+  await suiService.requestTestTokens(wallet.address);
+  return wallet;
+}
+
+test('a USDC transfer moves exact base units and charges gas in SUI', async () => {
+  const payer = await fundedWallet();
+  const payee = suiService.createWallet();
+  const suiBefore = await balance(payer.address, suiService.suiCoinType);
+
+  const result = await suiService.transferCoin(payer.walletId, payer.authToken, payee.address, '1.25', suiService.usdcCoinType);
+
+  assert.equal(result.status, 'success');
+  assert.equal(await balance(payee.address, suiService.usdcCoinType), 1250000n);
+  assert.equal(await balance(payer.address, suiService.usdcCoinType), 98750000n);
+  assert.ok(await balance(payer.address, suiService.suiCoinType) < suiBefore);
+});
+
+test('a sponsored transfer leaves the payer\'s SUI untouched', async () => {
+  const payer = await fundedWallet();
+  const payee = suiService.createWallet();
+  const suiBefore = await balance(payer.address, suiService.suiCoinType);
+
+  const result = await suiService.transferCoin(payer.walletId, payer.authToken, payee.address, '2', suiService.usdcCoinType, {
+    sponsored: true
+  });
+
+  assert.equal(result.status, 'success');
+  assert.equal(await balance(payer.address, suiService.suiCoinType), suiBefore);
+  assert.equal(await balance(payee.address, suiService.usdcCoinType), 2000000n);
+});
+
+test('a transfer above the balance is rejected without moving funds', async () => {
+  const payer = await fundedWallet();
+  const payee = suiService.createWallet();
+
+  await assert.rejects(
+    suiService.transferCoin(payer.walletId, payer.authToken, payee.address, '1000', suiService.usdcCoinType),
+    /Insufficient balance/
+  );
+  assert.equal(await balance(payer.address, suiService.usdcCoinType), 100000000n);
+  assert.equal(await balance(payee.address, suiService.usdcCoinType), 0n);
+});
+
+test('executed transactions can be looked up by digest', async () => {
+  const payer = await fundedWallet();
+  const payee = suiService.createWallet();
+  const { digest } = await suiService.transferCoin(payer.walletId, payer.authToken, payee.address, '1', suiService.usdcCoinType);
+
+  const tx = await suiService.findExecutedTransaction(digest);
+  assert.equal(tx.effects.status.status, 'success');
+  assert.equal(await suiService.findExecutedTransaction('11111111111111111111111111111111'), null);
+});
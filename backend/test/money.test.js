@@ -0,0 +1,54 @@
+require('./support/env');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const suiService = require('../src/services/suiService');
+const { parseAmount, formatAmount } = require('../src/utils/money');
+
+test('decimal strings become exact base units', () => {
+  assert.equal(parseAmount('0.29', 6), 290000n);
+  assert.equal(parseAmount('1', 6), 1000000n);
+  assert.equal(parseAmount(' 12.5 ', 9), 12500000000n);
+  assert.equal(parseAmount('0.000001', 6), 1n);
+  assert.equal(parseAmount('123456789012345678901234567890', 0), 123456789012345678901234567890n);
+});
+
+test('malformed, too precise and non-positive amounts are rejected', () => {
+  for (const amount of [0.29, '', '-1', '1e3', '1.', '.5', '1,5', 'abc']) {
+    assert.throws(() => parseAmount(amount, 6), { statusCode: 400 }, `amount ${amount}`);
+  }
+  assert.throws(() => parseAmount('0.0000001', 6), { statusCode: 400, message: /more than 6 decimal places/ });
+  assert.throws(() => parseAmount('0', 6), { statusCode: 400, message: /must be positive/ });
+  assert.throws(() => parseAmount('0.000000', 6), { statusCode: 400, message: /must be positive/ });
+});
+
+test('base units are formatted with exactly the coin\'s decimals', () => {
+  assert.equal(formatAmount(290000n, 6), '0.290000');
+  assert.equal(formatAmount('1', 9), '0.000000001');
+  assert.equal(formatAmount(1000000, 6), '1.000000');
+  assert.equal(formatAmount(42n, 0), '42');
+  assert.equal(formatAmount(-1500000n, 6), '-1.500000');
+});
+
+test('formatting rejects numbers that are not safe integers', () => {
+  assert.throws(() => formatAmount(2 ** 53, 6), /Unsafe integer/);
+  assert.throws(() => formatAmount(0.5, 6));
+});
+
+test('parsing and formatting round-trip', () => {
+  for (const [amount, formatted] of [['0.29', '0.290000'], ['1.000001', '1.000001'], ['999999.999999', '999999.999999']]) {
+    assert.equal(formatAmount(parseAmount(amount, 6), 6), formatted);
+  }
+});
+
+test('a transfer of "0.29" USDC moves exactly 290000 base units on the mock ledger', async () => {
+  const payer = suiService.createWallet();
+  const payee = suiService.createWallet();
+  await suiService.requestTestTokens(payer.address);
+
+  await suiService.transferCoin(payer.walletId, payer.authToken, payee.address, '0.29', suiService.usdcCoinType);
+
+  const { totalBalance } = await suiService.client.getBalance({ owner: payee.address, coinType: suiService.usdcCoinType });
+  assert.equal(totalBalance, parseAmount('0.29', 6).toString());
+  assert.equal(formatAmount(totalBalance, 6), '0.290000');
+});
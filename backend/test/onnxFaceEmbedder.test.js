@@ -0,0 +1,107 @@
+require('./support/env');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OnnxFaceEmbedder } = require('../src/services/faceProviders/onnxFaceEmbedder');
+
+// sharp is an optional dependency; the models themselves are faked here
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {}
+const skip = !sharp && 'sharp is not installed';
+
+const ARCFACE_LANDMARKS = [[38.2946, 51.6963], [73.5318, 51.5014], [56.0252, 71.7366], [41.5493, 92.3655], [70.7299, 92.2041]];
+const WIDTH = 400;
+const HEIGHT = 300;
+const INPUT_SIZE = 640;
+const SCALE = INPUT_SIZE / WIDTH;
+
+// The template landmarks, 1.5 times larger, turned 20 degrees and moved into the photo
+const angle = 20 * Math.PI / 180;
+const photoLandmarks = ARCFACE_LANDMARKS.map(([x, y]) => [
+  150 + 1.5 * (x * Math.cos(angle) - y * Math.sin(angle)),
+  60 + 1.5 * (x * Math.sin(angle) + y * Math.cos(angle))
+]);
+
+// A grey photo with a white dot on each landmark
+async function photoWithDots() {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3, 64);
+  photoLandmarks.forEach(([x, y]) => {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        pixels.fill(255, ((Math.round(y) + dy) * WIDTH + Math.round(x) + dx) * 3, ((Math.round(y) + dy) * WIDTH + Math.round(x) + dx + 1) * 3);
+      }
+    }
+  });
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } }).png().toBuffer();
+}
+
+// SCRFD outputs with one detection per given anchor at stride 32
+function detectorOutputs(anchors) {
+  const sizes = [8, 16, 32].map(stride => (INPUT_SIZE / stride) ** 2 * 2);
+  const scores = sizes.map(size => new Float32Array(size));
+  const boxes = sizes.map(size => new Float32Array(size * 4));
+  const points = sizes.map(size => new Float32Array(size * 10));
+
+  anchors.forEach(({ column, row, landmarks }) => {
+    const index = (row * (INPUT_SIZE / 32) + column) * 2;
+    const [anchorX, anchorY] = [column * 32, row * 32];
+    scores[2][index] = 0.9;
+    boxes[2].set([1, 1, 1, 1], index * 4);
+    points[2].set(landmarks.flatMap(([x, y]) => [(x * SCALE - anchorX) / 32, (y * SCALE - anchorY) / 32]), index * 10);
+  });
+  return [...scores, ...boxes, ...points];
+}
+
+function fakeEmbedder(outputs) {
+  const embedder = new OnnxFaceEmbedder({
+    modelDir: '/nonexistent',
+    detectorModel: 'det.onnx',
+    embeddingModel: 'rec.onnx',
+    detectorInputSize: INPUT_SIZE,
+    embeddingInputSize: 112,
+    minDetectionScore: 0.5
+  });
+  const ort = { Tensor: class { constructor(type, data, dims) { Object.assign(this, { type, data, dims }); } } };
+  const outputNames = outputs.map((_, i) => `out${i}`);
+  const detector = {
+    inputNames: ['input'],
+    outputNames,
+    run: async () => Object.fromEntries(outputs.map((data, i) => [outputNames[i], { data }]))
+  };
+  const embedding = {
+    inputNames: ['face'],
+    outputNames: ['embedding'],
+    run: async feeds => {
+      embedder.lastFace = feeds.face;
+      return { embedding: { data: new Float32Array(512).fill(0.1) } };
+    }
+  };
+  embedder.load = async () => ({ ort, sharp, detector, embedding });
+  return embedder;
+}
+
+test('the face is aligned onto the ArcFace landmark positions', { skip }, async () => {
+  const embedder = fakeEmbedder(detectorOutputs([{ column: 8, row: 5, landmarks: photoLandmarks }]));
+
+  const result = await embedder.embed({ buffer: await photoWithDots(), mimeType: 'image/png' });
+
+  assert.equal(result.embedding.length, 512);
+  assert.equal(result.confidence, Math.fround(0.9));
+  const { data, dims } = embedder.lastFace;
+  assert.deepEqual(dims, [1, 3, 112, 112]);
+  const red = (x, y) => data[Math.round(y) * 112 + Math.round(x)];
+  ARCFACE_LANDMARKS.forEach(([x, y]) => assert.ok(red(x, y) > 0.9, `white dot at ${x}, ${y}`));
+  assert.ok(red(56, 20) < -0.4, 'grey between the dots');
+});
+
+test('a photo with two faces is rejected', { skip }, async () => {
+  const elsewhere = photoLandmarks.map(([x, y]) => [x + 150, y + 100]);
+  const embedder = fakeEmbedder(detectorOutputs([
+    { column: 8, row: 5, landmarks: photoLandmarks },
+    { column: 15, row: 10, landmarks: elsewhere }
+  ]));
+
+  await assert.rejects(embedder.embed({ buffer: await photoWithDots(), mimeType: 'image/png' }), { kind: 'invalid_input' });
+});
@@ -0,0 +1,139 @@
+const { writeMerchants, merchantKey } = require('./support/env');
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const keystoreService = require('../src/services/keystoreService');
+
+// Merchants are read once, when the services first load
+const key = merchantKey();
+const merchantWallet = keystoreService.createWallet();
+writeMerchants([{
+  merchantId: 'corner-cafe',
+  name: 'Corner Cafe',
+  suiAddress: merchantWallet.address,
+  rails: [{ rail: 'sui' }],
+  apiKeyHash: key.apiKeyHash
+}]);
+
+const suiService = require('../src/services/suiService');
+const paymentService = require('../src/services/paymentService');
+const { authenticateMerchant } = require('../src/config/merchantConfig');
+
+let customer;
+
+before(async () => {
+  customer = suiService.createWallet();
+  await suiService.requestTestTokens(customer.address);
+  await suiService.requestTestTokens(merchantWallet.address);
+});
+
+function pay(amount) {
+  return paymentService.createPayment({
+    merchantId: 'corner-cafe',
+    amount,
+    currency: 'USDC',
+    walletId: customer.walletId,
+    authToken: customer.authToken
+  });
+}
+
+function refund(paymentId, amount, wallet = merchantWallet) {
+  return paymentService.refundPayment(paymentId, { amount, walletId: wallet.walletId, authToken: wallet.authToken });
+}
+
+// The transfer executes but its response never arrives
+function loseResponses() {
+  const execute = suiService.client.executeTransactionBlock;
+  return mock.method(suiService.client, 'executeTransactionBlock', async function (params) {
+    await execute.call(this, params);
+    throw new Error('socket hang up');
+  });
+}
+
+test('refunds never add up to more than was paid', async () => {
+  const payment = await pay('10');
+
+  const partial = await refund(payment.paymentId, '4');
+  assert.equal(partial.payment.status, 'partially_refunded');
+  assert.equal(partial.payment.refundableAmount, 6000000n);
+
+  await assert.rejects(refund(payment.paymentId, '6.000001'), { statusCode: 400 });
+
+  const rest = await refund(payment.paymentId);
+  assert.equal(rest.refund.amount, 6000000n);
+  assert.equal(rest.payment.status, 'refunded');
+
+  await assert.rejects(refund(payment.paymentId, '1'), { statusCode: 409 });
+});
+
+test('concurrent refunds cannot both take the refundable amount', async () => {
+  const payment = await pay('5');
+
+  const results = await Promise.allSettled([refund(payment.paymentId, '3'), refund(payment.paymentId, '3')]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(paymentService.getPayment(payment.paymentId).refundedAmount, 3000000n);
+});
+
+test('only the wallet that received the payment can refund it', async () => {
+  const payment = await pay('2');
+
+  await assert.rejects(refund(payment.paymentId, '1', customer), { statusCode: 403 });
+});
+
+test('a refund whose response was lost is looked up on chain', async () => {
+  const payment = await pay('3');
+  const lost = loseResponses();
+
+  try {
+    const result = await refund(payment.paymentId, '1');
+
+    assert.equal(result.refund.status, 'succeeded');
+    assert.equal(result.payment.refundableAmount, 2000000n);
+  } finally {
+    lost.mock.restore();
+  }
+});
+
+test('a refund whose outcome is unknown stays pending with its amount reserved', async () => {
+  const payment = await pay('3');
+  const lost = loseResponses();
+  const lookup = mock.method(suiService, 'findExecutedTransaction', async () => null);
+  let confirm;
+  const wait = suiService.client.waitForTransaction;
+  const confirmation = mock.method(suiService.client, 'waitForTransaction', async function (params) {
+    await new Promise(resolve => { confirm = resolve; });
+    return wait.call(this, params);
+  });
+
+  try {
+    await assert.rejects(refund(payment.paymentId, '1'), { statusCode: 504, outcomeUnknown: true });
+
+    const pending = paymentService.getPayment(payment.paymentId);
+    assert.equal(pending.refunds[0].status, 'pending');
+    assert.ok(pending.refunds[0].transactionId);
+    assert.equal(pending.refundableAmount, 2000000n);
+  } finally {
+    lost.mock.restore();
+    lookup.mock.restore();
+  }
+
+  // Settled in the background once the chain shows the transfer
+  confirm();
+  await new Promise(resolve => setImmediate(resolve));
+  confirmation.mock.restore();
+  const settled = paymentService.getPayment(payment.paymentId);
+  assert.equal(settled.refunds[0].status, 'succeeded');
+  assert.equal(settled.refundedAmount, 1000000n);
+});
+
+test('merchants only see the payments they received', async () => {
+  const payment = await pay('1');
+  const merchant = authenticateMerchant(key.apiKey);
+  const stranger = { merchantId: 'elsewhere', suiAddress: customer.address };
+
+  assert.ok(paymentService.listPayments(merchant).some(listed => listed.paymentId === payment.paymentId));
+  assert.equal(paymentService.listPayments(stranger).length, 0);
+  assert.equal(paymentService.getPayment(payment.paymentId, merchant).paymentId, payment.paymentId);
+  assert.throws(() => paymentService.getPayment(payment.paymentId, stranger), { statusCode: 403 });
+});
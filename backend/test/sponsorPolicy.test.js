@@ -0,0 +1,109 @@
+require('./support/env');
+Object.assign(process.env, {
+  SPONSOR_MAX_GAS_BUDGET: '10000000',
+  SPONSOR_SENDER_DAILY_BUDGET: '20000000',
+  SPONSOR_GLOBAL_DAILY_CAP: '30000000',
+  SPONSOR_ALLOWED_MOVE_CALLS: '0x2::coin::*'
+});
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transaction } = require('@mysten/sui/transactions');
+const suiService = require('../src/services/suiService');
+const sponsorPolicyService = require('../src/services/sponsorPolicyService');
+
+const sponsor = suiService.gasSponsorKeypair.getPublicKey().toSuiAddress();
+
+// A sponsored transaction with a fixed gas payment, built without the client
+function sponsoredTransaction(sender, { budget = 5000000n, commands = () => {} } = {}) {
+  const txb = new Transaction();
+  txb.setSender(sender);
+  txb.setGasOwner(sponsor);
+  txb.setGasBudget(budget);
+  txb.setGasPrice(1000);
+  txb.setGasPayment([{ objectId: `0x${'9'.repeat(64)}`, version: '1', digest: 'E1y7zLRZPJpzRRS9dqe5ksoZRVWDhRu1WJ8zzyN9Bzq5' }]);
+  commands(txb);
+  return txb.build();
+}
+
+const senderAddress = () => suiService.createWallet().address;
+
+test('a gas budget above the per-transaction maximum is rejected', async () => {
+  const sender = senderAddress();
+  const txBytes = await sponsoredTransaction(sender, { budget: 10000001n });
+
+  assert.throws(() => sponsorPolicyService.authorize({ sender, txBytes }), {
+    statusCode: 403,
+    message: /exceeds the per-transaction maximum/
+  });
+});
+
+test('spending from the sponsor\'s gas coin is rejected', async () => {
+  const sender = senderAddress();
+  const txBytes = await sponsoredTransaction(sender, {
+    commands: txb => txb.transferObjects([txb.splitCoins(txb.gas, [1])], sender)
+  });
+
+  assert.throws(() => sponsorPolicyService.authorize({ sender, txBytes }), {
+    statusCode: 403,
+    message: /spends from the sponsor gas coin/
+  });
+});
+
+test('only allowed Move call targets are sponsored', async () => {
+  const sender = senderAddress();
+  const allowed = await sponsoredTransaction(sender, {
+    commands: txb => txb.moveCall({ target: '0x2::coin::zero', typeArguments: ['0x2::sui::SUI'] })
+  });
+  const other = await sponsoredTransaction(sender, {
+    commands: txb => txb.moveCall({ target: '0x2::balance::zero', typeArguments: ['0x2::sui::SUI'] })
+  });
+
+  sponsorPolicyService.release(sponsorPolicyService.authorize({ sender, txBytes: allowed }));
+  assert.throws(() => sponsorPolicyService.authorize({ sender, txBytes: other }), {
+    statusCode: 403,
+    message: /::balance::zero is not an allowed sponsor target/
+  });
+});
+
+test('a sender over the daily budget is rejected until reservations are released', async () => {
+  const sender = senderAddress();
+  const txBytes = await sponsoredTransaction(sender, { budget: 10000000n });
+
+  const first = sponsorPolicyService.authorize({ sender, txBytes });
+  const second = sponsorPolicyService.authorize({ sender, txBytes });
+  assert.throws(() => sponsorPolicyService.authorize({ sender, txBytes }), {
+    statusCode: 429,
+    message: /Sender daily gas budget exceeded/
+  });
+
+  sponsorPolicyService.release(first);
+  sponsorPolicyService.settle(second, { computationCost: '1000000', storageCost: '0', storageRebate: '0' });
+  sponsorPolicyService.release(sponsorPolicyService.authorize({ sender, txBytes }));
+
+  assert.equal(sponsorPolicyService.getStatus(sender).sender.spent, 1000000n);
+});
+
+test('the global daily cap is shared by all senders and kept in the ledger', async () => {
+  const status = sponsorPolicyService.getStatus();
+  const remaining = status.global.remaining;
+  const tickets = [];
+  for (let used = 0n; used + 5000000n <= remaining; used += 5000000n) {
+    const sender = senderAddress();
+    tickets.push(sponsorPolicyService.authorize({ sender, txBytes: await sponsoredTransaction(sender) }));
+  }
+
+  const sender = senderAddress();
+  const txBytes = await sponsoredTransaction(sender);
+  assert.throws(() => sponsorPolicyService.authorize({ sender, txBytes }), {
+    statusCode: 503,
+    message: /Sponsor daily spend cap reached/
+  });
+
+  // A restarted service reads the same usage back from the ledger
+  const restarted = new sponsorPolicyService.constructor();
+  assert.throws(() => restarted.authorize({ sender, txBytes }), { statusCode: 503 });
+
+  tickets.forEach(ticket => sponsorPolicyService.release(ticket));
+  restarted.release(restarted.authorize({ sender, txBytes }));
+});
@@ -0,0 +1,49 @@
+/**
+ * Test environment
+ * Require first in every test file: it points the services at the in-process
+ * mock Sui ledger, an in-memory ledger database and a throwaway keystore, and
+ * keeps the background workers off. node --test runs each file in its own
+ * process, so every file starts from an empty ledger.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paywiser-test-'));
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  SUI_NETWORK: 'local-mock',
+  LEDGER_DB_PATH: ':memory:',
+  KEYSTORE_PATH: path.join(dataDir, 'keystore.json'),
+  KEYSTORE_MASTER_KEY: crypto.randomBytes(32).toString('base64'),
+  GAS_SPONSOR_PRIVATE_KEY: crypto.randomBytes(32).toString('base64'),
+  MERCHANT_CONFIG_PATH: path.join(dataDir, 'merchants.json'),
+  SCHEDULER_ENABLED: 'false',
+  INVOICE_WATCHER_ENABLED: 'false',
+  AUTHORIZATION_SWEEPER_ENABLED: 'false'
+});
+
+/**
+ * Write the merchant configuration the next require of config/merchantConfig reads
+ * @param {Array<Object>} merchants - Merchants as in data/merchants.json
+ */
+function writeMerchants(merchants) {
+  fs.writeFileSync(process.env.MERCHANT_CONFIG_PATH, JSON.stringify(merchants));
+}
+
+/**
+ * An API key and the apiKeyHash to configure for it
+ */
+function merchantKey() {
+  const apiKey = `mk_${crypto.randomBytes(16).toString('hex')}`;
+  return { apiKey, apiKeyHash: crypto.createHash('sha256').update(apiKey).digest('hex') };
+}
+
+module.exports = {
+  dataDir,
+  writeMerchants,
+  merchantKey
+};